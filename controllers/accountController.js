@@ -0,0 +1,134 @@
+import User from '../models/User.js';
+import { MAX_ADDRESSES, normalizeAddressInput } from '../utils/addresses.js';
+import { lookupPincode, isValidPincodeFormat } from '../utils/pincode.js';
+
+const loadAccount = (req) => User.findById(req.user.userId).select('name addresses');
+
+// Default first, then most recently added
+const sortedAddresses = (addresses) =>
+  [...addresses].sort((a, b) => (b.isDefault - a.isDefault) || (new Date(b.createdAt) - new Date(a.createdAt)));
+
+// Keep exactly one default while the book is not empty
+const ensureDefault = (user, preferredId = null) => {
+  if (user.addresses.length === 0) return;
+  const wanted = preferredId ? user.addresses.id(preferredId) : user.addresses.find(a => a.isDefault);
+  const target = wanted || sortedAddresses(user.addresses)[0];
+  user.addresses.forEach(a => { a.isDefault = String(a._id) === String(target._id); });
+};
+
+// List saved addresses
+export const listAddresses = async (req, res) => {
+  try {
+    const user = await loadAccount(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    res.json({ success: true, data: sortedAddresses(user.addresses) });
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    res.status(500).json({ success: false, message: 'Error fetching addresses', error: error.message });
+  }
+};
+
+// Add an address; the first one (or one sent with isDefault) becomes the default
+export const createAddress = async (req, res) => {
+  try {
+    const user = await loadAccount(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({ success: false, message: `You can save up to ${MAX_ADDRESSES} addresses` });
+    }
+
+    const { address, error } = normalizeAddressInput({ name: user.name, ...req.body });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    user.addresses.push({ ...address, isDefault: false, createdAt: new Date(), updatedAt: new Date() });
+    const added = user.addresses[user.addresses.length - 1];
+    ensureDefault(user, req.body.isDefault === true || req.body.isDefault === 'true' || user.addresses.length === 1 ? added._id : null);
+    await user.save();
+
+    res.status(201).json({ success: true, message: 'Address saved', data: added });
+  } catch (error) {
+    console.error('Error saving address:', error);
+    res.status(500).json({ success: false, message: 'Error saving address', error: error.message });
+  }
+};
+
+// Update an address (partial); isDefault: true makes it the default
+export const updateAddress = async (req, res) => {
+  try {
+    const user = await loadAccount(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const existing = user.addresses.id(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Address not found' });
+
+    const { address, error } = normalizeAddressInput(req.body, existing);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const { _id, createdAt, isDefault, ...fields } = address;
+    existing.set({ ...fields, updatedAt: new Date() });
+    if (req.body.isDefault === true || req.body.isDefault === 'true') ensureDefault(user, existing._id);
+    await user.save();
+
+    res.json({ success: true, message: 'Address updated', data: existing });
+  } catch (error) {
+    console.error('Error updating address:', error);
+    res.status(500).json({ success: false, message: 'Error updating address', error: error.message });
+  }
+};
+
+// Make an address the default
+export const setDefaultAddress = async (req, res) => {
+  try {
+    const user = await loadAccount(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (!user.addresses.id(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+
+    ensureDefault(user, req.params.id);
+    await user.save();
+
+    res.json({ success: true, message: 'Default address updated', data: sortedAddresses(user.addresses) });
+  } catch (error) {
+    console.error('Error setting default address:', error);
+    res.status(500).json({ success: false, message: 'Error setting default address', error: error.message });
+  }
+};
+
+// Delete an address; removing the default promotes the newest remaining one
+export const deleteAddress = async (req, res) => {
+  try {
+    const user = await loadAccount(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const existing = user.addresses.id(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Address not found' });
+
+    existing.deleteOne();
+    ensureDefault(user);
+    await user.save();
+
+    res.json({ success: true, message: 'Address deleted', data: sortedAddresses(user.addresses) });
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    res.status(500).json({ success: false, message: 'Error deleting address', error: error.message });
+  }
+};
+
+// District and state for a pincode, for autofilling the address form
+export const getPincodeDetails = async (req, res) => {
+  try {
+    const { pincode } = req.params;
+    if (!isValidPincodeFormat(pincode)) {
+      return res.status(400).json({ success: false, message: 'Pincode must be 6 digits' });
+    }
+    const details = lookupPincode(pincode);
+    if (!details) return res.status(404).json({ success: false, message: 'Unknown pincode' });
+
+    res.json({ success: true, data: details });
+  } catch (error) {
+    console.error('Error looking up pincode:', error);
+    res.status(500).json({ success: false, message: 'Error looking up pincode', error: error.message });
+  }
+};
@@ -1,13 +1,57 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
 import Seller from '../models/Seller.js';
-import Notification from '../models/Notification.js';
 import crypto from 'crypto';
-import { createTransporter, sendNewSellerNotificationToAdmin } from '../utils/email.js';
-import { sendEmailWithRetryGeneric } from '../utils/email.js';
+import { createTransporter, queueEmail, sendPasswordResetEmail } from '../utils/email.js';
+import { requestLocale } from '../utils/emailTemplates.js';
+import { enqueueJobQuietly } from '../utils/jobs.js';
+import { mergeGuestCart } from '../utils/cart.js';
+import { claimGuestOrders } from '../utils/customers.js';
+import { redactBody } from '../middleware/auth.js';
+import {
+  createSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  rotateRefreshToken,
+  sessionOwner
+} from '../utils/sessions.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Email a link that proves the customer owns their email address.
+// Returns the link (handed back outside production for manual testing).
+const sendEmailVerification = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + 1000 * 60 * 60 * 24); // 24 hours
+  await user.save();
+
+  const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}&email=${encodeURIComponent(user.email)}`;
+  const html = `<p>Hello ${String(user.name || '').replace(/[<>]/g, '')},</p>
+                <p>Please confirm your email address for your L-Mart account. This link expires in 24 hours.</p>
+                <p><a href="${verifyUrl}" target="_blank" rel="noopener">Verify email</a></p>
+                <p>Orders you placed earlier as a guest with this email will then appear in your account.</p>`;
+
+  await queueEmail({
+    to: user.email,
+    subject: 'Verify your L-Mart email',
+    html,
+  }, { template: 'email-verification' });
+  return verifyUrl;
+};
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Guest order claiming must never block a login or registration
+const claimGuestOrdersSafely = async (user) => {
+  try {
+    return await claimGuestOrders(user);
+  } catch (claimErr) {
+    console.warn('⚠️ Could not link guest orders:', claimErr?.message || claimErr);
+    return 0;
+  }
+};
 
 // Register new user
 export const register = async (req, res) => {
@@ -32,23 +76,40 @@ export const register = async (req, res) => {
     });
     
     await newUser.save();
+
+    // Past guest orders are linked once the email is verified
+    let verifyUrl = null;
+    try {
+      verifyUrl = await sendEmailVerification(newUser);
+    } catch (verifyErr) {
+      console.warn('⚠️ Could not start email verification:', verifyErr?.message || verifyErr);
+    }
+
+    // Registration logs the customer in, so carry over their browser cart
+    let cartMerge = null;
+    if (Array.isArray(req.body.guestCart) && req.body.guestCart.length > 0) {
+      try {
+        cartMerge = await mergeGuestCart(newUser, req.body.guestCart);
+      } catch (mergeErr) {
+        console.warn('⚠️ Guest cart merge failed on register:', mergeErr?.message || mergeErr);
+      }
+    }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser._id, email: newUser.email, role: newUser.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Access and refresh tokens for this device
+    const session = await createSession({ ownerType: 'user', account: newUser, role: newUser.role }, req);
     
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...session,
       user: {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
-        role: newUser.role
-      }
+        role: newUser.role,
+        emailVerified: newUser.emailVerified
+      },
+      ...(cartMerge ? { cartMerge } : {}),
+      ...(verifyUrl && process.env.NODE_ENV !== 'production' ? { verifyUrl } : {})
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -58,7 +119,7 @@ export const register = async (req, res) => {
 // Register new seller
 export const registerSeller = async (req, res) => {
   try {
-    console.log('🔍 SELLER REGISTRATION START:', req.body);
+    console.log('🔍 SELLER REGISTRATION START:', redactBody(req.body));
     const { name, email, password, sellerName, parentSellerEmail } = req.body;
 
     // Check if seller already exists
@@ -103,43 +164,30 @@ export const registerSeller = async (req, res) => {
     await sellerDoc.save();
     console.log('✅ Seller saved successfully:', sellerDoc._id);
 
-    // Send admin notification about new seller registration
-    try {
-      await sendNewSellerNotificationToAdmin({
-        name: sellerDoc.name,
-        email: sellerDoc.email,
+    // Admin email and in-app notification about the new seller run on the job queue
+    await enqueueJobQuietly('email.seller-registered', {
+      name: sellerDoc.name,
+      email: sellerDoc.email,
+      sellerName: sellerDoc.sellerName,
+      parentSellerEmail: parentSellerEmail
+    });
+    await enqueueJobQuietly('notification.create', {
+      title: 'New Seller Registration',
+      message: `New seller "${sellerDoc.sellerName || sellerDoc.name}" has registered and requires verification.`,
+      type: 'seller',
+      priority: 'high',
+      recipientType: 'admin',
+      relatedEntity: {
+        entityType: 'seller',
+        entityId: sellerDoc._id
+      },
+      actionUrl: '/admin/sellers',
+      metadata: {
         sellerName: sellerDoc.sellerName,
-        parentSellerEmail: parentSellerEmail
-      });
-    } catch (emailError) {
-      console.error('Failed to send admin notification:', emailError);
-      // Don't fail the registration if email fails
-    }
-
-    // Create in-app notification for admin
-    try {
-      await Notification.create({
-        title: 'New Seller Registration',
-        message: `New seller "${sellerDoc.sellerName || sellerDoc.name}" has registered and requires verification.`,
-        type: 'seller',
-        priority: 'high',
-        recipientType: 'admin',
-        relatedEntity: {
-          entityType: 'seller',
-          entityId: sellerDoc._id
-        },
-        actionUrl: '/admin/sellers',
-        metadata: {
-          sellerName: sellerDoc.sellerName,
-          sellerEmail: sellerDoc.email,
-          registrationDate: new Date().toISOString()
-        }
-      });
-      console.log('✅ In-app notification created for new seller:', sellerDoc.email);
-    } catch (notificationError) {
-      console.error('Failed to create in-app notification:', notificationError);
-      // Don't fail the registration if notification fails
-    }
+        sellerEmail: sellerDoc.email,
+        registrationDate: new Date().toISOString()
+      }
+    });
 
     console.log('📤 Sending response - NO AUTOMATIC LOGIN');
     res.status(201).json({
@@ -188,16 +236,12 @@ export const login = async (req, res) => {
         return res.status(403).json({ message: msg });
       }
 
-      // Generate JWT token for seller
-      const token = jwt.sign(
-        { userId: seller._id, email: seller.email, role: 'seller' },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // Access and refresh tokens for this device
+      const session = await createSession({ ownerType: 'seller', account: seller, role: 'seller' }, req);
 
       return res.json({
         message: 'Login successful',
-        token,
+        ...session,
         user: {
           id: seller._id,
           name: seller.name,
@@ -227,30 +271,114 @@ export const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Merge the browser (guest) cart into the saved cart
+    let cartMerge = null;
+    if (user.role === 'customer' && Array.isArray(req.body.guestCart) && req.body.guestCart.length > 0) {
+      try {
+        cartMerge = await mergeGuestCart(user, req.body.guestCart);
+      } catch (mergeErr) {
+        console.warn('⚠️ Guest cart merge failed on login:', mergeErr?.message || mergeErr);
+      }
+    }
+
+    // Link guest orders placed since the last login and refresh order stats
+    const claimedOrders = user.role === 'customer' ? await claimGuestOrdersSafely(user) : 0;
+
+    // Access and refresh tokens for this device
+    const session = await createSession({ ownerType: 'user', account: user, role: user.role }, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...session,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         loginCount: user.loginCount,
         lastLogin: user.lastLogin
-      }
+      },
+      ...(cartMerge ? { cartMerge } : {}),
+      ...(claimedOrders > 0 ? { claimedOrders } : {})
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Refresh: swap a refresh token for a new access token and refresh token.
+// The old refresh token stops working; presenting it again ends the session.
+export const refresh = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body?.refreshToken, req);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    res.json({ message: 'Token refreshed', ...result });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Logout: end this device's session, found from the access token or the
+// refresh token in the body (so an expired access token can still log out)
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!req.user?.sid && !refreshToken) {
+      return res.status(400).json({ message: 'Access token or refreshToken is required' });
+    }
+    if (req.user?.sid) await revokeSession(req.user.sid, 'logout');
+    if (refreshToken) await revokeSessionByRefreshToken(refreshToken, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Log out everywhere: end every session of the logged-in account, this one included
+export const logoutAll = async (req, res) => {
+  try {
+    const { ownerType, owner } = sessionOwner(req.user);
+    const revoked = await revokeAllSessions(ownerType, owner, 'logout-all');
+    res.json({ message: 'Logged out on all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Devices the logged-in account is signed in on
+export const getSessions = async (req, res) => {
+  try {
+    const { ownerType, owner } = sessionOwner(req.user);
+    const sessions = await listSessions(ownerType, owner);
+    res.json({ sessions: sessions.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Sign one of the account's devices out
+export const deleteSession = async (req, res) => {
+  try {
+    const { ownerType, owner } = sessionOwner(req.user);
+    const sessions = await listSessions(ownerType, owner);
+    if (!sessions.some(s => s.id === req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    await revokeSession(req.params.id, 'logout');
+    res.json({ message: 'Session ended' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Forgot password: generate token and email link
 export const forgotPassword = async (req, res) => {
   try {
@@ -285,21 +413,18 @@ export const forgotPassword = async (req, res) => {
     const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}&email=${encodeURIComponent(email)}`;
 
     const fromAddress = (process.env.SENDGRID_FROM || process.env.SMTP_FROM || (process.env.SMTP_USER ? `"L-Mart" <${process.env.SMTP_USER}>` : 'L-Mart <no-reply@example.com>')).trim();
-    const html = `<p>Hello,</p>
-                  <p>You requested a password reset for your ${accountType} account. Click the link below to set a new password. This link expires in 30 minutes.</p>
-                  <p><a href="${resetUrl}" target="_blank" rel="noopener">Reset Password</a></p>
-                  <p>If you did not request this, you can safely ignore this email.</p>`;
-
-    const sendRes = await sendEmailWithRetryGeneric({
+    const sendRes = await sendPasswordResetEmail({
       from: fromAddress,
-      to: email,
-      subject: 'Reset your L-Mart password',
-      html,
+      email,
+      accountType,
+      resetUrl,
+      expiresInMinutes: 30,
+      locale: requestLocale(req)
     });
-    if (sendRes.sent) {
-      console.log('✉️ Reset email sent:', { to: email, messageId: sendRes?.messageId, resetUrl, accountType });
+    if (sendRes.queued) {
+      console.log('✉️ Reset email queued:', { to: email, emailId: sendRes.emailId, accountType });
     } else {
-      console.warn('⚠️ Reset email not sent:', sendRes?.error || 'unknown');
+      console.warn('⚠️ Reset email not queued:', sendRes?.error || sendRes?.reason || 'unknown');
     }
 
     // In development or when SMTP isn't configured, include resetUrl to allow manual testing
@@ -342,7 +467,14 @@ export const resetPassword = async (req, res) => {
     accountDoc.password = hashed;
     accountDoc.resetPasswordToken = null;
     accountDoc.resetPasswordExpires = null;
+    // The reset link was emailed, so the address is proven
+    if (accountType === 'user' && !accountDoc.emailVerified) {
+      accountDoc.emailVerified = true;
+      accountDoc.emailVerifiedAt = new Date();
+    }
     await accountDoc.save();
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(accountType, accountDoc._id, 'password-reset');
     res.json({ message: 'Password has been reset successfully', accountType });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -350,6 +482,58 @@ export const resetPassword = async (req, res) => {
   }
 };
 
+// Verify email: confirm the emailed token, then link guest orders with that email
+export const verifyEmail = async (req, res) => {
+  try {
+    const { email, token } = req.body;
+    if (!email || !token) {
+      return res.status(400).json({ message: 'Email and token are required' });
+    }
+
+    const user = await User.findOne({ email, emailVerificationToken: hashToken(token) });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid verification link' });
+    }
+    if (!user.emailVerificationExpires || user.emailVerificationExpires < new Date()) {
+      return res.status(400).json({ message: 'Verification link has expired, please request a new one' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    const claimedOrders = await claimGuestOrdersSafely(user);
+    res.json({ message: 'Email verified', claimedOrders });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Resend the verification email to the logged-in customer
+export const resendEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.json({ message: 'Email is already verified' });
+    }
+
+    const verifyUrl = await sendEmailVerification(user);
+    res.json({
+      message: 'Verification email sent',
+      ...(process.env.NODE_ENV !== 'production' ? { verifyUrl } : {})
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // SMTP status: verify transporter configuration in runtime (diagnostic)
 export const smtpStatus = async (req, res) => {
   try {
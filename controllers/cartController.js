@@ -0,0 +1,130 @@
+import User from '../models/User.js';
+import { buildCartView, checkCartLine, findCartLine, mergeGuestCart } from '../utils/cart.js';
+
+const loadCustomer = (req) => User.findById(req.user.userId).select('cart');
+
+// Get current customer's cart with live prices
+export const getCart = async (req, res) => {
+  try {
+    const user = await loadCustomer(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    res.json({ success: true, data: await buildCartView(user.cart) });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ success: false, message: 'Error fetching cart', error: error.message });
+  }
+};
+
+// Add a product (or more of it) to the cart
+export const addToCart = async (req, res) => {
+  try {
+    const { productId, quantity = 1, size = null, color = null } = req.body;
+    const user = await loadCustomer(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const existing = findCartLine(user.cart, { productId, size, color });
+    const newQuantity = Number(existing?.quantity || 0) + Number(quantity);
+
+    const check = await checkCartLine(user.cart, { productId, quantity: newQuantity, size, color }, { excludeLineId: existing?._id });
+    if (check.error) {
+      return res.status(400).json({ success: false, message: check.error });
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      user.cart.push({ productId, quantity: newQuantity, size: size || null, color: color || null });
+    }
+    await user.save();
+
+    res.status(existing ? 200 : 201).json({ success: true, message: 'Cart updated', data: await buildCartView(user.cart) });
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    res.status(500).json({ success: false, message: 'Error adding to cart', error: error.message });
+  }
+};
+
+// Set the quantity of a cart line
+export const updateCartItem = async (req, res) => {
+  try {
+    const { quantity } = req.body;
+    const user = await loadCustomer(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const line = user.cart.id(req.params.itemId);
+    if (!line) return res.status(404).json({ success: false, message: 'Cart item not found' });
+
+    const check = await checkCartLine(user.cart, {
+      productId: line.productId,
+      quantity,
+      size: line.size,
+      color: line.color
+    }, { excludeLineId: line._id });
+    if (check.error) {
+      return res.status(400).json({ success: false, message: check.error });
+    }
+
+    line.quantity = Number(quantity);
+    await user.save();
+
+    res.json({ success: true, message: 'Cart updated', data: await buildCartView(user.cart) });
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({ success: false, message: 'Error updating cart item', error: error.message });
+  }
+};
+
+// Remove a cart line
+export const removeCartItem = async (req, res) => {
+  try {
+    const user = await loadCustomer(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const line = user.cart.id(req.params.itemId);
+    if (!line) return res.status(404).json({ success: false, message: 'Cart item not found' });
+
+    line.deleteOne();
+    await user.save();
+
+    res.json({ success: true, message: 'Item removed from cart', data: await buildCartView(user.cart) });
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ success: false, message: 'Error removing cart item', error: error.message });
+  }
+};
+
+// Empty the cart
+export const clearCart = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.userId }, { $set: { cart: [] } });
+    res.json({ success: true, message: 'Cart cleared', data: await buildCartView([]) });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ success: false, message: 'Error clearing cart', error: error.message });
+  }
+};
+
+// Merge the guest (browser) cart into the account cart, typically right after login
+export const mergeCart = async (req, res) => {
+  try {
+    const { items = [] } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ success: false, message: 'Items must be an array' });
+    }
+    const user = await loadCustomer(req);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const { merged, skipped } = await mergeGuestCart(user, items);
+
+    res.json({
+      success: true,
+      message: `${merged} item(s) merged into cart`,
+      data: await buildCartView(user.cart),
+      skipped
+    });
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    res.status(500).json({ success: false, message: 'Error merging cart', error: error.message });
+  }
+};
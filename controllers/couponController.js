@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { normalizeCouponCode } from '../utils/coupons.js';
+
+const CATEGORIES = ['l-mart', 'localmarket', 'printing', 'oldee', 'news'];
+
+const parseDate = (value) => {
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date };
+};
+
+// Validate coupon fields from the request. `existing` is the coupon being edited
+// (fields not sent keep their current values). Returns { update } or { error }.
+const buildCouponUpdate = (body, existing = null) => {
+  const update = {};
+
+  if (body.code !== undefined) {
+    const code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+      return { error: 'Code must be 3-20 letters, digits, - or _' };
+    }
+    update.code = code;
+  } else if (!existing) {
+    return { error: 'Coupon code is required' };
+  }
+
+  if (body.description !== undefined) update.description = String(body.description || '').trim();
+
+  if (body.type !== undefined) {
+    if (!['percent', 'flat'].includes(body.type)) return { error: 'Type must be percent or flat' };
+    update.type = body.type;
+  } else if (!existing) {
+    return { error: 'Coupon type is required' };
+  }
+
+  if (body.value !== undefined) {
+    const value = Number(body.value);
+    if (Number.isNaN(value) || value <= 0) return { error: 'Value must be a positive number' };
+    update.value = value;
+  } else if (!existing) {
+    return { error: 'Coupon value is required' };
+  }
+  const type = update.type || existing?.type;
+  const value = update.value ?? existing?.value;
+  if (type === 'percent' && value > 100) return { error: 'A percent coupon cannot exceed 100%' };
+
+  for (const field of ['maxDiscount', 'usageLimit', 'perUserLimit']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      update[field] = null;
+      continue;
+    }
+    const n = Number(body[field]);
+    if (Number.isNaN(n) || n <= 0) return { error: `${field} must be a positive number or null` };
+    update[field] = field === 'maxDiscount' ? n : Math.floor(n);
+  }
+
+  if (body.minCartValue !== undefined) {
+    const n = Number(body.minCartValue);
+    if (Number.isNaN(n) || n < 0) return { error: 'minCartValue must be a non-negative number' };
+    update.minCartValue = n;
+  }
+
+  if (body.categories !== undefined) {
+    const list = (Array.isArray(body.categories) ? body.categories : []).map(c => String(c).toLowerCase());
+    const invalid = list.find(c => !CATEGORIES.includes(c));
+    if (invalid) return { error: `Invalid category: ${invalid}` };
+    update.categories = [...new Set(list)];
+  }
+
+  if (body.sellers !== undefined) {
+    const list = (Array.isArray(body.sellers) ? body.sellers : []).map(String);
+    const invalid = list.find(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid) return { error: `Invalid seller id: ${invalid}` };
+    update.sellers = [...new Set(list)];
+  }
+
+  for (const field of ['startsAt', 'endsAt']) {
+    if (body[field] === undefined) continue;
+    const parsed = parseDate(body[field]);
+    if (parsed.error) return { error: `${field} must be a valid date` };
+    update[field] = parsed.value;
+  }
+  const startsAt = update.startsAt !== undefined ? update.startsAt : existing?.startsAt;
+  const endsAt = update.endsAt !== undefined ? update.endsAt : existing?.endsAt;
+  if (startsAt && endsAt && endsAt <= startsAt) return { error: 'endsAt must be after startsAt' };
+
+  for (const field of ['firstOrderOnly', 'isActive']) {
+    if (body[field] !== undefined) update[field] = body[field] === true || body[field] === 'true';
+  }
+
+  return { update };
+};
+
+// Admin: List coupons (?active=true|false, ?search=code)
+export const listCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    if (req.query.search) filter.code = { $regex: normalizeCouponCode(req.query.search).replace(/[^A-Z0-9_-]/g, '') };
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).populate('sellers', 'name sellerName email');
+    res.json({ success: true, data: coupons });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ success: false, message: 'Error fetching coupons', error: error.message });
+  }
+};
+
+// Admin: Create a coupon
+export const createCoupon = async (req, res) => {
+  try {
+    const { update, error } = buildCouponUpdate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (await Coupon.exists({ code: update.code })) {
+      return res.status(409).json({ success: false, message: `Coupon ${update.code} already exists` });
+    }
+    const coupon = await Coupon.create({ ...update, createdBy: req.user?.userId, updatedBy: req.user?.userId });
+    res.status(201).json({ success: true, message: 'Coupon created', data: coupon });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('Error creating coupon:', error);
+    res.status(500).json({ success: false, message: 'Error creating coupon', error: error.message });
+  }
+};
+
+// Admin: Update a coupon (partial)
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+
+    const { update, error } = buildCouponUpdate(req.body, coupon);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (update.code && update.code !== coupon.code && coupon.usedCount > 0) {
+      return res.status(400).json({ success: false, message: 'A coupon that has been used cannot be renamed' });
+    }
+
+    coupon.set({ ...update, updatedBy: req.user?.userId });
+    await coupon.save();
+    res.json({ success: true, message: 'Coupon updated', data: coupon });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('Error updating coupon:', error);
+    res.status(500).json({ success: false, message: 'Error updating coupon', error: error.message });
+  }
+};
+
+// Admin: Deactivate a coupon (kept so past orders and redemptions still resolve)
+export const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user?.userId },
+      { new: true }
+    );
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    res.json({ success: true, message: 'Coupon deactivated', data: coupon });
+  } catch (error) {
+    console.error('Error deactivating coupon:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating coupon', error: error.message });
+  }
+};
+
+// Admin: Orders that used a coupon
+export const listCouponRedemptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { coupon: req.params.id };
+
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      CouponRedemption.countDocuments(filter)
+    ]);
+    res.json({
+      success: true,
+      data: redemptions,
+      pagination: { current: page, pages: Math.ceil(total / limit), total }
+    });
+  } catch (error) {
+    console.error('Error fetching coupon redemptions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching coupon redemptions', error: error.message });
+  }
+};
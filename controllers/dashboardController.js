@@ -2,8 +2,15 @@ import User from '../models/User.js';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import Seller from '../models/Seller.js';
-import AdminEarning from '../models/AdminEarning.js';
 import CategoryCommission from '../models/CategoryCommission.js';
+import { ensureShipmentsForOrder, notifyCustomerOfStatus } from '../utils/shipments.js';
+import { enqueueJobQuietly } from '../utils/jobs.js';
+import { transitionOrderStatus } from '../utils/orderStatus.js';
+import { refundCancelledOrder, refundOrder } from '../utils/refunds.js';
+import { keptAfterRefund } from '../utils/commission.js';
+import { getCodSettings, isCodUncollected, markOrderCodCollected } from '../utils/cod.js';
+import CodSettings from '../models/CodSettings.js';
+import { revokeAllSessions } from '../utils/sessions.js';
 
 // Get dashboard statistics
 export const getDashboardStats = async (req, res) => {
@@ -52,18 +59,40 @@ export const getCustomers = async (req, res) => {
 export const getDashboardOrders = async (req, res) => {
   try {
     // Return ALL orders (including those containing seller products)
-    // Populate product details to derive seller metadata
+    // with their per-seller sub-orders; product details are only needed for
+    // orders that have not been split yet
     const orders = await Order.find()
       .sort({ createdAt: -1 })
       .populate({
         path: 'items.productId',
         select: 'sellerId sellerName createdBy name',
         populate: { path: 'createdBy', select: 'name email role' }
-      });
+      })
+      .populate('subOrders', 'subOrderId seller sellerName status items.orderItemId itemsTotal commissionTotal payoutTotal tracking');
 
     // Flatten seller info into each item for frontend convenience
     const enriched = await Promise.all(orders.map(async (order) => {
       const o = order.toObject();
+
+      if (Array.isArray(o.subOrders) && o.subOrders.length > 0) {
+        const subOrderByItem = new Map();
+        o.subOrders.forEach(so => {
+          (so.items || []).forEach(it => subOrderByItem.set(String(it.orderItemId), so));
+        });
+        o.items = (o.items || []).map(item => {
+          const so = subOrderByItem.get(String(item._id));
+          return {
+            ...item,
+            sellerId: so?.seller ? String(so.seller) : null,
+            sellerName: so?.sellerName || '',
+            subOrderId: so?.subOrderId || null,
+            subOrderStatus: so?.status || null
+          };
+        });
+        o.subOrders = o.subOrders.map(({ items, ...so }) => so);
+        return o;
+      }
+
       o.items = await Promise.all((o.items || []).map(async (item) => {
         const prod = item.productId || {};
         const createdBy = prod.createdBy || {};
@@ -128,27 +157,82 @@ export const getDashboardOrders = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
     
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    );
+    const result = await transitionOrderStatus(id, status, {
+      actor: req.user?.userId,
+      role: req.user?.role || 'admin',
+      note
+    });
     
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    // Cancelling a paid order refunds whatever is left on it
+    let order = result.order;
+    let refund = null;
+    let refundError = null;
+    if (result.changed && order.status === 'cancelled') {
+      const refunded = await refundCancelledOrder(order, {
+        actor: req.user?.userId,
+        role: 'admin',
+        reason: note || 'Cancelled by admin'
+      });
+      if (refunded?.error) refundError = refunded.error;
+      else if (refunded) ({ order, refund } = refunded);
+    }
+
+    // Shipping the whole order books a courier for every shipment that has none
+    if (result.changed && order.status === 'shipped') {
+      await ensureShipmentsForOrder(order, { actor: req.user?.userId });
+    }
+
+    // Tell the customer, as the other status change paths do
+    if (result.changed) {
+      notifyCustomerOfStatus(order, order.status, result.oldStatus);
     }
     
     res.json({
       message: 'Order status updated successfully',
-      order
+      order,
+      refund,
+      refundError
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Refund an order in full, by amount, or by items
+export const createOrderRefund = async (req, res) => {
+  try {
+    const { type = 'full', amount, items, reason, restock } = req.body;
+
+    const result = await refundOrder(req.params.id, {
+      type,
+      amount,
+      items,
+      reason,
+      restock,
+      actor: req.user?.userId,
+      role: 'admin'
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Refund initiated successfully',
+      refund: result.refund,
+      order: result.order
+    });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Get all sellers for admin dashboard
 export const getSellers = async (req, res) => {
   try {
@@ -216,20 +300,22 @@ export const deleteSeller = async (req, res) => {
     }
     const prodDeleteResult = await Product.deleteMany({ $or: orConditions });
 
-    // Delete seller document
+    // Delete seller document and log the seller out everywhere
     await Seller.findByIdAndDelete(id);
+    const revokedSessions = await revokeAllSessions('seller', seller._id, 'seller-deleted');
 
     // Optionally delete linked user with seller role
     let userDeleted = false;
     if (user && String(user.role).toLowerCase() === 'seller') {
       await User.deleteOne({ _id: user._id });
+      await revokeAllSessions('user', user._id, 'seller-deleted');
       userDeleted = true;
     }
 
     return res.json({
       success: true,
       message: 'Seller deleted successfully',
-      data: { sellerId: id, deletedProducts: prodDeleteResult?.deletedCount || 0, userDeleted }
+      data: { sellerId: id, deletedProducts: prodDeleteResult?.deletedCount || 0, userDeleted, revokedSessions }
     });
   } catch (error) {
     console.error('Error deleting seller:', error);
@@ -307,6 +393,10 @@ export const updateSellerByAdmin = async (req, res) => {
     }
 
     await seller.save();
+    // A seller who is no longer approved may not stay logged in
+    if (seller.verificationStatus !== 'approved') {
+      await revokeAllSessions('seller', seller._id, `seller-${seller.verificationStatus}`);
+    }
     const populated = await Seller.findById(seller._id)
       .select('name email sellerName sellerHierarchyLevel parentSeller createdAt orderCount totalRevenue loginCount lastLogin verificationStatus registeredOn verification')
       .populate('parentSeller', 'name email sellerName');
@@ -324,8 +414,8 @@ export const getAdminEarnings = async (req, res) => {
     const { range = 'month', months = 12, weeks = 8, years = 3 } = req.query;
     const orders = await Order.find().sort({ createdAt: -1 });
 
-    let totalEarned = 0; // delivered
-    let totalUpcoming = 0; // pending + processing + shipped
+    let totalEarned = 0; // delivered (and paid, for cash on delivery)
+    let totalUpcoming = 0; // pending + processing + shipped + uncollected COD
     let totalCancelled = 0; // cancelled
     let ordersCount = 0;
 
@@ -338,12 +428,18 @@ export const getAdminEarnings = async (req, res) => {
       return (priceTotal * pct) / 100;
     };
 
+    // Commission on refunded items is reversed (cancelled orders keep the figure for reporting)
+    const commissionFromOrder = (order) => {
+      const cancelled = order.status === 'cancelled';
+      return (order.items || []).reduce((acc, it) => acc + sumItem(it) * (cancelled ? 1 : keptAfterRefund(it)), 0);
+    };
+
     orders.forEach(order => {
-      const amt = (order.items || []).reduce((acc, it) => acc + sumItem(it), 0);
+      const amt = commissionFromOrder(order);
       if (amt <= 0) return;
       ordersCount += 1;
       const st = String(order.status || '').toLowerCase();
-      if (st === 'delivered') totalEarned += amt;
+      if (st === 'delivered' && !isCodUncollected(order)) totalEarned += amt;
       else if (st === 'cancelled') totalCancelled += amt;
       else totalUpcoming += amt; // pending/processing/shipped
     });
@@ -356,11 +452,11 @@ export const getAdminEarnings = async (req, res) => {
       for (const order of orders) {
         const d = new Date(order.createdAt || order.paymentDate || order.updatedAt || order.createdAt);
         if (d >= from && d < to) {
-          const amt = (order.items || []).reduce((acc, it) => acc + sumItem(it), 0);
+          const amt = commissionFromOrder(order);
           if (amt <= 0) continue;
           count += 1;
           const st = String(order.status || '').toLowerCase();
-          if (st === 'delivered') earned += amt;
+          if (st === 'delivered' && !isCodUncollected(order)) earned += amt;
           else if (st === 'cancelled') cancelled += amt;
           else upcoming += amt;
         }
@@ -408,9 +504,10 @@ export const getAdminEarnings = async (req, res) => {
       }
     }
 
-    // Persist snapshot to AdminEarning collection (non-blocking)
-    try {
-      await AdminEarning.create({
+    // Persist snapshot to AdminEarning collection via the job queue
+    await enqueueJobQuietly('earnings.snapshot', {
+      scope: 'admin',
+      snapshot: {
         range: String(range).toLowerCase(),
         params: { weeks: Number(weeks), months: Number(months), years: Number(years) },
         totals: {
@@ -420,10 +517,8 @@ export const getAdminEarnings = async (req, res) => {
           ordersCount
         },
         breakdown
-      });
-    } catch (persistErr) {
-      console.warn('AdminEarning persist error:', persistErr?.message || persistErr);
-    }
+      }
+    });
 
     res.json({
       success: true,
@@ -480,6 +575,68 @@ export const setCategoryCommission = async (req, res) => {
     res.status(500).json({ success: false, message: 'Error updating commission', error: error.message });
   }
 };
+// Admin: Cash on delivery rules
+export const getCodSettingsForAdmin = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getCodSettings() });
+  } catch (error) {
+    console.error('Error fetching COD settings:', error);
+    res.status(500).json({ success: false, message: 'Error fetching COD settings', error: error.message });
+  }
+};
+
+// Admin: Update cash on delivery rules (partial; lists replace the stored ones)
+export const updateCodSettings = async (req, res) => {
+  try {
+    const categories = ['l-mart', 'localmarket', 'printing', 'oldee', 'news'];
+    const update = { updatedBy: req.user?.userId || null };
+
+    if (req.body.enabled !== undefined) update.enabled = req.body.enabled === true || req.body.enabled === 'true';
+    for (const field of ['fee', 'maxOrderValue']) {
+      if (req.body[field] === undefined) continue;
+      const value = Number(req.body[field]);
+      if (Number.isNaN(value) || value < 0) {
+        return res.status(400).json({ success: false, message: `${field} must be a non-negative number` });
+      }
+      update[field] = value;
+    }
+    for (const field of ['allowedCategories', 'blockedCategories']) {
+      if (req.body[field] === undefined) continue;
+      const list = (Array.isArray(req.body[field]) ? req.body[field] : []).map(c => String(c).toLowerCase());
+      const invalid = list.find(c => !categories.includes(c));
+      if (invalid) return res.status(400).json({ success: false, message: `Invalid category: ${invalid}` });
+      update[field] = [...new Set(list)];
+    }
+    for (const field of ['allowedPincodes', 'blockedPincodes']) {
+      if (req.body[field] === undefined) continue;
+      const list = (Array.isArray(req.body[field]) ? req.body[field] : []).map(p => String(p).trim());
+      const invalid = list.find(p => !/^[1-9]\d{0,5}$/.test(p));
+      if (invalid) return res.status(400).json({ success: false, message: `Invalid pincode or prefix: ${invalid}` });
+      update[field] = [...new Set(list)];
+    }
+
+    await CodSettings.findOneAndUpdate({ key: 'default' }, { $set: update }, { upsert: true, runValidators: true });
+    res.json({ success: true, message: 'COD settings updated', data: await getCodSettings() });
+  } catch (error) {
+    console.error('Error updating COD settings:', error);
+    res.status(500).json({ success: false, message: 'Error updating COD settings', error: error.message });
+  }
+};
+
+// Admin: Mark the cash for a COD order's delivered shipments as collected
+export const markCodCollected = async (req, res) => {
+  try {
+    const result = await markOrderCodCollected(req.params.id, { actor: req.user?.userId });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    res.json({ message: 'Cash on delivery payment recorded', order: result.order });
+  } catch (error) {
+    console.error('Error marking COD collected:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Delete all orders (admin-only)
 export const deleteAllOrders = async (req, res) => {
   try {
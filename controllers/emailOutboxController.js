@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import EmailMessage from '../models/EmailMessage.js';
+import { isSensitiveEmail, resendOutboxEmail } from '../utils/email.js';
+
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admin: Search the outbox (?status, ?to, ?template, ?orderId, ?search on subject,
+// ?since, ?until). Bodies and attachments are left out of the list.
+export const listOutboxEmails = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = {};
+
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: `Status must be one of ${STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.to) filter.to = { $regex: escapeRegex(String(req.query.to).trim().toLowerCase()) };
+    if (req.query.template) filter.template = String(req.query.template);
+    if (req.query.orderId) filter.orderId = String(req.query.orderId).trim();
+    if (req.query.search) filter.subject = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    for (const [param, op] of [['since', '$gte'], ['until', '$lte']]) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, message: `Invalid ${param} date` });
+      }
+      filter.createdAt = { ...filter.createdAt, [op]: date };
+    }
+
+    const [emails, total] = await Promise.all([
+      EmailMessage.find(filter)
+        .select('-html -text -attachments.content')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailMessage.countDocuments(filter)
+    ]);
+    res.json({
+      success: true,
+      data: emails,
+      pagination: { current: page, pages: Math.ceil(total / limit), total }
+    });
+  } catch (error) {
+    console.error('Error fetching outbox emails:', error);
+    res.status(500).json({ success: false, message: 'Error fetching outbox emails', error: error.message });
+  }
+};
+
+// Admin: One outbox message with its HTML body. Bodies of emails carrying a
+// one-time link or code are never returned.
+export const getOutboxEmail = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+    const email = await EmailMessage.findById(req.params.id).select('-attachments.content');
+    if (!email) return res.status(404).json({ success: false, message: 'Email not found' });
+    if (isSensitiveEmail(email)) {
+      const data = email.toObject();
+      delete data.html;
+      delete data.text;
+      return res.json({ success: true, data: { ...data, redacted: true } });
+    }
+    res.json({ success: true, data: email });
+  } catch (error) {
+    console.error('Error fetching outbox email:', error);
+    res.status(500).json({ success: false, message: 'Error fetching outbox email', error: error.message });
+  }
+};
+
+// Admin: Send a message again (queued as a new outbox entry)
+export const resendOutboxEmailById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+    const result = await resendOutboxEmail(req.params.id);
+    if (result.error) return res.status(result.statusCode).json({ success: false, message: result.error });
+    res.status(201).json({ success: true, message: 'Email queued for resending', data: result.email });
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({ success: false, message: 'Error resending email', error: error.message });
+  }
+};
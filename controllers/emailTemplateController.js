@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import { buildAdminDigest, buildSellerDigest } from '../utils/digests.js';
+import { emailTemplateSampleType, renderEmail } from '../utils/email.js';
+import { listEmailTemplates, SUPPORTED_LOCALES } from '../utils/emailTemplates.js';
+import { getUnitPrice } from '../utils/pricing.js';
+import { getOrderShipments, serializeShipment } from '../utils/shipments.js';
+
+// Used when there is no real order or seller to preview against
+const SAMPLE_ORDER = {
+  orderId: 'ORD1700000000000SAMP',
+  customerName: 'Asha Verma',
+  customerEmail: 'asha@example.com',
+  customerPhone: '9876543210',
+  customerAddress: '12 MG Road',
+  customerCity: 'Bengaluru',
+  customerPincode: '560001',
+  paymentMethod: 'razorpay',
+  paymentId: 'pay_SAMPLE123',
+  paymentDate: new Date(),
+  status: 'processing',
+  discount: 50,
+  coupon: { code: 'WELCOME50' },
+  total: 1249,
+  items: [
+    { name: 'Cotton T-Shirt', quantity: 2, price: 399, size: 'M', color: 'Blue', image: null, sellerPayoutAmount: 782.04 },
+    { name: 'Business Cards (100)', quantity: 1, price: 501, size: null, color: null, image: null, sellerPayoutAmount: 490.98 }
+  ]
+};
+
+const SAMPLE_SHIPMENTS = [{
+  courier: 'manual',
+  courierName: 'Delhivery',
+  awb: 'AWB0000000001',
+  status: 'in_transit',
+  estimatedDelivery: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+  trackingUrl: 'https://example.com/track/AWB0000000001',
+  latestEvent: { status: 'in_transit', description: 'Departed hub', location: 'Bengaluru' }
+}];
+
+const SAMPLE_SELLER = {
+  name: 'Ravi Kumar',
+  email: 'ravi@example.com',
+  sellerName: 'Ravi Prints',
+  createdAt: new Date(),
+  parentSellerEmail: null
+};
+
+const SAMPLE_PRODUCT = {
+  name: 'Cotton T-Shirt',
+  image: null,
+  price: 399
+};
+
+const SAMPLE_ACCOUNT = {
+  accountType: 'user',
+  resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=sample&email=asha%40example.com`,
+  expiresInMinutes: 30
+};
+
+// Admin: Email templates on disk and the locales each one has
+export const listTemplates = async (req, res) => {
+  try {
+    const templates = listEmailTemplates().map(t => ({ ...t, sample: emailTemplateSampleType(t.name) }));
+    res.json({ success: true, data: templates, locales: SUPPORTED_LOCALES });
+  } catch (error) {
+    console.error('Error listing email templates:', error);
+    res.status(500).json({ success: false, message: 'Error listing email templates', error: error.message });
+  }
+};
+
+// Admin: Render a template against an order (?orderId, default the latest order),
+// a seller (?sellerId, default the latest seller) or a product (?productId,
+// default the latest product; the preview pretends its price dropped by 20%) or, for
+// digests, the last 24 hours (digest-seller uses ?sellerId, default the latest approved seller). ?locale picks the language,
+// ?status the status for order-status, ?format=html returns the HTML page itself.
+export const previewTemplate = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const sampleType = emailTemplateSampleType(name);
+    if (!sampleType) return res.status(404).json({ success: false, message: `Unknown email template: ${name}` });
+
+    let sample;
+    let shipments = [];
+    if (sampleType === 'order') {
+      const { orderId } = req.query;
+      const order = orderId ? await Order.findOne({ orderId: String(orderId) }) : await Order.findOne().sort({ createdAt: -1 });
+      if (orderId && !order) return res.status(404).json({ success: false, message: 'Order not found' });
+      sample = order || SAMPLE_ORDER;
+      if (name === 'order-status') {
+        shipments = order ? (await getOrderShipments(order)).map(serializeShipment) : SAMPLE_SHIPMENTS;
+      }
+    } else if (sampleType === 'seller') {
+      const { sellerId } = req.query;
+      if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
+        return res.status(404).json({ success: false, message: 'Seller not found' });
+      }
+      const seller = sellerId ? await Seller.findById(sellerId).select('name email sellerName createdAt') : await Seller.findOne().sort({ createdAt: -1 }).select('name email sellerName createdAt');
+      if (sellerId && !seller) return res.status(404).json({ success: false, message: 'Seller not found' });
+      sample = seller || SAMPLE_SELLER;
+    } else if (sampleType === 'product') {
+      const { productId } = req.query;
+      if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+      const product = productId
+        ? await Product.findById(productId).select('name image price offerPrice discount')
+        : await Product.findOne().sort({ createdAt: -1 }).select('name image price offerPrice discount');
+      if (productId && !product) return res.status(404).json({ success: false, message: 'Product not found' });
+      const item = product || SAMPLE_PRODUCT;
+      const newPrice = getUnitPrice(item);
+      sample = {
+        _id: product?._id,
+        customerName: SAMPLE_ORDER.customerName,
+        product: item,
+        oldPrice: Math.round(newPrice * 1.25),
+        newPrice
+      };
+    } else if (sampleType === 'digest') {
+      const until = new Date();
+      const window = { since: new Date(until.getTime() - 24 * 60 * 60 * 1000), until, frequency: 'daily' };
+      if (name === 'digest-seller') {
+        const { sellerId } = req.query;
+        if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
+          return res.status(404).json({ success: false, message: 'Seller not found' });
+        }
+        const seller = sellerId
+          ? await Seller.findById(sellerId).select('name email sellerName')
+          : await Seller.findOne({ verificationStatus: 'approved' }).sort({ createdAt: -1 }).select('name email sellerName');
+        if (!seller) return res.status(404).json({ success: false, message: 'Seller not found' });
+        sample = { _id: seller._id, ...(await buildSellerDigest(seller, window)) };
+      } else {
+        sample = await buildAdminDigest(window);
+      }
+    } else {
+      sample = SAMPLE_ACCOUNT;
+    }
+
+    const rendered = renderEmail(name, sample, {
+      locale: req.query.locale || sample.locale,
+      newStatus: req.query.status || sample.status,
+      shipments
+    });
+
+    if (req.query.format === 'html') return res.type('html').send(rendered.html);
+    res.json({
+      success: true,
+      data: {
+        template: name,
+        sample: sampleType,
+        sampleId: sample === SAMPLE_ORDER || sample === SAMPLE_SELLER || sample === SAMPLE_ACCOUNT || !sample._id
+          ? null
+          : (sample.orderId || String(sample._id)),
+        ...rendered
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({ success: false, message: 'Error previewing email template', error: error.message });
+  }
+};
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { registeredJobTypes, retryJob } from '../utils/jobs.js';
+
+const STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// Admin: List jobs (?status, ?type, ?page, ?limit)
+export const listJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = {};
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: `Status must be one of ${STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.type) filter.type = String(req.query.type);
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Job.countDocuments(filter)
+    ]);
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: { current: page, pages: Math.ceil(total / limit), total }
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, message: 'Error fetching jobs', error: error.message });
+  }
+};
+
+// Admin: Job counts by status and by type
+export const getJobStats = async (req, res) => {
+  try {
+    const rows = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    const byType = {};
+    for (const row of rows) {
+      const { type, status } = row._id;
+      byStatus[status] = (byStatus[status] || 0) + row.count;
+      byType[type] = byType[type] || Object.fromEntries(STATUSES.map(s => [s, 0]));
+      byType[type][status] = row.count;
+    }
+    res.json({ success: true, data: { byStatus, byType, types: registeredJobTypes() } });
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({ success: false, message: 'Error fetching job stats', error: error.message });
+  }
+};
+
+// Admin: One job with its payload and recent failures
+export const getJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, message: 'Error fetching job', error: error.message });
+  }
+};
+
+// Admin: Put a dead job back in the queue
+export const retryJobById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const result = await retryJob(req.params.id);
+    if (result.error) return res.status(result.statusCode).json({ success: false, message: result.error });
+    res.json({ success: true, message: 'Job queued for retry', data: result.job });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ success: false, message: 'Error retrying job', error: error.message });
+  }
+};
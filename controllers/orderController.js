@@ -1,9 +1,20 @@
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import CategoryCommission from '../models/CategoryCommission.js';
-import Notification from '../models/Notification.js';
-import Seller from '../models/Seller.js';
-import { sendNewOrderNotificationToAdmin, sendOrderStatusUpdateToCustomer, sendOrderConfirmationEmail } from '../utils/email.js';
+import Quote from '../models/Quote.js';
+import SubOrder from '../models/SubOrder.js';
+import { buildItemsWithCommission } from '../utils/commission.js';
+import { createQuote, loadQuote, quoteItemsForOrder } from '../utils/pricing.js';
+import { buildStatusEntry, transitionOrderStatus } from '../utils/orderStatus.js';
+import { refundCancelledOrder } from '../utils/refunds.js';
+import { createSubOrdersForOrder, sellerSubOrderFilter } from '../utils/subOrders.js';
+import { issueInvoicesForOrder, renderInvoicesPdf } from '../utils/invoice.js';
+import { convertReservations, releaseReservations, reserveStock } from '../utils/stock.js';
+import { enqueueOrderPlacedJobs } from '../utils/jobHandlers.js';
+import { requestLocale } from '../utils/emailTemplates.js';
+import { redeemCouponForOrder } from '../utils/coupons.js';
+import { refreshCustomerStatsQuietly } from '../utils/customers.js';
+import { canViewOrder, isOrderOwner, issueOrderAccessToken, requestOrderLookupCode, verifyOrderLookupCode } from '../utils/orderAccess.js';
+import { customerInfoFromAddress, resolveCheckoutAddress } from '../utils/addresses.js';
+import { ensureShipmentsForOrder, notifyCustomerOfStatus, serializeShipment, syncOrderShipments } from '../utils/shipments.js';
 
 // Create new order
 export const createOrder = async (req, res) => {
@@ -14,13 +25,28 @@ export const createOrder = async (req, res) => {
     console.log('Request headers:', req.headers);
     console.log('Request body (raw):', JSON.stringify(req.body, null, 2));
     
-    const { orderId, paymentId, total, items, customerName, customerEmail, customerPhone, customerAddress, customerCity, customerPincode } = req.body;
+    const { orderId, paymentId, quoteId, addressId } = req.body;
+    let { customerName, customerEmail, customerPhone, customerAddress, customerCity, customerPincode } = req.body;
+
+    // A logged-in customer can pick a saved address instead of typing one
+    let shippingAddress;
+    if (addressId) {
+      const resolved = await resolveCheckoutAddress(req.user, addressId);
+      if (resolved.error) {
+        return res.status(resolved.statusCode).json({ message: resolved.error });
+      }
+      shippingAddress = resolved.address;
+      const info = customerInfoFromAddress(shippingAddress, resolved.email, {
+        name: customerName, email: customerEmail, phone: customerPhone
+      });
+      ({ name: customerName, email: customerEmail, phone: customerPhone, address: customerAddress, city: customerCity, pincode: customerPincode } = info);
+    }
     
     console.log('🔍 Extracted fields detailed:', {
       orderId: { value: orderId, type: typeof orderId, exists: !!orderId },
       paymentId: { value: paymentId, type: typeof paymentId, exists: !!paymentId },
-      total: { value: total, type: typeof total, exists: !!total },
-      items: { value: items, type: typeof items, exists: !!items, length: items?.length },
+      quoteId: { value: quoteId, type: typeof quoteId, exists: !!quoteId },
+      items: { value: req.body.items, type: typeof req.body.items, exists: !!req.body.items, length: req.body.items?.length },
       customerName: { value: customerName, type: typeof customerName, exists: !!customerName },
       customerEmail: { value: customerEmail, type: typeof customerEmail, exists: !!customerEmail },
       customerPhone: { value: customerPhone, type: typeof customerPhone, exists: !!customerPhone },
@@ -30,12 +56,11 @@ export const createOrder = async (req, res) => {
     });
     
     // Validate required fields
-    if (!orderId || !paymentId || !total || !items || !customerName) {
+    if (!orderId || !paymentId || (!quoteId && !req.body.items) || !customerName) {
       console.log('Validation failed - missing fields:', {
         orderId: !!orderId,
         paymentId: !!paymentId,
-        total: !!total,
-        items: !!items,
+        quoteIdOrItems: !!(quoteId || req.body.items),
         customerName: !!customerName
       });
       return res.status(400).json({ message: 'Missing required fields' });
@@ -85,250 +110,97 @@ export const createOrder = async (req, res) => {
       console.warn('⚠️ Idempotency check failed, continuing create:', checkErr?.message);
     }
     
-    // Pre-stock validation: ensure requested quantities do not exceed available stock
-    try {
-      const requestedByProduct = new Map();
-      for (const it of (items || [])) {
-        const pid = it.productId || it._id || it.id;
-        const qty = Number(it.quantity || 0);
-        if (!pid || qty <= 0) continue;
-        requestedByProduct.set(pid, (requestedByProduct.get(pid) || 0) + qty);
+    // Price on the server: use the signed quote when given, otherwise reprice the
+    // submitted lines. Client-side prices and totals are ignored either way.
+    let quote;
+    if (quoteId) {
+      const loaded = await loadQuote(quoteId, { allowExpired: true });
+      if (loaded.error) {
+        return res.status(400).json({ message: loaded.error });
       }
-
-      const insuff = [];
-      for (const [pid, reqQty] of requestedByProduct.entries()) {
-        const prod = await Product.findById(pid).select('name stockQuantity inStock');
-        if (!prod) continue;
-        const available = Number(prod.stockQuantity || 0);
-        if (reqQty > available) {
-          insuff.push({ productId: String(prod._id), name: prod.name, requested: reqQty, available });
-        }
+      quote = loaded.quote;
+      if (quote.status === 'used') {
+        return res.status(400).json({ message: 'Quote has already been used for another order' });
       }
-
-      if (insuff.length > 0) {
+    } else {
+      const priced = await createQuote(req.body.items);
+      if (priced.errors.length > 0) {
         return res.status(400).json({
-          message: 'Stock insufficient for some items',
-          details: insuff,
+          message: 'Some order items could not be priced',
+          details: priced.errors
         });
       }
-    } catch (preCheckErr) {
-      console.warn('⚠️ Stock pre-check failed, continuing:', preCheckErr?.message || preCheckErr);
+      quote = priced.quote;
+    }
+    const items = quoteItemsForOrder(quote);
+
+    // Take the stock up front with conditional updates so concurrent orders
+    // cannot oversell; the hold is converted once the order is saved
+    const reservation = await reserveStock(items);
+    if (reservation.shortages.length > 0) {
+      return res.status(400).json({
+        message: 'Stock insufficient for some items',
+        details: reservation.shortages,
+      });
     }
 
-    // Fetch commission map once
-    const commissionRows = await CategoryCommission.find({}).select('category commissionPercent');
-    const commissionMap = new Map(commissionRows.map(r => [String(r.category).toLowerCase(), Number(r.commissionPercent || 2)]));
-
-    // Helper to compute commission for an item
-    const computeItemWithCommission = async (item) => {
-      const qty = Number(item.quantity);
-      const price = Number(item.price);
-      let category = null;
-      if (item.productId) {
-        try {
-          const prod = await Product.findById(item.productId).select('category');
-          category = String(prod?.category || '').toLowerCase() || null;
-        } catch (e) {
-          category = null;
-        }
-      }
-      const pct = category ? (commissionMap.get(category) ?? 2) : 2;
-      const commissionAmount = (price * qty * pct) / 100;
-      const sellerPayoutAmount = (price * qty) - commissionAmount;
-      return {
-        name: item.name,
-        quantity: qty,
-        price: price,
-        productId: item.productId || item._id || item.id || null,
-        size: (item.size ?? item.selectedSize) ?? null,
-        color: (item.color ?? item.selectedColor) ?? null,
-        image: item.image || null,
-        commissionPercent: pct,
-        commissionAmount,
-        sellerPayoutAmount
-      };
-    };
-
-    const itemsWithCommission = await Promise.all((items || []).map(it => computeItemWithCommission(it)));
+    const itemsWithCommission = await buildItemsWithCommission(items);
 
     // Create new order
     const newOrder = new Order({
-      customerId: null, // For guest orders
+      customerId: req.user?.role === 'customer' ? req.user.userId : null, // null for guest orders
       customerName,
       customerEmail,
       customerPhone,
       customerAddress,
       customerCity,
       customerPincode,
+      shippingAddress,
       items: itemsWithCommission,
-      total: total,
+      quote: quote._id,
+      subtotal: quote.subtotal,
+      discount: quote.discount || 0,
+      coupon: quote.coupon?.couponId ? quote.coupon : undefined,
+      shipping: quote.shipping,
+      shippingCharges: quote.shippingCharges,
+      tax: quote.tax,
+      total: quote.total,
+      locale: requestLocale(req),
       status: 'processing',
+      statusHistory: [buildStatusEntry('processing', { role: 'system', note: 'Order placed' })],
       paymentId,
       orderId,
       paymentDate: new Date()
     });
     
-    const savedOrder = await newOrder.save();
-    
-    console.log('✅ Order saved successfully');
-
-    // Send order confirmation email to customer (non-blocking)
+    let savedOrder;
     try {
-      sendOrderConfirmationEmail(savedOrder)
-        .then(result => {
-          if (result.sent) {
-            console.log('✅ Order confirmation email sent to customer');
-          } else {
-            console.warn('⚠️ Failed to send order confirmation to customer:', result.error || result.reason);
-          }
-        })
-        .catch(err => {
-          console.error('❌ Error sending order confirmation to customer:', err?.message || err);
-        });
-    } catch (emailErr) {
-      console.error('❌ Unexpected error scheduling customer confirmation email:', emailErr?.message || emailErr);
+      savedOrder = await newOrder.save();
+    } catch (saveErr) {
+      await releaseReservations(reservation.reference);
+      throw saveErr;
     }
+    await convertReservations(reservation.reference);
+    await Quote.updateOne({ _id: quote._id }, { status: 'used' });
+    await redeemCouponForOrder(savedOrder);
+    if (savedOrder.customerId) await refreshCustomerStatsQuietly(savedOrder.customerId);
 
-    // Decrease product stock for each ordered item
     try {
-      const stockUpdates = [];
-      for (const item of (savedOrder.items || [])) {
-        const pid = item.productId;
-        const qty = Number(item.quantity || 0);
-        if (!pid || qty <= 0) continue;
-
-        const prod = await Product.findById(pid).select('stockQuantity inStock');
-        if (!prod) continue;
-
-        const before = Number(prod.stockQuantity || 0);
-        const after = Math.max(0, before - qty);
-        prod.stockQuantity = after;
-        prod.inStock = after > 0;
-        await prod.save();
-        stockUpdates.push({ productId: String(prod._id), before, ordered: qty, after });
-      }
-      if (stockUpdates.length > 0) {
-        console.log('✅ Stock updated for ordered products:', stockUpdates);
-      } else {
-        console.log('ℹ️ No stock updates performed (no productId or qty)');
-      }
-    } catch (stockErr) {
-      console.error('❌ Failed to update product stock quantities:', stockErr?.message || stockErr);
-      // Do not fail order creation on stock update error
-    }
-
-    // Create admin notification for new order
-    try {
-      const notification = new Notification({
-        title: 'New Order Received',
-        message: `New order #${savedOrder.orderId} received from ${savedOrder.customerName} for ${savedOrder.total.toLocaleString('en-IN', { style: 'currency', currency: 'INR' })}`,
-        type: 'order',
-        priority: 'high',
-        isRead: false,
-        metadata: {
-          orderId: savedOrder.orderId,
-          customerName: savedOrder.customerName,
-          customerEmail: savedOrder.customerEmail,
-          customerPhone: savedOrder.customerPhone,
-          orderTotal: savedOrder.total,
-          itemCount: savedOrder.items.length,
-          orderDate: savedOrder.paymentDate
-        },
-        actionUrl: `/admin/orders/${savedOrder._id}`
-      });
-
-      await notification.save();
-      console.log('✅ Admin notification created for new order');
-
-      // Send email notification to admin
-      const emailResult = await sendNewOrderNotificationToAdmin(savedOrder);
-      if (emailResult.sent) {
-        console.log('✅ Order notification email sent to admin');
-      } else {
-        console.log('⚠️ Failed to send order notification email:', emailResult.error);
-      }
-    } catch (notificationError) {
-      console.error('❌ Failed to create order notification:', notificationError);
-      // Don't fail the order creation if notification fails
+      await createSubOrdersForOrder(savedOrder);
+    } catch (splitErr) {
+      // Picked up again by the sub-order backfill on next start
+      console.error('❌ Failed to split order into seller sub-orders:', splitErr?.message || splitErr);
     }
+    
+    console.log('✅ Order saved successfully');
 
-    // Create seller notifications for products in the order
-    try {
-      const sellerNotifications = new Map();
-      
-      for (const item of savedOrder.items) {
-        if (item.productId) {
-          try {
-            const product = await Product.findById(item.productId).populate('createdBy');
-            if (product && product.createdBy) {
-              const seller = await Seller.findOne({ email: product.createdBy.email });
-              if (seller) {
-                const sellerId = seller._id.toString();
-                
-                if (!sellerNotifications.has(sellerId)) {
-                  sellerNotifications.set(sellerId, {
-                    seller: seller,
-                    items: [],
-                    totalAmount: 0
-                  });
-                }
-                
-                const sellerData = sellerNotifications.get(sellerId);
-                sellerData.items.push({
-                  name: item.name,
-                  quantity: item.quantity,
-                  price: item.price,
-                  sellerPayoutAmount: item.sellerPayoutAmount || 0
-                });
-                sellerData.totalAmount += item.sellerPayoutAmount || 0;
-              }
-            }
-          } catch (productError) {
-            console.error('Error fetching product for seller notification:', productError);
-          }
-        }
-      }
-
-      // Create notifications for each seller
-      for (const [sellerId, sellerData] of sellerNotifications) {
-        try {
-          const sellerNotification = new Notification({
-            title: 'New Order for Your Products',
-            message: `You have received a new order #${savedOrder.orderId} with ${sellerData.items.length} item(s) for ${sellerData.totalAmount.toLocaleString('en-IN', { style: 'currency', currency: 'INR' })}`,
-            type: 'order',
-            priority: 'high',
-            recipientType: 'seller',
-            recipientId: sellerId,
-            recipientModel: 'Seller',
-            isRead: false,
-            relatedEntity: {
-              entityType: 'order',
-              entityId: savedOrder._id
-            },
-            metadata: {
-              orderId: savedOrder.orderId,
-              customerName: savedOrder.customerName,
-              sellerItems: sellerData.items,
-              sellerPayoutTotal: sellerData.totalAmount,
-              orderDate: savedOrder.paymentDate
-            },
-            actionUrl: `/seller/orders/${savedOrder._id}`
-          });
-
-          await sellerNotification.save();
-          console.log(`✅ Seller notification created for seller: ${sellerData.seller.email}`);
-        } catch (sellerNotificationError) {
-          console.error('❌ Failed to create seller notification:', sellerNotificationError);
-        }
-      }
-    } catch (sellerNotificationError) {
-      console.error('❌ Failed to process seller notifications:', sellerNotificationError);
-      // Don't fail the order creation if seller notifications fail
-    }
+    // Customer and admin emails plus admin/seller notifications run on the job queue
+    await enqueueOrderPlacedJobs(savedOrder);
     
     res.status(201).json({
       message: 'Order created successfully',
-      order: savedOrder
+      order: savedOrder,
+      orderAccess: issueOrderAccessToken(savedOrder)
     });
   } catch (error) {
     console.error('Error creating order:', error);
@@ -354,16 +226,14 @@ export const getMyOrders = async (req, res) => {
     const userId = user.userId;
     const userEmail = user.email;
 
-    if (!userId && !userEmail) {
+    if (!userId) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const orders = await Order.find({
-      $or: [
-        { customerId: userId },
-        { customerEmail: userEmail }
-      ]
-    }).sort({ createdAt: -1 });
+    // Guest orders under the email count only once it is verified (same rule as isOrderOwner)
+    const owned = [{ customerId: userId }];
+    if (user.emailVerified === true && userEmail) owned.push({ customerEmail: userEmail });
+    const orders = await Order.find({ $or: owned }).sort({ createdAt: -1 });
 
     res.json(orders);
   } catch (error) {
@@ -381,14 +251,130 @@ export const getOrderById = async (req, res) => {
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
+    if (!canViewOrder(order, req)) {
+      return res.status(req.user ? 403 : 401).json({
+        message: 'Log in as the customer who placed this order, or verify your email to view it'
+      });
+    }
+
+    // Orders placed before status history was recorded get a single entry for their current state
+    const data = order.toObject();
+    if (!Array.isArray(data.statusHistory) || data.statusHistory.length === 0) {
+      data.statusHistory = [buildStatusEntry(order.status, { role: 'system' })];
+      data.statusHistory[0].changedAt = order.createdAt;
+    }
     
-    res.json(order);
+    res.json(data);
   } catch (error) {
     console.error('Error fetching order:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Guest order lookup, step 1: email a one-time code if the order id and email match
+export const requestOrderLookup = async (req, res) => {
+  try {
+    const { orderId, email } = req.body;
+    const result = await requestOrderLookupCode(orderId, email);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    // Same answer whether or not the order exists. The code is only echoed when
+    // asked for (development, or ORDER_LOOKUP_ECHO_CODE=true), for testing.
+    const echoCode = process.env.NODE_ENV === 'development' || process.env.ORDER_LOOKUP_ECHO_CODE === 'true';
+    const includeCode = echoCode && result.code;
+    res.json({
+      message: 'If the order id and email match, a code has been sent to that email',
+      ...(includeCode ? { code: result.code } : {})
+    });
+  } catch (error) {
+    console.error('Error requesting order lookup code:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Guest order lookup, step 2: exchange the code for a token that opens this order
+export const verifyOrderLookup = async (req, res) => {
+  try {
+    const { orderId, email, code } = req.body;
+    const result = await verifyOrderLookupCode(orderId, email, code);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    res.json({
+      message: 'Code verified',
+      orderAccess: { token: result.token, expiresAt: result.expiresAt },
+      order: result.order
+    });
+  } catch (error) {
+    console.error('Error verifying order lookup code:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Shipment tracking for an order (public; no contact details). Refreshes each
+// open shipment from its courier before responding.
+export const getOrderTracking = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = await Order.findOne({ orderId }).select('orderId status');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const shipments = await syncOrderShipments(order);
+    const current = await Order.findById(order._id).select('status');
+    res.json({
+      orderId: order.orderId,
+      status: current?.status || order.status,
+      shipments: shipments.map(serializeShipment)
+    });
+  } catch (error) {
+    console.error('Error fetching order tracking:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Download GST invoice(s) for an order: customer owner, admin, or a seller (their own invoice only)
+export const getOrderInvoicePdf = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = await Order.findOne({ orderId });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const user = req.user || {};
+    if (user.role !== 'admin' && user.role !== 'seller' && !isOrderOwner(order, user)) {
+      return res.status(403).json({ message: 'You are not allowed to view this invoice' });
+    }
+
+    // Sellers only see, and only cause the issue of, invoices for their own shipments
+    let subOrderIds;
+    if (user.role === 'seller') {
+      const mine = await SubOrder.find({ $and: [{ order: order._id }, await sellerSubOrderFilter(user)] }).select('_id');
+      if (mine.length === 0) {
+        return res.status(403).json({ message: 'You are not allowed to view this invoice' });
+      }
+      subOrderIds = mine.map(so => so._id);
+    }
+
+    const invoices = await issueInvoicesForOrder(order, { subOrderIds });
+    if (invoices.length === 0) {
+      return res.status(404).json({ message: 'No invoice available for this order' });
+    }
+
+    const pdf = await renderInvoicesPdf(invoices);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${order.orderId}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Get order by payment ID
 export const getOrderByPaymentId = async (req, res) => {
   try {
@@ -399,6 +385,11 @@ export const getOrderByPaymentId = async (req, res) => {
     if (!order) {
       return res.status(404).json({ message: 'Order not found for this payment ID' });
     }
+    if (!canViewOrder(order, req)) {
+      return res.status(req.user ? 403 : 401).json({
+        message: 'Log in as the customer who placed this order, or verify your email to view it'
+      });
+    }
     
     res.json(order);
   } catch (error) {
@@ -413,46 +404,52 @@ export const getOrderByPaymentId = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-    
-    // Get the current order to compare old status with new status
-    const currentOrder = await Order.findById(id);
-    if (!currentOrder) {
-      return res.status(404).json({ message: 'Order not found' });
+    const { status, note } = req.body;
+
+    const result = await transitionOrderStatus(id, status, {
+      actor: req.user?.userId,
+      role: req.user?.role || 'admin',
+      note
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
     }
-    
-    const oldStatus = currentOrder.status;
-    
-    // Update the order status
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    );
-    
+
+    let { order } = result;
+    const { oldStatus } = result;
     console.log('✅ Order status updated successfully');
+
+    // Cancelling a paid order refunds whatever is left on it
+    let refund = null;
+    let refundError = null;
+    if (result.changed && order.status === 'cancelled') {
+      const refunded = await refundCancelledOrder(order, {
+        actor: req.user?.userId,
+        role: 'admin',
+        reason: note || 'Cancelled by admin'
+      });
+      if (refunded?.error) refundError = refunded.error;
+      else if (refunded) ({ order, refund } = refunded);
+    }
     
+    // Shipping the whole order books a courier for every shipment that has none
+    if (result.changed && order.status === 'shipped') {
+      await ensureShipmentsForOrder(order, { actor: req.user?.userId });
+    }
+
     // Send email notification to customer if status actually changed
-    if (oldStatus !== status) {
-      console.log(`📧 Sending status update notification: ${oldStatus} → ${status}`);
+    if (result.changed) {
+      console.log(`📧 Sending status update notification: ${oldStatus} → ${order.status}`);
       
-      // Send customer notification email (async, don't wait for it)
-      sendOrderStatusUpdateToCustomer(order, status, oldStatus)
-        .then(result => {
-          if (result.sent) {
-            console.log(`✅ Customer notification sent for order ${order.orderId}`);
-          } else {
-            console.warn(`⚠️ Failed to send customer notification: ${result.error}`);
-          }
-        })
-        .catch(error => {
-          console.error(`❌ Error sending customer notification:`, error);
-        });
+      // Queue the customer email with tracking
+      notifyCustomerOfStatus(order, order.status, oldStatus);
     }
     
     res.json({
       message: 'Order status updated successfully',
-      order
+      order,
+      refund,
+      refundError
     });
   } catch (error) {
     console.error('Error updating order status:', error);
@@ -471,30 +468,41 @@ export const cancelOrderByCustomer = async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Ownership check: match by customerId or by email
-    const isOwner = (
-      (order.customerId && String(order.customerId) === String(user.userId)) ||
-      (order.customerEmail && user.email && order.customerEmail.toLowerCase() === String(user.email).toLowerCase())
-    );
-
-    if (!isOwner) {
+    if (!isOrderOwner(order, user)) {
       return res.status(403).json({ message: 'You are not allowed to cancel this order' });
     }
 
-    // Allow cancel only if order is still pending or processing
-    const currentStatus = String(order.status || '').toLowerCase();
-    if (!['pending', 'processing'].includes(currentStatus)) {
+    // Allow cancel only while the state machine permits it (before shipping)
+    const result = await transitionOrderStatus(order, 'cancelled', {
+      actor: user.userId,
+      role: 'customer',
+      note: req.body?.reason
+    });
+    if (result.error || !result.changed) {
       return res.status(400).json({ message: 'Order cannot be cancelled at this stage' });
     }
 
-    order.status = 'cancelled';
-    await order.save();
-
     console.log('✅ Order cancelled by customer successfully');
 
+    // Refund the payment; the cancellation stands even if the gateway fails,
+    // the failed refund is recorded on the order for an admin to retry
+    let cancelledOrder = result.order;
+    let refund = null;
+    let refundError = null;
+    const refunded = await refundCancelledOrder(cancelledOrder, {
+      actor: user.userId,
+      role: 'customer',
+      reason: req.body?.reason || 'Cancelled by customer'
+    });
+    if (refunded?.error) refundError = refunded.error;
+    else if (refunded) ({ order: cancelledOrder, refund } = refunded);
+    if (cancelledOrder.customerId) await refreshCustomerStatsQuietly(cancelledOrder.customerId);
+
     res.json({
       message: 'Order cancelled successfully',
-      order
+      order: cancelledOrder,
+      refund,
+      refundError
     });
   } catch (error) {
     console.error('Error cancelling order:', error);
@@ -1,9 +1,33 @@
 import Razorpay from 'razorpay';
 import crypto from 'crypto';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import CategoryCommission from '../models/CategoryCommission.js';
-import { sendNewOrderNotificationToAdmin, sendOrderConfirmationEmail } from '../utils/email.js';
+import CheckoutSession from '../models/CheckoutSession.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import Quote from '../models/Quote.js';
+import User from '../models/User.js';
+import { customerInfoFromAddress, resolveCheckoutAddress } from '../utils/addresses.js';
+import { cartToQuoteLines } from '../utils/cart.js';
+import { buildItemsWithCommission } from '../utils/commission.js';
+import { computeTax, createQuote, loadQuote, quoteItemsForOrder, serializeQuote } from '../utils/pricing.js';
+import { applyCheckoutCoupon, evaluateCoupon, redeemCouponForOrder } from '../utils/coupons.js';
+import { applyShippingToQuote } from '../utils/shipping.js';
+import { issueOrderAccessToken } from '../utils/orderAccess.js';
+import { refreshCustomerStatsQuietly } from '../utils/customers.js';
+import { buildStatusEntry } from '../utils/orderStatus.js';
+import { applyGatewayRefundEvent } from '../utils/refunds.js';
+import { createSubOrdersForOrder } from '../utils/subOrders.js';
+import {
+  attachReservationsToOrder,
+  commitStock,
+  convertReservations,
+  releaseReservations,
+  reserveStock
+} from '../utils/stock.js';
+import { enqueueOrderPlacedJobs } from '../utils/jobHandlers.js';
+import { requestLocale } from '../utils/emailTemplates.js';
+import { checkCodEligibility } from '../utils/cod.js';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
 
 // Initialize Razorpay
 let razorpay = null;
@@ -38,6 +62,249 @@ function initializeRazorpay() {
   }
 }
 
+// Create the order for a captured payment exactly once.
+// Shared by verifyPayment (browser) and the Razorpay webhook (server-to-server),
+// whichever arrives first creates the order and the other gets it back.
+async function fulfillPaidOrder({ session, paymentId, amount }) {
+  const razorpayOrderId = session.razorpayOrderId;
+  const customerInfo = session.customerInfo || {};
+  const items = session.items || [];
+
+  const findExisting = () => Order.findOne({
+    $or: [
+      paymentId ? { paymentId } : null,
+      razorpayOrderId ? { razorpayOrderId } : null
+    ].filter(Boolean)
+  });
+
+  const existingOrder = await findExisting();
+  if (existingOrder) {
+    return { order: existingOrder, created: false };
+  }
+
+  // Generate unique order ID
+  const orderId = `ORD${Date.now()}${paymentId.slice(-4).toUpperCase()}`;
+  
+  // Sanitize and validate customer data
+  const sanitizedCustomerInfo = {
+    name: customerInfo.name?.substring(0, 100) || 'Anonymous User',
+    email: customerInfo.email?.substring(0, 100) || '',
+    phone: customerInfo.phone?.replace(/[^\d]/g, '').substring(0, 15) || '',
+    address: customerInfo.address?.substring(0, 500) || '',
+    city: customerInfo.city?.substring(0, 100) || '',
+    pincode: customerInfo.pincode?.replace(/[^\d]/g, '').substring(0, 10) || ''
+  };
+
+  const itemsWithCommission = await buildItemsWithCommission(items);
+
+  // Create order in database with sanitized data
+  const orderData = {
+    customerId: session.customerId || null,
+    orderId: orderId,
+    paymentId: paymentId,
+    razorpayOrderId: razorpayOrderId,
+    quote: session.quote || null,
+    subtotal: session.subtotal,
+    discount: session.discount || 0,
+    coupon: session.coupon?.couponId ? session.coupon : undefined,
+    shipping: session.shipping || 0,
+    shippingCharges: session.shippingCharges || [],
+    tax: session.tax || 0,
+    locale: session.locale || 'en',
+    total: amount,
+    items: itemsWithCommission,
+    customerName: sanitizedCustomerInfo.name,
+    customerEmail: sanitizedCustomerInfo.email,
+    customerPhone: sanitizedCustomerInfo.phone,
+    customerAddress: sanitizedCustomerInfo.address,
+    customerCity: sanitizedCustomerInfo.city,
+    customerPincode: sanitizedCustomerInfo.pincode,
+    shippingAddress: session.shippingAddress || undefined,
+    paymentStatus: 'completed',
+    paymentDate: new Date(),
+    statusHistory: [buildStatusEntry('pending', { role: 'system', note: 'Payment confirmed' })]
+  };
+  
+  console.log('💾 Saving order to database:', orderData);
+  
+  let savedOrder;
+  try {
+    savedOrder = await new Order(orderData).save();
+  } catch (saveErr) {
+    // Lost the race against a concurrent verify/webhook for the same Razorpay order
+    if (saveErr?.code === 11000) {
+      const raced = await findExisting();
+      if (raced) return { order: raced, created: false };
+    }
+    throw saveErr;
+  }
+  
+  console.log('✅ Order saved successfully:', savedOrder._id);
+
+  await redeemCouponForOrder(savedOrder);
+  if (savedOrder.customerId) await refreshCustomerStatsQuietly(savedOrder.customerId);
+
+  try {
+    await createSubOrdersForOrder(savedOrder);
+  } catch (splitErr) {
+    // Picked up again by the sub-order backfill on next start
+    console.error('❌ Failed to split order into seller sub-orders:', splitErr?.message || splitErr);
+  }
+
+  try {
+    await CheckoutSession.updateOne(
+      { razorpayOrderId },
+      { status: 'paid', paymentId, orderId }
+    );
+    if (session.quote) {
+      await Quote.updateOne({ _id: session.quote }, { status: 'used' });
+    }
+    if (session.fromCart && session.customerId) {
+      await User.updateOne({ _id: session.customerId }, { $set: { cart: [] } });
+    }
+  } catch (sessionErr) {
+    console.warn('⚠️ Failed to mark checkout session paid:', sessionErr?.message || sessionErr);
+  }
+
+  // Customer and admin emails plus admin/seller notifications run on the job queue
+  await enqueueOrderPlacedJobs(savedOrder);
+
+  // Turn the checkout's stock holds into a sale. Sessions without holds
+  // (created before reservations existed) take the stock directly.
+  try {
+    let stockResult = await convertReservations(session.reservationRef);
+    if (!stockResult) {
+      stockResult = await commitStock(savedOrder.items);
+    }
+    if (stockResult.shortfalls.length > 0) {
+      console.warn('⚠️ Paid order exceeds available stock:', savedOrder._id, stockResult.shortfalls);
+    } else {
+      console.log('✅ Stock committed for paid order:', savedOrder._id);
+    }
+  } catch (stockErr) {
+    console.error('❌ Failed to commit stock after payment verify:', stockErr?.message || stockErr);
+    // Do not fail payment verify on stock update error
+  }
+
+  return { order: savedOrder, created: true };
+}
+
+// Cart lines for a new quote: explicit lines from the body, otherwise the
+// logged-in customer's saved cart
+async function resolveCartLines(req, bodyLines) {
+  if (Array.isArray(bodyLines) && bodyLines.length > 0) {
+    return { lines: bodyLines, fromCart: false };
+  }
+  if (req.user?.role === 'customer') {
+    const customer = await User.findById(req.user.userId).select('cart');
+    return { lines: cartToQuoteLines(customer?.cart), fromCart: true };
+  }
+  return { lines: [], fromCart: false };
+}
+
+// Customer details for checkout: the body's customerInfo, filled from a saved
+// address when `addressId` is sent. Returns { customerInfo, shippingAddress } or { error, statusCode }.
+async function resolveCheckoutCustomer(req) {
+  const { addressId } = req.body;
+  if (!addressId) {
+    return { customerInfo: req.body.customerInfo, shippingAddress: null };
+  }
+  const resolved = await resolveCheckoutAddress(req.user, addressId);
+  if (resolved.error) return resolved;
+  return {
+    customerInfo: customerInfoFromAddress(resolved.address, resolved.email, req.body.customerInfo),
+    shippingAddress: resolved.address
+  };
+}
+
+// Shared checks on checkout contact details. Returns an error message or null.
+function validateCustomerInfo(customerInfo) {
+  const requiredFields = ['name', 'email', 'phone'];
+  for (const field of requiredFields) {
+    if (!customerInfo[field] || typeof customerInfo[field] !== 'string' || customerInfo[field].trim().length === 0) {
+      return `Customer ${field} is required and must be a non-empty string`;
+    }
+  }
+
+  // Validate email format
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(customerInfo.email)) {
+    return 'Invalid email format';
+  }
+
+  // Validate phone format (Indian format)
+  const phoneRegex = /^[6-9]\d{9}$/;
+  if (!phoneRegex.test(customerInfo.phone.replace(/[^\d]/g, ''))) {
+    return 'Invalid phone number format';
+  }
+  return null;
+}
+
+// Load the quote being checked out, or price the submitted (or saved) cart.
+// Returns { quote } or { error, details }.
+async function resolveCheckoutQuote(req, { quoteId, items, orderItems, currency }) {
+  if (quoteId) {
+    const loaded = await loadQuote(quoteId);
+    return loaded.error ? { error: loaded.error } : { quote: loaded.quote };
+  }
+  const { lines, fromCart } = await resolveCartLines(
+    req,
+    Array.isArray(orderItems) && orderItems.length > 0 ? orderItems : items
+  );
+  if (lines.length === 0) {
+    return { error: 'A quote id or cart items are required' };
+  }
+  const created = await createQuote(lines, {
+    currency,
+    fromCart,
+    customerId: req.user?.role === 'customer' ? req.user.userId : null
+  });
+  if (created.errors.length > 0) {
+    return { error: 'Some cart items could not be priced', details: created.errors };
+  }
+  return { quote: created.quote };
+}
+
+// Price a cart on the server and return a signed quote id for checkout
+const createCheckoutQuote = async (req, res) => {
+  try {
+    const { items, currency = 'INR' } = req.body;
+
+    const { lines, fromCart } = await resolveCartLines(req, items);
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: fromCart ? 'Your cart is empty' : 'Items must be a non-empty array'
+      });
+    }
+
+    const { quote, errors } = await createQuote(lines, {
+      currency,
+      fromCart,
+      customerId: req.user?.role === 'customer' ? req.user.userId : null
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some cart items could not be priced',
+        details: errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    console.error('❌ Error creating checkout quote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to price cart',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Create Razorpay Order
 const createPaymentOrder = async (req, res) => {
   try {
@@ -53,21 +320,23 @@ const createPaymentOrder = async (req, res) => {
       });
     }
     
-    const { amount, currency = 'INR', customerInfo, items, orderItems } = req.body;
-    
-    // Enhanced validation
-    if (!amount || !customerInfo || !items) {
-      return res.status(400).json({
+    const { quoteId, currency = 'INR', items, orderItems } = req.body;
+
+    // A saved address (logged-in customers) fills the delivery details
+    const checkoutCustomer = await resolveCheckoutCustomer(req);
+    if (checkoutCustomer.error) {
+      return res.status(checkoutCustomer.statusCode).json({
         success: false,
-        message: 'Amount, customer info, and items are required'
+        message: checkoutCustomer.error
       });
     }
-
-    // Validate amount (must be positive number)
-    if (typeof amount !== 'number' || amount <= 0 || amount > 500000) {
+    const { customerInfo, shippingAddress } = checkoutCustomer;
+    
+    // Enhanced validation
+    if (!customerInfo) {
       return res.status(400).json({
         success: false,
-        message: 'Amount must be a positive number between 1 and 500000'
+        message: 'Customer info is required'
       });
     }
 
@@ -79,128 +348,127 @@ const createPaymentOrder = async (req, res) => {
       });
     }
 
-    // Validate customer info
-    const requiredFields = ['name', 'email', 'phone'];
-    for (const field of requiredFields) {
-      if (!customerInfo[field] || typeof customerInfo[field] !== 'string' || customerInfo[field].trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: `Customer ${field} is required and must be a non-empty string`
-        });
-      }
+    const infoError = validateCustomerInfo(customerInfo);
+    if (infoError) {
+      return res.status(400).json({
+        success: false,
+        message: infoError
+      });
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(customerInfo.email)) {
+    // Resolve the server-side quote. Clients without a quote id get one priced
+    // from their cart lines (or saved cart); any prices or totals they send are ignored.
+    const resolvedQuote = await resolveCheckoutQuote(req, { quoteId, items, orderItems, currency });
+    if (resolvedQuote.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid email format'
+        message: resolvedQuote.error,
+        details: resolvedQuote.details
       });
     }
+    const { quote } = resolvedQuote;
 
-    // Validate phone format (Indian format)
-    const phoneRegex = /^[6-9]\d{9}$/;
-    if (!phoneRegex.test(customerInfo.phone.replace(/[^\d]/g, ''))) {
+    if (quote.status === 'used') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid phone number format'
+        message: 'Quote has already been paid'
       });
     }
 
-    // Validate items (Razorpay items)
-    if (!Array.isArray(items) || items.length === 0) {
+    // Coupons are checked and applied here, never trusted from the client or
+    // from an earlier checkout attempt on the same quote
+    const applied = await applyCheckoutCoupon(quote, req.body.couponCode, {
+      customerId: req.user?.role === 'customer' ? req.user.userId : null,
+      email: customerInfo.email
+    });
+    if (applied.error) {
       return res.status(400).json({
         success: false,
-        message: 'Items must be a non-empty array'
+        message: applied.error
       });
     }
 
-    // Validate each Razorpay item (can be in paise)
-    for (const item of items) {
-      if (!item.id || !item.name || typeof item.price !== 'number' || typeof item.quantity !== 'number') {
-        return res.status(400).json({
-          success: false,
-          message: 'Each item must have id, name, price (number), and quantity (number)'
-        });
-      }
-      if (item.price <= 0 || item.quantity <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Item price and quantity must be positive numbers'
-        });
-      }
-    }
+    // Shipping is charged per seller shipment for the delivery pincode
+    await applyShippingToQuote(quote, customerInfo.pincode);
 
-    // Calculate and verify total amount using detailed orderItems (assumed in rupees)
-    // Fallback to items (normalize from paise to rupees when necessary)
-    let validationItems = Array.isArray(orderItems) && orderItems.length > 0 ? orderItems : items;
-    const normalizedValidationItems = validationItems.map(it => {
-      const price = Number(it.price);
-      const qty = Number(it.quantity) || 1;
-      // If items are Razorpay formatted (price in paise), convert to rupees
-      const looksLikePaise = price >= 1000 && amount < 10000 && currency === 'INR';
-      const rupeePrice = looksLikePaise ? price / 100 : price;
-      return { price: rupeePrice, quantity: qty };
-    });
-    const calculatedTotal = normalizedValidationItems.reduce((sum, it) => sum + (it.price * it.quantity), 0);
-    if (Math.abs(calculatedTotal - amount) > 0.01) {
+    const amount = quote.total;
+    if (amount <= 0 || amount > 500000) {
       return res.status(400).json({
         success: false,
-        message: 'Amount mismatch. Calculated total does not match provided amount'
+        message: 'Order total must be between 1 and 500000'
       });
     }
-    
-    // Stock pre-validation using detailed orderItems
-    try {
-      if (Array.isArray(orderItems) && orderItems.length > 0) {
-        const requestedByProduct = new Map();
-        for (const it of orderItems) {
-          const pid = it.productId || it._id || it.id;
-          const qty = Number(it.quantity || 0);
-          if (!pid || qty <= 0) continue;
-          requestedByProduct.set(pid, (requestedByProduct.get(pid) || 0) + qty);
-        }
-        const insuff = [];
-        for (const [pid, reqQty] of requestedByProduct.entries()) {
-          const prod = await Product.findById(pid).select('name stockQuantity inStock');
-          if (!prod) continue;
-          const available = Number(prod.stockQuantity || 0);
-          if (reqQty > available) {
-            insuff.push({ productId: String(prod._id), name: prod.name, requested: reqQty, available });
-          }
-        }
-        if (insuff.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message: 'Stock insufficient for some items',
-            details: insuff
-          });
-        }
-      }
-    } catch (preCheckErr) {
-      console.warn('⚠️ Payment stock pre-check failed, continuing:', preCheckErr?.message || preCheckErr);
+    if (typeof req.body.amount === 'number' && Math.abs(req.body.amount - amount) > 0.01) {
+      console.warn(`⚠️ Client amount ${req.body.amount} differs from quoted ${amount}; using quote`);
     }
     
     // Create Razorpay order
     const options = {
       amount: Math.round(amount * 100), // Amount in paise and round
-      currency: currency,
+      currency: quote.currency || currency,
       receipt: `receipt_${Date.now()}`.substring(0, 40), // Limit receipt length
       notes: {
         customerName: customerInfo.name.substring(0, 50),
         customerEmail: customerInfo.email.substring(0, 50),
         customerPhone: customerInfo.phone.substring(0, 15),
-        itemCount: items.length,
-        totalAmount: amount
+        itemCount: quote.items.length,
+        totalAmount: amount,
+        quoteId: String(quote._id)
       }
     };
     
     console.log('🔧 Razorpay order options:', options);
-    
-    const order = await razorpayInstance.orders.create(options);
+
+    // Hold the stock before asking the customer to pay. Held units leave
+    // stockQuantity immediately and come back if the hold expires unpaid.
+    const reservation = await reserveStock(quote.items);
+    if (reservation.shortages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock insufficient for some items',
+        details: reservation.shortages
+      });
+    }
+
+    let order;
+    try {
+      order = await razorpayInstance.orders.create(options);
+    } catch (razorpayErr) {
+      await releaseReservations(reservation.reference);
+      throw razorpayErr;
+    }
+    await attachReservationsToOrder(reservation.reference, order.id);
     
     console.log('✅ Razorpay order created successfully:', order);
+
+    // Snapshot the checkout so the webhook can build the order without the browser
+    await CheckoutSession.create({
+      razorpayOrderId: order.id,
+      quote: quote._id,
+      customerId: quote.customerId || (req.user?.role === 'customer' ? req.user.userId : null),
+      fromCart: !!quote.fromCart,
+      amount,
+      currency: options.currency,
+      subtotal: quote.subtotal,
+      discount: quote.discount || 0,
+      coupon: quote.coupon,
+      shipping: quote.shipping,
+      shippingCharges: quote.shippingCharges,
+      tax: quote.tax,
+      locale: requestLocale(req),
+      customerInfo: {
+        name: customerInfo.name,
+        email: customerInfo.email,
+        phone: customerInfo.phone,
+        address: customerInfo.address || '',
+        city: customerInfo.city || '',
+        pincode: customerInfo.pincode || ''
+      },
+      shippingAddress,
+      items: quoteItemsForOrder(quote),
+      reservationRef: reservation.reference,
+      reservationExpiresAt: reservation.expiresAt
+    });
     
     // Log order creation for audit
     console.log(`Payment order created: ${order.id} for amount: ${amount} by ${customerInfo.email}`);
@@ -213,6 +481,8 @@ const createPaymentOrder = async (req, res) => {
         currency: order.currency,
         receipt: order.receipt
       },
+      quote: serializeQuote(quote),
+      reservationExpiresAt: reservation.expiresAt,
       key: process.env.RAZORPAY_KEY_ID
     });
     
@@ -244,10 +514,7 @@ const verifyPayment = async (req, res) => {
     const {
       razorpay_order_id,
       razorpay_payment_id,
-      razorpay_signature,
-      customerInfo,
-      items,
-      amount
+      razorpay_signature
     } = req.body;
     
     // Enhanced validation for required fields
@@ -286,32 +553,17 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Validate other required data
-    if (!customerInfo || !items || !amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing customer info, items, or amount'
-      });
-    }
-
-    // Validate amount
-    if (typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({
+    // Items, customer and amount come from the checkout snapshot taken when the
+    // Razorpay order was created - never from this request body
+    const session = await CheckoutSession.findOne({ razorpayOrderId: razorpay_order_id });
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid amount'
+        message: 'Checkout session not found for this order'
       });
     }
+    const amount = session.amount;
 
-    // Check for duplicate payment processing
-    const existingOrder = await Order.findOne({ paymentId: razorpay_payment_id });
-    if (existingOrder) {
-      return res.status(409).json({
-        success: false,
-        message: 'Payment already processed',
-        orderId: existingOrder.orderId
-      });
-    }
-    
     // Create signature for verification
     const body = razorpay_order_id + '|' + razorpay_payment_id;
     const expectedSignature = crypto
@@ -365,151 +617,29 @@ const verifyPayment = async (req, res) => {
       // Continue with order creation as signature is already verified
     }
     
-    // Generate unique order ID
-    const orderId = `ORD${Date.now()}${razorpay_payment_id.slice(-4).toUpperCase()}`;
-    
-    // Sanitize and validate customer data
-    const sanitizedCustomerInfo = {
-      name: customerInfo.name?.substring(0, 100) || 'Anonymous User',
-      email: customerInfo.email?.substring(0, 100) || '',
-      phone: customerInfo.phone?.replace(/[^\d]/g, '').substring(0, 15) || '',
-      address: customerInfo.address?.substring(0, 500) || '',
-      city: customerInfo.city?.substring(0, 100) || '',
-      pincode: customerInfo.pincode?.replace(/[^\d]/g, '').substring(0, 10) || ''
-    };
-    
-    // Build commission map once
-    const commissionRows = await CategoryCommission.find({}).select('category commissionPercent');
-    const commissionMap = new Map(commissionRows.map(r => [String(r.category).toLowerCase(), Number(r.commissionPercent || 2)]));
-
-    // Compute commission fields per item
-    const itemsWithCommission = await Promise.all(items.map(async (item) => {
-      const qty = Number(item.quantity);
-      const price = Number(item.price);
-      let category = null;
-      if (item.productId || item._id || item.id) {
-        try {
-          const pid = item.productId || item._id || item.id;
-          const prod = await Product.findById(pid).select('category');
-          category = String(prod?.category || '').toLowerCase() || null;
-        } catch (e) {
-          category = null;
-        }
-      }
-      const pct = category ? (commissionMap.get(category) ?? 2) : 2;
-      const commissionAmount = (price * qty * pct) / 100;
-      const sellerPayoutAmount = (price * qty) - commissionAmount;
-      return {
-        id: item.id,
-        // Ensure product linkage is persisted for seller/admin dashboards
-        productId: item.productId || item._id || item.id || null,
-        name: item.name?.substring(0, 200),
-        price,
-        quantity: qty,
-        // Accept both `size/color` and `selectedSize/selectedColor` from frontend
-        size: (item.size ?? item.selectedSize) ?? null,
-        color: (item.color ?? item.selectedColor) ?? null,
-        image: item.image?.substring(0, 500),
-        commissionPercent: pct,
-        commissionAmount,
-        sellerPayoutAmount
-      };
-    }));
-
-    // Create order in database with sanitized data
-    const orderData = {
-      orderId: orderId,
+    // The webhook may have created this order already; then it is returned as-is
+    const { order: savedOrder, created } = await fulfillPaidOrder({
+      session,
       paymentId: razorpay_payment_id,
-      razorpayOrderId: razorpay_order_id,
-      total: amount,
-      items: itemsWithCommission,
-      customerName: sanitizedCustomerInfo.name,
-      customerEmail: sanitizedCustomerInfo.email,
-      customerPhone: sanitizedCustomerInfo.phone,
-      customerAddress: sanitizedCustomerInfo.address,
-      customerCity: sanitizedCustomerInfo.city,
-      customerPincode: sanitizedCustomerInfo.pincode,
-      paymentStatus: 'completed',
-      paymentDate: new Date()
-    };
-    
-    console.log('💾 Saving order to database:', orderData);
-    
-    const newOrder = new Order(orderData);
-    const savedOrder = await newOrder.save();
-    
-    console.log('✅ Order saved successfully:', savedOrder._id);
-
-    // Send emails (non-blocking): customer confirmation and admin notification
-    try {
-      sendOrderConfirmationEmail(savedOrder)
-        .then(result => {
-          if (result.sent) {
-            console.log('✅ Order confirmation email sent to customer');
-          } else {
-            console.warn('⚠️ Failed to send order confirmation to customer:', result.error || result.reason);
-          }
-        })
-        .catch(err => {
-          console.error('❌ Error sending order confirmation to customer:', err?.message || err);
-        });
-
-      sendNewOrderNotificationToAdmin(savedOrder)
-        .then(result => {
-          if (result.sent) {
-            console.log('✅ Order notification email sent to admin');
-          } else {
-            console.warn('⚠️ Failed to send order notification email to admin:', result.error || result.reason);
-          }
-        })
-        .catch(err => {
-          console.error('❌ Error sending admin order notification:', err?.message || err);
-        });
-    } catch (emailErr) {
-      console.error('❌ Unexpected error scheduling emails:', emailErr?.message || emailErr);
-    }
+      amount
+    });
+    const orderId = savedOrder.orderId;
 
-    // Decrease product stock for each ordered item
-    try {
-      const stockUpdates = [];
-      for (const item of (savedOrder.items || [])) {
-        const pid = item.productId || item._id || item.id;
-        const qty = Number(item.quantity || 0);
-        if (!pid || qty <= 0) continue;
-
-        const prod = await Product.findById(pid).select('stockQuantity inStock');
-        if (!prod) continue;
-
-        const before = Number(prod.stockQuantity || 0);
-        const after = Math.max(0, before - qty);
-        prod.stockQuantity = after;
-        prod.inStock = after > 0;
-        await prod.save();
-        stockUpdates.push({ productId: String(prod._id), before, ordered: qty, after });
-      }
-      if (stockUpdates.length > 0) {
-        console.log('✅ Stock updated for ordered products (payment verify):', stockUpdates);
-      } else {
-        console.log('ℹ️ No stock updates performed after payment verification');
-      }
-    } catch (stockErr) {
-      console.error('❌ Failed to update product stock quantities after payment verify:', stockErr?.message || stockErr);
-      // Do not fail payment verify on stock update error
-    }
-    
     // Log successful order creation for audit
-    console.log(`Order created: ${orderId} for payment ${razorpay_payment_id} by ${sanitizedCustomerInfo.email}`);
+    console.log(`Order ${created ? 'created' : 'already existed'}: ${orderId} for payment ${razorpay_payment_id} by ${savedOrder.customerEmail}`);
     
     res.status(200).json({
       success: true,
-      message: 'Payment verified and order created successfully',
+      message: created ? 'Payment verified and order created successfully' : 'Payment already processed',
       order: {
         id: savedOrder._id,
         orderId: orderId,
         paymentId: razorpay_payment_id,
         amount: amount,
         status: 'completed'
-      }
+      },
+      // Lets a guest open the confirmation page (GET /api/orders/:orderId)
+      orderAccess: issueOrderAccessToken(savedOrder)
     });
     
   } catch (error) {
@@ -564,8 +694,420 @@ const getPaymentStatus = async (req, res) => {
   }
 };
 
+// Apply a verified webhook event. Returns the ledger outcome for the event.
+async function processWebhookEvent(event, { payment, refund, razorpayOrder }, ledgerId) {
+  switch (event) {
+    case 'payment.captured':
+    case 'order.paid': {
+      if (!payment) return { status: 'ignored', reason: 'Missing payment entity' };
+      const razorpayOrderId = payment.order_id || razorpayOrder?.id || null;
+
+      const session = razorpayOrderId ? await CheckoutSession.findOne({ razorpayOrderId }) : null;
+      if (!session) {
+        // Orders placed before checkout sessions existed can only be matched by payment
+        const existing = await Order.findOne({ paymentId: payment.id });
+        if (existing) return { status: 'processed', order: existing };
+        return { status: 'ignored', reason: 'No checkout session for Razorpay order' };
+      }
+
+      const { order } = await fulfillPaidOrder({
+        session,
+        paymentId: payment.id,
+        amount: Number(payment.amount || 0) / 100
+      });
+      return { status: 'processed', order };
+    }
+
+    case 'payment.failed': {
+      if (!payment) return { status: 'ignored', reason: 'Missing payment entity' };
+      if (payment.order_id) {
+        await CheckoutSession.updateOne(
+          { razorpayOrderId: payment.order_id, status: 'created' },
+          { status: 'failed', paymentId: payment.id }
+        );
+      }
+      return { status: 'processed' };
+    }
+
+    case 'refund.processed': {
+      if (!refund) return { status: 'ignored', reason: 'Missing refund entity' };
+      // The same refund can arrive under a different event id; apply it once
+      const alreadyApplied = await PaymentEvent.exists({
+        _id: { $ne: ledgerId },
+        event: 'refund.processed',
+        refundId: refund.id,
+        status: 'processed'
+      });
+      if (alreadyApplied) return { status: 'ignored', reason: 'Refund already applied' };
+
+      return applyGatewayRefundEvent(refund, event);
+    }
+
+    case 'refund.failed': {
+      if (!refund) return { status: 'ignored', reason: 'Missing refund entity' };
+      return applyGatewayRefundEvent(refund, event);
+    }
+
+    default:
+      return { status: 'ignored', reason: `Unhandled event ${event}` };
+  }
+}
+
+// Razorpay Webhook
+const handleRazorpayWebhook = async (req, res) => {
+  try {
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      console.error('❌ RAZORPAY_WEBHOOK_SECRET not configured');
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook not configured'
+      });
+    }
+
+    const signature = String(req.headers['x-razorpay-signature'] || '');
+    const rawBody = req.rawBody;
+    if (!signature || !rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing webhook signature or body'
+      });
+    }
+
+    // Signature is computed over the exact bytes Razorpay sent, not the parsed JSON
+    const expectedSignature = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+    const isAuthentic = signature.length === expectedSignature.length && crypto.timingSafeEqual(
+      Buffer.from(expectedSignature),
+      Buffer.from(signature)
+    );
+    if (!isAuthentic) {
+      console.error('❌ Webhook signature verification failed');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { event, payload = {} } = req.body || {};
+    const payment = payload.payment?.entity || null;
+    const refund = payload.refund?.entity || null;
+    const razorpayOrder = payload.order?.entity || null;
+    const eventId = String(req.headers['x-razorpay-event-id'] || '') ||
+      crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    console.log(`📨 Razorpay webhook: ${event} (${eventId})`);
+
+    // Replays of an event we already handled are a no-op
+    let ledger = await PaymentEvent.findOne({ eventId });
+    if (ledger && ['processed', 'ignored'].includes(ledger.status)) {
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+    if (!ledger) {
+      try {
+        ledger = await PaymentEvent.create({
+          eventId,
+          event: String(event || 'unknown'),
+          paymentId: payment?.id || refund?.payment_id || null,
+          razorpayOrderId: payment?.order_id || razorpayOrder?.id || null,
+          refundId: refund?.id || null,
+          amount: Number((refund || payment || razorpayOrder)?.amount || 0) / 100,
+          payload: req.body
+        });
+      } catch (createErr) {
+        // Concurrent delivery of the same event
+        if (createErr?.code === 11000) {
+          return res.status(200).json({ success: true, duplicate: true });
+        }
+        throw createErr;
+      }
+    }
+
+    ledger.attempts = Number(ledger.attempts || 0) + 1;
+    try {
+      const result = await processWebhookEvent(event, { payment, refund, razorpayOrder }, ledger._id);
+      ledger.status = result.status;
+      ledger.error = result.reason || null;
+      ledger.order = result.order?._id || ledger.order;
+      ledger.processedAt = new Date();
+    } catch (processErr) {
+      console.error('❌ Webhook processing failed:', processErr);
+      ledger.status = 'failed';
+      ledger.error = processErr?.message || String(processErr);
+    }
+    await ledger.save();
+
+    // Non-2xx makes Razorpay redeliver, which retries failed events
+    if (ledger.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook processing failed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      status: ledger.status
+    });
+  } catch (error) {
+    console.error('❌ Error handling Razorpay webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook handling failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Preview a coupon on a cart: discount and new totals (nothing is saved)
+const validateCoupon = async (req, res) => {
+  try {
+    const { quoteId, items, orderItems, currency = 'INR', couponCode, email } = req.body;
+    const resolvedQuote = await resolveCheckoutQuote(req, { quoteId, items, orderItems, currency });
+    if (resolvedQuote.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolvedQuote.error,
+        details: resolvedQuote.details
+      });
+    }
+    const { quote } = resolvedQuote;
+    const result = await evaluateCoupon(couponCode, {
+      items: quote.items,
+      customerId: req.user?.role === 'customer' ? req.user.userId : quote.customerId,
+      email: email || req.user?.email || null
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const tax = computeTax(round2(quote.subtotal - result.discount));
+    res.json({
+      success: true,
+      coupon: { code: result.coupon.code, description: result.coupon.description },
+      discount: result.discount,
+      items: quote.items.map((it, i) => ({ productId: it.productId, discountAmount: result.lineDiscounts[i] })),
+      subtotal: quote.subtotal,
+      shipping: quote.shipping,
+      tax,
+      total: round2(quote.subtotal - result.discount + Number(quote.shipping || 0) + tax)
+    });
+  } catch (error) {
+    console.error('❌ Error validating coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Check whether a cart can be paid in cash at a pincode (and what the fee is)
+const getCodEligibility = async (req, res) => {
+  try {
+    const { quoteId, items, orderItems, currency = 'INR', pincode } = req.body;
+    const resolvedQuote = await resolveCheckoutQuote(req, { quoteId, items, orderItems, currency });
+    if (resolvedQuote.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolvedQuote.error,
+        details: resolvedQuote.details
+      });
+    }
+    const { quote } = resolvedQuote;
+    if (/^\d{6}$/.test(String(pincode || '').trim()) && quote.status !== 'used') {
+      await applyShippingToQuote(quote, String(pincode).trim());
+    }
+    const check = await checkCodEligibility({ items: quote.items, total: quote.total, pincode });
+
+    res.json({
+      success: true,
+      eligible: check.eligible,
+      reasons: check.reasons,
+      codFee: check.fee,
+      total: round2(Number(quote.total) + check.fee),
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    console.error('❌ Error checking COD eligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check cash on delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Place a cash on delivery order. No payment is taken: the order starts with
+// paymentStatus 'pending' and moves to 'collected' when it is delivered.
+const createCodOrder = async (req, res) => {
+  try {
+    console.log('💵 Creating cash on delivery order...');
+    const { quoteId, currency = 'INR', items, orderItems } = req.body;
+
+    const checkoutCustomer = await resolveCheckoutCustomer(req);
+    if (checkoutCustomer.error) {
+      return res.status(checkoutCustomer.statusCode).json({
+        success: false,
+        message: checkoutCustomer.error
+      });
+    }
+    const { customerInfo, shippingAddress } = checkoutCustomer;
+    if (!customerInfo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer info is required'
+      });
+    }
+    const infoError = validateCustomerInfo(customerInfo);
+    if (infoError) {
+      return res.status(400).json({
+        success: false,
+        message: infoError
+      });
+    }
+    if (!customerInfo.address || !customerInfo.pincode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery address and pincode are required for cash on delivery'
+      });
+    }
+
+    const resolvedQuote = await resolveCheckoutQuote(req, { quoteId, items, orderItems, currency });
+    if (resolvedQuote.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolvedQuote.error,
+        details: resolvedQuote.details
+      });
+    }
+    const { quote } = resolvedQuote;
+    if (quote.status === 'used') {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote has already been used for another order'
+      });
+    }
+
+    const applied = await applyCheckoutCoupon(quote, req.body.couponCode, {
+      customerId: req.user?.role === 'customer' ? req.user.userId : null,
+      email: customerInfo.email
+    });
+    if (applied.error) {
+      return res.status(400).json({
+        success: false,
+        message: applied.error
+      });
+    }
+
+    const pincode = String(customerInfo.pincode).replace(/[^\d]/g, '');
+    await applyShippingToQuote(quote, pincode);
+    const cod = await checkCodEligibility({ items: quote.items, total: quote.total, pincode });
+    if (!cod.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery is not available for this order',
+        details: cod.reasons
+      });
+    }
+    const total = round2(Number(quote.total) + cod.fee);
+
+    // Same stock hold as online checkout, converted as soon as the order is saved
+    const reservation = await reserveStock(quote.items);
+    if (reservation.shortages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock insufficient for some items',
+        details: reservation.shortages
+      });
+    }
+
+    const customerId = quote.customerId || (req.user?.role === 'customer' ? req.user.userId : null);
+    const orderId = `ORD${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    const itemsWithCommission = await buildItemsWithCommission(quoteItemsForOrder(quote));
+
+    let savedOrder;
+    try {
+      savedOrder = await new Order({
+        customerId,
+        orderId,
+        paymentMethod: 'cod',
+        paymentStatus: 'pending',
+        quote: quote._id,
+        subtotal: quote.subtotal,
+        discount: quote.discount || 0,
+        coupon: quote.coupon?.couponId ? quote.coupon : undefined,
+        shipping: quote.shipping || 0,
+        shippingCharges: quote.shippingCharges,
+        tax: quote.tax || 0,
+        codFee: cod.fee,
+        locale: requestLocale(req),
+        total,
+        items: itemsWithCommission,
+        customerName: customerInfo.name.substring(0, 100),
+        customerEmail: customerInfo.email.substring(0, 100),
+        customerPhone: customerInfo.phone.replace(/[^\d]/g, '').substring(0, 15),
+        customerAddress: String(customerInfo.address).substring(0, 500),
+        customerCity: String(customerInfo.city || '').substring(0, 100),
+        customerPincode: pincode.substring(0, 10),
+        shippingAddress: shippingAddress || undefined,
+        paymentDate: new Date(),
+        statusHistory: [buildStatusEntry('pending', { role: 'system', note: 'Cash on delivery order placed' })]
+      }).save();
+    } catch (saveErr) {
+      await releaseReservations(reservation.reference);
+      throw saveErr;
+    }
+    console.log('✅ COD order saved successfully:', savedOrder._id);
+    await redeemCouponForOrder(savedOrder);
+    if (savedOrder.customerId) await refreshCustomerStatsQuietly(savedOrder.customerId);
+
+    const stockResult = await convertReservations(reservation.reference);
+    if (stockResult?.shortfalls?.length > 0) {
+      console.warn('⚠️ COD order exceeds available stock:', savedOrder._id, stockResult.shortfalls);
+    }
+    await Quote.updateOne({ _id: quote._id }, { status: 'used' });
+    if (quote.fromCart && customerId) {
+      await User.updateOne({ _id: customerId }, { $set: { cart: [] } });
+    }
+
+    try {
+      await createSubOrdersForOrder(savedOrder);
+    } catch (splitErr) {
+      // Picked up again by the sub-order backfill on next start
+      console.error('❌ Failed to split order into seller sub-orders:', splitErr?.message || splitErr);
+    }
+
+    await enqueueOrderPlacedJobs(savedOrder);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed. Pay in cash on delivery.',
+      order: savedOrder,
+      orderAccess: issueOrderAccessToken(savedOrder)
+    });
+  } catch (error) {
+    console.error('❌ Error creating COD order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place cash on delivery order',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 export {
+  createCheckoutQuote,
   createPaymentOrder,
+  validateCoupon,
+  getCodEligibility,
+  createCodOrder,
   verifyPayment,
-  getPaymentStatus
+  getPaymentStatus,
+  handleRazorpayWebhook
 };
\ No newline at end of file
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import cloudinary from '../utils/cloudinary.js';
+import { createReturnRequests, transitionReturn, RETURN_WINDOW_DAYS } from '../utils/returns.js';
+import { sellerSubOrderFilter } from '../utils/subOrders.js';
+import { isOrderOwner } from '../utils/orderAccess.js';
+
+// Match by return number (RET...) or document id
+const returnIdFilter = (id) => (
+  mongoose.Types.ObjectId.isValid(id) ? { $or: [{ returnId: id }, { _id: id }] } : { returnId: id }
+);
+
+// Multipart bodies send the item picks as a JSON string
+const parseItems = (items) => {
+  if (Array.isArray(items)) return items;
+  if (typeof items === 'string') {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch (_) {
+      return null;
+    }
+  }
+  return null;
+};
+
+const uploadReturnPhotos = async (files = []) => {
+  const urls = [];
+  for (const file of files) {
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream({ resource_type: 'image', folder: 'return_photos' }, (err, res) => {
+        if (err) reject(err); else resolve(res);
+      }).end(file.buffer);
+    });
+    urls.push(result.secure_url);
+  }
+  return urls;
+};
+
+// POST /api/orders/:id/returns - Customer opens a return or replacement
+export const createReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (!isOrderOwner(order, req.user)) {
+      return res.status(403).json({ success: false, message: 'You are not allowed to return items from this order' });
+    }
+
+    const items = parseItems(req.body.items);
+    if (!items) {
+      return res.status(400).json({ success: false, message: 'items must be a list of { itemId, quantity }' });
+    }
+
+    let photos = [];
+    try {
+      photos = await uploadReturnPhotos(req.files || []);
+    } catch (uploadErr) {
+      console.error('Cloudinary upload error (return photos):', uploadErr);
+      return res.status(500).json({ success: false, message: 'Failed to upload photos' });
+    }
+
+    const result = await createReturnRequests(order, {
+      items,
+      type: req.body.type || 'return',
+      reason: req.body.reason,
+      photos,
+      customer: req.user
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted',
+      data: result.returns
+    });
+  } catch (error) {
+    console.error('Error creating return request:', error);
+    res.status(500).json({ success: false, message: 'Failed to create return request', error: error.message });
+  }
+};
+
+// GET /api/orders/:id/returns - Returns for one order (owner or admin)
+export const getOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('customerId customerEmail');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (req.user.role !== 'admin' && !isOrderOwner(order, req.user)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view returns for this order' });
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+    res.json({ success: true, data: returns, returnWindowDays: RETURN_WINDOW_DAYS });
+  } catch (error) {
+    console.error('Error fetching order returns:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: error.message });
+  }
+};
+
+// PUT /api/orders/:id/returns/:returnId/cancel - Customer withdraws a request before pickup
+export const cancelReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('customerId customerEmail');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (!isOrderOwner(order, req.user)) {
+      return res.status(403).json({ success: false, message: 'You are not allowed to cancel this return' });
+    }
+
+    const ret = await ReturnRequest.findOne({ order: order._id, returnId: req.params.returnId });
+    if (!ret) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+
+    const result = await transitionReturn(ret, 'cancelled', {
+      actor: req.user.userId,
+      role: 'customer',
+      note: req.body?.note
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
+    res.json({ success: true, message: 'Return cancelled', data: result.returnRequest });
+  } catch (error) {
+    console.error('Error cancelling return:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel return', error: error.message });
+  }
+};
+
+const listReturns = async (filter, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  if (query.status) filter.status = String(query.status).toLowerCase();
+
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('order', 'orderId customerName customerPhone customerAddress customerCity customerPincode'),
+    ReturnRequest.countDocuments(filter)
+  ]);
+  return { returns, pagination: { current: page, pages: Math.ceil(total / limit), total } };
+};
+
+// Body: { status, note, pickup: { scheduledFor, courier, trackingNumber } }
+const applyReturnUpdate = async (req, res, ret, role) => {
+  if (!ret) {
+    return res.status(404).json({ success: false, message: 'Return not found' });
+  }
+  const { status, note, pickup } = req.body;
+  const result = await transitionReturn(ret, status, { actor: req.user.userId, role, note }, { pickup });
+  if (result.error) {
+    return res.status(result.statusCode).json({ success: false, message: result.error });
+  }
+  res.json({
+    success: true,
+    message: result.settleError ? `Return received, but ${result.settleError}` : 'Return updated',
+    data: result.returnRequest
+  });
+};
+
+// GET /api/seller/returns - Returns against the seller's shipments
+export const listSellerReturns = async (req, res) => {
+  try {
+    const data = await listReturns(await sellerSubOrderFilter(req.user), req.query);
+    res.json({ success: true, data: data.returns, pagination: data.pagination });
+  } catch (error) {
+    console.error('Error fetching seller returns:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: error.message });
+  }
+};
+
+// PUT /api/seller/returns/:id - Seller approves, rejects or progresses a return
+export const updateSellerReturn = async (req, res) => {
+  try {
+    const ownership = await sellerSubOrderFilter(req.user);
+    const ret = await ReturnRequest.findOne({ $and: [ownership, returnIdFilter(req.params.id)] });
+    await applyReturnUpdate(req, res, ret, 'seller');
+  } catch (error) {
+    console.error('Error updating seller return:', error);
+    res.status(500).json({ success: false, message: 'Failed to update return', error: error.message });
+  }
+};
+
+// GET /api/dashboard/returns - All returns for admin
+export const listAdminReturns = async (req, res) => {
+  try {
+    const data = await listReturns({}, req.query);
+    res.json({ success: true, data: data.returns, pagination: data.pagination });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: error.message });
+  }
+};
+
+// PUT /api/dashboard/returns/:id - Admin approves, rejects or progresses any return
+export const updateAdminReturn = async (req, res) => {
+  try {
+    const ret = await ReturnRequest.findOne(returnIdFilter(req.params.id));
+    await applyReturnUpdate(req, res, ret, 'admin');
+  } catch (error) {
+    console.error('Error updating return:', error);
+    res.status(500).json({ success: false, message: 'Failed to update return', error: error.message });
+  }
+};
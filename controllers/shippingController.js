@@ -0,0 +1,150 @@
+import ShippingRule from '../models/ShippingRule.js';
+import { createQuote, loadQuote, serializeQuote } from '../utils/pricing.js';
+import { isValidPincodeFormat } from '../utils/pincode.js';
+import {
+  applyShippingToQuote,
+  getDefaultShippingRule,
+  normalizeShippingRuleInput
+} from '../utils/shipping.js';
+
+// Shipping charge for a cart delivered to a pincode. With a quote id the charge
+// is saved on that quote; with items a new quote is priced and returned.
+export const getShippingQuote = async (req, res) => {
+  try {
+    const { quoteId, items, pincode } = req.body;
+    if (!isValidPincodeFormat(pincode)) {
+      return res.status(400).json({ success: false, message: 'A 6 digit delivery pincode is required' });
+    }
+
+    let quote;
+    if (quoteId) {
+      const loaded = await loadQuote(quoteId);
+      if (loaded.error) return res.status(400).json({ success: false, message: loaded.error });
+      if (loaded.quote.status === 'used') {
+        return res.status(400).json({ success: false, message: 'Quote has already been paid' });
+      }
+      quote = loaded.quote;
+    } else {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ success: false, message: 'A quote id or cart items are required' });
+      }
+      const created = await createQuote(items, {
+        customerId: req.user?.role === 'customer' ? req.user.userId : null
+      });
+      if (created.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some cart items could not be priced',
+          details: created.errors
+        });
+      }
+      quote = created.quote;
+    }
+
+    const { shipments } = await applyShippingToQuote(quote, pincode);
+
+    res.json({
+      success: true,
+      data: {
+        pincode: String(pincode).trim(),
+        shipping: quote.shipping,
+        shipments,
+        quote: serializeQuote(quote)
+      }
+    });
+  } catch (error) {
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({ success: false, message: 'Error calculating shipping', error: error.message });
+  }
+};
+
+// Admin: Marketplace default rule (falls back to SHIPPING_FEE until saved)
+export const getDefaultRule = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getDefaultShippingRule() });
+  } catch (error) {
+    console.error('Error fetching default shipping rule:', error);
+    res.status(500).json({ success: false, message: 'Error fetching shipping rule', error: error.message });
+  }
+};
+
+// Admin: Save the marketplace default rule
+export const updateDefaultRule = async (req, res) => {
+  try {
+    const { rule, error } = normalizeShippingRuleInput(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const saved = await ShippingRule.findOneAndUpdate(
+      { seller: null },
+      { $set: { ...rule, updatedBy: req.user?.userId || null } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, message: 'Default shipping rule updated', data: saved });
+  } catch (error) {
+    console.error('Error updating default shipping rule:', error);
+    res.status(500).json({ success: false, message: 'Error updating shipping rule', error: error.message });
+  }
+};
+
+// Admin: Rules sellers have set for themselves
+export const listSellerRules = async (req, res) => {
+  try {
+    const rules = await ShippingRule.find({ seller: { $ne: null } })
+      .sort({ updatedAt: -1 })
+      .populate('seller', 'name sellerName email');
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error fetching shipping rules:', error);
+    res.status(500).json({ success: false, message: 'Error fetching shipping rules', error: error.message });
+  }
+};
+
+// Seller: Own rule, or the marketplace default they currently ship under
+export const getMyRule = async (req, res) => {
+  try {
+    const own = await ShippingRule.findOne({ seller: req.user.userId });
+    res.json({
+      success: true,
+      data: own || await getDefaultShippingRule(),
+      usingDefault: !own
+    });
+  } catch (error) {
+    console.error('Error fetching seller shipping rule:', error);
+    res.status(500).json({ success: false, message: 'Error fetching shipping rule', error: error.message });
+  }
+};
+
+// Seller: Set own rates. A new rule needs at least one slab.
+export const updateMyRule = async (req, res) => {
+  try {
+    const { rule, error } = normalizeShippingRuleInput(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const existing = await ShippingRule.findOne({ seller: req.user.userId });
+    if (!existing && !(rule.slabs?.length > 0)) {
+      return res.status(400).json({ success: false, message: 'Add at least one weight slab' });
+    }
+
+    const saved = await ShippingRule.findOneAndUpdate(
+      { seller: req.user.userId },
+      { $set: { ...rule, updatedBy: req.user.userId } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, message: 'Shipping rule updated', data: saved });
+  } catch (error) {
+    console.error('Error updating seller shipping rule:', error);
+    res.status(500).json({ success: false, message: 'Error updating shipping rule', error: error.message });
+  }
+};
+
+// Seller: Drop own rates and ship under the marketplace default
+export const deleteMyRule = async (req, res) => {
+  try {
+    const removed = await ShippingRule.findOneAndDelete({ seller: req.user.userId });
+    if (!removed) return res.status(404).json({ success: false, message: 'No shipping rule to remove' });
+    res.json({ success: true, message: 'Shipping rule removed; the marketplace default now applies' });
+  } catch (error) {
+    console.error('Error deleting seller shipping rule:', error);
+    res.status(500).json({ success: false, message: 'Error deleting shipping rule', error: error.message });
+  }
+};
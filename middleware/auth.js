@@ -1,9 +1,23 @@
 import jwt from 'jsonwebtoken';
+import { jwtSecret } from '../utils/secrets.js';
+import { isSessionActive } from '../utils/sessions.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Decoded access token, or null. Tokens from before sessions existed carry no
+// `sid` and are refused, so those clients log in again.
+const verifyAccessToken = async (token) => {
+  const user = jwt.verify(token, jwtSecret());
+  if (!user?.sid || !(await isSessionActive(user.sid))) {
+    const err = new Error('Session has ended');
+    err.code = 'session_revoked';
+    throw err;
+  }
+  return user;
+};
 
-// Middleware to authenticate JWT token
-export const authenticateToken = (req, res, next) => {
+// Middleware to authenticate JWT token. An expired access token answers
+// 403 with code 'token_expired' (use POST /api/auth/refresh); a logged-out or
+// revoked session answers 401 with code 'session_revoked'.
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -11,13 +25,34 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (err) {
+    if (err.code === 'session_revoked') {
+      return res.status(401).json({ message: 'Session has ended, please log in again', code: 'session_revoked' });
     }
-    req.user = user;
-    next();
-  });
+    if (err instanceof jwt.JsonWebTokenError) {
+      const code = err instanceof jwt.TokenExpiredError ? 'token_expired' : 'invalid_token';
+      return res.status(403).json({ message: 'Invalid or expired token', code });
+    }
+    console.error('Error in authenticateToken:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+  next();
+};
+
+// Attach req.user when a valid token is sent, but never reject the request
+export const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (_) {
+    // carry on as a guest
+  }
+  next();
 };
 
 // Middleware for admin access
@@ -36,6 +71,14 @@ export const requireSeller = (req, res, next) => {
   next();
 };
 
+// Middleware for customer access
+export const requireCustomer = (req, res, next) => {
+  if (!req.user || req.user.role !== 'customer') {
+    return res.status(403).json({ message: 'Customer access required' });
+  }
+  next();
+};
+
 // Middleware to ensure seller is approved by admin before accessing seller features
 import Seller from '../models/Seller.js';
 export const requireApprovedSeller = async (req, res, next) => {
@@ -57,11 +100,23 @@ export const requireApprovedSeller = async (req, res, next) => {
   }
 };
 
+// Body fields never written to the log (passwords, refresh and reset tokens, one-time codes)
+const SECRET_BODY_FIELDS = /^(password|newPassword|currentPassword|oldPassword|confirmPassword|refreshToken|token|code|otp)$/i;
+
+export const redactBody = (value) => {
+  if (Array.isArray(value)) return value.map(redactBody);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key,
+    SECRET_BODY_FIELDS.test(key) ? '[redacted]' : redactBody(v)
+  ]));
+};
+
 // Request logging middleware
 export const requestLogger = (req, res, next) => {
   console.log('\n🌐🌐🌐 REQUEST RECEIVED 🌐🌐🌐');
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  console.log('Request body:', JSON.stringify(req.body, null, 2));
+  console.log('Request body:', JSON.stringify(redactBody(req.body), null, 2));
   console.log('🌐🌐🌐 END REQUEST LOG 🌐🌐🌐\n');
   next();
 };
\ No newline at end of file
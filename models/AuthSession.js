@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// One logged-in device. Holds a hash of the current refresh token, which is
+// replaced on every refresh (see utils/sessions.js). Access tokens carry the
+// session id, so revoking the session logs the device out at once.
+const authSessionSchema = new mongoose.Schema({
+  ownerType: { type: String, enum: ['user', 'seller'], required: true }, // User or Seller account
+  owner: { type: mongoose.Schema.Types.ObjectId, required: true },
+  refreshTokenHash: { type: String, required: true },
+  // The token this one replaced; seeing it again means a refresh token was copied
+  previousTokenHash: { type: String, default: null },
+  device: {
+    name: { type: String, default: null }, // e.g. "Asha's phone", sent by the app at login
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null }
+  },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null } // 'logout', 'logout-all', 'password-reset', 'seller-deleted', ...
+}, { timestamps: true, collection: 'authSessions' });
+
+authSessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+authSessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+authSessionSchema.index({ ownerType: 1, owner: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+export default AuthSession;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a checkout taken when the Razorpay order is created, so the
+// order can still be built from the webhook if the browser never calls verify
+const checkoutSessionSchema = new mongoose.Schema({
+  razorpayOrderId: { type: String, required: true, unique: true },
+  quote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote', default: null },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  fromCart: { type: Boolean, default: false },
+  amount: { type: Number, required: true }, // in rupees
+  subtotal: { type: Number },
+  discount: { type: Number, default: 0 },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    code: { type: String, default: null }
+  },
+  shipping: { type: Number, default: 0 },
+  shippingCharges: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  tax: { type: Number, default: 0 },
+  currency: { type: String, default: 'INR' },
+  locale: { type: String, default: 'en' },
+  customerInfo: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String },
+    city: { type: String },
+    pincode: { type: String }
+  },
+  // Saved address chosen by addressId, copied onto the order
+  shippingAddress: { type: mongoose.Schema.Types.Mixed, default: null },
+  items: [
+    {
+      productId: { type: String },
+      name: { type: String },
+      price: { type: Number },
+      quantity: { type: Number },
+      discountAmount: { type: Number, default: 0 },
+      size: { type: String, default: null },
+      color: { type: String, default: null },
+      image: { type: String, default: null }
+    }
+  ],
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed'],
+    default: 'created'
+  },
+  // Stock held for this checkout (see StockReservation)
+  reservationRef: { type: String, default: null },
+  reservationExpiresAt: { type: Date, default: null },
+  paymentId: { type: String, default: null },
+  orderId: { type: String, default: null }
+}, { timestamps: true, collection: 'checkoutSessions' });
+
+const CheckoutSession = mongoose.model('CheckoutSession', checkoutSessionSchema);
+export default CheckoutSession;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Cash on delivery rules (single document, key 'default'). Empty allow lists
+// mean every category / pincode; pincode entries may be full pincodes or prefixes.
+const codSettingsSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  enabled: { type: Boolean, default: true },
+  fee: { type: Number, min: 0, default: 0 }, // added to the order total
+  maxOrderValue: { type: Number, min: 0, default: 10000 }, // 0 = no limit
+  allowedCategories: [{
+    type: String,
+    enum: ['l-mart', 'localmarket', 'printing', 'oldee', 'news'],
+    lowercase: true
+  }],
+  blockedCategories: [{
+    type: String,
+    enum: ['l-mart', 'localmarket', 'printing', 'oldee', 'news'],
+    lowercase: true
+  }],
+  allowedPincodes: [{ type: String, trim: true }],
+  blockedPincodes: [{ type: String, trim: true }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true, collection: 'codSettings' });
+
+const CodSettings = mongoose.model('CodSettings', codSettingsSchema);
+export default CodSettings;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Admin-managed discount code. Scoped coupons only discount items in the listed
+// categories / from the listed sellers; the minimum cart value is checked
+// against those items. See utils/coupons.js.
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: '' },
+  type: { type: String, enum: ['percent', 'flat'], required: true },
+  value: { type: Number, required: true, min: 0 }, // percent (0-100) or rupees
+  maxDiscount: { type: Number, default: null }, // cap for percent coupons
+  minCartValue: { type: Number, default: 0 },
+  categories: [{
+    type: String,
+    enum: ['l-mart', 'localmarket', 'printing', 'oldee', 'news'],
+    lowercase: true
+  }],
+  sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }],
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: null }, // total redemptions, null = unlimited
+  perUserLimit: { type: Number, default: 1 }, // per customer (account or email), null = unlimited
+  usedCount: { type: Number, default: 0 },
+  firstOrderOnly: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true, collection: 'coupons' });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+export default Coupon;
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon by an order; counts towards the per-user limit
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+  orderId: { type: String, required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  customerEmail: { type: String, lowercase: true, trim: true, default: null },
+  discount: { type: Number, required: true }
+}, { timestamps: true, collection: 'couponRedemptions' });
+
+couponRedemptionSchema.index({ coupon: 1, customerId: 1 });
+couponRedemptionSchema.index({ coupon: 1, customerEmail: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+export default CouponRedemption;
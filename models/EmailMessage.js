@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = Number(process.env.EMAIL_OUTBOX_RETENTION_DAYS || 90);
+
+// Every outgoing email. Written by queueEmail() in utils/email.js and sent by
+// the 'email.deliver' job; the record doubles as the delivery log.
+const emailMessageSchema = new mongoose.Schema({
+  template: { type: String, required: true }, // e.g. 'order-confirmation'
+  to: { type: String, required: true, lowercase: true, trim: true },
+  from: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String, default: '' },
+  text: { type: String, default: '' }, // plain-text alternative
+  locale: { type: String, default: 'en' },
+  attachments: [{
+    _id: false,
+    filename: { type: String },
+    contentType: { type: String },
+    content: { type: Buffer }
+  }],
+  orderId: { type: String, default: null }, // business order id, for searching
+  // Carries a one-time link or code: the body is hidden from admins and
+  // cleared once the message is sent or given up on
+  sensitive: { type: Boolean, default: false },
+  redactedAt: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  transport: { type: String, enum: ['smtp', 'sendgrid', 'file', null], default: null },
+  providerMessageId: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  failedAt: { type: Date, default: null },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  // Set on copies made by an admin resend
+  resendOf: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailMessage', default: null }
+}, { timestamps: true, collection: 'emailOutbox' });
+
+emailMessageSchema.index({ status: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ template: 1, createdAt: -1 });
+emailMessageSchema.index({ orderId: 1 });
+// Sent messages are kept for EMAIL_OUTBOX_RETENTION_DAYS (default 90)
+emailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+export default EmailMessage;
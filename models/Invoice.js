@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// GST tax invoice for one seller's share of an order. Issued once and then
+// re-rendered from this snapshot, so numbers and figures never change.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, required: true }, // unique per seller and year, see the index below
+  sellerKey: { type: String, required: true }, // Seller id, or 'marketplace'
+  financialYear: { type: String, required: true }, // e.g. 2025-26
+  sequence: { type: Number, required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true },
+  subOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'SubOrder', required: true, unique: true },
+  issuedAt: { type: Date, default: Date.now },
+  supplier: {
+    name: { type: String },
+    gstin: { type: String },
+    address: { type: String },
+    state: { type: String },
+    stateCode: { type: String }
+  },
+  buyer: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String },
+    pincode: { type: String },
+    state: { type: String },
+    stateCode: { type: String }
+  },
+  interState: { type: Boolean, default: false },
+  lines: [
+    {
+      description: { type: String },
+      hsnCode: { type: String },
+      quantity: { type: Number },
+      unitPrice: { type: Number }, // GST inclusive
+      gstRate: { type: Number },
+      taxableValue: { type: Number },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      total: { type: Number }
+    }
+  ],
+  taxableTotal: { type: Number, default: 0 },
+  cgstTotal: { type: Number, default: 0 },
+  sgstTotal: { type: Number, default: 0 },
+  igstTotal: { type: Number, default: 0 },
+  grandTotal: { type: Number, default: 0 }
+}, { timestamps: true, collection: 'invoices' });
+
+invoiceSchema.index({ order: 1 });
+// Sequences are per seller, and two sellers may use the same prefix
+invoiceSchema.index({ sellerKey: 1, financialYear: 1, invoiceNumber: 1 }, { unique: true });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+export default Invoice;
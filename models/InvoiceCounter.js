@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// Next invoice sequence per seller per financial year
+const invoiceCounterSchema = new mongoose.Schema({
+  sellerKey: { type: String, required: true },
+  financialYear: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { timestamps: true, collection: 'invoiceCounters' });
+
+invoiceCounterSchema.index({ sellerKey: 1, financialYear: 1 }, { unique: true });
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+export default InvoiceCounter;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Background job run by the worker in utils/jobs.js. Failed jobs are retried
+// with backoff; after maxAttempts they are dead-lettered (status 'dead') until
+// an admin retries them.
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // e.g. 'email.order-confirmation'
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  runAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+  lastError: { type: String, default: null },
+  // Errors from earlier attempts, newest last
+  failures: [{
+    _id: false,
+    attempt: { type: Number },
+    message: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Enqueueing the same key twice returns the first job
+  dedupeKey: { type: String, default: undefined },
+  completedAt: { type: Date, default: null },
+  deadAt: { type: Date, default: null }
+}, { timestamps: true, collection: 'jobs' });
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+// Completed jobs are kept for a week
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+export default Job;
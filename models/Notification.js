@@ -1,5 +1,9 @@
+import { EventEmitter } from 'events';
 import mongoose from 'mongoose';
 
+// Emits 'created' with each newly saved notification (see utils/notificationStream.js)
+export const notificationEvents = new EventEmitter();
+
 const notificationSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -21,10 +25,16 @@ const notificationSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  // For 'all' notifications this is the admins' shared read state; each
+  // seller's is kept in readBy, so one seller reading it hides it for nobody else
   isRead: {
     type: Boolean,
     default: false
   },
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  }],
   recipientType: {
     type: String,
     enum: ['admin', 'seller', 'user', 'all'],
@@ -77,6 +87,15 @@ notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ type: 1, priority: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) notificationEvents.emit('created', doc);
+});
+
 // Virtual for formatted creation date
 notificationSchema.virtual('formattedDate').get(function() {
   return this.createdAt.toLocaleDateString('en-IN', {
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const channelsSchema = new mongoose.Schema({
+  inApp: { type: Boolean },
+  email: { type: Boolean },
+  sms: { type: Boolean }
+}, { _id: false });
+
+// Channel choices of one customer (ownerType 'user'), seller or admin, keyed by
+// notification type. Only choices the owner changed are stored; everything
+// else falls back to the defaults in utils/notificationPreferences.js.
+const notificationPreferenceSchema = new mongoose.Schema({
+  ownerType: { type: String, enum: ['user', 'seller', 'admin'], required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, required: true },
+  types: { type: Map, of: channelsSchema, default: {} },
+  // Summary email (see utils/digests.js); lastSentAt is where the next one starts
+  digest: {
+    frequency: { type: String, enum: ['off', 'daily', 'weekly'] },
+    lastSentAt: { type: Date, default: null }
+  }
+}, { timestamps: true, collection: 'notificationPreferences' });
+
+notificationPreferenceSchema.index({ ownerType: 1, owner: 1 }, { unique: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+export default NotificationPreference;
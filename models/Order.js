@@ -9,8 +9,60 @@ const orderSchema = new mongoose.Schema({
   customerAddress: { type: String, required: false },
   customerCity: { type: String, required: false },
   customerPincode: { type: String, required: false },
+  // Structured copy of the saved address used at checkout (flat fields above are kept in sync)
+  shippingAddress: {
+    addressId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    label: { type: String },
+    name: { type: String },
+    phone: { type: String },
+    line1: { type: String },
+    line2: { type: String },
+    landmark: { type: String },
+    city: { type: String },
+    district: { type: String },
+    state: { type: String },
+    pincode: { type: String }
+  },
   orderId: { type: String, required: true, unique: true },
-  paymentId: { type: String, required: true },
+  // Cash on delivery orders have no payment id until the cash is collected
+  paymentId: { type: String, required: function () { return this.paymentMethod !== 'cod'; } },
+  paymentMethod: { type: String, enum: ['razorpay', 'cod'], default: 'razorpay' },
+  razorpayOrderId: { type: String, required: false },
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'completed', 'collected', 'failed', 'partially_refunded', 'refunded'],
+    default: 'completed'
+  },
+  // COD: fee charged on top of the quote, and when the cash came in (pending -> collected)
+  codFee: { type: Number, default: 0 },
+  codCollectedAt: { type: Date, default: null },
+  codCollectedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  refundedAmount: { type: Number, default: 0 }, // includes refunds still pending at the gateway
+  refunds: [
+    {
+      refundId: { type: String, default: null }, // Razorpay refund id
+      type: { type: String, enum: ['full', 'partial', 'items'], required: true },
+      amount: { type: Number, required: true },
+      items: [
+        {
+          orderItemId: { type: mongoose.Schema.Types.ObjectId },
+          productId: { type: String },
+          name: { type: String },
+          quantity: { type: Number, default: 0 },
+          amount: { type: Number, default: 0 }
+        }
+      ],
+      reason: { type: String },
+      status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+      error: { type: String },
+      initiatedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+      role: { type: String, enum: ['admin', 'seller', 'customer', 'system'], default: 'system' },
+      commissionReversed: { type: Number, default: 0 },
+      restocked: { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now },
+      processedAt: { type: Date, default: null }
+    }
+  ],
   paymentDate: { type: Date, default: Date.now },
   items: [
     {
@@ -25,18 +77,61 @@ const orderSchema = new mongoose.Schema({
       // Commission metadata per item
       commissionPercent: { type: Number, required: false, default: 2 },
       commissionAmount: { type: Number, required: false, default: 0 },
-      sellerPayoutAmount: { type: Number, required: false, default: 0 }
+      sellerPayoutAmount: { type: Number, required: false, default: 0 },
+      // Coupon share of this line; commission and payout are on the discounted value
+      discountAmount: { type: Number, default: 0 },
+      // Refunded so far; commission and payout shrink by refundedAmount / line total
+      refundedQuantity: { type: Number, default: 0 },
+      refundedAmount: { type: Number, default: 0 }
     }
   ],
+  // Server-side pricing breakdown (total = subtotal - discount + shipping + tax)
+  quote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote', required: false },
+  subtotal: { type: Number, required: false },
+  discount: { type: Number, default: 0 },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    code: { type: String, default: null }
+  },
+  // Language for customer emails (see utils/emailTemplates.js)
+  locale: { type: String, default: 'en' },
+  shipping: { type: Number, default: 0 },
+  // Shipping per seller shipment; copied to SubOrder.shippingCharge
+  shippingCharges: [{
+    _id: false,
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null }, // null = marketplace
+    sellerName: { type: String, default: '' },
+    zone: { type: String, enum: ['local', 'regional', 'national'] },
+    weightKg: { type: Number, default: 0 },
+    charge: { type: Number, default: 0 }
+  }],
+  tax: { type: Number, default: 0 },
   total: { type: Number, required: true },
   status: {
     type: String,
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // One per seller; status above is derived from these once they exist
+  subOrders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SubOrder' }],
+  // Every status change, oldest first (see utils/orderStatus.js)
+  statusHistory: [
+    {
+      status: { type: String, required: true },
+      from: { type: String, default: null },
+      actor: { type: mongoose.Schema.Types.ObjectId, default: null }, // User, Seller or Admin id
+      role: { type: String, enum: ['admin', 'seller', 'customer', 'system'], default: 'system' },
+      note: { type: String },
+      changedAt: { type: Date, default: Date.now }
+    }
+  ],
   createdAt: { type: Date, default: Date.now }
 });
 
+// Webhook and verify may race for the same payment; these keep it to one order
+orderSchema.index({ paymentId: 1 });
+orderSchema.index({ razorpayOrderId: 1 }, { unique: true, sparse: true });
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
\ No newline at end of file
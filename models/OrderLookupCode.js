@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// One-time code emailed to a guest who wants to open their order. Only a hash
+// of the code is stored; see utils/orderAccess.js.
+const orderLookupCodeSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  usedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true, collection: 'orderLookupCodes' });
+
+orderLookupCodeSchema.index({ orderId: 1, email: 1, createdAt: -1 });
+// Expired codes are removed by MongoDB
+orderLookupCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OrderLookupCode = mongoose.model('OrderLookupCode', orderLookupCodeSchema);
+export default OrderLookupCode;
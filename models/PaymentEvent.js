@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Ledger of Razorpay webhook events - one document per delivered event
+const paymentEventSchema = new mongoose.Schema({
+  // Razorpay's X-Razorpay-Event-Id (or a hash of the payload when missing)
+  eventId: { type: String, required: true, unique: true },
+  event: { type: String, required: true },
+  paymentId: { type: String, default: null },
+  razorpayOrderId: { type: String, default: null },
+  refundId: { type: String, default: null },
+  amount: { type: Number, default: 0 }, // in rupees
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  error: { type: String, default: null },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  attempts: { type: Number, default: 0 },
+  processedAt: { type: Date, default: null }
+}, { timestamps: true, collection: 'paymentEvents' });
+
+paymentEventSchema.index({ paymentId: 1 });
+paymentEventSchema.index({ razorpayOrderId: 1 });
+paymentEventSchema.index({ event: 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+export default PaymentEvent;
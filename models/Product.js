@@ -112,6 +112,31 @@ const productSchema = new mongoose.Schema({
     default: []
   },
 
+  // GST: HSN code and rate (percent) used on invoices; null rate uses GST_DEFAULT_RATE
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits'],
+    default: null
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 0.25, 3, 5, 12, 18, 28, null],
+    default: null
+  },
+
+  // Shipping: weight in kg and packed size in cm (see utils/shipping.js)
+  weight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  dimensions: {
+    length: { type: Number, min: 0, default: null },
+    width: { type: Number, min: 0, default: null },
+    height: { type: Number, min: 0, default: null }
+  },
+
   // Audit fields
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Server-priced cart. Client prices are never trusted; checkout pays a quote.
+const quoteSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Priced from the customer's saved cart; the cart is emptied once paid
+  fromCart: { type: Boolean, default: false },
+  items: [
+    {
+      productId: { type: String, required: true },
+      name: { type: String, required: true },
+      unitPrice: { type: Number, required: true },
+      listPrice: { type: Number, required: true },
+      quantity: { type: Number, required: true },
+      lineTotal: { type: Number, required: true },
+      discountAmount: { type: Number, default: 0 }, // coupon share of this line
+      category: { type: String },
+      size: { type: String, default: null },
+      color: { type: String, default: null },
+      image: { type: String, default: null }
+    }
+  ],
+  subtotal: { type: Number, required: true },
+  // Coupon applied at checkout (total = subtotal - discount + shipping + tax)
+  discount: { type: Number, default: 0 },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    code: { type: String, default: null }
+  },
+  shipping: { type: Number, default: 0 },
+  // Charged per seller shipment once the delivery pincode is known (utils/shipping.js)
+  shippingPincode: { type: String, default: null },
+  shippingCharges: [{
+    _id: false,
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null }, // null = marketplace
+    sellerName: { type: String, default: '' },
+    zone: { type: String, enum: ['local', 'regional', 'national'] },
+    weightKg: { type: Number, default: 0 },
+    charge: { type: Number, default: 0 }
+  }],
+  tax: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+  currency: { type: String, default: 'INR' },
+  status: { type: String, enum: ['open', 'used'], default: 'open' },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true, collection: 'quotes' });
+
+// Keep expired quotes for a day so late payment verifications can still read them
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+export default Quote;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// A customer's request to return or replace delivered items. One request per
+// seller shipment, so each seller approves only their own items.
+const returnRequestSchema = new mongoose.Schema({
+  returnId: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true },
+  subOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'SubOrder', default: null },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+  sellerUser: { type: mongoose.Schema.Types.ObjectId, default: null },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  customerEmail: { type: String },
+  type: { type: String, enum: ['return', 'replacement'], default: 'return' },
+  items: [
+    {
+      orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      productId: { type: String },
+      name: { type: String },
+      price: { type: Number },
+      quantity: { type: Number, required: true, min: 1 }
+    }
+  ],
+  reason: { type: String, required: true },
+  photos: [{ type: String }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'cancelled', 'pickup_scheduled', 'picked_up', 'received', 'refunded', 'replaced'],
+    default: 'requested'
+  },
+  history: [
+    {
+      status: { type: String, required: true },
+      from: { type: String, default: null },
+      actor: { type: mongoose.Schema.Types.ObjectId, default: null },
+      role: { type: String, enum: ['admin', 'seller', 'customer', 'system'], default: 'system' },
+      note: { type: String },
+      changedAt: { type: Date, default: Date.now }
+    }
+  ],
+  pickup: {
+    scheduledFor: { type: Date, default: null },
+    courier: { type: String, default: null },
+    trackingNumber: { type: String, default: null }
+  },
+  refundAmount: { type: Number, default: 0 },
+  refundId: { type: String, default: null },
+  settling: { type: Boolean, default: false }, // refund or replacement in progress
+  error: { type: String, default: null } // last refund/replacement failure
+}, { timestamps: true, collection: 'returnRequests' });
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ seller: 1, createdAt: -1 });
+returnRequestSchema.index({ sellerUser: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+export default ReturnRequest;
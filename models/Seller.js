@@ -32,6 +32,17 @@ const sellerSchema = new mongoose.Schema({
       reviewedAt: { type: Date },
       reviewerNote: { type: String }
     },
+  // Tax details printed on GST invoices
+  gstin: { type: String, uppercase: true, trim: true, default: null },
+  legalName: { type: String, default: null },
+  businessAddress: {
+    line1: { type: String },
+    line2: { type: String },
+    city: { type: String },
+    state: { type: String },
+    pincode: { type: String }
+  },
+  invoicePrefix: { type: String, uppercase: true, trim: true, default: null },
   createdAt: { type: Date, default: Date.now }
 }, { collection: 'sellers' });
 
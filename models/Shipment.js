@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A parcel handed to a courier for one seller sub-order. Timeline events come
+// from the courier adapter (see utils/couriers.js) and are merged in by
+// utils/shipments.js; the latest event drives `status`.
+const shipmentSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true },
+  subOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'SubOrder', required: true },
+  subOrderId: { type: String, required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+  courier: { type: String, required: true }, // adapter name, e.g. 'mock' or 'manual'
+  courierName: { type: String, default: '' }, // display name
+  awb: { type: String, required: true }, // air waybill / tracking number
+  trackingUrl: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned', 'cancelled'],
+    default: 'booked'
+  },
+  estimatedDelivery: { type: Date, default: null },
+  events: [
+    {
+      status: { type: String, required: true },
+      description: { type: String, default: '' },
+      location: { type: String, default: '' },
+      occurredAt: { type: Date, required: true }
+    }
+  ],
+  bookedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  lastSyncedAt: { type: Date, default: null },
+  syncError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null }
+}, { timestamps: true, collection: 'shipments' });
+
+shipmentSchema.index({ courier: 1, awb: 1 }, { unique: true });
+shipmentSchema.index({ order: 1 });
+shipmentSchema.index({ subOrder: 1 });
+shipmentSchema.index({ status: 1, lastSyncedAt: 1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+export default Shipment;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const zoneRates = {
+  local: { type: Number, min: 0, required: true },
+  regional: { type: Number, min: 0, required: true },
+  national: { type: Number, min: 0, required: true }
+};
+
+// Shipping rates for one seller's shipments. The rule with seller: null is the
+// marketplace default, set by admins and used by sellers without their own.
+// Zones are relative to originPincode: same district is local, same state is
+// regional, anything else national. See utils/shipping.js.
+const shippingRuleSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+  originPincode: { type: String, trim: true, default: null },
+  // Charge for a shipment up to maxWeightKg (slabs sorted by weight)
+  slabs: [{
+    _id: false,
+    maxWeightKg: { type: Number, min: 0, required: true },
+    ...zoneRates
+  }],
+  // Added per kg (or part) above the heaviest slab
+  extraPerKg: {
+    local: { type: Number, min: 0, default: 0 },
+    regional: { type: Number, min: 0, default: 0 },
+    national: { type: Number, min: 0, default: 0 }
+  },
+  // Shipments worth at least this much ship free (0 = never)
+  freeShippingThreshold: { type: Number, min: 0, default: 0 },
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, default: null }
+}, { timestamps: true, collection: 'shippingRules' });
+
+shippingRuleSchema.index({ seller: 1 }, { unique: true });
+
+const ShippingRule = mongoose.model('ShippingRule', shippingRuleSchema);
+export default ShippingRule;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Stock held for a checkout between Razorpay order creation and payment.
+// The units are already taken out of Product.stockQuantity while active.
+const stockReservationSchema = new mongoose.Schema({
+  reference: { type: String, required: true }, // shared by all lines of one checkout
+  razorpayOrderId: { type: String, default: null },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released'],
+    default: 'active'
+  },
+  expiresAt: { type: Date, required: true },
+  convertedAt: { type: Date, default: null },
+  releasedAt: { type: Date, default: null },
+  // Units that could not be re-taken when payment arrived after the hold expired
+  shortfall: { type: Number, default: 0 }
+}, { timestamps: true, collection: 'stockReservations' });
+
+stockReservationSchema.index({ reference: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+export default StockReservation;
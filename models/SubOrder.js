@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// One seller's share of a customer order. Each sub-order is fulfilled and
+// shipped on its own; the parent Order status is derived from its sub-orders
+// (see utils/orderStatus.js).
+const subOrderSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true }, // parent's public order id
+  subOrderId: { type: String, required: true, unique: true }, // e.g. ORD123-1
+  // null seller means marketplace (admin-listed) products
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+  sellerUser: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.createdBy
+  sellerName: { type: String, default: '' },
+  items: [
+    {
+      orderItemId: { type: mongoose.Schema.Types.ObjectId }, // _id of the line on the parent order
+      productId: { type: String },
+      name: { type: String, required: true },
+      price: { type: Number, required: true },
+      quantity: { type: Number, required: true },
+      size: { type: String },
+      color: { type: String },
+      image: { type: String },
+      commissionPercent: { type: Number, default: 2 },
+      commissionAmount: { type: Number, default: 0 },
+      sellerPayoutAmount: { type: Number, default: 0 },
+      discountAmount: { type: Number, default: 0 },
+      refundedQuantity: { type: Number, default: 0 },
+      refundedAmount: { type: Number, default: 0 }
+    }
+  ],
+  // Payout figures for this seller
+  itemsTotal: { type: Number, default: 0 },
+  commissionTotal: { type: Number, default: 0 },
+  payoutTotal: { type: Number, default: 0 },
+  refundedAmount: { type: Number, default: 0 },
+  // This shipment's share of the order's shipping (null on orders placed before shipping rules)
+  shippingCharge: { type: Number, default: null },
+  // Copied from the order; COD payouts stay upcoming until the cash is collected
+  paymentMethod: { type: String, enum: ['razorpay', 'cod'], default: 'razorpay' },
+  codCollectedAt: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  statusHistory: [
+    {
+      status: { type: String, required: true },
+      from: { type: String, default: null },
+      actor: { type: mongoose.Schema.Types.ObjectId, default: null },
+      role: { type: String, enum: ['admin', 'seller', 'customer', 'system'], default: 'system' },
+      note: { type: String },
+      changedAt: { type: Date, default: Date.now }
+    }
+  ],
+  shipment: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null },
+  // Mirrors the shipment's courier details for list views
+  tracking: {
+    courier: { type: String, default: null },
+    trackingNumber: { type: String, default: null },
+    trackingUrl: { type: String, default: null },
+    shippedAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null }
+  }
+}, { timestamps: true, collection: 'subOrders' });
+
+subOrderSchema.index({ order: 1 });
+subOrderSchema.index({ seller: 1, createdAt: -1 });
+subOrderSchema.index({ sellerUser: 1, createdAt: -1 });
+
+const SubOrder = mongoose.model('SubOrder', subOrderSchema);
+export default SubOrder;
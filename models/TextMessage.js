@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = Number(process.env.MESSAGE_OUTBOX_RETENTION_DAYS || 90);
+
+// Every outgoing SMS / WhatsApp message. Written by queueMessage() in
+// utils/messaging.js and sent by the 'message.deliver' job.
+const textMessageSchema = new mongoose.Schema({
+  template: { type: String, required: true }, // e.g. 'order-placed'
+  to: { type: String, required: true, trim: true }, // E.164, e.g. +919876543210
+  channel: { type: String, enum: ['sms', 'whatsapp'], default: 'sms' },
+  body: { type: String, required: true },
+  locale: { type: String, default: 'en' },
+  orderId: { type: String, default: null }, // business order id, for searching
+  // Carries a one-time code: the body is cleared once sent or given up on
+  sensitive: { type: Boolean, default: false },
+  redactedAt: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  provider: { type: String, default: null },
+  providerMessageId: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  failedAt: { type: Date, default: null },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null }
+}, { timestamps: true, collection: 'messageOutbox' });
+
+textMessageSchema.index({ status: 1, createdAt: -1 });
+textMessageSchema.index({ to: 1, createdAt: -1 });
+textMessageSchema.index({ orderId: 1 });
+// Sent messages are kept for MESSAGE_OUTBOX_RETENTION_DAYS (default 90)
+textMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const TextMessage = mongoose.model('TextMessage', textMessageSchema);
+export default TextMessage;
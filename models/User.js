@@ -10,6 +10,39 @@ const userSchema = new mongoose.Schema({
   totalSpent: { type: Number, default: 0 },
   loginCount: { type: Number, default: 0 },
   lastLogin: { type: Date },
+  // Persistent shopping cart (priced on read, never stores prices)
+  cart: [
+    {
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      size: { type: String, default: null },
+      color: { type: String, default: null },
+      addedAt: { type: Date, default: Date.now }
+    }
+  ],
+  // Saved delivery addresses (see /api/account/addresses); at most one isDefault
+  addresses: [
+    {
+      label: { type: String, default: 'Home' }, // e.g. Home, Work
+      name: { type: String, required: true }, // recipient
+      phone: { type: String, required: true },
+      line1: { type: String, required: true },
+      line2: { type: String, default: '' },
+      landmark: { type: String, default: '' },
+      city: { type: String, required: true },
+      district: { type: String, default: '' },
+      state: { type: String, required: true },
+      pincode: { type: String, required: true },
+      isDefault: { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now },
+      updatedAt: { type: Date, default: Date.now }
+    }
+  ],
+  // Email ownership; guest orders placed with this email are linked once verified
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  emailVerificationToken: { type: String, default: null }, // sha256 of the emailed token
+  emailVerificationExpires: { type: Date, default: null },
   // Password reset fields
   resetPasswordToken: { type: String, default: null },
   resetPasswordExpires: { type: Date, default: null },
@@ -0,0 +1,28 @@
+import express from 'express';
+import { listAddresses, createAddress, updateAddress, setDefaultAddress, deleteAddress, getPincodeDetails } from '../controllers/accountController.js';
+import { authenticateToken, requireCustomer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/account/pincodes/:pincode - District and state for a pincode (public, for address forms)
+router.get('/pincodes/:pincode', getPincodeDetails);
+
+// Address book routes require a logged-in customer
+router.use('/addresses', authenticateToken, requireCustomer);
+
+// GET /api/account/addresses - List saved addresses (default first)
+router.get('/addresses', listAddresses);
+
+// POST /api/account/addresses - Add an address
+router.post('/addresses', createAddress);
+
+// PUT /api/account/addresses/:id - Update an address
+router.put('/addresses/:id', updateAddress);
+
+// PUT /api/account/addresses/:id/default - Make an address the default
+router.put('/addresses/:id/default', setDefaultAddress);
+
+// DELETE /api/account/addresses/:id - Delete an address
+router.delete('/addresses/:id', deleteAddress);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { listTemplates, previewTemplate } from '../controllers/emailTemplateController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/admin/email-templates - Templates and their locales
+router.get('/email-templates', listTemplates);
+
+// GET /api/admin/email-templates/:name/preview - Render against a sample order or seller
+router.get('/email-templates/:name/preview', previewTemplate);
+
+export default router;
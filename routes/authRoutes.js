@@ -1,5 +1,6 @@
 import express from 'express';
-import { register, login, registerSeller, forgotPassword, resetPassword, smtpStatus } from '../controllers/authController.js';
+import { register, login, registerSeller, refresh, logout, logoutAll, getSessions, deleteSession, forgotPassword, resetPassword, verifyEmail, resendEmailVerification, smtpStatus } from '../controllers/authController.js';
+import { authenticateToken, optionalAuth, requireCustomer } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -12,12 +13,33 @@ router.post('/register-seller', registerSeller);
 // POST /api/auth/login
 router.post('/login', login);
 
+// POST /api/auth/refresh - body { refreshToken }; returns a new access token and refresh token
+router.post('/refresh', refresh);
+
+// POST /api/auth/logout - End this device's session (access token and/or body { refreshToken })
+router.post('/logout', optionalAuth, logout);
+
+// POST /api/auth/logout-all - End every session of the logged-in account
+router.post('/logout-all', authenticateToken, logoutAll);
+
+// GET /api/auth/sessions - Devices the logged-in account is signed in on
+router.get('/sessions', authenticateToken, getSessions);
+
+// DELETE /api/auth/sessions/:id - Sign one device out
+router.delete('/sessions/:id', authenticateToken, deleteSession);
+
 // POST /api/auth/forgot-password
 router.post('/forgot-password', forgotPassword);
 
 // POST /api/auth/reset-password
 router.post('/reset-password', resetPassword);
 
+// POST /api/auth/verify-email - Confirm the emailed token and link past guest orders
+router.post('/verify-email', verifyEmail);
+
+// POST /api/auth/verify-email/resend - Send a new verification email (logged-in customer)
+router.post('/verify-email/resend', authenticateToken, requireCustomer, resendEmailVerification);
+
 // GET /api/auth/smtp-status (diagnostic)
 router.get('/smtp-status', smtpStatus);
 
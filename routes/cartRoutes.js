@@ -0,0 +1,28 @@
+import express from 'express';
+import { getCart, addToCart, updateCartItem, removeCartItem, clearCart, mergeCart } from '../controllers/cartController.js';
+import { authenticateToken, requireCustomer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All cart routes require a logged-in customer
+router.use(authenticateToken, requireCustomer);
+
+// GET /api/cart - Get cart with current prices
+router.get('/', getCart);
+
+// POST /api/cart/items - Add item (quantities add up for the same product/size/colour)
+router.post('/items', addToCart);
+
+// POST /api/cart/merge - Merge guest cart after login
+router.post('/merge', mergeCart);
+
+// PUT /api/cart/items/:itemId - Update item quantity
+router.put('/items/:itemId', updateCartItem);
+
+// DELETE /api/cart/items/:itemId - Remove item
+router.delete('/items/:itemId', removeCartItem);
+
+// DELETE /api/cart - Clear cart
+router.delete('/', clearCart);
+
+export default router;
@@ -1,7 +1,12 @@
 import express from 'express';
-import { getDashboardStats, getCustomers, getDashboardOrders, updateOrderStatus, getSellers, getSellerDetails, updateSellerByAdmin, getAdminEarnings, getCategoryCommissions, setCategoryCommission, deleteAllOrders, deleteSeller } from '../controllers/dashboardController.js';
+import { getDashboardStats, getCustomers, getDashboardOrders, updateOrderStatus, createOrderRefund, getSellers, getSellerDetails, updateSellerByAdmin, getAdminEarnings, getCategoryCommissions, setCategoryCommission, getCodSettingsForAdmin, updateCodSettings, markCodCollected, deleteAllOrders, deleteSeller } from '../controllers/dashboardController.js';
+import { listCoupons, createCoupon, updateCoupon, deleteCoupon, listCouponRedemptions } from '../controllers/couponController.js';
+import { listAdminReturns, updateAdminReturn } from '../controllers/returnController.js';
+import { listJobs, getJobStats, getJob, retryJobById } from '../controllers/jobController.js';
+import { listOutboxEmails, getOutboxEmail, resendOutboxEmailById } from '../controllers/emailOutboxController.js';
 import Seller from '../models/Seller.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { revokeAllSessions } from '../utils/sessions.js';
 
 const router = express.Router();
 
@@ -23,6 +28,18 @@ router.delete('/orders/all', deleteAllOrders);
 // PUT /api/dashboard/orders/:id/status - Update order status
 router.put('/orders/:id/status', updateOrderStatus);
 
+// POST /api/dashboard/orders/:id/refunds - Refund an order (full, partial amount, or items)
+router.post('/orders/:id/refunds', createOrderRefund);
+
+// PUT /api/dashboard/orders/:id/cod-collected - Record cash collected for a COD order
+router.put('/orders/:id/cod-collected', markCodCollected);
+
+// GET /api/dashboard/returns - List return and replacement requests
+router.get('/returns', listAdminReturns);
+
+// PUT /api/dashboard/returns/:id - Approve, reject or progress a return
+router.put('/returns/:id', updateAdminReturn);
+
 // GET /api/dashboard/sellers - Get all sellers
 router.get('/sellers', getSellers);
 
@@ -41,6 +58,42 @@ router.get('/commissions', getCategoryCommissions);
 // PUT /api/dashboard/commissions/:category - set commission for category
 router.put('/commissions/:category', setCategoryCommission);
 
+// Cash on delivery
+// GET /api/dashboard/cod-settings - fee, order limit, category and pincode rules
+router.get('/cod-settings', getCodSettingsForAdmin);
+// PUT /api/dashboard/cod-settings - update COD rules
+router.put('/cod-settings', updateCodSettings);
+
+// Coupons
+// GET /api/dashboard/coupons - list coupons (?active, ?search)
+router.get('/coupons', listCoupons);
+// POST /api/dashboard/coupons - create a coupon
+router.post('/coupons', createCoupon);
+// PUT /api/dashboard/coupons/:id - update a coupon
+router.put('/coupons/:id', updateCoupon);
+// DELETE /api/dashboard/coupons/:id - deactivate a coupon
+router.delete('/coupons/:id', deleteCoupon);
+// GET /api/dashboard/coupons/:id/redemptions - orders that used a coupon
+router.get('/coupons/:id/redemptions', listCouponRedemptions);
+
+// Background jobs
+// GET /api/dashboard/jobs - list jobs (?status=queued|running|completed|dead, ?type)
+router.get('/jobs', listJobs);
+// GET /api/dashboard/jobs/stats - counts by status and type
+router.get('/jobs/stats', getJobStats);
+// GET /api/dashboard/jobs/:id - job details with recent failures
+router.get('/jobs/:id', getJob);
+// POST /api/dashboard/jobs/:id/retry - requeue a dead job
+router.post('/jobs/:id/retry', retryJobById);
+
+// Email outbox
+// GET /api/dashboard/emails - search sent and pending emails (?status, ?to, ?template, ?orderId, ?search, ?since, ?until)
+router.get('/emails', listOutboxEmails);
+// GET /api/dashboard/emails/:id - one email with its body
+router.get('/emails/:id', getOutboxEmail);
+// POST /api/dashboard/emails/:id/resend - send an email again
+router.post('/emails/:id/resend', resendOutboxEmailById);
+
 // Admin: Review seller verification - approve/reject
 router.put('/sellers/:id/verification', async (req, res) => {
   try {
@@ -61,6 +114,10 @@ router.put('/sellers/:id/verification', async (req, res) => {
       reviewerNote: note || ''
     };
     await seller.save();
+    // Rejection takes effect at once, not when the access token runs out
+    if (seller.verificationStatus === 'rejected') {
+      await revokeAllSessions('seller', seller._id, 'seller-rejected');
+    }
     res.json({ success: true, message: `Seller verification ${seller.verificationStatus}.`, data: seller });
   } catch (error) {
     console.error('Error updating seller verification:', error);
@@ -1,11 +1,92 @@
 import express from 'express';
 import Notification from '../models/Notification.js';
-import { authenticateToken } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { authenticateToken, requireAdmin, requireCustomer } from '../middleware/auth.js';
+import { broadcastToSellers, resolveBroadcastAudience } from '../utils/notificationBroadcast.js';
+import {
+  digestFrequencyError,
+  getDigestPreference,
+  getNotificationPreferences,
+  updateDigestFrequency,
+  updateNotificationPreferences
+} from '../utils/notificationPreferences.js';
+import {
+  notificationView,
+  openNotificationStream,
+  pushUnreadCounts,
+  pushUnreadCountsFor,
+  streamAudience,
+  unreadFilter
+} from '../utils/notificationStream.js';
 
 const router = express.Router();
 
+// Account roles that have notification preferences, and the owner type they are stored under
+const PREFERENCE_OWNERS = { customer: 'user', seller: 'seller', admin: 'admin' };
+
+// Who may see (and mark read) a notification: admins see admin and 'all'
+// notifications, sellers their own and 'all', customers their own. A seller
+// marking an 'all' notification read only marks it for themselves (readBy).
+const canSeeNotification = (notification, user) => {
+  switch (notification.recipientType) {
+    case 'admin': return user.role === 'admin';
+    case 'all': return user.role === 'admin' || user.role === 'seller';
+    case 'seller': return user.role === 'seller' && String(notification.recipientId) === String(user.userId);
+    case 'user': return user.role === 'customer' && String(notification.recipientId) === String(user.userId);
+    default: return false;
+  }
+};
+
+// 'all' notifications are shared, so only admins may delete them
+const canDeleteNotification = (notification, user) =>
+  canSeeNotification(notification, user) && (notification.recipientType !== 'all' || user.role === 'admin');
+
+// Seller and customer notifications are addressed to one account
+const isPersonal = (notification) => ['seller', 'user'].includes(notification.recipientType);
+
+// The notification behind :id if the user may act on it, else null (a
+// notification someone else owns looks the same as a missing one)
+const findAccessibleNotification = async (req, check = canSeeNotification) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const notification = await Notification.findById(req.params.id).select('recipientType recipientId');
+  return notification && check(notification, req.user) ? notification : null;
+};
+
+// EventSource cannot send headers, so the stream also takes ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// GET /api/notifications/stream - Server-sent events for the admin, seller or customer:
+// `notification` for each new notification, `unread-count` when the count changes
+router.get('/stream', tokenFromQuery, authenticateToken, async (req, res) => {
+  try {
+    const audience = streamAudience(req.user);
+    if (!audience) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin, seller or customer access required'
+      });
+    }
+    await openNotificationStream(req, res, audience);
+  } catch (error) {
+    console.error('Error opening notification stream:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open notification stream',
+        error: error.message
+      });
+    }
+    res.end();
+  }
+});
+
 // Get all notifications for admin
-router.get('/admin', authenticateToken, async (req, res) => {
+router.get('/admin', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -29,6 +110,7 @@ router.get('/admin', authenticateToken, async (req, res) => {
     }
 
     const notifications = await Notification.find(filter)
+      .select('-readBy')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -75,7 +157,7 @@ router.get('/admin', authenticateToken, async (req, res) => {
 });
 
 // Get unread count for admin
-router.get('/admin/unread-count', authenticateToken, async (req, res) => {
+router.get('/admin/unread-count', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const unreadCount = await Notification.countDocuments({
       $or: [
@@ -117,42 +199,40 @@ router.get('/seller', authenticateToken, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
     
+    const audience = streamAudience(req.user);
+    const typeFilter = req.query.type ? { type: req.query.type } : {};
     const filter = {
       $or: [
         { recipientType: 'seller', recipientId: req.user.userId },
         { recipientType: 'all' }
-      ]
+      ],
+      ...typeFilter
     };
     
     console.log('🔍 Notification filter:', JSON.stringify(filter, null, 2));
 
-    // Add type filter if specified
-    if (req.query.type) {
-      filter.type = req.query.type;
-    }
-
-    // Add read status filter if specified
+    // Add read status filter if specified ('all' notifications by this seller's readBy)
+    const listFilter = { ...filter };
     if (req.query.isRead !== undefined) {
-      filter.isRead = req.query.isRead === 'true';
+      const unread = unreadFilter(audience);
+      if (req.query.isRead === 'true') listFilter.$nor = [unread];
+      else listFilter.$and = [unread];
     }
 
-    const notifications = await Notification.find(filter)
+    const notifications = await Notification.find(listFilter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate('createdBy', 'name email')
       .lean();
 
-    const total = await Notification.countDocuments(filter);
-    const unreadCount = await Notification.countDocuments({
-      ...filter,
-      isRead: false
-    });
+    const total = await Notification.countDocuments(listFilter);
+    const unreadCount = await Notification.countDocuments({ ...unreadFilter(audience), ...typeFilter });
 
     res.json({
       success: true,
       data: {
-        notifications,
+        notifications: notifications.map(n => notificationView(n, audience)),
         pagination: {
           current: page,
           total: Math.ceil(total / limit),
@@ -183,13 +263,7 @@ router.get('/seller/unread-count', authenticateToken, async (req, res) => {
       });
     }
 
-    const unreadCount = await Notification.countDocuments({
-      $or: [
-        { recipientType: 'seller', recipientId: req.user.userId },
-        { recipientType: 'all' }
-      ],
-      isRead: false
-    });
+    const unreadCount = await Notification.countDocuments(unreadFilter(streamAudience(req.user)));
 
     res.json({
       success: true,
@@ -216,21 +290,22 @@ router.patch('/seller/mark-all-read', authenticateToken, async (req, res) => {
       });
     }
 
-    const result = await Notification.updateMany(
-      {
-        $or: [
-          { recipientType: 'seller', recipientId: req.user.userId },
-          { recipientType: 'all' }
-        ],
-        isRead: false
-      },
+    const own = await Notification.updateMany(
+      { recipientType: 'seller', recipientId: req.user.userId, isRead: false },
       { isRead: true }
     );
+    // Shared notifications are marked read for this seller only
+    const shared = await Notification.updateMany(
+      { recipientType: 'all', readBy: { $ne: req.user.userId } },
+      { $addToSet: { readBy: req.user.userId } }
+    );
+    const modifiedCount = own.modifiedCount + shared.modifiedCount;
+    if (modifiedCount) pushUnreadCounts([streamAudience(req.user)]);
 
     res.json({
       success: true,
-      message: `${result.modifiedCount} notifications marked as read`,
-      data: { modifiedCount: result.modifiedCount }
+      message: `${modifiedCount} notifications marked as read`,
+      data: { modifiedCount }
     });
   } catch (error) {
     console.error('Error marking all seller notifications as read:', error);
@@ -253,11 +328,10 @@ router.delete('/seller/clear-read', authenticateToken, async (req, res) => {
       });
     }
 
+    // Shared 'all' notifications stay; only admins can clear those
     const result = await Notification.deleteMany({
-      $or: [
-        { recipientType: 'seller', recipientId: req.user.userId },
-        { recipientType: 'all' }
-      ],
+      recipientType: 'seller',
+      recipientId: req.user.userId,
       isRead: true
     });
 
@@ -276,9 +350,250 @@ router.delete('/seller/clear-read', authenticateToken, async (req, res) => {
   }
 });
 
-// Create new notification
+// Customer notifications: only the ones addressed to the customer's own account
+const customerFilter = (req) => ({ recipientType: 'user', recipientId: req.user.userId });
+
+// GET /api/notifications/me - Customer's notifications (?type, ?isRead, paginated)
+router.get('/me', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = customerFilter(req);
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.isRead !== undefined) filter.isRead = req.query.isRead === 'true';
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ ...customerFilter(req), isRead: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: notifications.length,
+          totalCount: total
+        },
+        unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching customer notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/notifications/me/unread-count
+router.get('/me/unread-count', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ ...customerFilter(req), isRead: false });
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Error fetching customer unread count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/notifications/me/preferences - Channels per notification type, and the digest
+// frequency for sellers and admins
+router.get('/me/preferences', authenticateToken, async (req, res) => {
+  try {
+    const ownerType = PREFERENCE_OWNERS[req.user.role];
+    if (!ownerType) {
+      return res.status(403).json({
+        success: false,
+        message: 'Notification preferences are not available for this account'
+      });
+    }
+    const [types, digest] = await Promise.all([
+      getNotificationPreferences(ownerType, req.user.userId),
+      getDigestPreference(ownerType, req.user.userId)
+    ]);
+    res.json({ success: true, data: { types, digest } });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/notifications/me/preferences - body { types: { 'order-status': { email: false } } }
+// and/or { digest: 'daily' | 'weekly' | 'off' } (sellers and admins)
+router.put('/me/preferences', authenticateToken, async (req, res) => {
+  try {
+    const ownerType = PREFERENCE_OWNERS[req.user.role];
+    if (!ownerType) {
+      return res.status(403).json({
+        success: false,
+        message: 'Notification preferences are not available for this account'
+      });
+    }
+    const { types, digest } = req.body || {};
+    if (types === undefined && digest === undefined) {
+      return res.status(400).json({ success: false, message: 'Provide types and/or digest' });
+    }
+    // Check the digest first so a bad value does not leave the types half-saved
+    const invalidDigest = digest !== undefined && digestFrequencyError(ownerType, digest);
+    if (invalidDigest) {
+      return res.status(invalidDigest.statusCode).json({ success: false, message: invalidDigest.error });
+    }
+    if (types !== undefined) {
+      const result = await updateNotificationPreferences(ownerType, req.user.userId, types);
+      if (result.error) {
+        return res.status(result.statusCode).json({ success: false, message: result.error });
+      }
+    }
+    if (digest !== undefined) {
+      const result = await updateDigestFrequency(ownerType, req.user.userId, digest);
+      if (result.error) {
+        return res.status(result.statusCode).json({ success: false, message: result.error });
+      }
+    }
+    const [updatedTypes, updatedDigest] = await Promise.all([
+      getNotificationPreferences(ownerType, req.user.userId),
+      getDigestPreference(ownerType, req.user.userId)
+    ]);
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { types: updatedTypes, digest: updatedDigest }
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/notifications/me/mark-all-read
+router.patch('/me/mark-all-read', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ ...customerFilter(req), isRead: false }, { isRead: true });
+    if (result.modifiedCount) pushUnreadCounts();
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notifications marked as read`,
+      data: { modifiedCount: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error marking all customer notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark all notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/notifications/me/:id/read
+router.patch('/me/:id/read', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.markAsRead(req.params.id, req.user.userId)
+      : null;
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+    pushUnreadCountsFor(notification);
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error marking customer notification as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/notifications/me/clear-read
+router.delete('/me/clear-read', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await Notification.deleteMany({ ...customerFilter(req), isRead: true });
+    res.json({
+      success: true,
+      message: `${result.deletedCount} read notifications cleared`,
+      data: { deletedCount: result.deletedCount }
+    });
+  } catch (error) {
+    console.error('Error clearing customer read notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear read notifications',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/notifications/me/:id
+router.delete('/me/:id', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOneAndDelete({ _id: req.params.id, ...customerFilter(req) })
+      : null;
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+    pushUnreadCountsFor(notification);
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting customer notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/notifications - Create a notification. Admins can address anyone
+// (recipientId is required for 'seller' and 'user'); sellers can only notify admins.
 router.post('/', authenticateToken, async (req, res) => {
   try {
+    if (!['admin', 'seller'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and sellers can create notifications'
+      });
+    }
+
     const {
       title,
       message,
@@ -292,19 +607,40 @@ router.post('/', authenticateToken, async (req, res) => {
       expiresAt
     } = req.body;
 
+    if (!title || !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'title and message are required'
+      });
+    }
+    if (req.user.role === 'seller' && recipientType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Sellers can only send notifications to admins'
+      });
+    }
+    const personal = ['seller', 'user'].includes(recipientType);
+    if (personal && !mongoose.Types.ObjectId.isValid(recipientId)) {
+      return res.status(400).json({
+        success: false,
+        message: `A valid recipientId is required for ${recipientType} notifications`
+      });
+    }
+
     const notification = new Notification({
       title,
       message,
       type,
       priority,
       recipientType,
-      recipientId,
+      recipientId: personal ? recipientId : undefined,
+      recipientModel: personal ? (recipientType === 'seller' ? 'Seller' : 'User') : undefined,
       relatedEntity,
       actionUrl,
       metadata,
       expiresAt,
-      createdBy: req.user.id,
-      createdByModel: req.user.role === 'admin' ? 'Admin' : 'User'
+      createdBy: req.user.userId,
+      createdByModel: req.user.role === 'seller' ? 'Seller' : 'User'
     });
 
     await notification.save();
@@ -315,6 +651,12 @@ router.post('/', authenticateToken, async (req, res) => {
       data: notification
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error creating notification:', error);
     res.status(500).json({
       success: false,
@@ -324,14 +666,78 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Mark notification as read
+// POST /api/notifications/broadcast - Admin: notify all sellers, the sellers of
+// a category or a list of sellers. body { title, message, type, priority,
+// actionUrl, expiresAt, audience: { type, category, sellerIds } }
+router.post('/broadcast', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { title, message, type = 'info', priority = 'medium', actionUrl, expiresAt, audience } = req.body;
+    if (!title || !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'title and message are required'
+      });
+    }
+
+    const resolved = await resolveBroadcastAudience(audience);
+    if (resolved.error) {
+      return res.status(resolved.statusCode).json({ success: false, message: resolved.error });
+    }
+    if (resolved.sellerIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No sellers match this audience'
+      });
+    }
+
+    const result = await broadcastToSellers(resolved.sellerIds, {
+      title,
+      message,
+      type,
+      priority,
+      actionUrl,
+      expiresAt,
+      audience: { type: audience.type, category: audience.category, sellerIds: audience.sellerIds },
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Notification sent to ${result.recipients} seller(s)`,
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error broadcasting notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to broadcast notification',
+      error: error.message
+    });
+  }
+});
+
+// Mark notification as read (only one the user can see)
 router.patch('/:id/read', authenticateToken, async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
-      { isRead: true },
-      { new: true }
-    );
+    const existing = await findAccessibleNotification(req);
+    let notification = null;
+    if (existing?.recipientType === 'all' && req.user.role === 'seller') {
+      // Shared with every seller and admin, so only this seller's read state changes
+      notification = await Notification.findByIdAndUpdate(
+        existing._id,
+        { $addToSet: { readBy: req.user.userId } },
+        { new: true }
+      );
+    } else if (existing) {
+      // Admin and 'all' notifications have no recipientId
+      notification = await Notification.markAsRead(existing._id, isPersonal(existing) ? req.user.userId : null);
+    }
 
     if (!notification) {
       return res.status(404).json({
@@ -339,11 +745,12 @@ router.patch('/:id/read', authenticateToken, async (req, res) => {
         message: 'Notification not found'
       });
     }
+    pushUnreadCountsFor(notification);
 
     res.json({
       success: true,
       message: 'Notification marked as read',
-      data: notification
+      data: notificationView(notification, streamAudience(req.user))
     });
   } catch (error) {
     console.error('Error marking notification as read:', error);
@@ -356,7 +763,7 @@ router.patch('/:id/read', authenticateToken, async (req, res) => {
 });
 
 // Mark all notifications as read for admin
-router.patch('/admin/mark-all-read', authenticateToken, async (req, res) => {
+router.patch('/admin/mark-all-read', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const result = await Notification.updateMany(
       {
@@ -368,6 +775,7 @@ router.patch('/admin/mark-all-read', authenticateToken, async (req, res) => {
       },
       { isRead: true }
     );
+    if (result.modifiedCount) pushUnreadCounts();
 
     res.json({
       success: true,
@@ -384,10 +792,17 @@ router.patch('/admin/mark-all-read', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete notification
+// Delete notification (only one the user owns; 'all' ones by admins)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndDelete(req.params.id);
+    const existing = await findAccessibleNotification(req, canDeleteNotification);
+    const notification = existing
+      ? await Notification.findOneAndDelete({
+        _id: existing._id,
+        recipientType: existing.recipientType,
+        recipientId: isPersonal(existing) ? req.user.userId : null
+      })
+      : null;
 
     if (!notification) {
       return res.status(404).json({
@@ -395,6 +810,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         message: 'Notification not found'
       });
     }
+    pushUnreadCountsFor(notification);
 
     res.json({
       success: true,
@@ -411,7 +827,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete all read notifications for admin
-router.delete('/admin/clear-read', authenticateToken, async (req, res) => {
+router.delete('/admin/clear-read', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const result = await Notification.deleteMany({
       $or: [
@@ -1,14 +1,26 @@
 import express from 'express';
-import { createOrder, getAllOrders, getOrderById, getOrderByPaymentId, updateOrderStatus, cancelOrderByCustomer, getMyOrders } from '../controllers/orderController.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { createOrder, getAllOrders, getOrderById, getOrderByPaymentId, updateOrderStatus, cancelOrderByCustomer, getMyOrders, getOrderInvoicePdf, getOrderTracking, requestOrderLookup, verifyOrderLookup } from '../controllers/orderController.js';
+import { createReturn, getOrderReturns, cancelReturn } from '../controllers/returnController.js';
+import { authenticateToken, requireAdmin, optionalAuth } from '../middleware/auth.js';
+import multer from 'multer';
 
 const router = express.Router();
 
-// POST /api/orders - Create new order (public)
-router.post('/', createOrder);
+// Return photos are kept in memory and streamed to Cloudinary
+const returnPhotoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) cb(null, true);
+    else cb(new Error('Only image files are allowed'));
+  }
+});
+
+// POST /api/orders - Create new order (public; a logged-in customer may send a saved addressId)
+router.post('/', optionalAuth, createOrder);
 
-// GET /api/orders - Get all orders (public for now, can be restricted later)
-router.get('/', getAllOrders);
+// GET /api/orders - Get all orders (admin only)
+router.get('/', authenticateToken, requireAdmin, getAllOrders);
 
 // GET /api/orders/my - Get orders for authenticated customer
 router.get('/my', authenticateToken, getMyOrders);
@@ -21,14 +33,23 @@ router.get('/test', (req, res) => {
 
 
 
-// GET /api/orders/payment/:paymentId - Get order by payment ID (public for tracking)
-router.get('/payment/:paymentId', (req, res, next) => {
-  console.log('Route matched: /payment/:paymentId with paymentId:', req.params.paymentId);
-  next();
-}, getOrderByPaymentId);
+// GET /api/orders/payment/:paymentId - Get order by payment ID (owner, admin, or X-Order-Token)
+router.get('/payment/:paymentId', optionalAuth, getOrderByPaymentId);
+
+// GET /api/orders/:orderId/invoice.pdf - GST invoice (owner, admin or seller)
+router.get('/:orderId/invoice.pdf', authenticateToken, getOrderInvoicePdf);
+
+// GET /api/orders/:orderId/tracking - Courier, AWB, ETA and timeline per shipment (public for tracking)
+router.get('/:orderId/tracking', getOrderTracking);
+
+// POST /api/orders/lookup/request - Email a one-time code to a guest (orderId + email)
+router.post('/lookup/request', requestOrderLookup);
 
-// GET /api/orders/:orderId - Get order by ID (public for tracking) - MUST be last
-router.get('/:orderId', getOrderById);
+// POST /api/orders/lookup/verify - Exchange the code for a token scoped to that order
+router.post('/lookup/verify', verifyOrderLookup);
+
+// GET /api/orders/:orderId - Get order by ID (owner, admin, or X-Order-Token from the guest lookup) - MUST be last
+router.get('/:orderId', optionalAuth, getOrderById);
 
 // PUT /api/orders/:id/status - Update order status (admin only)
 router.put('/:id/status', authenticateToken, requireAdmin, updateOrderStatus);
@@ -36,4 +57,13 @@ router.put('/:id/status', authenticateToken, requireAdmin, updateOrderStatus);
 // PUT /api/orders/:id/cancel - Cancel order by customer (authenticated user)
 router.put('/:id/cancel', authenticateToken, cancelOrderByCustomer);
 
+// POST /api/orders/:id/returns - Request a return or replacement (multipart, up to 5 `photos`)
+router.post('/:id/returns', authenticateToken, returnPhotoUpload.array('photos', 5), createReturn);
+
+// GET /api/orders/:id/returns - Returns for an order (owner or admin)
+router.get('/:id/returns', authenticateToken, getOrderReturns);
+
+// PUT /api/orders/:id/returns/:returnId/cancel - Withdraw a return before pickup
+router.put('/:id/returns/:returnId/cancel', authenticateToken, cancelReturn);
+
 export default router;
\ No newline at end of file
@@ -1,16 +1,43 @@
 import express from 'express';
 import {
+  createCheckoutQuote,
   createPaymentOrder,
+  validateCoupon,
+  getCodEligibility,
+  createCodOrder,
   verifyPayment,
-  getPaymentStatus
+  getPaymentStatus,
+  handleRazorpayWebhook
 } from '../controllers/paymentController.js';
+import { optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// @route   POST /api/payment/quote
+// @desc    Price cart server-side and return a signed quote id
+//          (logged-in customers without items get their saved cart quoted)
+// @access  Public
+router.post('/quote', optionalAuth, createCheckoutQuote);
+
 // @route   POST /api/payment/create-order
 // @desc    Create Razorpay payment order
 // @access  Public
-router.post('/create-order', createPaymentOrder);
+router.post('/create-order', optionalAuth, createPaymentOrder);
+
+// @route   POST /api/payment/coupon/validate
+// @desc    Preview a coupon on a quote or cart (discount and totals; nothing saved)
+// @access  Public
+router.post('/coupon/validate', optionalAuth, validateCoupon);
+
+// @route   POST /api/payment/cod/eligibility
+// @desc    Check cash on delivery for a cart and pincode (returns fee and total)
+// @access  Public
+router.post('/cod/eligibility', optionalAuth, getCodEligibility);
+
+// @route   POST /api/payment/cod/create-order
+// @desc    Place a cash on delivery order (no Razorpay payment)
+// @access  Public
+router.post('/cod/create-order', optionalAuth, createCodOrder);
 
 // @route   POST /api/payment/verify
 // @desc    Verify Razorpay payment and create order
@@ -22,4 +49,9 @@ router.post('/verify', verifyPayment);
 // @access  Public
 router.get('/status/:paymentId', getPaymentStatus);
 
+// @route   POST /api/payment/webhook
+// @desc    Razorpay webhook (signed with RAZORPAY_WEBHOOK_SECRET)
+// @access  Public
+router.post('/webhook', handleRazorpayWebhook);
+
 export default router;
\ No newline at end of file
@@ -4,6 +4,8 @@ import Order from '../models/Order.js';
 import Seller from '../models/Seller.js';
 import User from '../models/User.js';
 import { normalizeCategory } from '../utils/category.js';
+import { parseProductShippingFields } from '../utils/shipping.js';
+import { notifyPriceDrop } from '../utils/customerNotifications.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
@@ -262,6 +264,9 @@ router.post('/', authenticateToken, requireAdmin, upload.fields([{ name: 'image'
       sizeVarients: parseList(req.body.sizeVarients),
       inStock: req.body.inStock !== undefined ? req.body.inStock === 'true' : true,
       stockQuantity: req.body.stockQuantity ? parseInt(req.body.stockQuantity) : 0,
+      hsnCode: req.body.hsnCode ? String(req.body.hsnCode).trim() : null,
+      gstRate: req.body.gstRate !== undefined && req.body.gstRate !== '' ? parseFloat(req.body.gstRate) : null,
+      ...parseProductShippingFields(req.body),
       createdBy: req.user.userId
     };
 
@@ -342,6 +347,13 @@ router.put('/update/:id', authenticateToken, requireAdmin, upload.fields([{ name
     if (req.body.offerPrice !== undefined) {
       updateData.offerPrice = req.body.offerPrice !== '' ? parseFloat(req.body.offerPrice) : null;
     }
+    if (req.body.gstRate !== undefined) {
+      updateData.gstRate = req.body.gstRate !== '' ? parseFloat(req.body.gstRate) : null;
+    }
+    if (req.body.hsnCode !== undefined) {
+      updateData.hsnCode = req.body.hsnCode ? String(req.body.hsnCode).trim() : null;
+    }
+    Object.assign(updateData, parseProductShippingFields(req.body));
     // Parse colors list for update (if provided)
     const parseListUpdate = (raw) => {
       if (!raw) return [];
@@ -483,6 +495,7 @@ router.put('/update/:id', authenticateToken, requireAdmin, upload.fields([{ name
     }
 
     const updatedProduct = await Product.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true }).populate('createdBy', 'name email');
+    await notifyPriceDrop(product, updatedProduct);
 
     res.json({ success: true, message: 'Product updated successfully', data: updatedProduct });
   } catch (error) {
@@ -1,14 +1,27 @@
 import express from 'express';
 import Product from '../models/Product.js';
-import Order from '../models/Order.js';
+import mongoose from 'mongoose';
+import SubOrder from '../models/SubOrder.js';
+import Shipment from '../models/Shipment.js';
 import { authenticateToken, requireSeller, requireApprovedSeller } from '../middleware/auth.js';
 import CategoryCommission from '../models/CategoryCommission.js';
 import { normalizeCategory } from '../utils/category.js';
+import { canTransition, transitionSubOrderStatus } from '../utils/orderStatus.js';
+import { bookShipment, notifyCustomerOfStatus, serializeShipment } from '../utils/shipments.js';
+import { sellerSubOrderFilter, serializeSubOrder } from '../utils/subOrders.js';
+import { keptAfterRefund } from '../utils/commission.js';
+import { isCodUncollected } from '../utils/cod.js';
+import { isRefundable, refundCancelledOrder, refundOrder } from '../utils/refunds.js';
+import { listSellerReturns, updateSellerReturn } from '../controllers/returnController.js';
+import { getGstStateCode, getStateForPincode, isValidPincodeFormat, normalizeStateName } from '../utils/pincode.js';
+import { parseProductShippingFields } from '../utils/shipping.js';
+import { INVOICE_PREFIX_MAX } from '../utils/invoice.js';
 import Seller from '../models/Seller.js';
 import multer from 'multer';
 import cloudinary from '../utils/cloudinary.js';
 import User from '../models/User.js';
-import SellerEarning from '../models/SellerEarning.js';
+import { enqueueJobQuietly } from '../utils/jobs.js';
+import { notifyPriceDrop } from '../utils/customerNotifications.js';
 import csv from 'csv-parser';
 import XLSX from 'xlsx';
 import fs from 'fs';
@@ -153,6 +166,71 @@ router.get('/verification', async (req, res) => {
 // All seller routes require authentication and seller role
 router.use(authenticateToken, requireSeller);
 
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const TAX_PROFILE_FIELDS = 'gstin legalName businessAddress invoicePrefix sellerName name';
+
+// GET /api/seller/tax-profile - GSTIN and business address printed on invoices
+router.get('/tax-profile', async (req, res) => {
+  try {
+    const seller = await Seller.findById(req.user.userId).select(TAX_PROFILE_FIELDS);
+    if (!seller) return res.status(404).json({ success: false, message: 'Seller not found' });
+    res.json({ success: true, data: seller });
+  } catch (error) {
+    console.error('Error fetching seller tax profile:', error);
+    res.status(500).json({ success: false, message: 'Error fetching tax profile', error: error.message });
+  }
+});
+
+// PUT /api/seller/tax-profile - Update GSTIN, legal name, business address and invoice prefix
+router.put('/tax-profile', async (req, res) => {
+  try {
+    const seller = await Seller.findById(req.user.userId).select(TAX_PROFILE_FIELDS);
+    if (!seller) return res.status(404).json({ success: false, message: 'Seller not found' });
+
+    const { gstin, legalName, businessAddress, invoicePrefix } = req.body;
+
+    if (businessAddress !== undefined) {
+      const address = { ...(seller.businessAddress?.toObject?.() || {}), ...businessAddress };
+      if (address.pincode && !isValidPincodeFormat(address.pincode)) {
+        return res.status(400).json({ success: false, message: 'Invalid pincode' });
+      }
+      const state = normalizeStateName(address.state) || getStateForPincode(address.pincode);
+      if (address.state && !normalizeStateName(address.state)) {
+        return res.status(400).json({ success: false, message: 'Unknown state' });
+      }
+      seller.businessAddress = { ...address, state: state || '' };
+    }
+
+    if (gstin !== undefined) {
+      const value = String(gstin || '').trim().toUpperCase();
+      if (value && !GSTIN_REGEX.test(value)) {
+        return res.status(400).json({ success: false, message: 'Invalid GSTIN format' });
+      }
+      const stateCode = getGstStateCode(seller.businessAddress?.state);
+      if (value && stateCode && value.slice(0, 2) !== stateCode) {
+        return res.status(400).json({ success: false, message: `GSTIN does not belong to ${seller.businessAddress.state}` });
+      }
+      seller.gstin = value || null;
+    }
+
+    if (legalName !== undefined) seller.legalName = String(legalName || '').trim() || null;
+
+    if (invoicePrefix !== undefined) {
+      const prefix = String(invoicePrefix || '').trim().toUpperCase();
+      if (prefix && !new RegExp(`^[A-Z0-9]{1,${INVOICE_PREFIX_MAX}}$`).test(prefix)) {
+        return res.status(400).json({ success: false, message: `Invoice prefix must be 1-${INVOICE_PREFIX_MAX} letters or digits` });
+      }
+      seller.invoicePrefix = prefix || null;
+    }
+
+    await seller.save();
+    res.json({ success: true, message: 'Tax profile updated', data: seller });
+  } catch (error) {
+    console.error('Error updating seller tax profile:', error);
+    res.status(500).json({ success: false, message: 'Error updating tax profile', error: error.message });
+  }
+});
+
 // GET /api/seller/products - List seller's products
 router.get('/products', requireApprovedSeller, async (req, res) => {
   try {
@@ -261,6 +339,9 @@ router.post(
         sizeVarients: parseList(req.body.sizeVarients),
         inStock: req.body.inStock !== undefined ? req.body.inStock === 'true' || req.body.inStock === true : true,
         stockQuantity: req.body.stockQuantity ? parseInt(req.body.stockQuantity) : 0,
+        hsnCode: req.body.hsnCode ? String(req.body.hsnCode).trim() : null,
+        gstRate: req.body.gstRate !== undefined && req.body.gstRate !== '' ? parseFloat(req.body.gstRate) : null,
+        ...parseProductShippingFields(req.body),
         createdBy: req.user.userId,
         sellerId: null,
         sellerName: '',
@@ -386,6 +467,13 @@ router.put(
       if (req.body.inStock !== undefined) {
         updateData.inStock = (req.body.inStock === 'true' || req.body.inStock === true);
       }
+      if (req.body.hsnCode !== undefined) {
+        updateData.hsnCode = req.body.hsnCode ? String(req.body.hsnCode).trim() : null;
+      }
+      if (req.body.gstRate !== undefined) {
+        updateData.gstRate = req.body.gstRate !== '' ? parseFloat(req.body.gstRate) : null;
+      }
+      Object.assign(updateData, parseProductShippingFields(req.body));
       if (req.body.stockQuantity !== undefined) {
         const qty = parseInt(req.body.stockQuantity);
         updateData.stockQuantity = isNaN(qty) ? product.stockQuantity : qty;
@@ -483,6 +571,7 @@ router.put(
       }
 
       const updated = await Product.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+      await notifyPriceDrop(product, updated);
       return res.json({ success: true, message: 'Product updated successfully', data: updated });
     } catch (error) {
       console.error('Error updating seller product:', error);
@@ -512,25 +601,23 @@ router.patch('/products/:id/toggle-status', requireApprovedSeller, async (req, r
   }
 });
 
-// GET /api/seller/orders - List orders that include seller's products
+// GET /api/seller/orders - List the seller's sub-orders (their share of each customer order)
 router.get('/orders', requireApprovedSeller, async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
 
-    const sellerProducts = await Product.find({ createdBy: req.user.userId }).select('_id');
-    const productIds = sellerProducts.map(p => p._id);
-
-    const orderQuery = { 'items.productId': { $in: productIds } };
-    if (status) orderQuery.status = String(status).toLowerCase();
+    const subOrderQuery = await sellerSubOrderFilter(req.user);
+    if (status) subOrderQuery.status = String(status).toLowerCase();
 
-    const orders = await Order.find(orderQuery)
+    const subOrders = await SubOrder.find(subOrderQuery)
+      .populate('order', 'orderId customerName customerEmail customerPhone customerAddress customerCity customerPincode paymentStatus paymentMethod status')
       .sort({ createdAt: -1 })
       .limit(Number(limit))
       .skip((Number(page) - 1) * Number(limit));
 
-    const total = await Order.countDocuments(orderQuery);
+    const total = await SubOrder.countDocuments(subOrderQuery);
 
-    res.json({ success: true, data: orders, pagination: { current: Number(page), pages: Math.ceil(total / Number(limit)), total } });
+    res.json({ success: true, data: subOrders.map(serializeSubOrder), pagination: { current: Number(page), pages: Math.ceil(total / Number(limit)), total } });
   } catch (error) {
     console.error('Error fetching seller orders:', error);
     res.status(500).json({ success: false, message: 'Error fetching seller orders', error: error.message });
@@ -542,66 +629,53 @@ router.get('/orders/recent', requireApprovedSeller, async (req, res) => {
   try {
     const { limit = 5 } = req.query;
 
-    // Get seller's products
-    const sellerProducts = await Product.find({ createdBy: req.user.userId }).select('_id name price');
-    const productIds = sellerProducts.map(p => p._id);
-
-    if (productIds.length === 0) {
-      return res.json({ 
-        success: true, 
-        data: [], 
-        summary: { total: 0, pending: 0, processing: 0, shipped: 0, delivered: 0, cancelled: 0 }
-      });
-    }
+    const subOrderQuery = await sellerSubOrderFilter(req.user);
 
-    // Find recent orders containing seller's products
-    const orders = await Order.find({ 'items.productId': { $in: productIds } })
-      .populate('items.productId', 'name price')
+    // Most recent sub-orders with the parent's customer details
+    const subOrders = await SubOrder.find(subOrderQuery)
+      .populate('order', 'orderId customerName customerEmail customerPhone customerAddress customerCity customerPincode status')
       .sort({ createdAt: -1 })
       .limit(Number(limit));
 
-    // Filter and enhance order data for seller
-    const enhancedOrders = orders.map(order => {
-      // Filter items to only include seller's products
-      const sellerItems = (order.items || []).filter(item => 
-        productIds.some(id => String(id) === String(item.productId))
-      );
-
-      // Calculate seller's portion of the order
-      const sellerTotal = sellerItems.reduce((sum, item) => sum + (Number(item.price) * Number(item.quantity)), 0);
+    const enhancedOrders = subOrders.map(subOrder => {
+      const order = subOrder.order || {};
+      const sellerItems = subOrder.items || [];
 
       return {
-        _id: order._id,
-        orderId: order.orderId,
-        status: order.status,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt,
+        _id: subOrder._id,
+        subOrderId: subOrder.subOrderId,
+        orderId: subOrder.orderId,
+        status: subOrder.status,
+        orderStatus: order.status,
+        createdAt: subOrder.createdAt,
+        updatedAt: subOrder.updatedAt,
         // Provide full customer fields for frontend
         customerInfo: {
-          name: order.customerName || order.customerInfo?.name || '',
-          email: order.customerEmail || order.customerInfo?.email || '',
-          phone: order.customerPhone || order.customerInfo?.phone || '',
-          address: order.customerAddress || order.customerInfo?.address || '',
-          city: order.customerCity || order.customerInfo?.city || '',
-          pincode: order.customerPincode || order.customerInfo?.pincode || ''
+          name: order.customerName || '',
+          email: order.customerEmail || '',
+          phone: order.customerPhone || '',
+          address: order.customerAddress || '',
+          city: order.customerCity || '',
+          pincode: order.customerPincode || ''
         },
         sellerItems,
-        sellerTotal,
+        sellerTotal: subOrder.itemsTotal,
+        payoutTotal: subOrder.payoutTotal,
         itemCount: sellerItems.length,
         totalQuantity: sellerItems.reduce((sum, item) => sum + Number(item.quantity), 0)
       };
     });
 
-    // Get order status summary
-    const allOrders = await Order.find({ 'items.productId': { $in: productIds } });
-    const summary = {
-      total: allOrders.length,
-      pending: allOrders.filter(o => o.status === 'pending').length,
-      processing: allOrders.filter(o => o.status === 'processing').length,
-      shipped: allOrders.filter(o => o.status === 'shipped').length,
-      delivered: allOrders.filter(o => o.status === 'delivered').length,
-      cancelled: allOrders.filter(o => o.status === 'cancelled').length
-    };
+    // Get sub-order status summary
+    const counts = await SubOrder.aggregate([
+      { $match: subOrderQuery },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const summary = { total: 0, pending: 0, processing: 0, shipped: 0, delivered: 0, cancelled: 0 };
+    counts.forEach(c => {
+      summary[c._id] = c.count;
+      summary.total += c.count;
+    });
 
     res.json({ 
       success: true, 
@@ -622,27 +696,12 @@ router.get('/orders/recent', requireApprovedSeller, async (req, res) => {
 router.get('/earnings', requireApprovedSeller, async (req, res) => {
   try {
     const { range = 'month', months = 12, weeks = 8, years = 3 } = req.query;
-    // Find products created by current seller
-    const sellerProducts = await Product.find({ createdBy: req.user.userId }).select('_id price');
-    const productIds = sellerProducts.map(p => p._id);
-
-    if (productIds.length === 0) {
-      return res.json({
-        success: true,
-        data: {
-          totalEarned: 0,
-          totalUpcoming: 0,
-          totalCancelled: 0,
-          ordersCount: 0,
-          breakdown: []
-        }
-      });
-    }
-
-    const orders = await Order.find({ 'items.productId': { $in: productIds } }).sort({ createdAt: -1 });
+    // Each sub-order carries the seller's payout and its own fulfilment status
+    const subOrderQuery = await sellerSubOrderFilter(req.user);
+    const orders = await SubOrder.find(subOrderQuery).sort({ createdAt: -1 });
 
-    let totalEarned = 0; // delivered
-    let totalUpcoming = 0; // pending + processing + shipped
+    let totalEarned = 0; // delivered (and paid, for cash on delivery)
+    let totalUpcoming = 0; // pending + processing + shipped + uncollected COD
     let totalCancelled = 0; // cancelled
     let ordersCount = 0;
 
@@ -655,10 +714,10 @@ router.get('/earnings', requireApprovedSeller, async (req, res) => {
       return priceTotal - ((priceTotal * pct) / 100);
     };
 
-    // helper: get seller share from order items that match productIds
-    const sellerAmountFromOrder = (order) => {
-      return (order.items || []).filter(it => it.productId && productIds.some(id => String(id) === String(it.productId)))
-        .reduce((acc, it) => acc + sumItem(it), 0);
+    // Refunded items no longer pay out (cancelled sub-orders keep the figure for reporting)
+    const sellerAmountFromOrder = (subOrder) => {
+      const cancelled = subOrder.status === 'cancelled';
+      return (subOrder.items || []).reduce((acc, it) => acc + sumItem(it) * (cancelled ? 1 : keptAfterRefund(it)), 0);
     };
 
     orders.forEach(order => {
@@ -666,7 +725,7 @@ router.get('/earnings', requireApprovedSeller, async (req, res) => {
       if (amt <= 0) return;
       ordersCount += 1;
       const st = String(order.status || '').toLowerCase();
-      if (st === 'delivered') totalEarned += amt;
+      if (st === 'delivered' && !isCodUncollected(order)) totalEarned += amt;
       else if (st === 'cancelled') totalCancelled += amt;
       else totalUpcoming += amt; // pending/processing/shipped
     });
@@ -685,7 +744,7 @@ router.get('/earnings', requireApprovedSeller, async (req, res) => {
           if (amt <= 0) continue;
           count += 1;
           const st = String(order.status || '').toLowerCase();
-          if (st === 'delivered') earned += amt;
+          if (st === 'delivered' && !isCodUncollected(order)) earned += amt;
           else if (st === 'cancelled') cancelled += amt;
           else upcoming += amt;
         }
@@ -735,9 +794,10 @@ router.get('/earnings', requireApprovedSeller, async (req, res) => {
       }
     }
 
-    // Persist snapshot to SellerEarning collection (non-blocking)
-    try {
-      await SellerEarning.create({
+    // Persist snapshot to SellerEarning collection via the job queue
+    await enqueueJobQuietly('earnings.snapshot', {
+      scope: 'seller',
+      snapshot: {
         seller: req.user.sellerId || null,
         range: String(range).toLowerCase(),
         params: { weeks: Number(weeks), months: Number(months), years: Number(years) },
@@ -748,11 +808,8 @@ router.get('/earnings', requireApprovedSeller, async (req, res) => {
           ordersCount
         },
         breakdown
-      });
-    } catch (persistErr) {
-      // Do not fail the API if persistence fails
-      console.warn('SellerEarning persist error:', persistErr?.message || persistErr);
-    }
+      }
+    });
 
     res.json({
       success: true,
@@ -787,51 +844,98 @@ router.get('/category-commission/:category', async (req, res) => {
   }
 });
 
-// GET /api/seller/orders/:id - Get single order if it includes seller's product
-router.get('/orders/:id', requireApprovedSeller, async (req, res) => {
-  try {
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+// GET /api/seller/returns - Return and replacement requests for the seller's shipments
+router.get('/returns', requireApprovedSeller, listSellerReturns);
 
-    const sellerProducts = await Product.find({ createdBy: req.user.userId }).select('_id');
-    const productIds = sellerProducts.map(p => String(p._id));
+// PUT /api/seller/returns/:id - Approve, reject, schedule pickup or mark received
+router.put('/returns/:id', requireApprovedSeller, updateSellerReturn);
 
-    const hasSellerItem = (order.items || []).some(it => it.productId && productIds.includes(String(it.productId)));
-    if (!hasSellerItem) {
-      return res.status(403).json({ success: false, message: 'Not authorized to view this order' });
-    }
+// Seller's sub-order by sub-order _id, sub-order number, or parent order _id
+const findSellerSubOrder = async (req, id) => {
+  const ownership = await sellerSubOrderFilter(req.user);
+  const idMatch = [{ subOrderId: id }];
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    idMatch.push({ _id: id }, { order: id });
+  }
+  return SubOrder.findOne({ $and: [ownership, { $or: idMatch }] })
+    .populate('order', 'orderId customerName customerEmail customerPhone customerAddress customerCity customerPincode paymentStatus paymentMethod status');
+};
+
+// GET /api/seller/orders/:id - Get one of the seller's sub-orders
+router.get('/orders/:id', requireApprovedSeller, async (req, res) => {
+  try {
+    const subOrder = await findSellerSubOrder(req, req.params.id);
+    if (!subOrder) return res.status(404).json({ success: false, message: 'Order not found' });
 
-    res.json({ success: true, data: order });
+    const shipment = subOrder.shipment ? await Shipment.findById(subOrder.shipment) : null;
+    res.json({ success: true, data: { ...serializeSubOrder(subOrder), shipment: shipment ? serializeShipment(shipment) : null } });
   } catch (error) {
     console.error('Error fetching seller order:', error);
     res.status(500).json({ success: false, message: 'Error fetching order', error: error.message });
   }
 });
 
-// PUT /api/seller/orders/:id/status - Update order status if order contains seller's product
+// PUT /api/seller/orders/:id/status - Update the status (and tracking) of the seller's sub-order
 router.put('/orders/:id/status', requireApprovedSeller, async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-
-    const sellerProducts = await Product.find({ createdBy: req.user.userId }).select('_id');
-    const productIds = sellerProducts.map(p => String(p._id));
-    const hasSellerItem = (order.items || []).some(it => it.productId && productIds.includes(String(it.productId)));
-    if (!hasSellerItem) {
-      return res.status(403).json({ success: false, message: 'Not authorized to update this order' });
-    }
+    const { status, note, courier, trackingNumber, trackingUrl } = req.body;
+    const subOrder = await findSellerSubOrder(req, req.params.id);
+    if (!subOrder) return res.status(404).json({ success: false, message: 'Order not found' });
 
-    // Validate status values: allow delivered as final completion state
-    const allowedStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
     const newStatus = String(status || '').toLowerCase();
-    if (!allowedStatuses.includes(newStatus)) {
-      return res.status(400).json({ success: false, message: 'Invalid status value' });
+    const extraSet = {};
+    let shipment = null;
+    if (newStatus === 'shipped' && subOrder.status !== 'shipped') {
+      if (!canTransition(subOrder.status, 'shipped')) {
+        return res.status(400).json({ success: false, message: `Cannot change status from ${subOrder.status} to shipped` });
+      }
+      // Book the courier first so a shipped sub-order always has a tracking record
+      const booked = await bookShipment(subOrder, { courier, trackingNumber, trackingUrl, actor: req.user.userId });
+      if (booked.error) {
+        return res.status(booked.statusCode).json({ success: false, message: booked.error });
+      }
+      shipment = booked.shipment;
+      extraSet['tracking.shippedAt'] = new Date();
+    } else if (newStatus === 'delivered') {
+      extraSet['tracking.deliveredAt'] = new Date();
+    }
+
+    const result = await transitionSubOrderStatus(subOrder._id, newStatus, {
+      actor: req.user.userId,
+      role: 'seller',
+      note
+    }, extraSet);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
+
+    // A cancelled shipment is refunded to the customer; once the whole order is
+    // cancelled, the rest of the payment (shipping, tax) goes back too. The
+    // cancellation itself already put the stock back.
+    let refund = null;
+    let refundError = null;
+    if (result.changed && newStatus === 'cancelled' && result.order) {
+      const ctx = { actor: req.user.userId, role: 'seller', reason: note || 'Cancelled by seller' };
+      const refundItems = (result.subOrder.items || [])
+        .map(it => ({ itemId: it.orderItemId, quantity: Number(it.quantity) - Number(it.refundedQuantity || 0) }))
+        .filter(it => it.quantity > 0);
+      const refunded = result.order.status === 'cancelled'
+        ? await refundCancelledOrder(result.order, ctx)
+        : isRefundable(result.order) && refundItems.length > 0
+          ? await refundOrder(result.order, { ...ctx, type: 'items', items: refundItems, restock: false })
+          : null;
+      if (refunded?.error) refundError = refunded.error;
+      else if (refunded) refund = refunded.refund;
+    }
+
+    // Tell the customer a parcel is on its way (or the order has arrived)
+    if (result.changed && result.order && (newStatus === 'shipped' || result.orderChanged)) {
+      notifyCustomerOfStatus(result.order, result.orderChanged ? result.order.status : newStatus, result.orderOldStatus || result.oldStatus);
     }
 
-    order.status = newStatus;
-    await order.save();
-    res.json({ success: true, message: 'Order status updated successfully', data: order });
+    const updated = await SubOrder.findById(result.subOrder._id)
+      .populate('order', 'orderId customerName customerEmail customerPhone customerAddress customerCity customerPincode paymentStatus paymentMethod status');
+    res.json({ success: true, message: 'Order status updated successfully', data: serializeSubOrder(updated), shipment: shipment ? serializeShipment(shipment) : null, refund, refundError });
   } catch (error) {
     console.error('Error updating seller order status:', error);
     res.status(500).json({ success: false, message: 'Error updating order status', error: error.message });
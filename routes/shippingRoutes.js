@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getShippingQuote,
+  getDefaultRule,
+  updateDefaultRule,
+  listSellerRules,
+  getMyRule,
+  updateMyRule,
+  deleteMyRule
+} from '../controllers/shippingController.js';
+import { authenticateToken, optionalAuth, requireAdmin, requireApprovedSeller } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// POST /api/shipping/quote - Shipping charge per seller for a cart and delivery pincode
+router.post('/quote', optionalAuth, getShippingQuote);
+
+// GET /api/shipping/rules/default - Marketplace default rates (admin)
+router.get('/rules/default', authenticateToken, requireAdmin, getDefaultRule);
+
+// PUT /api/shipping/rules/default - Update the marketplace default rates (admin)
+router.put('/rules/default', authenticateToken, requireAdmin, updateDefaultRule);
+
+// GET /api/shipping/rules - Rates sellers have set for themselves (admin)
+router.get('/rules', authenticateToken, requireAdmin, listSellerRules);
+
+// GET /api/shipping/rules/me - The seller's own rates, or the default they use
+router.get('/rules/me', authenticateToken, requireApprovedSeller, getMyRule);
+
+// PUT /api/shipping/rules/me - Set the seller's own rates
+router.put('/rules/me', authenticateToken, requireApprovedSeller, updateMyRule);
+
+// DELETE /api/shipping/rules/me - Go back to the marketplace default
+router.delete('/rules/me', authenticateToken, requireApprovedSeller, deleteMyRule);
+
+export default router;
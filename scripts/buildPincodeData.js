@@ -0,0 +1,78 @@
+// Builds data/pincodes.json (pincode -> district, state) from the India Post
+// office list, e.g. the pincodes.json shipped in the MIT-licensed
+// `india-pincode-lookup` npm package:
+//
+//   node scripts/buildPincodeData.js path/to/pincodes.json
+//
+// State names are normalised to the ones in utils/pincode.js. The source predates
+// Telangana and Ladakh, so those pincodes are re-assigned by postal circle.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getPostalCircleState, normalizeStateName } from '../utils/pincode.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUT_FILE = path.join(__dirname, '..', 'data', 'pincodes.json');
+
+const STATE_ALIASES = {
+  chattisgarh: 'Chhattisgarh',
+  pondicherry: 'Puducherry',
+  'dadra and nagar haveli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'daman and diu': 'Dadra and Nagar Haveli and Daman and Diu'
+};
+
+const titleCase = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/(^|[\s(-])([a-z])/g, (m, p, c) => p + c.toUpperCase());
+
+const canonicalState = (raw, pincode) => {
+  const name = String(raw || '').toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+  const state = STATE_ALIASES[name] || normalizeStateName(name);
+  const byCircle = getPostalCircleState(pincode);
+  if ((state === 'Andhra Pradesh' && byCircle === 'Telangana') || (state === 'Jammu and Kashmir' && byCircle === 'Ladakh')) {
+    return byCircle;
+  }
+  return state;
+};
+
+const run = () => {
+  const source = process.argv[2];
+  if (!source) {
+    console.error('Usage: node scripts/buildPincodeData.js <pincodes.json>');
+    process.exit(1);
+  }
+
+  const rows = JSON.parse(fs.readFileSync(source, 'utf8'));
+  // pincode -> "district|state" -> number of post offices
+  const counts = new Map();
+  for (const row of rows) {
+    const pincode = String(row.pincode || '').trim();
+    if (!/^[1-9]\d{5}$/.test(pincode)) continue;
+    const state = canonicalState(row.stateName, pincode);
+    if (!state) continue;
+    const key = `${titleCase(row.districtName)}|${state}`;
+    const perPin = counts.get(pincode) || new Map();
+    perPin.set(key, (perPin.get(key) || 0) + 1);
+    counts.set(pincode, perPin);
+  }
+
+  const states = [];
+  const districts = [];
+  const districtIndex = new Map();
+  const pincodes = {};
+  for (const pincode of [...counts.keys()].sort()) {
+    // A pincode spanning districts is listed under the one with most offices
+    const [key] = [...counts.get(pincode).entries()].sort((a, b) => b[1] - a[1])[0];
+    if (!districtIndex.has(key)) {
+      const [district, state] = key.split('|');
+      if (!states.includes(state)) states.push(state);
+      districtIndex.set(key, districts.length);
+      districts.push([district, states.indexOf(state)]);
+    }
+    pincodes[pincode] = districtIndex.get(key);
+  }
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify({ states, districts, pincodes }));
+  console.log(`✅ Wrote ${Object.keys(pincodes).length} pincodes (${districts.length} districts) to ${OUT_FILE}`);
+};
+
+run();
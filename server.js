@@ -25,12 +25,26 @@ import posterRoutes from './routes/posterRoutes.js';
 import bannerRoutes from './routes/bannerRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import bulkUploadRoutes from './routes/bulkUploadRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import accountRoutes from './routes/accountRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 
 // Import middleware
 import { requestLogger } from './middleware/auth.js';
 
 // Import utilities
 import { initializeAdmin, initializeSampleData } from './utils/initializeData.js';
+import { startReservationSweeper } from './utils/stock.js';
+import { backfillSubOrders } from './utils/subOrders.js';
+import { startShipmentTracker } from './utils/shipments.js';
+import { startDigestScheduler } from './utils/digests.js';
+import { startJobWorker } from './utils/jobs.js';
+import { registerJobHandlers } from './utils/jobHandlers.js';
+import { jwtSecret } from './utils/secrets.js';
+
+// Refuse to start in production without a key for login tokens
+jwtSecret();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -61,10 +75,17 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Order-Token', 'Last-Event-ID']
+}));
+app.use(express.json({
+  // Keep the raw body for Razorpay webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  }
 }));
-app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
 
 // Serve static files from uploads directory
@@ -83,6 +104,19 @@ mongoose.connect(MONGO_URI, {
   console.log('✅ MongoDB connected successfully');
   console.log('📊 Database:', mongoose.connection.name);
   console.log('🔄 Ready to accept connections');
+  // Return stock held by checkouts that were never paid
+  startReservationSweeper();
+  // Poll couriers for shipment updates
+  startShipmentTracker();
+  // Run queued emails, notifications and snapshots
+  registerJobHandlers();
+  startJobWorker();
+  // Queue seller and admin digest emails when they are due
+  startDigestScheduler();
+  // Split orders placed before seller sub-orders existed
+  backfillSubOrders().catch(err => {
+    console.error('❌ Sub-order backfill failed:', err?.message || err);
+  });
 })
 .catch((err) => {
   console.error('❌ MongoDB connection error:', err.message);
@@ -115,6 +149,10 @@ app.use('/api/posters', posterRoutes);
 app.use('/api/banners', bannerRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/bulk-upload', bulkUploadRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
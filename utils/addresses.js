@@ -0,0 +1,93 @@
+import User from '../models/User.js';
+import { isServiceablePincode, isValidPincodeFormat, lookupPincode, normalizeStateName } from './pincode.js';
+
+export const MAX_ADDRESSES = 20;
+
+const FIELD_LIMITS = { label: 30, name: 100, line1: 200, line2: 200, landmark: 100, city: 100 };
+const PHONE_REGEX = /^[6-9]\d{9}$/;
+
+const clean = (value, max) => String(value ?? '').trim().replace(/\s+/g, ' ').substring(0, max);
+
+// Validate a create/update payload against an (optional) existing address.
+// Pincode must be in the India Post dataset; state and district are filled from
+// it, and a state the client sends must agree with the pincode.
+// Returns { address } or { error }.
+export const normalizeAddressInput = (input = {}, existing = null) => {
+  const base = existing ? (typeof existing.toObject === 'function' ? existing.toObject() : existing) : {};
+  const merged = { ...base };
+  for (const field of Object.keys(FIELD_LIMITS)) {
+    if (input[field] !== undefined) merged[field] = clean(input[field], FIELD_LIMITS[field]);
+  }
+  if (input.phone !== undefined) merged.phone = String(input.phone || '').replace(/[^\d]/g, '').slice(-10);
+  if (input.pincode !== undefined) merged.pincode = String(input.pincode || '').trim();
+
+  if (!merged.name) return { error: 'Recipient name is required' };
+  if (!merged.line1) return { error: 'Address line 1 is required' };
+  if (!PHONE_REGEX.test(merged.phone || '')) return { error: 'Invalid phone number format' };
+  if (!isValidPincodeFormat(merged.pincode)) return { error: 'Pincode must be 6 digits' };
+  if (!isServiceablePincode(merged.pincode)) return { error: 'Unknown pincode' };
+
+  const known = lookupPincode(merged.pincode);
+  if (input.state !== undefined || !merged.state) {
+    const state = input.state ? normalizeStateName(input.state) : null;
+    if (input.state && !state) return { error: 'Unknown state' };
+    if (state && known && state !== known.state) {
+      return { error: `Pincode ${merged.pincode} is in ${known.state}, not ${state}` };
+    }
+    merged.state = state || known?.state || '';
+  } else if (known && merged.state !== known.state) {
+    merged.state = known.state; // pincode changed
+  }
+  if (!merged.state) return { error: 'State is required' };
+  merged.district = known?.district || merged.district || '';
+  if (!merged.city) merged.city = merged.district;
+  if (!merged.city) return { error: 'City is required' };
+  if (!merged.label) merged.label = 'Home';
+
+  return { address: merged };
+};
+
+// Single-line street address as stored in Order.customerAddress
+export const formatAddressLine = (a) =>
+  [a.line1, a.line2, a.landmark ? `Near ${a.landmark}` : null].filter(Boolean).join(', ');
+
+// Copy of a saved address for Order.shippingAddress
+export const snapshotAddress = (a) => ({
+  addressId: a._id || null,
+  label: a.label,
+  name: a.name,
+  phone: a.phone,
+  line1: a.line1,
+  line2: a.line2 || '',
+  landmark: a.landmark || '',
+  city: a.city,
+  district: a.district || '',
+  state: a.state,
+  pincode: a.pincode
+});
+
+// Look up a logged-in customer's saved address for checkout.
+// Returns { address, email } or { error, statusCode }.
+export const resolveCheckoutAddress = async (user, addressId) => {
+  if (!user || user.role !== 'customer') {
+    return { error: 'Log in to check out with a saved address', statusCode: 401 };
+  }
+  const account = await User.findById(user.userId).select('email addresses');
+  const address = account?.addresses?.id(addressId);
+  if (!address) {
+    return { error: 'Address not found', statusCode: 404 };
+  }
+  return { address: snapshotAddress(address), email: account.email };
+};
+
+// Fill checkout customer fields from a saved address. Name, phone and email the
+// client sends still win; the delivery address always comes from the book.
+export const customerInfoFromAddress = (address, email, customerInfo = {}) => ({
+  name: address.name,
+  phone: address.phone,
+  email,
+  ...Object.fromEntries(Object.entries(customerInfo || {}).filter(([, v]) => v)),
+  address: formatAddressLine(address),
+  city: address.city,
+  pincode: address.pincode
+});
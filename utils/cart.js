@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { getUnitPrice, validateVariant } from './pricing.js';
+
+const CART_PRODUCT_FIELDS = 'name price offerPrice discount image stockQuantity inStock isActive sizeVarients colorVarients';
+
+const norm = (v) => (v === null || v === undefined || v === '' ? null : String(v).trim().toLowerCase());
+
+// Lines are unique per product + size + colour
+export const findCartLine = (cart = [], { productId, size = null, color = null }) => (cart || []).find(line =>
+  String(line.productId) === String(productId) &&
+  norm(line.size) === norm(size) &&
+  norm(line.color) === norm(color)
+);
+
+// Validate a cart line against the catalogue. Stock is checked against every line of
+// the same product in the cart (sizes/colours share one stockQuantity).
+export const checkCartLine = async (cart = [], { productId, quantity, size = null, color = null }, { excludeLineId = null } = {}) => {
+  if (!productId || !mongoose.Types.ObjectId.isValid(String(productId))) {
+    return { error: 'Invalid product id' };
+  }
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty <= 0) {
+    return { error: 'Quantity must be a positive whole number' };
+  }
+
+  const product = await Product.findById(productId).select(CART_PRODUCT_FIELDS);
+  const variantError = validateVariant(product, { size, color });
+  if (variantError) return { error: variantError };
+
+  const otherQty = (cart || [])
+    .filter(line => String(line.productId) === String(productId) && String(line._id) !== String(excludeLineId))
+    .reduce((sum, line) => sum + Number(line.quantity || 0), 0);
+  const available = Number(product.stockQuantity || 0);
+  if (otherQty + qty > available) {
+    return { error: available > otherQty ? `Only ${available - otherQty} more in stock` : 'Out of stock', available };
+  }
+  return { product };
+};
+
+// Merge a guest (browser) cart into the user's cart. Quantities of matching lines are
+// added together and clamped to stock; lines that cannot be bought are skipped.
+export const mergeGuestCart = async (user, guestLines = []) => {
+  const skipped = [];
+  let merged = 0;
+  user.cart = user.cart || [];
+
+  for (const raw of (Array.isArray(guestLines) ? guestLines : [])) {
+    const line = {
+      productId: raw?.productId || raw?._id || raw?.id,
+      quantity: Number(raw?.quantity || 0),
+      size: (raw?.size ?? raw?.selectedSize) || null,
+      color: (raw?.color ?? raw?.selectedColor) || null
+    };
+    const existing = findCartLine(user.cart, line);
+    let quantity = Number(existing?.quantity || 0) + line.quantity;
+
+    const check = await checkCartLine(user.cart, { ...line, quantity }, { excludeLineId: existing?._id });
+    if (check.error && check.available !== undefined) {
+      // Out of stock for the full amount: keep what is left rather than dropping the line
+      const otherQty = user.cart
+        .filter(l => String(l.productId) === String(line.productId) && String(l._id) !== String(existing?._id))
+        .reduce((sum, l) => sum + Number(l.quantity || 0), 0);
+      quantity = Math.min(quantity, check.available - otherQty);
+    } else if (check.error) {
+      quantity = 0;
+    }
+
+    if (quantity <= 0 || (existing && quantity === existing.quantity)) {
+      skipped.push({ productId: line.productId || null, size: line.size, color: line.color, message: check.error || 'Already in cart' });
+      continue;
+    }
+    if (existing) existing.quantity = quantity;
+    else user.cart.push({ ...line, quantity });
+    merged += 1;
+  }
+
+  await user.save();
+  return { merged, skipped };
+};
+
+// Lines in the shape the pricing service expects
+export const cartToQuoteLines = (cart = []) => (cart || []).map(line => ({
+  productId: String(line.productId),
+  quantity: line.quantity,
+  size: line.size,
+  color: line.color
+}));
+
+// Cart with current prices and a per-line issue when it can no longer be bought
+export const buildCartView = async (cart = []) => {
+  const items = [];
+  const stockByProduct = new Map();
+  for (const line of (cart || [])) {
+    const key = String(line.productId);
+    stockByProduct.set(key, (stockByProduct.get(key) || 0) + Number(line.quantity || 0));
+  }
+
+  for (const line of (cart || [])) {
+    const product = await Product.findById(line.productId).select(CART_PRODUCT_FIELDS);
+    let issue = validateVariant(product, { size: line.size, color: line.color });
+    if (!issue && stockByProduct.get(String(line.productId)) > Number(product.stockQuantity || 0)) {
+      issue = `Only ${Number(product.stockQuantity || 0)} in stock`;
+    }
+    const unitPrice = product ? getUnitPrice(product) : 0;
+    items.push({
+      _id: line._id,
+      productId: String(line.productId),
+      name: product?.name || 'Unavailable product',
+      image: product?.image || null,
+      size: line.size,
+      color: line.color,
+      quantity: line.quantity,
+      unitPrice,
+      lineTotal: Math.round(unitPrice * line.quantity * 100) / 100,
+      available: Number(product?.stockQuantity || 0),
+      issue: issue || null
+    });
+  }
+
+  const subtotal = items.filter(it => !it.issue).reduce((sum, it) => sum + it.lineTotal, 0);
+  return {
+    items,
+    itemCount: items.reduce((sum, it) => sum + it.quantity, 0),
+    subtotal: Math.round(subtotal * 100) / 100,
+    hasIssues: items.some(it => it.issue)
+  };
+};
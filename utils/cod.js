@@ -0,0 +1,132 @@
+import Order from '../models/Order.js';
+import SubOrder from '../models/SubOrder.js';
+import Product from '../models/Product.js';
+import CodSettings from '../models/CodSettings.js';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Rules from the database, falling back to COD_FEE / COD_MAX_ORDER_VALUE until an
+// admin saves settings
+export const getCodSettings = async () => {
+  const saved = await CodSettings.findOne({ key: 'default' }).lean();
+  return {
+    enabled: saved?.enabled ?? process.env.COD_ENABLED !== 'false',
+    fee: Number(saved?.fee ?? process.env.COD_FEE ?? 0),
+    maxOrderValue: Number(saved?.maxOrderValue ?? process.env.COD_MAX_ORDER_VALUE ?? 10000),
+    allowedCategories: saved?.allowedCategories || [],
+    blockedCategories: saved?.blockedCategories || [],
+    allowedPincodes: saved?.allowedPincodes || [],
+    blockedPincodes: saved?.blockedPincodes || []
+  };
+};
+
+const matchesPincode = (list, pincode) => list.some(entry => String(pincode).startsWith(String(entry)));
+
+// Whether a cart can be paid in cash. `items` are quote lines (productId, quantity);
+// `total` is the order total before the COD fee.
+// Returns { eligible, reasons, fee, settings }.
+export const checkCodEligibility = async ({ items = [], total = 0, pincode }) => {
+  const settings = await getCodSettings();
+  const reasons = [];
+
+  if (!settings.enabled) reasons.push('Cash on delivery is not available right now');
+
+  const pin = String(pincode || '').trim();
+  if (!/^\d{6}$/.test(pin)) {
+    reasons.push('A delivery pincode is required for cash on delivery');
+  } else if (
+    matchesPincode(settings.blockedPincodes, pin) ||
+    (settings.allowedPincodes.length > 0 && !matchesPincode(settings.allowedPincodes, pin))
+  ) {
+    reasons.push(`Cash on delivery is not available for pincode ${pin}`);
+  }
+
+  const ids = items.map(it => it.productId).filter(Boolean);
+  const products = ids.length ? await Product.find({ _id: { $in: ids } }).select('name category') : [];
+  for (const product of products) {
+    const category = String(product.category || '').toLowerCase();
+    const blocked = settings.blockedCategories.includes(category) ||
+      (settings.allowedCategories.length > 0 && !settings.allowedCategories.includes(category));
+    if (blocked) reasons.push(`${product.name} cannot be paid for in cash`);
+  }
+
+  const fee = round2(settings.fee);
+  if (settings.maxOrderValue > 0 && round2(Number(total) + fee) > settings.maxOrderValue) {
+    reasons.push(`Cash on delivery is limited to orders up to ₹${settings.maxOrderValue}`);
+  }
+
+  return { eligible: reasons.length === 0, reasons, fee, settings };
+};
+
+// Money still to be collected at the door
+export const isCodUncollected = (doc) => doc?.paymentMethod === 'cod' && !doc.codCollectedAt;
+
+// Once every live shipment's cash is in, the order payment is collected
+const settleOrderIfCollected = async (orderId, { actor = null } = {}) => {
+  const subs = await SubOrder.find({ order: orderId, status: { $ne: 'cancelled' } }).select('codCollectedAt');
+  if (subs.length === 0 || subs.some(s => !s.codCollectedAt)) return null;
+  return Order.findOneAndUpdate(
+    { _id: orderId, paymentMethod: 'cod', paymentStatus: 'pending' },
+    { $set: { paymentStatus: 'collected', codCollectedAt: new Date(), codCollectedBy: actor } },
+    { new: true }
+  );
+};
+
+// Record the cash for one shipment (conditional, so it is only counted once)
+export const markSubOrderCodCollected = async (subOrderOrId, { actor = null } = {}) => {
+  const id = subOrderOrId?._id || subOrderOrId;
+  const sub = await SubOrder.findOneAndUpdate(
+    { _id: id, paymentMethod: 'cod', codCollectedAt: null },
+    { $set: { codCollectedAt: new Date() } },
+    { new: true }
+  );
+  if (sub) await settleOrderIfCollected(sub.order, { actor });
+  return sub;
+};
+
+// Admin: mark a COD order's delivered shipments as paid.
+// Returns { order } or { error, statusCode }.
+export const markOrderCodCollected = async (orderOrId, { actor = null } = {}) => {
+  const order = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+  if (order.paymentMethod !== 'cod') return { error: 'Order is not cash on delivery', statusCode: 400 };
+  if (order.paymentStatus !== 'pending') return { error: `Payment is already ${order.paymentStatus}`, statusCode: 400 };
+
+  const subs = await SubOrder.find({ order: order._id, status: { $ne: 'cancelled' } });
+  if (subs.length === 0) {
+    if (order.status !== 'delivered') return { error: 'Order has not been delivered yet', statusCode: 400 };
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: 'pending' },
+      { $set: { paymentStatus: 'collected', codCollectedAt: new Date(), codCollectedBy: actor } },
+      { new: true }
+    );
+    return { order: updated || await Order.findById(order._id) };
+  }
+
+  const delivered = subs.filter(s => s.status === 'delivered');
+  if (delivered.length === 0) return { error: 'No shipment has been delivered yet', statusCode: 400 };
+  for (const sub of delivered) {
+    await markSubOrderCodCollected(sub, { actor });
+  }
+  return { order: await Order.findById(order._id) };
+};
+
+// Called when a shipment (or a legacy order without shipments) is delivered:
+// the courier collects the cash at the door unless COD_COLLECT_ON_DELIVERY=false,
+// in which case an admin marks it collected after reconciling.
+export const collectCodOnDelivery = async (doc, { actor = null } = {}) => {
+  if (doc?.paymentMethod !== 'cod' || doc.codCollectedAt) return;
+  if (process.env.COD_COLLECT_ON_DELIVERY === 'false') return;
+  try {
+    if (doc instanceof SubOrder) {
+      await markSubOrderCodCollected(doc, { actor });
+    } else {
+      await Order.updateOne(
+        { _id: doc._id, paymentMethod: 'cod', paymentStatus: 'pending' },
+        { $set: { paymentStatus: 'collected', codCollectedAt: new Date(), codCollectedBy: actor } }
+      );
+    }
+  } catch (err) {
+    console.error('❌ Failed to record COD collection:', err?.message || err);
+  }
+};
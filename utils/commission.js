@@ -0,0 +1,61 @@
+import CategoryCommission from '../models/CategoryCommission.js';
+import Product from '../models/Product.js';
+
+// Build category -> commission percent map once per order
+export const loadCommissionMap = async () => {
+  const commissionRows = await CategoryCommission.find({}).select('category commissionPercent');
+  return new Map(commissionRows.map(r => [String(r.category).toLowerCase(), Number(r.commissionPercent || 2)]));
+};
+
+// What the customer pays for a line: price x quantity less its coupon share
+export const lineNetTotal = (item) =>
+  Math.max(0, Number(item.price || 0) * Number(item.quantity || 0) - Number(item.discountAmount || 0));
+
+// Compute commission fields per item (defaults to 2% when category is unknown).
+// Commission and payout are taken on the discounted line value.
+export const buildItemsWithCommission = async (items = [], commissionMap = null) => {
+  const map = commissionMap || await loadCommissionMap();
+  return Promise.all((items || []).map(async (item) => {
+    const qty = Number(item.quantity);
+    const price = Number(item.price);
+    const pid = item.productId || item._id || item.id || null;
+    let category = null;
+    if (pid) {
+      try {
+        const prod = await Product.findById(pid).select('category');
+        category = String(prod?.category || '').toLowerCase() || null;
+      } catch (e) {
+        category = null;
+      }
+    }
+    const pct = category ? (map.get(category) ?? 2) : 2;
+    const discountAmount = Math.min(Number(item.discountAmount || 0), price * qty);
+    const netTotal = (price * qty) - discountAmount;
+    const commissionAmount = (netTotal * pct) / 100;
+    const sellerPayoutAmount = netTotal - commissionAmount;
+    return {
+      id: item.id,
+      // Ensure product linkage is persisted for seller/admin dashboards
+      productId: pid,
+      name: item.name?.substring(0, 200),
+      price,
+      quantity: qty,
+      // Accept both `size/color` and `selectedSize/selectedColor` from frontend
+      size: (item.size ?? item.selectedSize) ?? null,
+      color: (item.color ?? item.selectedColor) ?? null,
+      image: item.image?.substring(0, 500),
+      commissionPercent: pct,
+      discountAmount,
+      commissionAmount,
+      sellerPayoutAmount
+    };
+  }));
+};
+
+// Fraction of an item's commission and seller payout that still stands after refunds.
+// Cancelled orders keep the full figure so earnings can report what was lost.
+export const keptAfterRefund = (item) => {
+  const lineTotal = lineNetTotal(item);
+  if (!(lineTotal > 0)) return 1;
+  return Math.max(0, 1 - Number(item.refundedAmount || 0) / lineTotal);
+};
@@ -0,0 +1,161 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { refreshQuoteTotals } from './pricing.js';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Orders or redemptions belonging to this customer (account id or email)
+const customerFilter = ({ customerId, email }, { idField, emailField, emailExact = false }) => {
+  const or = [];
+  if (customerId) or.push({ [idField]: customerId });
+  if (email) {
+    or.push({ [emailField]: emailExact ? String(email).toLowerCase() : new RegExp(`^${escapeRegex(email)}$`, 'i') });
+  }
+  return or.length ? { $or: or } : null;
+};
+
+// Quote lines the coupon applies to (category and seller scoping)
+const eligibleLines = async (coupon, items) => {
+  const scopedCategories = coupon.categories || [];
+  const scopedSellers = (coupon.sellers || []).map(String);
+  if (scopedCategories.length === 0 && scopedSellers.length === 0) {
+    return items.map((_, index) => index);
+  }
+  const products = await Product.find({ _id: { $in: items.map(it => it.productId) } }).select('category sellerId createdBy');
+  const byId = new Map(products.map(p => [String(p._id), p]));
+  return items.reduce((acc, it, index) => {
+    const product = byId.get(String(it.productId));
+    const category = String(product?.category || it.category || '').toLowerCase();
+    const sellerIds = [product?.sellerId, product?.createdBy].filter(Boolean).map(String);
+    const categoryOk = scopedCategories.length === 0 || scopedCategories.includes(category);
+    const sellerOk = scopedSellers.length === 0 || sellerIds.some(id => scopedSellers.includes(id));
+    if (categoryOk && sellerOk) acc.push(index);
+    return acc;
+  }, []);
+};
+
+// Check a coupon against a priced cart and work out the discount per line.
+// Returns { coupon, discount, lineDiscounts } (lineDiscounts[i] matches items[i]) or { error }.
+export const evaluateCoupon = async (code, { items = [], customerId = null, email = null, now = new Date() } = {}) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return { error: 'Enter a coupon code' };
+
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon || !coupon.isActive) return { error: 'Invalid coupon code' };
+  if (coupon.startsAt && coupon.startsAt > now) return { error: 'This coupon is not active yet' };
+  if (coupon.endsAt && coupon.endsAt < now) return { error: 'This coupon has expired' };
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  if (coupon.perUserLimit || coupon.firstOrderOnly) {
+    if (!customerId && !email) return { error: 'Log in or enter your email to use this coupon' };
+  }
+  if (coupon.perUserLimit) {
+    const filter = customerFilter({ customerId, email }, { idField: 'customerId', emailField: 'customerEmail', emailExact: true });
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, ...filter });
+    if (used >= coupon.perUserLimit) return { error: 'You have already used this coupon' };
+  }
+  if (coupon.firstOrderOnly) {
+    const filter = customerFilter({ customerId, email }, { idField: 'customerId', emailField: 'customerEmail' });
+    const previous = await Order.exists({ ...filter, status: { $ne: 'cancelled' } });
+    if (previous) return { error: 'This coupon is only valid on your first order' };
+  }
+
+  const eligible = await eligibleLines(coupon, items);
+  if (eligible.length === 0) return { error: 'This coupon does not apply to any item in your cart' };
+  const eligibleTotal = round2(eligible.reduce((s, i) => s + Number(items[i].lineTotal || 0), 0));
+  if (eligibleTotal < Number(coupon.minCartValue || 0)) {
+    return { error: `Add items worth ₹${round2(coupon.minCartValue - eligibleTotal)} more to use this coupon` };
+  }
+
+  let discount = coupon.type === 'percent'
+    ? (eligibleTotal * Math.min(100, Number(coupon.value))) / 100
+    : Number(coupon.value);
+  if (coupon.type === 'percent' && coupon.maxDiscount) discount = Math.min(discount, Number(coupon.maxDiscount));
+  discount = round2(Math.min(discount, eligibleTotal));
+  if (!(discount > 0)) return { error: 'This coupon gives no discount on your cart' };
+
+  // Split across eligible lines by value; the last line takes the rounding remainder
+  const lineDiscounts = items.map(() => 0);
+  let allocated = 0;
+  eligible.forEach((index, n) => {
+    const share = n === eligible.length - 1
+      ? round2(discount - allocated)
+      : round2((discount * Number(items[index].lineTotal || 0)) / eligibleTotal);
+    lineDiscounts[index] = share;
+    allocated = round2(allocated + share);
+  });
+
+  return { coupon, discount, lineDiscounts };
+};
+
+// Apply (or replace) a coupon on a quote and recompute tax and total.
+// Returns { quote, discount } or { error }.
+export const applyCouponToQuote = async (quote, code, { customerId = null, email = null } = {}) => {
+  const result = await evaluateCoupon(code, { items: quote.items, customerId: customerId || quote.customerId, email });
+  if (result.error) return result;
+
+  quote.items.forEach((it, i) => { it.discountAmount = result.lineDiscounts[i]; });
+  quote.discount = result.discount;
+  quote.coupon = { couponId: result.coupon._id, code: result.coupon.code };
+  refreshQuoteTotals(quote);
+  await quote.save();
+  return { quote, discount: result.discount };
+};
+
+// Settle the coupon on a quote that is about to become an order. The code sent
+// with the checkout wins; otherwise a coupon already on the quote is checked
+// again for this customer, since it may have expired, run out, or been applied
+// for someone else. With neither, any stale discount is cleared.
+// Returns { quote, discount } or { error }.
+export const applyCheckoutCoupon = async (quote, code, { customerId = null, email = null } = {}) => {
+  const wanted = normalizeCouponCode(code) || quote.coupon?.code;
+  if (wanted) return applyCouponToQuote(quote, wanted, { customerId, email });
+
+  if (Number(quote.discount || 0) > 0 || quote.coupon?.couponId) {
+    quote.items.forEach((it) => { it.discountAmount = 0; });
+    quote.discount = 0;
+    quote.coupon = { couponId: null, code: null };
+    refreshQuoteTotals(quote);
+    await quote.save();
+  }
+  return { quote, discount: 0 };
+};
+
+// Count the coupon once an order using it exists. Safe to call twice for the
+// same order. The usage limit was checked at checkout; a race past it is
+// logged but honoured, since the customer has already paid the discounted price.
+export const redeemCouponForOrder = async (order) => {
+  const couponId = order?.coupon?.couponId;
+  if (!couponId) return null;
+  try {
+    const redemption = await CouponRedemption.create({
+      coupon: couponId,
+      code: order.coupon.code,
+      order: order._id,
+      orderId: order.orderId,
+      customerId: order.customerId || null,
+      customerEmail: order.customerEmail ? String(order.customerEmail).toLowerCase() : null,
+      discount: Number(order.discount || 0)
+    });
+    const counted = await Coupon.updateOne(
+      { _id: couponId, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+      { $inc: { usedCount: 1 } }
+    );
+    if (counted.modifiedCount === 0) {
+      console.warn(`⚠️ Coupon ${order.coupon.code} went over its usage limit with order ${order.orderId}`);
+      await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    }
+    return redemption;
+  } catch (err) {
+    if (err?.code === 11000) return null; // already counted for this order
+    console.error('❌ Failed to record coupon redemption:', err?.message || err);
+    return null;
+  }
+};
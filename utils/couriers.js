@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+
+// Courier adapters. Each adapter implements:
+//   book({ order, subOrder, awb, trackingUrl }) -> { awb, trackingUrl, courierName, estimatedDelivery, events }
+//   track(shipment) -> { events, estimatedDelivery }   (events are the full timeline known to the courier)
+//   cancel(shipment) -> { cancelled }                  (optional)
+// Timeline events are { status, description, location, occurredAt } with status one of
+// booked, picked_up, in_transit, out_for_delivery, delivered, failed_delivery, returned, cancelled.
+
+const FRONTEND_URL = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const trackingPageUrl = (orderId) => `${FRONTEND_URL()}/track/${encodeURIComponent(orderId)}`;
+
+// Seller supplied their own courier and AWB. There is no feed to poll, so the
+// timeline only has the booking event.
+const manualCourier = {
+  name: 'manual',
+  async book({ order, awb, trackingUrl, courierName }) {
+    if (!awb) throw new Error('Tracking number is required for manual shipments');
+    return {
+      awb,
+      trackingUrl: trackingUrl || trackingPageUrl(order.orderId),
+      courierName: courierName || 'Courier',
+      estimatedDelivery: null,
+      events: [{ status: 'booked', description: 'Shipment handed to courier', location: '', occurredAt: new Date() }]
+    };
+  },
+  async track() {
+    return { events: null, estimatedDelivery: undefined };
+  }
+};
+
+// Local mock courier for development: generates AWBs and moves the parcel one
+// step along its route every MOCK_COURIER_STEP_MINUTES (default 30).
+const MOCK_STEPS = [
+  { status: 'booked', description: 'Shipment booked' },
+  { status: 'picked_up', description: 'Picked up from seller' },
+  { status: 'in_transit', description: 'In transit to destination hub' },
+  { status: 'out_for_delivery', description: 'Out for delivery' },
+  { status: 'delivered', description: 'Delivered' }
+];
+
+const mockStepMs = () => Math.max(1, Number(process.env.MOCK_COURIER_STEP_MINUTES || 30)) * 60 * 1000;
+
+const mockCourier = {
+  name: 'mock',
+  async book({ order }) {
+    const bookedAt = new Date();
+    return {
+      awb: `MOCK${Date.now().toString().slice(-8)}${crypto.randomInt(100, 1000)}`,
+      trackingUrl: trackingPageUrl(order.orderId),
+      courierName: 'Mock Express',
+      estimatedDelivery: new Date(bookedAt.getTime() + (MOCK_STEPS.length - 1) * mockStepMs()),
+      events: [{ ...MOCK_STEPS[0], location: 'Seller warehouse', occurredAt: bookedAt }]
+    };
+  },
+  async track(shipment) {
+    const bookedAt = new Date(shipment.events?.[0]?.occurredAt || shipment.createdAt || Date.now()).getTime();
+    const reached = Math.min(MOCK_STEPS.length - 1, Math.floor((Date.now() - bookedAt) / mockStepMs()));
+    const events = MOCK_STEPS.slice(0, reached + 1).map((step, i) => ({
+      ...step,
+      location: i === 0 ? 'Seller warehouse' : i < 3 ? 'Sorting hub' : 'Delivery address',
+      occurredAt: new Date(bookedAt + i * mockStepMs())
+    }));
+    return { events, estimatedDelivery: new Date(bookedAt + (MOCK_STEPS.length - 1) * mockStepMs()) };
+  },
+  async cancel() {
+    return { cancelled: true };
+  }
+};
+
+const adapters = new Map([
+  [manualCourier.name, manualCourier],
+  [mockCourier.name, mockCourier]
+]);
+
+// Plug in a real courier (e.g. registerCourier(shiprocketAdapter) at startup)
+export const registerCourier = (adapter) => {
+  if (!adapter?.name || typeof adapter.book !== 'function' || typeof adapter.track !== 'function') {
+    throw new Error('Courier adapter needs a name, book() and track()');
+  }
+  adapters.set(adapter.name, adapter);
+};
+
+// The mock courier makes up AWBs and deliveries, so it only exists in development and tests
+const mockAllowed = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+export const getCourier = (name) => {
+  if (name === mockCourier.name && !mockAllowed()) return null;
+  return adapters.get(name) || null;
+};
+
+// Adapter used when a shipment is booked without a seller-supplied AWB. Without
+// COURIER_PROVIDER that is 'manual' (the seller must send a tracking number),
+// except in development and tests, which use the mock courier.
+export const defaultCourierName = () => process.env.COURIER_PROVIDER || (mockAllowed() ? mockCourier.name : manualCourier.name);
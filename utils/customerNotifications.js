@@ -0,0 +1,116 @@
+import Notification from '../models/Notification.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { enqueueJobQuietly } from './jobs.js';
+import { wantsNotification } from './notificationPreferences.js';
+import { getUnitPrice } from './pricing.js';
+
+const formatINR = (amount) => Number(amount || 0).toLocaleString('en-IN', { style: 'currency', currency: 'INR' });
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  processing: 'being processed',
+  shipped: 'on its way',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+// In-app notification for a customer account, if they have `type` switched on
+// for in-app. `key` is stored in metadata so a retried job creates it once.
+// Resolves to { created } or { skipped }.
+export const notifyCustomer = async (userId, type, { key, title, message, priority = 'medium', relatedEntity, actionUrl, metadata = {} }) => {
+  if (!userId) return { skipped: 'guest' };
+  if (!(await wantsNotification('user', userId, type, 'inApp'))) return { skipped: 'opted_out' };
+  const exists = await Notification.exists({ recipientType: 'user', recipientId: userId, 'metadata.key': key });
+  if (exists) return { skipped: 'exists' };
+
+  const notification = await Notification.create({
+    title,
+    message,
+    type: type === 'price-drop' ? 'product' : 'order',
+    priority,
+    recipientType: 'user',
+    recipientId: userId,
+    recipientModel: 'User',
+    relatedEntity,
+    actionUrl,
+    metadata: { ...metadata, key, notificationType: type }
+  });
+  return { created: String(notification._id) };
+};
+
+const orderEntity = (order) => ({ entityType: 'order', entityId: order._id });
+const trackUrl = (order) => `/track/${encodeURIComponent(order.orderId)}`;
+
+export const notifyCustomerOfOrderPlaced = (order) => notifyCustomer(order.customerId, 'order-placed', {
+  key: `order-placed:${order.orderId}`,
+  title: 'Order placed',
+  message: `Your order #${order.orderId} for ${formatINR(order.total)} has been placed.`,
+  relatedEntity: orderEntity(order),
+  actionUrl: trackUrl(order),
+  metadata: { orderId: order.orderId, orderTotal: order.total }
+});
+
+export const notifyCustomerOfOrderStatus = (order, newStatus, oldStatus) => notifyCustomer(order.customerId, 'order-status', {
+  key: `order-status:${order.orderId}:${newStatus}`,
+  title: `Order ${newStatus}`,
+  message: `Your order #${order.orderId} is ${STATUS_LABELS[newStatus] || newStatus}.`,
+  priority: newStatus === 'cancelled' ? 'high' : 'medium',
+  relatedEntity: orderEntity(order),
+  actionUrl: trackUrl(order),
+  metadata: { orderId: order.orderId, status: newStatus, oldStatus }
+});
+
+export const notifyCustomerOfRefund = (order, refund) => notifyCustomer(order.customerId, 'refund', {
+  key: `refund:${refund._id}`,
+  title: 'Refund initiated',
+  message: `A refund of ${formatINR(refund.amount)} for order #${order.orderId} has been initiated.`,
+  relatedEntity: { entityType: 'payment', entityId: order._id },
+  actionUrl: trackUrl(order),
+  metadata: { orderId: order.orderId, refundId: refund.refundId, amount: refund.amount, refundType: refund.type }
+});
+
+// Called after a product is saved: queues the price-drop fan-out when the
+// price a customer pays went down
+export const notifyPriceDrop = async (before, after) => {
+  if (!before || !after) return null;
+  const oldPrice = getUnitPrice(before);
+  const newPrice = getUnitPrice(after);
+  if (!(newPrice > 0 && newPrice < oldPrice) || after.isActive === false) return null;
+  return enqueueJobQuietly('notification.price-drop', { productId: String(after._id), oldPrice, newPrice });
+};
+
+// Tell every customer with the product in their saved cart: an in-app
+// notification and a queued email, each if they want it. Resolves to counts.
+export const notifyCartsOfPriceDrop = async ({ productId, oldPrice, newPrice }) => {
+  const product = await Product.findById(productId).select('name image price offerPrice discount isActive');
+  if (!product || product.isActive === false) return { users: 0, skipped: 'product_unavailable' };
+  // A later edit may have changed the price again; only the current price is announced
+  const currentPrice = getUnitPrice(product);
+  if (currentPrice >= oldPrice) return { users: 0, skipped: 'price_restored' };
+
+  const users = await User.find({ role: 'customer', 'cart.productId': product._id }).select('_id');
+  const counts = { users: users.length, inApp: 0, emails: 0 };
+  for (const user of users) {
+    const result = await notifyCustomer(user._id, 'price-drop', {
+      key: `price-drop:${product._id}:${currentPrice}`,
+      title: 'Price drop',
+      message: `${product.name} in your cart is now ${formatINR(currentPrice)} (was ${formatINR(oldPrice)}).`,
+      relatedEntity: { entityType: 'product', entityId: product._id },
+      actionUrl: '/cart',
+      metadata: { productId: String(product._id), productName: product.name, oldPrice, newPrice: currentPrice }
+    });
+    if (result.created) counts.inApp += 1;
+
+    if (await wantsNotification('user', user._id, 'price-drop', 'email')) {
+      const job = await enqueueJobQuietly('email.price-drop', {
+        userId: String(user._id),
+        productId: String(product._id),
+        oldPrice,
+        newPrice: currentPrice
+      }, { dedupeKey: `email.price-drop:${user._id}:${product._id}:${currentPrice}` });
+      if (job) counts.emails += 1;
+    }
+  }
+  return counts;
+};
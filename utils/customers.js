@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Recompute User.orderCount and User.totalSpent from the customer's orders.
+// Cancelled and failed orders do not count; refunds are taken off what was spent.
+export const refreshCustomerStats = async (userId) => {
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return null;
+  const [stats] = await Order.aggregate([
+    {
+      $match: {
+        customerId: new mongoose.Types.ObjectId(String(userId)),
+        status: { $ne: 'cancelled' },
+        paymentStatus: { $ne: 'failed' }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        orderCount: { $sum: 1 },
+        totalSpent: { $sum: { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] } }
+      }
+    }
+  ]);
+  const update = {
+    orderCount: stats?.orderCount || 0,
+    totalSpent: round2(Math.max(0, stats?.totalSpent || 0))
+  };
+  await User.updateOne({ _id: userId }, { $set: update });
+  return update;
+};
+
+// Same as refreshCustomerStats, but never fails the caller (used after placing orders)
+export const refreshCustomerStatsQuietly = async (userId) => {
+  try {
+    return await refreshCustomerStats(userId);
+  } catch (err) {
+    console.warn('⚠️ Could not refresh customer stats:', err?.message || err);
+    return null;
+  }
+};
+
+// Link guest orders placed with a customer's email to their account, then
+// refresh their stats. Only for verified emails, so nobody can claim another
+// person's orders by registering with their address. Returns the number claimed.
+export const claimGuestOrders = async (user) => {
+  if (!user || user.role !== 'customer' || !user.emailVerified || !user.email) return 0;
+  const result = await Order.updateMany(
+    { customerId: null, customerEmail: new RegExp(`^${escapeRegex(String(user.email).trim())}$`, 'i') },
+    { $set: { customerId: user._id } }
+  );
+  const claimed = result.modifiedCount || 0;
+  if (claimed > 0) console.log(`🔗 Linked ${claimed} guest order(s) to ${user.email}`);
+  await refreshCustomerStats(user._id);
+  return claimed;
+};
@@ -0,0 +1,289 @@
+import NotificationPreference from '../models/NotificationPreference.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import SubOrder from '../models/SubOrder.js';
+import User from '../models/User.js';
+import { isCodUncollected } from './cod.js';
+import { keptAfterRefund } from './commission.js';
+import { sendAdminDigestEmail, sendSellerDigestEmail } from './email.js';
+import { enqueueJobQuietly } from './jobs.js';
+import { DIGEST_DEFAULTS, getDigestPreference } from './notificationPreferences.js';
+import { sellerSubOrderFilter } from './subOrders.js';
+
+// Daily and weekly summary emails for sellers and admins. The scheduler queues
+// one 'email.digest-seller' / 'email.digest-admin' job per recipient that is
+// due; the job builds the digest for the time since that recipient's last one.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const LIST_LIMIT = 10;
+// A digest never reaches further back than this, e.g. after digests were off for months
+const MAX_WINDOW_MS = 31 * DAY_MS;
+
+// Products at or below this many units count as low stock
+export const lowStockThreshold = () => Number(process.env.LOW_STOCK_THRESHOLD || 5);
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Seller payout for a sub-order, less refunded items (same rule as /api/seller/earnings)
+const payoutOf = (subOrder) => (subOrder.items || []).reduce((sum, item) => {
+  const priceTotal = Number(item.price || 0) * Number(item.quantity || 0);
+  const payout = Number(item.sellerPayoutAmount || 0) > 0
+    ? Number(item.sellerPayoutAmount)
+    : priceTotal - (priceTotal * Number(item.commissionPercent || 2)) / 100;
+  return sum + payout * keptAfterRefund(item);
+}, 0);
+
+// When a delivered sub-order's payout was earned: delivery, or cash collection for COD
+const earnedAt = (subOrder) => {
+  const delivered = [...(subOrder.statusHistory || [])].reverse().find(h => h.status === 'delivered');
+  const deliveredAt = delivered?.changedAt || subOrder.tracking?.deliveredAt || subOrder.updatedAt;
+  if (subOrder.paymentMethod === 'cod') {
+    return subOrder.codCollectedAt && subOrder.codCollectedAt > deliveredAt ? subOrder.codCollectedAt : deliveredAt;
+  }
+  return deliveredAt;
+};
+
+const inWindow = (date, from, to) => date && date >= from && date < to;
+
+// Start of the window for a recipient: their last digest, else one period back
+const windowStart = (lastSentAt, frequency, until) => {
+  const start = lastSentAt ? new Date(lastSentAt) : new Date(until.getTime() - PERIOD_MS[frequency]);
+  return new Date(Math.max(start.getTime(), until.getTime() - MAX_WINDOW_MS));
+};
+
+// What happened for a seller between `since` and `until`. Earnings compare the
+// payout earned in the window with the window of the same length before it.
+export const buildSellerDigest = async (seller, { since, until, frequency = 'daily' }) => {
+  const filter = await sellerSubOrderFilter({ userId: seller._id, email: seller.email });
+  const previousSince = new Date(since.getTime() - (until.getTime() - since.getTime()));
+  const threshold = lowStockThreshold();
+  const stockFilter = {
+    $or: [{ createdBy: seller._id }, { sellerId: seller._id }],
+    isActive: true,
+    stockQuantity: { $lte: threshold }
+  };
+
+  const [newOrders, pending, pendingCount, lowStock, lowStockCount, delivered, upcoming] = await Promise.all([
+    SubOrder.find({ ...filter, createdAt: { $gte: since, $lt: until }, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: -1 })
+      .select('subOrderId orderId items payoutTotal createdAt')
+      .lean(),
+    SubOrder.find({ ...filter, status: { $in: ['pending', 'processing'] } })
+      .sort({ createdAt: 1 })
+      .limit(LIST_LIMIT)
+      .select('subOrderId orderId status createdAt')
+      .lean(),
+    SubOrder.countDocuments({ ...filter, status: { $in: ['pending', 'processing'] } }),
+    Product.find(stockFilter).sort({ stockQuantity: 1, name: 1 }).limit(LIST_LIMIT).select('name stockQuantity').lean(),
+    Product.countDocuments(stockFilter),
+    SubOrder.find({ ...filter, status: 'delivered', updatedAt: { $gte: previousSince } })
+      .select('items paymentMethod codCollectedAt statusHistory tracking updatedAt')
+      .lean(),
+    SubOrder.find({ ...filter, status: { $in: ['pending', 'processing', 'shipped', 'delivered'] } })
+      .select('items status paymentMethod codCollectedAt')
+      .lean()
+  ]);
+
+  let earned = 0;
+  let previous = 0;
+  for (const subOrder of delivered) {
+    if (isCodUncollected(subOrder)) continue;
+    const at = earnedAt(subOrder);
+    if (inWindow(at, since, until)) earned += payoutOf(subOrder);
+    else if (inWindow(at, previousSince, since)) previous += payoutOf(subOrder);
+  }
+
+  return {
+    frequency,
+    since,
+    until,
+    seller: { name: seller.name, sellerName: seller.sellerName, email: seller.email },
+    newOrders: {
+      count: newOrders.length,
+      payout: round2(newOrders.reduce((sum, so) => sum + payoutOf(so), 0)),
+      list: newOrders.slice(0, LIST_LIMIT).map(so => ({
+        subOrderId: so.subOrderId,
+        orderId: so.orderId,
+        itemCount: (so.items || []).reduce((sum, it) => sum + Number(it.quantity || 0), 0),
+        payout: round2(payoutOf(so)),
+        createdAt: so.createdAt
+      }))
+    },
+    pendingShipments: {
+      count: pendingCount,
+      list: pending.map(so => ({ subOrderId: so.subOrderId, orderId: so.orderId, status: so.status, createdAt: so.createdAt }))
+    },
+    lowStock: {
+      threshold,
+      count: lowStockCount,
+      list: lowStock.map(p => ({ name: p.name, stockQuantity: p.stockQuantity }))
+    },
+    earnings: {
+      earned: round2(earned),
+      previous: round2(previous),
+      // Not yet earned: open sub-orders and delivered COD still to be collected
+      upcoming: round2(upcoming
+        .filter(so => so.status !== 'delivered' || isCodUncollected(so))
+        .reduce((sum, so) => sum + payoutOf(so), 0))
+    }
+  };
+};
+
+// Nothing to tell the seller about; the email is skipped
+export const isEmptySellerDigest = (digest) =>
+  digest.newOrders.count === 0 && digest.pendingShipments.count === 0 &&
+  digest.lowStock.count === 0 && digest.earnings.earned === 0;
+
+const orderTotals = async (from, to) => {
+  const [row] = await Order.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to }, status: { $ne: 'cancelled' } } },
+    { $group: { _id: null, count: { $sum: 1 }, gmv: { $sum: '$total' } } }
+  ]);
+  return { count: row?.count || 0, gmv: round2(row?.gmv) };
+};
+
+// Marketplace totals between `since` and `until`, with the orders of the window before for comparison
+export const buildAdminDigest = async ({ since, until, frequency = 'daily' }) => {
+  const previousSince = new Date(since.getTime() - (until.getTime() - since.getTime()));
+  const created = { $gte: since, $lt: until };
+
+  const [orders, previousOrders, commission, refunds, newCustomers, newSellers, pendingSellers, pendingShipments, lowStockProducts] = await Promise.all([
+    orderTotals(since, until),
+    orderTotals(previousSince, since),
+    SubOrder.aggregate([
+      { $match: { createdAt: created, status: { $ne: 'cancelled' } } },
+      { $group: { _id: null, total: { $sum: '$commissionTotal' } } }
+    ]),
+    Order.aggregate([
+      { $match: { 'refunds.createdAt': created } },
+      { $unwind: '$refunds' },
+      { $match: { 'refunds.createdAt': created, 'refunds.status': { $ne: 'failed' } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$refunds.amount' } } }
+    ]),
+    User.countDocuments({ role: 'customer', createdAt: created }),
+    Seller.countDocuments({ createdAt: created }),
+    Seller.countDocuments({ verificationStatus: 'pending' }),
+    SubOrder.countDocuments({ status: { $in: ['pending', 'processing'] } }),
+    Product.countDocuments({ isActive: true, stockQuantity: { $lte: lowStockThreshold() } })
+  ]);
+
+  return {
+    frequency,
+    since,
+    until,
+    orders,
+    previousOrders,
+    commission: round2(commission[0]?.total),
+    refunds: { count: refunds[0]?.count || 0, amount: round2(refunds[0]?.amount) },
+    newCustomers,
+    newSellers,
+    pendingSellers,
+    pendingShipments,
+    lowStockProducts,
+    lowStockThreshold: lowStockThreshold()
+  };
+};
+
+const markDigestSent = (ownerType, owner, until) => NotificationPreference.updateOne(
+  { ownerType, owner },
+  { $set: { 'digest.lastSentAt': until } },
+  { upsert: true }
+);
+
+// Run by the 'email.digest-seller' job. Resolves like the email helpers
+// ({ queued, emailId } or { queued: false, reason }) so checkQueued applies.
+export const sendSellerDigest = async ({ sellerId, until }) => {
+  const seller = await Seller.findById(sellerId).select('name sellerName email verificationStatus');
+  if (!seller || seller.verificationStatus !== 'approved') return { queued: false, reason: 'seller_unavailable' };
+  const preference = await getDigestPreference('seller', seller._id);
+  if (preference.frequency === 'off') return { queued: false, reason: 'opted_out' };
+
+  const end = new Date(until);
+  const since = windowStart(preference.lastSentAt, preference.frequency, end);
+  if (since >= end) return { queued: false, reason: 'already_sent' };
+
+  const digest = await buildSellerDigest(seller, { since, until: end, frequency: preference.frequency });
+  if (isEmptySellerDigest(digest)) {
+    await markDigestSent('seller', seller._id, end);
+    return { queued: false, reason: 'nothing_to_report' };
+  }
+  const result = await sendSellerDigestEmail(seller, digest);
+  if (result?.queued) await markDigestSent('seller', seller._id, end);
+  return result;
+};
+
+// Run by the 'email.digest-admin' job for one admin account
+export const sendAdminDigest = async ({ userId, until }) => {
+  const admin = await User.findOne({ _id: userId, role: 'admin' }).select('name email');
+  if (!admin) return { queued: false, reason: 'admin_unavailable' };
+  const preference = await getDigestPreference('admin', admin._id);
+  if (preference.frequency === 'off') return { queued: false, reason: 'opted_out' };
+
+  const end = new Date(until);
+  const since = windowStart(preference.lastSentAt, preference.frequency, end);
+  if (since >= end) return { queued: false, reason: 'already_sent' };
+
+  const digest = await buildAdminDigest({ since, until: end, frequency: preference.frequency });
+  const result = await sendAdminDigestEmail(admin, digest);
+  if (result?.queued) await markDigestSent('admin', admin._id, end);
+  return result;
+};
+
+// DIGEST_HOUR (server time, default 8) is when digests go out; weekly ones on
+// DIGEST_WEEKDAY (0 = Sunday, default 1 = Monday)
+const digestHour = () => Number(process.env.DIGEST_HOUR ?? 8);
+const digestWeekday = () => Number(process.env.DIGEST_WEEKDAY ?? 1);
+
+const dateKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const frequencies = async (ownerType, ids) => {
+  const docs = await NotificationPreference.find({ ownerType, owner: { $in: ids } }).select('owner digest').lean();
+  const saved = new Map(docs.map(d => [String(d.owner), d.digest?.frequency]));
+  return (id) => saved.get(String(id)) || DIGEST_DEFAULTS[ownerType];
+};
+
+// Queue today's digests for every recipient that is due. The dedupe key holds
+// the date, so running this more than once a day (or on several servers) is safe.
+// Resolves to the number of recipients due today.
+export const scheduleDigests = async (now = new Date()) => {
+  if (now.getHours() < digestHour()) return { due: 0, skipped: 'before_digest_hour' };
+  const isWeeklyDay = now.getDay() === digestWeekday();
+  const isDue = (frequency) => frequency === 'daily' || (frequency === 'weekly' && isWeeklyDay);
+  const day = dateKey(now);
+  const until = now.toISOString();
+  let due = 0;
+
+  const sellers = await Seller.find({ verificationStatus: 'approved' }).select('_id').lean();
+  const sellerFrequency = await frequencies('seller', sellers.map(s => s._id));
+  for (const { _id } of sellers) {
+    if (!isDue(sellerFrequency(_id))) continue;
+    const job = await enqueueJobQuietly('email.digest-seller', { sellerId: String(_id), until }, { dedupeKey: `email.digest-seller:${_id}:${day}` });
+    if (job) due += 1;
+  }
+
+  const admins = await User.find({ role: 'admin' }).select('_id').lean();
+  const adminFrequency = await frequencies('admin', admins.map(a => a._id));
+  for (const { _id } of admins) {
+    if (!isDue(adminFrequency(_id))) continue;
+    const job = await enqueueJobQuietly('email.digest-admin', { userId: String(_id), until }, { dedupeKey: `email.digest-admin:${_id}:${day}` });
+    if (job) due += 1;
+  }
+
+  return { due };
+};
+
+let digestTimer = null;
+
+// Check every DIGEST_CHECK_INTERVAL_MINUTES (default 15) whether digests are due
+export const startDigestScheduler = (intervalMs = Number(process.env.DIGEST_CHECK_INTERVAL_MINUTES || 15) * 60 * 1000) => {
+  if (digestTimer) return digestTimer;
+  digestTimer = setInterval(() => {
+    scheduleDigests().catch(err => {
+      console.error('❌ Digest scheduling failed:', err?.message || err);
+    });
+  }, intervalMs);
+  digestTimer.unref?.();
+  return digestTimer;
+};
@@ -1,5 +1,11 @@
 import nodemailer from 'nodemailer';
 import sgMail from '@sendgrid/mail';
+import fs from 'fs/promises';
+import path from 'path';
+import EmailMessage from '../models/EmailMessage.js';
+import { buildInvoicePdfForOrder } from './invoice.js';
+import { loadTemplateStrings, renderEmailTemplate, resolveLocale } from './emailTemplates.js';
+import { enqueueJob, PermanentJobError } from './jobs.js';
 
 
 // Cache transporter to avoid re-creating on every call
@@ -49,49 +55,180 @@ function createTransporter() {
   return transporter;
 }
 
-async function sendEmailWithRetryGeneric(mailOptions, maxRetries = 3) {
-  const provider = getEmailProvider();
-  let lastError;
+// Where queued emails go: EMAIL_TRANSPORT (smtp | sendgrid | file), else SendGrid
+// when SENDGRID_API_KEY is set, else SMTP when configured. Outside production
+// unconfigured mail falls back to the file transport. Returns null when there is
+// nothing to send through.
+function getEmailTransport() {
+  const explicit = String(process.env.EMAIL_TRANSPORT || '').toLowerCase();
+  if (['smtp', 'sendgrid', 'file'].includes(explicit)) return explicit;
+  if (getEmailProvider() === 'sendgrid') return 'sendgrid';
+  if (createTransporter()) return 'smtp';
+  return process.env.NODE_ENV !== 'production' ? 'file' : null;
+}
 
-  // Normalize from
-  const normalized = {
-    from: mailOptions.from || getDefaultFrom(),
-    to: mailOptions.to,
-    subject: mailOptions.subject,
-    html: mailOptions.html,
-  };
+let fileTransporter = null;
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      if (provider === 'sendgrid') {
-        if (!sendgridInitialized) {
-          sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-          sendgridInitialized = true;
-        }
-        const [res] = await sgMail.send(normalized);
-        const messageId = res?.headers?.['x-message-id'] || res?.headers?.['x-sendgrid-message-id'] || undefined;
-        return { sent: true, messageId: messageId || 'sendgrid' };
-      } else {
-        const transporter = createTransporter();
-        if (!transporter) {
-          return { sent: false, error: 'smtp_not_configured' };
-        }
-        const info = await transporter.sendMail(normalized);
-        return { sent: true, messageId: info?.messageId };
-      }
-    } catch (error) {
-      lastError = error;
-      const sgDetails = error?.response?.body?.errors ? JSON.stringify(error.response.body.errors) : null;
-      console.error(`❌ Email send failed (provider=${provider}, attempt=${attempt})`, error?.message || error);
-      if (sgDetails) console.error('SendGrid details:', sgDetails);
-      // Exponential backoff between attempts
-      if (attempt < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-        await new Promise(r => setTimeout(r, delay));
-      }
+// Writes each message as an .eml file under EMAIL_FILE_DIR (default tmp/emails)
+async function sendToFile(mail) {
+  if (!fileTransporter) {
+    fileTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  const info = await fileTransporter.sendMail(mail);
+  const dir = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/emails');
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${String(mail.to).replace(/[^a-z0-9@._-]/gi, '_')}.eml`);
+  await fs.writeFile(file, info.message);
+  console.log(`📁 Email written to ${file}`);
+  return info.messageId || file;
+}
+
+// One delivery attempt through the given transport. Resolves to the provider's
+// message id; throws when the provider rejects the message.
+async function sendThroughTransport(transport, message) {
+  const mail = {
+    from: message.from || getDefaultFrom(),
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    ...(message.text ? { text: message.text } : {}),
+  };
+  // Attachments use the nodemailer shape: { filename, content (Buffer), contentType }
+  const attachments = (message.attachments || []).map(a => ({
+    filename: a.filename,
+    content: Buffer.from(a.content),
+    contentType: a.contentType
+  }));
+
+  if (transport === 'sendgrid') {
+    if (!sendgridInitialized) {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+      sendgridInitialized = true;
     }
+    const [res] = await sgMail.send(attachments.length > 0 ? {
+      ...mail,
+      attachments: attachments.map(a => ({
+        filename: a.filename,
+        type: a.contentType,
+        disposition: 'attachment',
+        content: a.content.toString('base64')
+      }))
+    } : mail);
+    return res?.headers?.['x-message-id'] || res?.headers?.['x-sendgrid-message-id'] || 'sendgrid';
+  }
+
+  const withAttachments = attachments.length > 0 ? { ...mail, attachments } : mail;
+  if (transport === 'file') return sendToFile(withAttachments);
+
+  const transporter = createTransporter();
+  if (!transporter) throw new PermanentJobError('smtp_not_configured');
+  const info = await transporter.sendMail(withAttachments);
+  return info?.messageId || null;
+}
+
+// Templates carrying a password reset link, verification link or one-time
+// code. Their bodies never leave the outbox through the admin API and are
+// cleared once delivery is over.
+const SENSITIVE_EMAIL_TEMPLATES = new Set(['password-reset', 'email-verification', 'order-lookup-code']);
+const REDACTED_BODY = '[redacted]';
+
+const isSensitiveEmail = (message) => !!message?.sensitive || SENSITIVE_EMAIL_TEMPLATES.has(message?.template);
+
+const redactedFields = () => ({ html: REDACTED_BODY, text: '', redactedAt: new Date() });
+
+// Write an email to the outbox and queue its delivery. Resolves to
+// { queued: true, emailId } or { queued: false, reason | error }; never throws.
+async function queueEmail(mailOptions, { template = 'custom', orderId = null } = {}) {
+  const to = String(mailOptions?.to || '').trim();
+  if (!to) return { queued: false, reason: 'missing_recipient' };
+  try {
+    const message = await EmailMessage.create({
+      template,
+      to,
+      from: mailOptions.from || getDefaultFrom(),
+      subject: mailOptions.subject,
+      html: mailOptions.html || '',
+      text: mailOptions.text || '',
+      locale: mailOptions.locale || 'en',
+      attachments: Array.isArray(mailOptions.attachments) ? mailOptions.attachments : [],
+      orderId: orderId || null,
+      sensitive: SENSITIVE_EMAIL_TEMPLATES.has(template)
+    });
+    const job = await enqueueJob('email.deliver', { emailId: String(message._id) }, { dedupeKey: `email.deliver:${message._id}` });
+    await EmailMessage.updateOne({ _id: message._id }, { $set: { job: job._id } });
+    return { queued: true, emailId: String(message._id) };
+  } catch (error) {
+    console.error(`❌ Failed to queue ${template} email:`, error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
+
+// Run by the 'email.deliver' job. A failed send is recorded on the message and
+// rethrown so the job retries with backoff; on the job's last attempt the
+// message is marked failed.
+async function deliverOutboxEmail(emailId, job = null) {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: emailId, status: { $in: ['queued', 'sending'] } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) {
+    if (!(await EmailMessage.exists({ _id: emailId }))) throw new PermanentJobError(`Email ${emailId} not found`);
+    return { skipped: 'not_queued' };
+  }
+
+  const transport = getEmailTransport();
+  try {
+    if (!transport) throw new PermanentJobError('email_not_configured');
+    const providerMessageId = await sendThroughTransport(transport, message);
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      { $set: {
+        status: 'sent', transport, providerMessageId, sentAt: new Date(), lastError: null,
+        ...(isSensitiveEmail(message) ? redactedFields() : {})
+      } }
+    );
+    console.log(`✅ Email ${message.template} sent to ${message.to} via ${transport}`);
+    return { sent: true, emailId: String(message._id), transport };
+  } catch (error) {
+    const lastError = error?.message || String(error);
+    const final = error instanceof PermanentJobError || !job || job.attempts >= job.maxAttempts;
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      { $set: final
+        ? { status: 'failed', failedAt: new Date(), transport, lastError, ...(isSensitiveEmail(message) ? redactedFields() : {}) }
+        : { status: 'queued', transport, lastError } }
+    );
+    const sgDetails = error?.response?.body?.errors ? JSON.stringify(error.response.body.errors) : null;
+    console.error(`❌ Email ${message.template} to ${message.to} failed (transport=${transport}, attempt=${message.attempts})`, lastError);
+    if (sgDetails) console.error('SendGrid details:', sgDetails);
+    throw error;
   }
-  return { sent: false, error: lastError?.message || 'Unknown email error' };
+}
+
+// Admin: send an outbox message again as a new message linked to the original.
+// Returns { email } or { error, statusCode }.
+async function resendOutboxEmail(emailId) {
+  const original = await EmailMessage.findById(emailId);
+  if (!original) return { error: 'Email not found', statusCode: 404 };
+  if (isSensitiveEmail(original)) {
+    return { error: 'This email carried a one-time link or code; ask the user to request a new one', statusCode: 400 };
+  }
+  if (['queued', 'sending'].includes(original.status)) {
+    return { error: 'Email is still waiting to be sent', statusCode: 400 };
+  }
+  const result = await queueEmail({
+    from: original.from,
+    to: original.to,
+    subject: original.subject,
+    html: original.html,
+    text: original.text,
+    locale: original.locale,
+    attachments: (original.attachments || []).map(a => ({ filename: a.filename, contentType: a.contentType, content: a.content }))
+  }, { template: original.template, orderId: original.orderId });
+  if (!result.queued) return { error: result.error || result.reason, statusCode: 500 };
+  await EmailMessage.updateOne({ _id: result.emailId }, { $set: { resendOf: original._id } });
+  return { email: await EmailMessage.findById(result.emailId) };
 }
 
 function formatINR(amount) {
@@ -116,105 +253,250 @@ function isHttpUrl(url) {
   }
 }
 
-function buildItemsTable(items = []) {
-  const rows = (items || []).map((it) => {
-    const name = sanitize(it?.name);
-    const qty = Number(it?.quantity || 0);
-    const price = formatINR(it?.price || 0);
-    const size = sanitize(it?.size);
-    const color = sanitize(it?.color);
-    const image = sanitize(it?.image);
-
-    const imageCell = isHttpUrl(image)
-      ? `<img src="${image}" alt="${name}" style="width:48px;height:48px;border-radius:8px;object-fit:cover;border:1px solid #eee" />`
-      : '';
-
-    return `
-      <tr>
-        <td style="padding:8px;border-bottom:1px solid #eee;vertical-align:middle">${imageCell}</td>
-        <td style="padding:8px;border-bottom:1px solid #eee;vertical-align:middle">
-          <div style="font-weight:600;color:#111">${name}</div>
-          ${size ? `<div style="font-size:12px;color:#555">Size: ${size}</div>` : ''}
-          ${color ? `<div style="font-size:12px;color:#555">Color: ${color}</div>` : ''}
-        </td>
-        <td style="padding:8px;border-bottom:1px solid #eee;text-align:center">${qty}</td>
-        <td style="padding:8px;border-bottom:1px solid #eee;text-align:right">${price}</td>
-        <td style="padding:8px;border-bottom:1px solid #eee;text-align:right">${formatINR((it?.price || 0) * qty)}</td>
-      </tr>`;
-  }).join('');
-
-  return `
-    <table role="presentation" cellspacing="0" cellpadding="0" style="width:100%;border-collapse:collapse">
-      <thead>
-        <tr>
-          <th style="padding:8px;border-bottom:2px solid #ddd;text-align:left;width:56px">Image</th>
-          <th style="padding:8px;border-bottom:2px solid #ddd;text-align:left">Item</th>
-          <th style="padding:8px;border-bottom:2px solid #ddd;text-align:center;width:80px">Qty</th>
-          <th style="padding:8px;border-bottom:2px solid #ddd;text-align:right;width:120px">Price</th>
-          <th style="padding:8px;border-bottom:2px solid #ddd;text-align:right;width:120px">Total</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${rows || ''}
-      </tbody>
-    </table>`;
+const DATE_LOCALES = { en: 'en-IN', hi: 'hi-IN' };
+
+function formatDate(value, locale, withTime = true) {
+  if (!value) return '';
+  return new Date(value).toLocaleDateString(DATE_LOCALES[locale] || 'en-IN', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {})
+  });
 }
 
-function buildEmailHtml(order) {
-  const customerName = sanitize(order?.customerName) || 'Customer';
-  const orderId = sanitize(order?.orderId) || sanitize(order?._id);
-  const paymentId = sanitize(order?.paymentId);
-  const total = formatINR(order?.total);
-
-  const addressParts = [
-    sanitize(order?.customerAddress),
-    sanitize(order?.customerCity),
-    sanitize(order?.customerPincode),
-  ].filter(Boolean);
-
-  const itemsTable = buildItemsTable(order?.items || []);
-
-  return `
-    <div style="font-family:Inter,Segoe UI,Arial,sans-serif;background:#f8fafc;padding:24px">
-      <div style="max-width:680px;margin:auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:12px;overflow:hidden">
-        <div style="padding:20px 24px;border-bottom:1px solid #f1f5f9;background:linear-gradient(90deg,#fff,#f8fafc)">
-          <h2 style="margin:0;color:#111827">Your Order is Confirmed</h2>
-          <div style="color:#6b7280;font-size:14px;margin-top:4px">Thanks for shopping with L-Mart!</div>
-        </div>
+function frontendUrl() {
+  return process.env.FRONTEND_URL || 'http://localhost:3000';
+}
 
-        <div style="padding:24px">
-          <p style="margin:0 0 16px 0;color:#111827">Hi ${customerName},</p>
-          <p style="margin:0 0 16px 0;color:#374151">We’ve received your order and it’s now being processed.</p>
+function itemVariables(items = []) {
+  return (items || []).map((it) => {
+    const quantity = Number(it?.quantity || 0);
+    return {
+      name: sanitize(it?.name),
+      image: isHttpUrl(it?.image) ? sanitize(it.image) : null,
+      size: sanitize(it?.size) || null,
+      color: sanitize(it?.color) || null,
+      quantity,
+      price: formatINR(it?.price || 0),
+      lineTotal: formatINR((it?.price || 0) * quantity)
+    };
+  });
+}
 
-          <div style="display:flex;gap:16px;margin:16px 0;padding:12px;border:1px solid #e5e7eb;border-radius:12px;background:#fafafa">
-            <div style="flex:1">
-              <div style="color:#6b7280;font-size:12px">Order</div>
-              <div style="color:#111827;font-weight:600">${orderId}</div>
-            </div>
-            <div style="flex:1">
-              <div style="color:#6b7280;font-size:12px">Payment</div>
-              <div style="color:#111827">${paymentId || '—'}</div>
-            </div>
-            <div style="flex:1">
-              <div style="color:#6b7280;font-size:12px">Total</div>
-              <div style="color:#111827;font-weight:600">${total}</div>
-            </div>
-          </div>
+// Variables shared by the order templates
+function orderVariables(order, locale) {
+  return {
+    orderId: sanitize(order?.orderId) || String(order?._id || ''),
+    customerName: sanitize(order?.customerName) || 'Customer',
+    customerEmail: sanitize(order?.customerEmail),
+    customerPhone: sanitize(order?.customerPhone),
+    customerAddress: sanitize(order?.customerAddress),
+    customerCity: sanitize(order?.customerCity),
+    customerPincode: sanitize(order?.customerPincode),
+    address: [order?.customerAddress, order?.customerCity, order?.customerPincode].map(sanitize).filter(Boolean).join(', ') || null,
+    isCod: order?.paymentMethod === 'cod',
+    codFee: order?.codFee ? formatINR(order.codFee) : null,
+    paymentId: sanitize(order?.paymentId) || null,
+    orderDate: formatDate(order?.paymentDate || order?.createdAt, locale),
+    total: formatINR(order?.total),
+    discount: order?.discount > 0 ? formatINR(order.discount) : null,
+    couponCode: sanitize(order?.coupon?.code) || null,
+    items: itemVariables(order?.items)
+  };
+}
 
-          ${itemsTable}
+const STATUS_STYLES = {
+  pending: { color: '#f59e0b', emoji: '⏳', bgColor: '#fef3c7' },
+  processing: { color: '#3b82f6', emoji: '🔄', bgColor: '#dbeafe' },
+  shipped: { color: '#8b5cf6', emoji: '🚚', bgColor: '#ede9fe' },
+  delivered: { color: '#10b981', emoji: '✅', bgColor: '#d1fae5' },
+  cancelled: { color: '#ef4444', emoji: '❌', bgColor: '#fee2e2' }
+};
+
+// Tracking cards for status emails, from serializeShipment() output
+function shipmentVariables(shipments = [], locale) {
+  return shipments.map(s => ({
+    courierName: sanitize(s.courierName || s.courier),
+    awb: sanitize(s.awb),
+    latestEvent: s.latestEvent
+      ? `${sanitize(s.latestEvent.description || s.latestEvent.status)}${s.latestEvent.location ? ` - ${sanitize(s.latestEvent.location)}` : ''}`
+      : null,
+    estimatedDelivery: s.estimatedDelivery && s.status !== 'delivered' ? formatDate(s.estimatedDelivery, locale, false) : null,
+    trackingUrl: isHttpUrl(s.trackingUrl) ? sanitize(s.trackingUrl) : null
+  }));
+}
 
-          ${addressParts.length ? `
-          <div style="margin-top:20px">
-            <h3 style="margin:0 0 8px 0;color:#111827;font-size:16px">Shipping Address</h3>
-            <div style="color:#374151">${addressParts.join(', ')}</div>
-          </div>` : ''}
+// Templates in templates/email/ and how to build their variables. `sample` is
+// the kind of record the admin preview renders against.
+const EMAIL_TEMPLATES = {
+  'order-confirmation': {
+    sample: 'order',
+    variables: (order, { locale }) => orderVariables(order, locale)
+  },
+  'order-status': {
+    sample: 'order',
+    variables: (order, { locale, newStatus = order?.status, shipments = [] }) => {
+      const label = loadTemplateStrings('order-status', locale).statuses?.[newStatus] || newStatus;
+      const style = STATUS_STYLES[newStatus] || { color: '#6b7280', emoji: '📦', bgColor: '#f3f4f6' };
+      return {
+        ...orderVariables(order, locale),
+        status: { key: newStatus, label, labelLower: String(label).toLocaleLowerCase(DATE_LOCALES[locale]), ...style },
+        updatedAt: formatDate(new Date(), locale),
+        shipments: shipmentVariables(shipments, locale)
+      };
+    }
+  },
+  'order-placed-admin': {
+    sample: 'order',
+    variables: (order, { locale }) => ({
+      ...orderVariables(order, locale),
+      status: String(order?.status || '').toUpperCase(),
+      dashboardUrl: `${frontendUrl()}/admin/dashboard`
+    })
+  },
+  'order-placed-seller': {
+    sample: 'order',
+    // `items` are the seller's lines from groupOrderItemsBySeller (the whole order when previewing)
+    variables: (order, { locale, sellerName, items = order?.items || [] }) => {
+      const lines = itemVariables(items).map((line, i) => ({ ...line, payout: formatINR(items[i]?.sellerPayoutAmount || 0) }));
+      return {
+        orderId: sanitize(order?.orderId) || String(order?._id || ''),
+        orderDate: formatDate(order?.paymentDate || order?.createdAt, locale),
+        customerName: sanitize(order?.customerName) || 'Customer',
+        customerCity: sanitize(order?.customerCity) || null,
+        customerPincode: sanitize(order?.customerPincode) || null,
+        sellerName: sanitize(sellerName) || 'Seller',
+        items: lines,
+        payoutTotal: formatINR(items.reduce((sum, it) => sum + Number(it?.sellerPayoutAmount || 0), 0)),
+        orderUrl: `${frontendUrl()}/seller/orders/${order?._id || ''}`
+      };
+    }
+  },
+  'price-drop': {
+    sample: 'product',
+    variables: ({ customerName, product, oldPrice, newPrice }) => ({
+      customerName: sanitize(customerName) || 'Customer',
+      productName: sanitize(product?.name),
+      image: isHttpUrl(product?.image) ? sanitize(product.image) : null,
+      oldPrice: formatINR(oldPrice),
+      newPrice: formatINR(newPrice),
+      savings: formatINR(Math.max(0, Number(oldPrice || 0) - Number(newPrice || 0))),
+      cartUrl: `${frontendUrl()}/cart`
+    })
+  },
+  'digest-seller': {
+    sample: 'digest',
+    // `digest` is buildSellerDigest() output (utils/digests.js)
+    variables: (digest, { locale }) => {
+      const strings = loadTemplateStrings('digest-seller', locale);
+      const { newOrders, pendingShipments, lowStock, earnings } = digest;
+      const change = earnings.earned - earnings.previous;
+      return {
+        sellerName: sanitize(digest.seller?.sellerName || digest.seller?.name) || 'Seller',
+        period: strings.periods?.[digest.frequency] || digest.frequency,
+        from: formatDate(digest.since, locale),
+        to: formatDate(digest.until, locale),
+        newOrders: {
+          count: newOrders.count,
+          payout: formatINR(newOrders.payout),
+          items: newOrders.list.map(o => ({
+            subOrderId: sanitize(o.subOrderId),
+            itemCount: o.itemCount,
+            payout: formatINR(o.payout),
+            placedAt: formatDate(o.createdAt, locale)
+          })),
+          more: newOrders.count > newOrders.list.length ? newOrders.count - newOrders.list.length : null
+        },
+        pendingShipments: {
+          count: pendingShipments.count,
+          items: pendingShipments.list.map(o => ({
+            subOrderId: sanitize(o.subOrderId),
+            status: strings.statuses?.[o.status] || o.status,
+            placedAt: formatDate(o.createdAt, locale, false)
+          })),
+          more: pendingShipments.count > pendingShipments.list.length ? pendingShipments.count - pendingShipments.list.length : null
+        },
+        lowStock: {
+          count: lowStock.count,
+          threshold: lowStock.threshold,
+          items: lowStock.list.map(p => ({ name: sanitize(p.name), stockQuantity: p.stockQuantity })),
+          more: lowStock.count > lowStock.list.length ? lowStock.count - lowStock.list.length : null
+        },
+        earnings: {
+          earned: formatINR(earnings.earned),
+          previous: formatINR(earnings.previous),
+          upcoming: formatINR(earnings.upcoming),
+          change: `${change < 0 ? '-' : '+'}${formatINR(Math.abs(change))}`,
+          up: change > 0,
+          down: change < 0
+        },
+        dashboardUrl: `${frontendUrl()}/seller/dashboard`
+      };
+    }
+  },
+  'digest-admin': {
+    sample: 'digest',
+    // `digest` is buildAdminDigest() output (utils/digests.js)
+    variables: (digest, { locale }) => {
+      const strings = loadTemplateStrings('digest-admin', locale);
+      const gmvChange = digest.orders.gmv - digest.previousOrders.gmv;
+      return {
+        period: strings.periods?.[digest.frequency] || digest.frequency,
+        from: formatDate(digest.since, locale),
+        to: formatDate(digest.until, locale),
+        orders: digest.orders.count,
+        previousOrders: digest.previousOrders.count,
+        gmv: formatINR(digest.orders.gmv),
+        previousGmv: formatINR(digest.previousOrders.gmv),
+        gmvChange: `${gmvChange < 0 ? '-' : '+'}${formatINR(Math.abs(gmvChange))}`,
+        commission: formatINR(digest.commission),
+        refunds: digest.refunds.count,
+        refundAmount: formatINR(digest.refunds.amount),
+        newCustomers: digest.newCustomers,
+        newSellers: digest.newSellers,
+        pendingSellers: digest.pendingSellers,
+        pendingShipments: digest.pendingShipments,
+        lowStockProducts: digest.lowStockProducts,
+        lowStockThreshold: digest.lowStockThreshold,
+        dashboardUrl: `${frontendUrl()}/admin/dashboard`,
+        sellersUrl: `${frontendUrl()}/admin/sellers`
+      };
+    }
+  },
+  'seller-registered-admin': {
+    sample: 'seller',
+    variables: (seller, { locale }) => ({
+      name: sanitize(seller?.name),
+      email: sanitize(seller?.email),
+      sellerName: sanitize(seller?.sellerName),
+      registeredAt: formatDate(seller?.createdAt || new Date(), locale),
+      parentSellerEmail: sanitize(seller?.parentSellerEmail) || null,
+      reviewUrl: `${frontendUrl()}/admin/sellers`
+    })
+  },
+  'password-reset': {
+    sample: 'account',
+    variables: (account) => ({
+      accountType: sanitize(account?.accountType) || 'user',
+      resetUrl: account?.resetUrl,
+      expiresInMinutes: account?.expiresInMinutes || 30
+    })
+  }
+};
 
-          <div style="margin-top:24px;color:#6b7280;font-size:12px">If you have any questions, just reply to this email.</div>
-        </div>
+// Kind of sample record a template previews against, or null if unknown
+export function emailTemplateSampleType(name) {
+  return EMAIL_TEMPLATES[name]?.sample || null;
+}
 
-        <div style="padding:16px 24px;border-top:1px solid #f1f5f9;color:#9ca3af;font-size:12px">© ${new Date().getFullYear()} L-Mart • This is an automated message</div>
-      </div>
-    </div>`;
+// Render a template for a record. Resolves to { subject, html, text, locale }.
+// `options` carries the locale and anything template-specific (status, shipments).
+export function renderEmail(name, data, options = {}) {
+  const entry = EMAIL_TEMPLATES[name];
+  if (!entry) throw new Error(`Unknown email template: ${name}`);
+  const locale = resolveLocale(options.locale);
+  return renderEmailTemplate(name, entry.variables(data, { ...options, locale }), { locale });
 }
 
 export async function sendOrderConfirmationEmail(order) {
@@ -223,22 +505,34 @@ export async function sendOrderConfirmationEmail(order) {
 
     if (!toEmail) {
       console.warn('⚠️ No customerEmail on order; skipping email. Order id:', order?._id || order?.orderId);
-      return { sent: false, reason: 'missing_recipient' };
+      return { queued: false, reason: 'missing_recipient' };
     }
 
-    const fromName = getDefaultFrom();
-    const subject = `Order Confirmed • ${sanitize(order?.orderId) || order?._id}`;
-    const html = buildEmailHtml(order);
+    const { subject, html, text, locale } = renderEmail('order-confirmation', order, { locale: order?.locale });
 
-    return await sendEmailWithRetryGeneric({
-      from: fromName,
+    // Attach the GST invoice; the confirmation still goes out if it cannot be built
+    const attachments = [];
+    try {
+      const invoice = await buildInvoicePdfForOrder(order);
+      if (invoice) {
+        attachments.push({ filename: invoice.filename, content: invoice.buffer, contentType: 'application/pdf' });
+      }
+    } catch (invoiceErr) {
+      console.warn('⚠️ Could not attach invoice to order confirmation:', invoiceErr?.message || invoiceErr);
+    }
+
+    return await queueEmail({
+      from: getDefaultFrom(),
       to: toEmail,
       subject,
       html,
-    });
+      text,
+      locale,
+      attachments,
+    }, { template: 'order-confirmation', orderId: order?.orderId });
   } catch (error) {
     console.error('❌ Failed to send order confirmation email:', error?.message || error);
-    return { sent: false, error: error?.message || String(error) };
+    return { queued: false, error: error?.message || String(error) };
   }
 }
 
@@ -246,84 +540,19 @@ export async function sendOrderConfirmationEmail(order) {
 export async function sendNewSellerNotificationToAdmin(sellerData) {
   try {
     const adminEmail = process.env.ADMIN_ORDER_EMAIL || process.env.SMTP_USER;
-    const subject = 'New Seller Registration - Action Required';
-    
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>New Seller Registration</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 20px; background-color: #f4f4f4; }
-          .container { max-width: 600px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
-          .header { text-align: center; margin-bottom: 30px; }
-          .header h1 { color: #2c3e50; margin: 0; }
-          .alert { background-color: #e8f5e8; border: 1px solid #4caf50; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
-          .seller-info { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #555; }
-          .value { color: #333; }
-          .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🎉 New Seller Registration</h1>
-          </div>
-          
-          <div class="alert">
-            <strong>New seller coming!</strong> A new seller has registered on your platform and requires verification.
-          </div>
-          
-          <div class="seller-info">
-            <h3>Seller Details:</h3>
-            <div class="info-row">
-              <span class="label">Name:</span> 
-              <span class="value">${sanitize(sellerData.name)}</span>
-            </div>
-            <div class="info-row">
-              <span class="label">Email:</span> 
-              <span class="value">${sanitize(sellerData.email)}</span>
-            </div>
-            <div class="info-row">
-              <span class="label">Seller Name:</span> 
-              <span class="value">${sanitize(sellerData.sellerName)}</span>
-            </div>
-            <div class="info-row">
-              <span class="label">Registration Date:</span> 
-              <span class="value">${new Date().toLocaleString('en-IN')}</span>
-            </div>
-            ${sellerData.parentSellerEmail ? `
-            <div class="info-row">
-              <span class="label">Parent Seller:</span> 
-              <span class="value">${sanitize(sellerData.parentSellerEmail)}</span>
-            </div>
-            ` : ''}
-          </div>
-          
-          <p><strong>Action Required:</strong> Please review and verify this seller in your admin dashboard.</p>
-          
-          <div class="footer">
-            <p>This is an automated notification from your Printo platform.</p>
-            <p>Please do not reply to this email.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    const { subject, html, text, locale } = renderEmail('seller-registered-admin', sellerData);
 
-    return await sendEmailWithRetryGeneric({
+    return await queueEmail({
       from: getDefaultFrom(),
       to: adminEmail,
       subject,
       html,
-    });
+      text,
+      locale,
+    }, { template: 'seller-registered-admin' });
   } catch (error) {
     console.error('❌ Failed to send admin notification:', error?.message || error);
-    return { sent: false, error: error?.message || String(error) };
+    return { queued: false, error: error?.message || String(error) };
   }
 }
 
@@ -331,199 +560,155 @@ export async function sendNewSellerNotificationToAdmin(sellerData) {
 export async function sendNewOrderNotificationToAdmin(order) {
   try {
     const adminEmail = process.env.ADMIN_ORDER_EMAIL || process.env.SMTP_USER;
-    
-    // Build items table for email
-    const itemsHtml = order.items.map(item => `
-      <tr style="border-bottom: 1px solid #e5e7eb;">
-        <td style="padding: 12px; text-align: left;">
-          <div style="display: flex; align-items: center;">
-            ${item.image ? `<img src="${item.image}" alt="${sanitize(item.name)}" style="width: 50px; height: 50px; object-fit: cover; border-radius: 8px; margin-right: 12px;">` : ''}
-            <div>
-              <div style="font-weight: 600; color: #1f2937;">${sanitize(item.name)}</div>
-              ${item.size ? `<div style="font-size: 12px; color: #6b7280;">Size: ${sanitize(item.size)}</div>` : ''}
-              ${item.color ? `<div style="font-size: 12px; color: #6b7280;">Color: ${sanitize(item.color)}</div>` : ''}
-            </div>
-          </div>
-        </td>
-        <td style="padding: 12px; text-align: center; color: #374151;">${item.quantity}</td>
-        <td style="padding: 12px; text-align: right; color: #374151; font-weight: 600;">${formatINR(item.price)}</td>
-        <td style="padding: 12px; text-align: right; color: #059669; font-weight: 600;">${formatINR(item.price * item.quantity)}</td>
-      </tr>
-    `).join('');
+    const { subject, html, text, locale } = renderEmail('order-placed-admin', order);
 
-    const emailHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>New Order Received - L-Mart</title>
-      </head>
-      <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f9fafb;">
-        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-          
-          <!-- Header -->
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 700;">🎉 New Order Received!</h1>
-            <p style="color: #e0e7ff; margin: 10px 0 0 0; font-size: 16px;">A customer has placed a new order on L-Mart</p>
-          </div>
+    console.log(`📧 Queueing new order notification to admin: ${adminEmail}`);
+    return await queueEmail({
+      from: getDefaultFrom(),
+      to: adminEmail,
+      subject,
+      html,
+      text,
+      locale,
+    }, { template: 'order-placed-admin', orderId: order.orderId });
+  } catch (error) {
+    console.error('❌ Failed to send order notification to admin:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
 
-          <!-- Order Info -->
-          <div style="padding: 30px;">
-            <div style="background-color: #f3f4f6; border-radius: 12px; padding: 20px; margin-bottom: 25px;">
-              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">📋 Order Details</h2>
-              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-                <div>
-                  <strong style="color: #374151;">Order ID:</strong><br>
-                  <span style="color: #6b7280; font-family: monospace;">${sanitize(order.orderId)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Payment ID:</strong><br>
-                  <span style="color: #6b7280; font-family: monospace;">${sanitize(order.paymentId)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Order Date:</strong><br>
-                  <span style="color: #6b7280;">${new Date(order.paymentDate).toLocaleDateString('en-IN', { 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                  })}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Status:</strong><br>
-                  <span style="background-color: #fef3c7; color: #92400e; padding: 4px 8px; border-radius: 6px; font-size: 12px; font-weight: 600;">${order.status.toUpperCase()}</span>
-                </div>
-              </div>
-            </div>
+// New-order email for one seller, listing only their lines (see groupOrderItemsBySeller)
+export async function sendNewOrderNotificationToSeller(order, seller, items) {
+  try {
+    if (!seller?.email) return { queued: false, reason: 'missing_recipient' };
+    const { subject, html, text, locale } = renderEmail('order-placed-seller', order, {
+      sellerName: seller.sellerName || seller.name,
+      items
+    });
 
-            <!-- Customer Info -->
-            <div style="background-color: #ecfdf5; border-radius: 12px; padding: 20px; margin-bottom: 25px;">
-              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">👤 Customer Information</h2>
-              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-                <div>
-                  <strong style="color: #374151;">Name:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerName)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Email:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerEmail)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Phone:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerPhone)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">City:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerCity)} - ${sanitize(order.customerPincode)}</span>
-                </div>
-              </div>
-              <div style="margin-top: 15px;">
-                <strong style="color: #374151;">Address:</strong><br>
-                <span style="color: #6b7280;">${sanitize(order.customerAddress)}</span>
-              </div>
-            </div>
+    return await queueEmail({
+      from: getDefaultFrom(),
+      to: seller.email,
+      subject,
+      html,
+      text,
+      locale,
+    }, { template: 'order-placed-seller', orderId: order.orderId });
+  } catch (error) {
+    console.error('❌ Failed to send order notification to seller:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
 
-            <!-- Order Items -->
-            <div style="margin-bottom: 25px;">
-              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">🛍️ Order Items</h2>
-              <div style="border-radius: 12px; overflow: hidden; border: 1px solid #e5e7eb;">
-                <table style="width: 100%; border-collapse: collapse;">
-                  <thead>
-                    <tr style="background-color: #f9fafb;">
-                      <th style="padding: 15px; text-align: left; color: #374151; font-weight: 600;">Product</th>
-                      <th style="padding: 15px; text-align: center; color: #374151; font-weight: 600;">Qty</th>
-                      <th style="padding: 15px; text-align: right; color: #374151; font-weight: 600;">Price</th>
-                      <th style="padding: 15px; text-align: right; color: #374151; font-weight: 600;">Total</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${itemsHtml}
-                  </tbody>
-                </table>
-              </div>
-            </div>
+// Digest email for one seller (see utils/digests.js)
+export async function sendSellerDigestEmail(seller, digest) {
+  try {
+    if (!seller?.email) return { queued: false, reason: 'missing_recipient' };
+    const { subject, html, text, locale } = renderEmail('digest-seller', digest);
+    return await queueEmail({
+      from: getDefaultFrom(),
+      to: seller.email,
+      subject,
+      html,
+      text,
+      locale,
+    }, { template: 'digest-seller' });
+  } catch (error) {
+    console.error('❌ Failed to send seller digest:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
 
-            <!-- Order Total -->
-            <div style="background-color: #fef3c7; border-radius: 12px; padding: 20px; text-align: center;">
-              <h3 style="color: #92400e; margin: 0 0 10px 0; font-size: 18px;">💰 Order Total</h3>
-              <div style="font-size: 32px; font-weight: 700; color: #059669;">${formatINR(order.total)}</div>
-            </div>
+// Marketplace digest for one admin account
+export async function sendAdminDigestEmail(admin, digest) {
+  try {
+    if (!admin?.email) return { queued: false, reason: 'missing_recipient' };
+    const { subject, html, text, locale } = renderEmail('digest-admin', digest);
+    return await queueEmail({
+      from: getDefaultFrom(),
+      to: admin.email,
+      subject,
+      html,
+      text,
+      locale,
+    }, { template: 'digest-admin' });
+  } catch (error) {
+    console.error('❌ Failed to send admin digest:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
 
-            <!-- Action Button -->
-            <div style="text-align: center; margin-top: 30px;">
-              <a href="http://localhost:3000/admin/dashboard" 
-                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-                        color: #ffffff; 
-                        text-decoration: none; 
-                        padding: 15px 30px; 
-                        border-radius: 8px; 
-                        font-weight: 600; 
-                        display: inline-block;
-                        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-                📊 View in Admin Dashboard
-              </a>
-            </div>
-          </div>
+// Send order status update notification to customer. `shipments` (optional) adds
+// courier, AWB, latest event, ETA and tracking link for each parcel.
+export async function sendOrderStatusUpdateToCustomer(order, newStatus, oldStatus, shipments = []) {
+  try {
+    const { subject, html, text, locale } = renderEmail('order-status', order, { locale: order?.locale, newStatus, shipments });
 
-          <!-- Footer -->
-          <div style="background-color: #f9fafb; padding: 20px; text-align: center; border-top: 1px solid #e5e7eb;">
-            <p style="color: #6b7280; margin: 0; font-size: 14px;">
-              This is an automated notification from L-Mart Admin System
-            </p>
-            <p style="color: #9ca3af; margin: 5px 0 0 0; font-size: 12px;">
-              © ${new Date().getFullYear()} L-Mart. All rights reserved.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    console.log(`📧 Queueing order status update to customer: ${order.customerEmail}`);
+    return await queueEmail({
+      from: getDefaultFrom(),
+      to: order.customerEmail,
+      subject,
+      html,
+      text,
+      locale,
+    }, { template: 'order-status', orderId: order.orderId });
+  } catch (error) {
+    console.error('❌ Failed to send status update to customer:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
 
-    console.log(`📧 Sending new order notification to admin: ${adminEmail}`);
-    return await sendEmailWithRetryGeneric({
+// Password reset link for a customer or seller account
+export async function sendPasswordResetEmail({ email, accountType, resetUrl, expiresInMinutes = 30, locale, from } = {}) {
+  try {
+    const rendered = renderEmail('password-reset', { accountType, resetUrl, expiresInMinutes }, { locale });
+    return await queueEmail({
+      from: from || getDefaultFrom(),
+      to: email,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      locale: rendered.locale,
+    }, { template: 'password-reset' });
+  } catch (error) {
+    console.error('❌ Failed to send password reset email:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
+
+// A product in the customer's cart is cheaper now
+export async function sendPriceDropEmail({ email, customerName, product, oldPrice, newPrice, locale } = {}) {
+  try {
+    if (!email) return { queued: false, reason: 'missing_recipient' };
+    const rendered = renderEmail('price-drop', { customerName, product, oldPrice, newPrice }, { locale });
+    return await queueEmail({
       from: getDefaultFrom(),
-      to: adminEmail,
-      subject: `🎉 New Order Received - ${order.orderId} (${formatINR(order.total)})`,
-      html: emailHtml,
-    });
+      to: email,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      locale: rendered.locale,
+    }, { template: 'price-drop' });
   } catch (error) {
-    console.error('❌ Failed to send order notification to admin:', error?.message || error);
-    return { sent: false, error: error?.message || String(error) };
+    console.error('❌ Failed to send price drop email:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
   }
 }
 
-// Send order status update notification to customer
-export async function sendOrderStatusUpdateToCustomer(order, newStatus, oldStatus) {
+// Send refund notification to customer
+export async function sendRefundNotificationToCustomer(order, refund) {
   try {
-    // Status display mapping
-    const statusDisplay = {
-      'pending': { text: 'Pending', color: '#f59e0b', emoji: '⏳', bgColor: '#fef3c7' },
-      'processing': { text: 'Processing', color: '#3b82f6', emoji: '🔄', bgColor: '#dbeafe' },
-      'shipped': { text: 'Shipped', color: '#8b5cf6', emoji: '🚚', bgColor: '#ede9fe' },
-      'delivered': { text: 'Delivered', color: '#10b981', emoji: '✅', bgColor: '#d1fae5' },
-      'cancelled': { text: 'Cancelled', color: '#ef4444', emoji: '❌', bgColor: '#fee2e2' }
-    };
+    if (!order?.customerEmail) {
+      return { queued: false, reason: 'No customer email' };
+    }
 
-    const statusInfo = statusDisplay[newStatus] || { text: newStatus, color: '#6b7280', emoji: '📦', bgColor: '#f3f4f6' };
-    
-    // Build items table for email
-    const itemsHtml = order.items.map(item => `
+    const isFull = refund.type === 'full';
+    const itemsHtml = (refund.items || []).map(item => `
       <tr style="border-bottom: 1px solid #e5e7eb;">
-        <td style="padding: 12px; text-align: left;">
-          <div style="display: flex; align-items: center;">
-            ${item.image ? `<img src="${item.image}" alt="${sanitize(item.name)}" style="width: 50px; height: 50px; object-fit: cover; border-radius: 8px; margin-right: 12px;">` : ''}
-            <div>
-              <div style="font-weight: 600; color: #1f2937;">${sanitize(item.name)}</div>
-              ${item.size ? `<div style="font-size: 12px; color: #6b7280;">Size: ${sanitize(item.size)}</div>` : ''}
-              ${item.color ? `<div style="font-size: 12px; color: #6b7280;">Color: ${sanitize(item.color)}</div>` : ''}
-            </div>
-          </div>
-        </td>
+        <td style="padding: 12px; text-align: left; color: #1f2937;">${sanitize(item.name)}</td>
         <td style="padding: 12px; text-align: center; color: #374151;">${item.quantity}</td>
-        <td style="padding: 12px; text-align: right; color: #374151; font-weight: 600;">${formatINR(item.price)}</td>
-        <td style="padding: 12px; text-align: right; color: #059669; font-weight: 600;">${formatINR(item.price * item.quantity)}</td>
+        <td style="padding: 12px; text-align: right; color: #059669; font-weight: 600;">${formatINR(item.amount)}</td>
       </tr>
     `).join('');
 
@@ -533,93 +718,36 @@ export async function sendOrderStatusUpdateToCustomer(order, newStatus, oldStatu
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Order Status Update - L-Mart</title>
+        <title>Refund Initiated - L-Mart</title>
       </head>
       <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f9fafb;">
         <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-          
+
           <!-- Header -->
           <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 700;">${statusInfo.emoji} Order Status Updated!</h1>
-            <p style="color: #e0e7ff; margin: 10px 0 0 0; font-size: 16px;">Your order status has been updated</p>
+            <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 700;">💸 Refund Initiated</h1>
+            <p style="color: #e0e7ff; margin: 10px 0 0 0; font-size: 16px;">${isFull ? 'Your order has been fully refunded' : 'Part of your order has been refunded'}</p>
           </div>
 
-          <!-- Status Update -->
           <div style="padding: 30px;">
-            <div style="background-color: ${statusInfo.bgColor}; border-radius: 12px; padding: 25px; margin-bottom: 25px; text-align: center;">
-              <h2 style="color: ${statusInfo.color}; margin: 0 0 15px 0; font-size: 24px; font-weight: 700;">
-                ${statusInfo.emoji} ${statusInfo.text}
-              </h2>
-              <p style="color: #374151; margin: 0; font-size: 16px;">
-                Your order <strong>${sanitize(order.orderId)}</strong> is now <strong>${statusInfo.text.toLowerCase()}</strong>
+            <div style="background-color: #d1fae5; border-radius: 12px; padding: 25px; margin-bottom: 25px; text-align: center;">
+              <div style="font-size: 32px; font-weight: 700; color: #059669;">${formatINR(refund.amount)}</div>
+              <p style="color: #374151; margin: 10px 0 0 0; font-size: 16px;">
+                for order <strong>${sanitize(order.orderId)}</strong>
               </p>
+              ${refund.reason ? `<p style="color: #6b7280; margin: 10px 0 0 0; font-size: 14px;">Reason: ${sanitize(refund.reason)}</p>` : ''}
             </div>
 
-            <!-- Order Info -->
-            <div style="background-color: #f3f4f6; border-radius: 12px; padding: 20px; margin-bottom: 25px;">
-              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">📋 Order Details</h2>
-              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-                <div>
-                  <strong style="color: #374151;">Order ID:</strong><br>
-                  <span style="color: #6b7280; font-family: monospace;">${sanitize(order.orderId)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Payment ID:</strong><br>
-                  <span style="color: #6b7280; font-family: monospace;">${sanitize(order.paymentId)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Order Date:</strong><br>
-                  <span style="color: #6b7280;">${new Date(order.paymentDate).toLocaleDateString('en-IN', { 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                  })}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Updated:</strong><br>
-                  <span style="color: #6b7280;">${new Date().toLocaleDateString('en-IN', { 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                  })}</span>
-                </div>
-              </div>
-            </div>
-
-            <!-- Customer Info -->
-            <div style="background-color: #ecfdf5; border-radius: 12px; padding: 20px; margin-bottom: 25px;">
-              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">📍 Delivery Information</h2>
-              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-                <div>
-                  <strong style="color: #374151;">Name:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerName)}</span>
-                </div>
-                <div>
-                  <strong style="color: #374151;">Phone:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerPhone)}</span>
-                </div>
-                <div style="grid-column: 1 / -1;">
-                  <strong style="color: #374151;">Address:</strong><br>
-                  <span style="color: #6b7280;">${sanitize(order.customerAddress)}, ${sanitize(order.customerCity)} - ${sanitize(order.customerPincode)}</span>
-                </div>
-              </div>
-            </div>
-
-            <!-- Order Items -->
+            ${itemsHtml ? `
             <div style="margin-bottom: 25px;">
-              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">🛍️ Order Items</h2>
+              <h2 style="color: #1f2937; margin: 0 0 15px 0; font-size: 20px; font-weight: 600;">🛍️ Refunded Items</h2>
               <div style="border-radius: 12px; overflow: hidden; border: 1px solid #e5e7eb;">
                 <table style="width: 100%; border-collapse: collapse;">
                   <thead>
                     <tr style="background-color: #f9fafb;">
                       <th style="padding: 15px; text-align: left; color: #374151; font-weight: 600;">Product</th>
                       <th style="padding: 15px; text-align: center; color: #374151; font-weight: 600;">Qty</th>
-                      <th style="padding: 15px; text-align: right; color: #374151; font-weight: 600;">Price</th>
-                      <th style="padding: 15px; text-align: right; color: #374151; font-weight: 600;">Total</th>
+                      <th style="padding: 15px; text-align: right; color: #374151; font-weight: 600;">Refund</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -627,19 +755,12 @@ export async function sendOrderStatusUpdateToCustomer(order, newStatus, oldStatu
                   </tbody>
                 </table>
               </div>
-            </div>
+            </div>` : ''}
 
-            <!-- Order Total -->
-            <div style="background-color: #fef3c7; border-radius: 12px; padding: 20px; text-align: center;">
-              <h3 style="color: #92400e; margin: 0 0 10px 0; font-size: 18px;">💰 Order Total</h3>
-              <div style="font-size: 32px; font-weight: 700; color: #059669;">${formatINR(order.total)}</div>
-            </div>
-
-            <!-- Contact Info -->
-            <div style="background-color: #f0f9ff; border-radius: 12px; padding: 20px; margin-top: 25px; text-align: center;">
-              <h3 style="color: #0369a1; margin: 0 0 10px 0; font-size: 18px;">📞 Need Help?</h3>
+            <div style="background-color: #f0f9ff; border-radius: 12px; padding: 20px; text-align: center;">
               <p style="color: #374151; margin: 0; font-size: 14px;">
-                If you have any questions about your order, please contact our support team.
+                Refund reference: <span style="font-family: monospace;">${sanitize(refund.refundId || '')}</span><br>
+                The amount is returned to your original payment method, usually within 5-7 business days.
               </p>
             </div>
           </div>
@@ -658,19 +779,50 @@ export async function sendOrderStatusUpdateToCustomer(order, newStatus, oldStatu
       </html>
     `;
 
-    console.log(`📧 Sending order status update to customer: ${order.customerEmail}`);
-    return await sendEmailWithRetryGeneric({
+    console.log(`📧 Queueing refund notification to customer: ${order.customerEmail}`);
+    return await queueEmail({
       from: getDefaultFrom(),
       to: order.customerEmail,
-      subject: `${statusInfo.emoji} Order ${statusInfo.text} - ${order.orderId}`,
+      subject: `💸 Refund of ${formatINR(refund.amount)} - ${order.orderId}`,
       html: emailHtml,
-    });
+    }, { template: 'refund', orderId: order.orderId });
   } catch (error) {
-    console.error('❌ Failed to send status update to customer:', error?.message || error);
-    return { sent: false, error: error?.message || String(error) };
+    console.error('❌ Failed to send refund notification to customer:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+}
+
+// One-time code for a guest to open their order without an account
+export async function sendOrderLookupCodeEmail(order, code, expiresInMinutes) {
+  try {
+    if (!order?.customerEmail) {
+      return { queued: false, reason: 'No customer email' };
+    }
+
+    const emailHtml = `
+      <div style="font-family:Inter,Segoe UI,Arial,sans-serif;background:#f8fafc;padding:24px">
+        <div style="max-width:520px;margin:auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:12px;padding:24px">
+          <h2 style="margin:0 0 12px 0;color:#111827">Your order access code</h2>
+          <p style="margin:0 0 16px 0;color:#374151">Use this code to view order <strong>${sanitize(order.orderId)}</strong>:</p>
+          <div style="font-size:32px;font-weight:700;letter-spacing:8px;color:#111827;text-align:center;padding:16px;background:#f1f5f9;border-radius:8px">${sanitize(code)}</div>
+          <p style="margin:16px 0 0 0;color:#6b7280;font-size:14px">The code expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.</p>
+        </div>
+      </div>
+    `;
+
+    console.log(`📧 Queueing order lookup code to: ${order.customerEmail}`);
+    return await queueEmail({
+      from: getDefaultFrom(),
+      to: order.customerEmail,
+      subject: `Your code for order ${order.orderId}`,
+      html: emailHtml,
+    }, { template: 'order-lookup-code', orderId: order.orderId });
+  } catch (error) {
+    console.error('❌ Failed to send order lookup code:', error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
   }
 }
 
 // Export transporter creator for use in other modules
-export { createTransporter, sendEmailWithRetryGeneric };
+export { createTransporter, deliverOutboxEmail, getEmailTransport, isSensitiveEmail, queueEmail, resendOutboxEmail };
 
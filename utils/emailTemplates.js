@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// templates/email/<name>/ holds subject.<locale>.txt, html.<locale>.html,
+// text.<locale>.txt and optionally strings.<locale>.json (exposed to the
+// template and layout as `t`). _layout/ wraps every email.
+const TEMPLATE_DIR = process.env.EMAIL_TEMPLATE_DIR || path.join(__dirname, '..', 'templates', 'email');
+const LAYOUT = '_layout';
+// SMS / WhatsApp texts: templates/sms/<name>/body.<locale>.txt (see utils/messaging.js)
+const MESSAGE_TEMPLATE_DIR = process.env.MESSAGE_TEMPLATE_DIR || path.join(__dirname, '..', 'templates', 'sms');
+
+export const SUPPORTED_LOCALES = ['en', 'hi'];
+export const DEFAULT_LOCALE = 'en';
+
+// Pick a supported locale from a value like 'hi', 'hi-IN' or an Accept-Language
+// header ('hi-IN,hi;q=0.9,en;q=0.8'). Falls back to DEFAULT_LOCALE.
+export const resolveLocale = (value) => {
+  const candidates = String(value || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase().split('-')[0])
+    .filter(Boolean);
+  return candidates.find(c => SUPPORTED_LOCALES.includes(c)) || DEFAULT_LOCALE;
+};
+
+// Locale for something placed in a request: body `locale`, else Accept-Language
+export const requestLocale = (req) => resolveLocale(req?.body?.locale || req?.headers?.['accept-language']);
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+// A small Mustache subset: {{name}} (escaped in HTML), {{{name}}} (raw),
+// {{#name}}...{{/name}} (loop over arrays, or render when truthy),
+// {{^name}}...{{/name}} (render when falsy or empty), {{! comment}}.
+// Names may be dotted; {{.}} is the current loop item.
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+// Section, closing and comment tags alone on a line take the line with them
+const STANDALONE = /^[ \t]*(\{\{[#^/!][^}]*\}\})[ \t]*\r?\n/gm;
+
+const parseTemplate = (template, file) => {
+  const source = template.replace(STANDALONE, '$1');
+  const root = [];
+  const stack = [{ name: null, nodes: root }];
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    const nodes = stack[stack.length - 1].nodes;
+    if (match.index > last) nodes.push({ type: 'text', value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    if (match[1]) {
+      nodes.push({ type: 'raw', name: match[1] });
+      continue;
+    }
+    const [, , sigil, name] = match;
+    if (sigil === '!') continue;
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: sigil === '#' ? 'section' : 'inverted', name, nodes: [] };
+      nodes.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      const open = stack.pop();
+      if (!open || open.name !== name) throw new Error(`Unexpected {{/${name}}} in ${file}`);
+    } else {
+      nodes.push({ type: 'var', name });
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} in ${file}`);
+  if (last < source.length) root.push({ type: 'text', value: source.slice(last) });
+  return root;
+};
+
+const lookup = (contexts, name) => {
+  if (name === '.') return contexts[contexts.length - 1];
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const ctx = contexts[i];
+    if (ctx && typeof ctx === 'object' && head in ctx) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), ctx[head]);
+    }
+  }
+  return undefined;
+};
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+  const value = lookup(contexts, node.name);
+  if (node.type === 'var') return value == null ? '' : escape(value);
+  if (node.type === 'raw') return value == null ? '' : String(value);
+  const empty = !value || (Array.isArray(value) && value.length === 0);
+  if (node.type === 'inverted') return empty ? renderNodes(node.nodes, contexts, escape) : '';
+  if (empty) return '';
+  if (Array.isArray(value)) return value.map(item => renderNodes(node.nodes, [...contexts, item], escape)).join('');
+  return renderNodes(node.nodes, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+// Parsed files are cached in production; elsewhere edits show up on the next render
+const cache = new Map();
+const cacheFiles = process.env.NODE_ENV === 'production';
+
+const readPart = (name, file, root = TEMPLATE_DIR) => {
+  const full = path.join(root, name, file);
+  if (cacheFiles && cache.has(full)) return cache.get(full);
+  let entry = null;
+  if (fs.existsSync(full)) {
+    const source = fs.readFileSync(full, 'utf8');
+    entry = file.endsWith('.json') ? JSON.parse(source) : parseTemplate(source, full);
+  }
+  if (cacheFiles) cache.set(full, entry);
+  return entry;
+};
+
+// The locale's file, else the default locale's
+const loadPart = (name, part, ext, locale) =>
+  readPart(name, `${part}.${locale}.${ext}`) ?? (locale === DEFAULT_LOCALE ? null : readPart(name, `${part}.${DEFAULT_LOCALE}.${ext}`));
+
+export const emailTemplateExists = (name) =>
+  name !== LAYOUT && /^[a-z0-9-]+$/.test(String(name)) && fs.existsSync(path.join(TEMPLATE_DIR, name, `subject.${DEFAULT_LOCALE}.txt`));
+
+// Templates on disk with the locales each one has an HTML body for
+export const listEmailTemplates = () => fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+  .filter(entry => entry.isDirectory() && entry.name !== LAYOUT)
+  .map(entry => ({
+    name: entry.name,
+    locales: SUPPORTED_LOCALES.filter(l => fs.existsSync(path.join(TEMPLATE_DIR, entry.name, `html.${l}.html`)))
+  }));
+
+// Translated strings for a template (strings.<locale>.json), for values the
+// caller has to pick in code such as status names
+export const loadTemplateStrings = (name, locale = DEFAULT_LOCALE) => ({
+  ...(readPart(name, `strings.${DEFAULT_LOCALE}.json`) || {}),
+  ...(readPart(name, `strings.${resolveLocale(locale)}.json`) || {})
+});
+
+// Render a template to { subject, html, text, locale }. The body is wrapped
+// in the shared layout; `vars` are visible to both.
+export const renderEmailTemplate = (name, vars = {}, { locale } = {}) => {
+  if (!emailTemplateExists(name)) throw new Error(`Unknown email template: ${name}`);
+  const lang = resolveLocale(locale);
+  const t = loadTemplateStrings(name, lang);
+  const contexts = [{ locale: lang, year: new Date().getFullYear(), brand: 'L-Mart', t }, vars];
+  const plain = (value) => String(value);
+
+  const subject = renderNodes(loadPart(name, 'subject', 'txt', lang), contexts, plain).replace(/\s+/g, ' ').trim();
+
+  const htmlBody = loadPart(name, 'html', 'html', lang);
+  const textBody = loadPart(name, 'text', 'txt', lang);
+  const layoutHtml = loadPart(LAYOUT, 'html', 'html', lang);
+  const layoutText = loadPart(LAYOUT, 'text', 'txt', lang);
+
+  const bodyHtml = htmlBody ? renderNodes(htmlBody, contexts, escapeHtml) : '';
+  const bodyText = textBody ? renderNodes(textBody, contexts, plain).trim() : '';
+  const html = layoutHtml
+    ? renderNodes(layoutHtml, [...contexts, { subject, body: bodyHtml }], escapeHtml)
+    : bodyHtml;
+  const text = layoutText
+    ? renderNodes(layoutText, [...contexts, { subject, body: bodyText }], plain).trim()
+    : bodyText;
+
+  return { subject, html, text: text.replace(/\n{3,}/g, '\n\n'), locale: lang };
+};
+
+// Render a short text message (SMS / WhatsApp) to { body, locale }. Whitespace
+// is collapsed so the template files can wrap lines.
+export const renderMessageTemplate = (name, vars = {}, { locale } = {}) => {
+  if (!/^[a-z0-9-]+$/.test(String(name))) throw new Error(`Unknown message template: ${name}`);
+  const lang = resolveLocale(locale);
+  const template = readPart(name, `body.${lang}.txt`, MESSAGE_TEMPLATE_DIR) ??
+    (lang === DEFAULT_LOCALE ? null : readPart(name, `body.${DEFAULT_LOCALE}.txt`, MESSAGE_TEMPLATE_DIR));
+  if (!template) throw new Error(`Unknown message template: ${name}`);
+  const contexts = [{ locale: lang, brand: 'L-Mart' }, vars];
+  const body = renderNodes(template, contexts, (value) => String(value)).replace(/\s+/g, ' ').trim();
+  return { body, locale: lang };
+};
@@ -0,0 +1,339 @@
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import InvoiceCounter from '../models/InvoiceCounter.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import SubOrder from '../models/SubOrder.js';
+import { getGstStateCode, getStateForPincode, normalizeStateName } from './pincode.js';
+import { lineNetTotal } from './commission.js';
+
+const GST_DEFAULT_RATE = Number(process.env.GST_DEFAULT_RATE ?? 18);
+const SHIPPING_GST_RATE = Number(process.env.SHIPPING_GST_RATE ?? 18);
+const SHIPPING_SAC = '996812';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Indian financial year (April - March) as 2025-26
+export const financialYearOf = (date = new Date()) => {
+  const d = new Date(date);
+  const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Atomic per seller per financial year, so numbers are never duplicated. A
+// number taken by an invoice that lost a race is handed back (releaseSequence)
+// unless a later one was already taken, so a gap is possible but rare.
+const nextSequence = async (sellerKey, financialYear) => {
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { sellerKey, financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const releaseSequence = (sellerKey, financialYear, seq) =>
+  InvoiceCounter.updateOne({ sellerKey, financialYear, seq }, { $inc: { seq: -1 } });
+
+// GST allows 16 characters: PREFIX/2526/00001 with a prefix of at most 5
+export const INVOICE_PREFIX_MAX = 5;
+
+const formatInvoiceNumber = (prefix, financialYear, seq) => {
+  const fy = financialYear.slice(2, 4) + financialYear.slice(5, 7);
+  return `${prefix}/${fy}/${String(seq).padStart(5, '0')}`;
+};
+
+const formatAddress = (a = {}) =>
+  [a.line1, a.line2, a.city, a.state, a.pincode].filter(Boolean).join(', ');
+
+const supplierFor = async (subOrder) => {
+  if (subOrder.seller) {
+    const seller = await Seller.findById(subOrder.seller).select('name sellerName legalName gstin businessAddress invoicePrefix');
+    if (seller) {
+      const state = normalizeStateName(seller.businessAddress?.state) ||
+        getStateForPincode(seller.businessAddress?.pincode);
+      return {
+        key: String(seller._id),
+        prefix: (seller.invoicePrefix || String(seller._id).slice(-5)).toUpperCase().substring(0, INVOICE_PREFIX_MAX),
+        supplier: {
+          name: seller.legalName || seller.sellerName || seller.name,
+          gstin: seller.gstin || '',
+          address: formatAddress(seller.businessAddress),
+          state: state || '',
+          stateCode: getGstStateCode(state) || ''
+        }
+      };
+    }
+  }
+
+  const state = normalizeStateName(process.env.MARKETPLACE_STATE) ||
+    getStateForPincode(process.env.MARKETPLACE_PINCODE);
+  return {
+    key: 'marketplace',
+    prefix: (process.env.MARKETPLACE_INVOICE_PREFIX || 'LM').toUpperCase().substring(0, INVOICE_PREFIX_MAX),
+    supplier: {
+      name: process.env.MARKETPLACE_LEGAL_NAME || 'L-Mart',
+      gstin: process.env.MARKETPLACE_GSTIN || '',
+      address: process.env.MARKETPLACE_ADDRESS || '',
+      state: state || '',
+      stateCode: getGstStateCode(state) || ''
+    }
+  };
+};
+
+// Listed prices include GST; work back to the taxable value and split the tax
+const buildLine = ({ description, hsnCode, quantity, unitPrice, gstRate, value }, interState) => {
+  const taxableValue = round2(value / (1 + gstRate / 100));
+  const tax = round2(value - taxableValue);
+  const cgst = interState ? 0 : round2(tax / 2);
+  return {
+    description,
+    hsnCode: hsnCode || '',
+    quantity,
+    unitPrice: round2(unitPrice),
+    gstRate,
+    taxableValue,
+    cgst,
+    sgst: interState ? 0 : round2(tax - cgst),
+    igst: interState ? tax : 0,
+    total: round2(value)
+  };
+};
+
+const shippingShare = (order, subOrder, subOrderCount) => {
+  if (subOrder.shippingCharge !== undefined && subOrder.shippingCharge !== null) {
+    return Number(subOrder.shippingCharge);
+  }
+  const shipping = Number(order.shipping || 0);
+  if (shipping <= 0) return 0;
+  const subtotal = Number(order.subtotal || 0);
+  return subtotal > 0
+    ? round2((shipping * Number(subOrder.itemsTotal || 0)) / subtotal)
+    : round2(shipping / subOrderCount);
+};
+
+// Cash on delivery fee, split across shipments like shipping
+const codFeeShare = (order, subOrder, subOrderCount) => {
+  const fee = Number(order.codFee || 0);
+  if (fee <= 0) return 0;
+  const subtotal = Number(order.subtotal || 0);
+  return subtotal > 0
+    ? round2((fee * Number(subOrder.itemsTotal || 0)) / subtotal)
+    : round2(fee / subOrderCount);
+};
+
+const buildInvoice = async (order, subOrder, subOrderCount) => {
+  const { key, prefix, supplier } = await supplierFor(subOrder);
+  const buyerState = normalizeStateName(order.shippingAddress?.state) || getStateForPincode(order.customerPincode);
+  // Unknown place of supply is treated as inter-state
+  const interState = !buyerState || !supplier.state || buyerState !== supplier.state;
+
+  const lines = [];
+  for (const item of subOrder.items || []) {
+    let product = null;
+    if (item.productId) {
+      try {
+        product = await Product.findById(item.productId).select('hsnCode gstRate');
+      } catch (_) {
+        product = null;
+      }
+    }
+    const gstRate = product?.gstRate ?? GST_DEFAULT_RATE;
+    lines.push(buildLine({
+      description: [item.name, item.size, item.color].filter(Boolean).join(' / '),
+      hsnCode: product?.hsnCode,
+      quantity: item.quantity,
+      // Coupon discounts reduce the taxable value of the line
+      unitPrice: round2(lineNetTotal(item) / Number(item.quantity || 1)),
+      gstRate,
+      value: lineNetTotal(item)
+    }, interState));
+  }
+
+  const shipping = shippingShare(order, subOrder, subOrderCount);
+  if (shipping > 0) {
+    lines.push(buildLine({
+      description: 'Shipping charges',
+      hsnCode: SHIPPING_SAC,
+      quantity: 1,
+      unitPrice: shipping,
+      gstRate: SHIPPING_GST_RATE,
+      value: shipping
+    }, interState));
+  }
+
+  const codFee = codFeeShare(order, subOrder, subOrderCount);
+  if (codFee > 0) {
+    lines.push(buildLine({
+      description: 'Cash on delivery fee',
+      hsnCode: SHIPPING_SAC,
+      quantity: 1,
+      unitPrice: codFee,
+      gstRate: SHIPPING_GST_RATE,
+      value: codFee
+    }, interState));
+  }
+
+  const sum = (field) => round2(lines.reduce((s, l) => s + Number(l[field] || 0), 0));
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const sequence = await nextSequence(key, financialYear);
+
+  return {
+    invoiceNumber: formatInvoiceNumber(prefix, financialYear, sequence),
+    sellerKey: key,
+    financialYear,
+    sequence,
+    order: order._id,
+    orderId: order.orderId,
+    subOrder: subOrder._id,
+    issuedAt,
+    supplier,
+    buyer: {
+      name: order.customerName,
+      email: order.customerEmail,
+      phone: order.customerPhone,
+      address: [order.customerAddress, order.customerCity].filter(Boolean).join(', '),
+      pincode: order.customerPincode,
+      state: buyerState || '',
+      stateCode: getGstStateCode(buyerState) || ''
+    },
+    interState,
+    lines,
+    taxableTotal: sum('taxableValue'),
+    cgstTotal: sum('cgst'),
+    sgstTotal: sum('sgst'),
+    igstTotal: sum('igst'),
+    grandTotal: sum('total')
+  };
+};
+
+// One invoice per seller sub-order, issued on first request and reused afterwards.
+// `subOrderIds` limits issuing to those sub-orders (a seller's own shipments).
+export const issueInvoicesForOrder = async (order, { subOrderIds } = {}) => {
+  const subOrders = await SubOrder.find({ order: order._id }).sort({ subOrderId: 1 });
+  const wanted = subOrderIds ? new Set(subOrderIds.map(String)) : null;
+  const invoices = [];
+  for (const subOrder of subOrders) {
+    if (wanted && !wanted.has(String(subOrder._id))) continue;
+    let invoice = await Invoice.findOne({ subOrder: subOrder._id });
+    if (!invoice) {
+      const data = await buildInvoice(order, subOrder, subOrders.length);
+      try {
+        invoice = await Invoice.create(data);
+        console.log(`🧾 Issued invoice ${invoice.invoiceNumber} for ${subOrder.subOrderId}`);
+      } catch (err) {
+        // Only a clash on the sub-order means it was issued concurrently
+        if (err?.code !== 11000 || !err?.keyPattern?.subOrder) throw err;
+        // Give the number back if nothing after it was taken
+        await releaseSequence(data.sellerKey, data.financialYear, data.sequence);
+        invoice = await Invoice.findOne({ subOrder: subOrder._id });
+      }
+    }
+    if (invoice) invoices.push(invoice);
+  }
+  return invoices;
+};
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+const drawInvoice = (doc, inv) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', left, doc.page.margins.top, { width, align: 'center' });
+  doc.moveDown(0.8);
+
+  const top = doc.y;
+  doc.fontSize(9).font('Helvetica-Bold').text(inv.supplier.name || '', left, top, { width: width / 2 - 10 });
+  doc.font('Helvetica').text(inv.supplier.address || '', { width: width / 2 - 10 });
+  if (inv.supplier.gstin) doc.text(`GSTIN: ${inv.supplier.gstin}`);
+  if (inv.supplier.state) doc.text(`State: ${inv.supplier.state}${inv.supplier.stateCode ? ` (${inv.supplier.stateCode})` : ''}`);
+  const leftBottom = doc.y;
+
+  const rightX = left + width / 2 + 10;
+  doc.font('Helvetica-Bold').text(`Invoice No: ${inv.invoiceNumber}`, rightX, top, { width: width / 2 - 10 });
+  doc.font('Helvetica')
+    .text(`Invoice Date: ${new Date(inv.issuedAt).toLocaleDateString('en-IN')}`)
+    .text(`Order: ${inv.orderId}`)
+    .text(`Place of supply: ${inv.buyer.state || 'Unknown'}${inv.buyer.stateCode ? ` (${inv.buyer.stateCode})` : ''}`);
+  doc.y = Math.max(leftBottom, doc.y) + 10;
+
+  doc.font('Helvetica-Bold').text('Bill to / Ship to', left);
+  doc.font('Helvetica')
+    .text(inv.buyer.name || '')
+    .text([inv.buyer.address, inv.buyer.pincode].filter(Boolean).join(' - '))
+    .text([inv.buyer.phone, inv.buyer.email].filter(Boolean).join(' | '));
+  doc.moveDown(0.8);
+
+  const cols = [
+    ['#', 18, 'left'], ['Description', 122, 'left'], ['HSN/SAC', 46, 'left'], ['Qty', 26, 'right'],
+    ['Rate', 50, 'right'], ['Taxable', 56, 'right'], ['GST%', 30, 'right'],
+    inv.interState ? ['IGST', 80, 'right'] : ['CGST', 40, 'right'],
+    ...(inv.interState ? [] : [['SGST', 40, 'right']]),
+    ['Total', 62, 'right']
+  ];
+  const row = (values, bold = false) => {
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    values.forEach((v, i) => {
+      const [, w, align] = cols[i];
+      doc.text(String(v), x, y, { width: w - 4, align });
+      height = Math.max(height, doc.y - y);
+      x += w;
+    });
+    doc.y = y + height + 4;
+  };
+
+  row(cols.map(c => c[0]), true);
+  doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).stroke();
+  inv.lines.forEach((l, i) => {
+    row([
+      i + 1, l.description, l.hsnCode || '-', l.quantity, money(l.unitPrice), money(l.taxableValue), l.gstRate,
+      ...(inv.interState ? [money(l.igst)] : [money(l.cgst), money(l.sgst)]),
+      money(l.total)
+    ]);
+  });
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  const totals = [
+    ['Taxable value', inv.taxableTotal],
+    ...(inv.interState ? [['IGST', inv.igstTotal]] : [['CGST', inv.cgstTotal], ['SGST', inv.sgstTotal]]),
+    ['Invoice total (INR)', inv.grandTotal]
+  ];
+  totals.forEach(([label, value], i) => {
+    doc.font(i === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+      .text(`${label}: ${money(value)}`, left, doc.y, { width, align: 'right' });
+  });
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(7).fillColor('#666666')
+    .text('Prices are inclusive of GST. This is a computer generated invoice and does not require a signature.', left, doc.y, { width, align: 'center' })
+    .fillColor('#000000');
+};
+
+// Render invoices (one page each) into a single PDF buffer
+export const renderInvoicesPdf = (invoices) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  invoices.forEach(inv => {
+    doc.addPage();
+    drawInvoice(doc, inv);
+  });
+  doc.end();
+});
+
+// Issue (if needed) and render all invoices for an order.
+// Returns { buffer, filename, invoices } or null when the order has no sub-orders yet.
+export const buildInvoicePdfForOrder = async (order) => {
+  const invoices = await issueInvoicesForOrder(order);
+  if (invoices.length === 0) return null;
+  const buffer = await renderInvoicesPdf(invoices);
+  return { buffer, filename: `invoice-${order.orderId}.pdf`, invoices };
+};
@@ -0,0 +1,164 @@
+import Order from '../models/Order.js';
+import Notification from '../models/Notification.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import AdminEarning from '../models/AdminEarning.js';
+import SellerEarning from '../models/SellerEarning.js';
+import { notifyCartsOfPriceDrop, notifyCustomerOfOrderStatus, notifyCustomerOfRefund } from './customerNotifications.js';
+import {
+  deliverOutboxEmail,
+  sendNewOrderNotificationToAdmin,
+  sendNewOrderNotificationToSeller,
+  sendNewSellerNotificationToAdmin,
+  sendOrderConfirmationEmail,
+  sendPriceDropEmail,
+  sendRefundNotificationToCustomer
+} from './email.js';
+import { sendAdminDigest, sendSellerDigest } from './digests.js';
+import { enqueueJobQuietly, PermanentJobError, registerJobHandler } from './jobs.js';
+import { deliverOutboxMessage, sendOrderPlacedMessage, sendOrderStatusMessage } from './messaging.js';
+import { wantsNotificationQuietly } from './notificationPreferences.js';
+import { createOrderPlacedNotifications, groupOrderItemsBySeller } from './orderNotifications.js';
+import { getOrderShipments, sendOrderStatusEmail, serializeShipment } from './shipments.js';
+
+const loadOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw new PermanentJobError(`Order ${orderId} not found`);
+  return order;
+};
+
+// Email and message helpers render the message and write it to an outbox,
+// resolving { queued, emailId | messageId, error, reason } instead of throwing.
+// A missing recipient will not fix itself, so only failures to queue are retried.
+const checkQueued = (result) => {
+  if (result?.queued) return { queued: true, emailId: result.emailId, messageId: result.messageId };
+  if (result?.reason) return { queued: false, skipped: result.reason };
+  throw new Error(result?.error || 'Email was not queued');
+};
+
+// Customer emails and SMS for an order follow the notification preferences of
+// the account that placed it; guest orders get the defaults
+const customerWantsEmail = (order, type) => wantsNotificationQuietly('user', order.customerId, type, 'email');
+const customerWantsSms = (order, type) => wantsNotificationQuietly('user', order.customerId, type, 'sms');
+const OPTED_OUT = { queued: false, skipped: 'opted_out' };
+
+const loadRefund = (order, refundId) => {
+  const refund = order.refunds.id(refundId);
+  if (!refund) throw new PermanentJobError(`Refund ${refundId} not found on order ${order.orderId}`);
+  return refund;
+};
+
+export const registerJobHandlers = () => {
+  registerJobHandler('email.order-confirmation', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (!(await customerWantsEmail(order, 'order-placed'))) return OPTED_OUT;
+    return checkQueued(await sendOrderConfirmationEmail(order));
+  });
+
+  registerJobHandler('email.order-admin', async ({ orderId }) =>
+    checkQueued(await sendNewOrderNotificationToAdmin(await loadOrder(orderId))));
+
+  // Queued per seller by createOrderPlacedNotifications when they want new-order emails
+  registerJobHandler('email.order-seller', async ({ orderId, sellerId }) => {
+    const order = await loadOrder(orderId);
+    const sellerData = (await groupOrderItemsBySeller(order)).get(String(sellerId));
+    if (!sellerData) return { queued: false, skipped: 'no_items_for_seller' };
+    return checkQueued(await sendNewOrderNotificationToSeller(order, sellerData.seller, sellerData.items));
+  });
+
+  registerJobHandler('email.order-status', async ({ orderId, newStatus, oldStatus }) => {
+    const order = await loadOrder(orderId);
+    if (!(await customerWantsEmail(order, 'order-status'))) return OPTED_OUT;
+    return checkQueued(await sendOrderStatusEmail(order, newStatus, oldStatus));
+  });
+
+  registerJobHandler('email.refund', async ({ orderId, refundId }) => {
+    const order = await loadOrder(orderId);
+    const refund = loadRefund(order, refundId);
+    if (!(await customerWantsEmail(order, 'refund'))) return OPTED_OUT;
+    return checkQueued(await sendRefundNotificationToCustomer(order, refund));
+  });
+
+  registerJobHandler('email.price-drop', async ({ userId, productId, oldPrice, newPrice }) => {
+    const [user, product] = await Promise.all([
+      User.findById(userId).select('name email'),
+      Product.findById(productId).select('name image')
+    ]);
+    if (!user || !product) throw new PermanentJobError(`User ${userId} or product ${productId} not found`);
+    if (!(await wantsNotificationQuietly('user', user._id, 'price-drop', 'email'))) return OPTED_OUT;
+    // Customers' latest order tells us the language they shop in
+    const lastOrder = await Order.findOne({ customerId: user._id }).sort({ createdAt: -1 }).select('locale');
+    return checkQueued(await sendPriceDropEmail({
+      email: user.email,
+      customerName: user.name,
+      product,
+      oldPrice,
+      newPrice,
+      locale: lastOrder?.locale
+    }));
+  });
+
+  registerJobHandler('email.seller-registered', async (sellerData) =>
+    checkQueued(await sendNewSellerNotificationToAdmin(sellerData)));
+
+  // Queued by scheduleDigests (utils/digests.js) for each recipient that is due
+  registerJobHandler('email.digest-seller', async (payload) => checkQueued(await sendSellerDigest(payload)));
+  registerJobHandler('email.digest-admin', async (payload) => checkQueued(await sendAdminDigest(payload)));
+
+  // Send one outbox message (see queueEmail in utils/email.js)
+  registerJobHandler('email.deliver', async ({ emailId }, job) => deliverOutboxEmail(emailId, job));
+
+  // SMS / WhatsApp messages render into the message outbox like emails;
+  // 'message.deliver' sends one
+  registerJobHandler('message.order-placed', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (!(await customerWantsSms(order, 'order-placed'))) return OPTED_OUT;
+    return checkQueued(await sendOrderPlacedMessage(order));
+  });
+
+  registerJobHandler('message.order-status', async ({ orderId, newStatus }) => {
+    const order = await loadOrder(orderId);
+    if (!(await customerWantsSms(order, 'order-status'))) return OPTED_OUT;
+    const shipments = newStatus === 'shipped' ? (await getOrderShipments(order)).map(serializeShipment) : [];
+    return checkQueued(await sendOrderStatusMessage(order, newStatus, shipments));
+  });
+
+  registerJobHandler('message.deliver', async ({ messageId }, job) => deliverOutboxMessage(messageId, job));
+
+  registerJobHandler('notification.order-placed', async ({ orderId }) =>
+    createOrderPlacedNotifications(await loadOrder(orderId)));
+
+  // In-app notifications for the customer's account
+  registerJobHandler('notification.order-status', async ({ orderId, newStatus, oldStatus }) =>
+    notifyCustomerOfOrderStatus(await loadOrder(orderId), newStatus, oldStatus));
+
+  registerJobHandler('notification.refund', async ({ orderId, refundId }) => {
+    const order = await loadOrder(orderId);
+    return notifyCustomerOfRefund(order, loadRefund(order, refundId));
+  });
+
+  registerJobHandler('notification.price-drop', async (payload) => notifyCartsOfPriceDrop(payload));
+
+  // A ready-made Notification document
+  registerJobHandler('notification.create', async (doc) => {
+    const notification = await Notification.create(doc);
+    return { notificationId: String(notification._id) };
+  });
+
+  // Earnings snapshots recorded when an earnings report is viewed
+  registerJobHandler('earnings.snapshot', async ({ scope, snapshot }) => {
+    const Model = scope === 'seller' ? SellerEarning : AdminEarning;
+    const doc = await Model.create(snapshot);
+    return { snapshotId: String(doc._id) };
+  });
+};
+
+// Everything that follows a new order: customer and admin emails, the customer's
+// SMS, and in-app notifications (and seller emails) via notification.order-placed. Keyed by order so it is only queued once.
+export const enqueueOrderPlacedJobs = async (order) => {
+  const orderId = String(order._id);
+  await enqueueJobQuietly('email.order-confirmation', { orderId }, { dedupeKey: `email.order-confirmation:${orderId}` });
+  await enqueueJobQuietly('email.order-admin', { orderId }, { dedupeKey: `email.order-admin:${orderId}` });
+  await enqueueJobQuietly('message.order-placed', { orderId }, { dedupeKey: `message.order-placed:${orderId}` });
+  await enqueueJobQuietly('notification.order-placed', { orderId }, { dedupeKey: `notification.order-placed:${orderId}` });
+};
@@ -0,0 +1,174 @@
+import os from 'os';
+import Job from '../models/Job.js';
+
+const handlers = new Map();
+
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MINUTES || 5) * 60 * 1000;
+const BACKOFF_BASE_SECONDS = Number(process.env.JOB_BACKOFF_SECONDS || 30);
+const BACKOFF_MAX_SECONDS = 60 * 60;
+const MAX_FAILURES_KEPT = 10;
+
+// Failure that retrying cannot fix (e.g. the order was deleted); the job is dead-lettered at once
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+// Register the function that runs a job type: handler(payload, job) => result
+export const registerJobHandler = (type, handler, { maxAttempts = 5 } = {}) => {
+  handlers.set(type, { handler, maxAttempts });
+};
+
+export const registeredJobTypes = () => [...handlers.keys()];
+
+// Add a job to the queue. A job with the same dedupeKey is returned instead of
+// a duplicate. Resolves to the job document.
+export const enqueueJob = async (type, payload = {}, { runAt = new Date(), maxAttempts, dedupeKey } = {}) => {
+  try {
+    return await Job.create({
+      type,
+      payload,
+      runAt,
+      maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || 5,
+      dedupeKey
+    });
+  } catch (err) {
+    if (err?.code === 11000 && dedupeKey) return Job.findOne({ dedupeKey });
+    throw err;
+  }
+};
+
+// For producers that must not fail because the queue is unavailable
+export const enqueueJobQuietly = async (type, payload = {}, options = {}) => {
+  try {
+    return await enqueueJob(type, payload, options);
+  } catch (err) {
+    console.error(`❌ Failed to enqueue ${type} job:`, err?.message || err);
+    return null;
+  }
+};
+
+// 30s, 1m, 2m, 4m ... capped at an hour
+export const backoffDelayMs = (attempts) =>
+  Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SECONDS) * 1000;
+
+// Take the next due job. Jobs left 'running' by a worker that died are picked up
+// again once their lock is older than JOB_LOCK_TIMEOUT_MINUTES.
+const claimNextJob = (workerId) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: workerId }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+const deadLetter = (job, message) => Job.updateOne(
+  { _id: job._id, lockedBy: job.lockedBy },
+  {
+    $set: { status: 'dead', deadAt: new Date(), lastError: message, lockedAt: null, lockedBy: null },
+    $push: { failures: { $each: [{ attempt: job.attempts, message }], $slice: -MAX_FAILURES_KEPT } }
+  }
+);
+
+// Run one claimed job and record the outcome
+const runJob = async (job) => {
+  const entry = handlers.get(job.type);
+  if (!entry) {
+    await deadLetter(job, `No handler registered for job type ${job.type}`);
+    return;
+  }
+  if (job.attempts > job.maxAttempts) {
+    await deadLetter(job, job.lastError || 'Worker stopped while running this job');
+    return;
+  }
+
+  try {
+    const result = await entry.handler(job.payload || {}, job);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          result: result === undefined ? null : result,
+          lockedAt: null,
+          lockedBy: null
+        }
+      }
+    );
+  } catch (err) {
+    const message = err?.message || String(err);
+    if (err instanceof PermanentJobError || job.attempts >= job.maxAttempts) {
+      console.error(`💀 Job ${job.type} ${job._id} dead-lettered after ${job.attempts} attempt(s): ${message}`);
+      await deadLetter(job, message);
+      return;
+    }
+    const runAt = new Date(Date.now() + backoffDelayMs(job.attempts));
+    console.warn(`⚠️ Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${runAt.toISOString()}: ${message}`);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      {
+        $set: { status: 'queued', runAt, lastError: message, lockedAt: null, lockedBy: null },
+        $push: { failures: { $each: [{ attempt: job.attempts, message }], $slice: -MAX_FAILURES_KEPT } }
+      }
+    );
+  }
+};
+
+// Run due jobs one at a time, up to `limit`. Returns how many ran.
+export const processDueJobs = async ({ workerId = `${os.hostname()}:${process.pid}`, limit = 20 } = {}) => {
+  let ran = 0;
+  while (ran < limit) {
+    const job = await claimNextJob(workerId);
+    if (!job) break;
+    await runJob(job);
+    ran += 1;
+  }
+  return ran;
+};
+
+// Admin: put a dead (or stuck queued) job back in the queue with a fresh set of attempts
+export const retryJob = async (jobId) => {
+  const job = await Job.findById(jobId);
+  if (!job) return { error: 'Job not found', statusCode: 404 };
+  if (!['dead', 'queued'].includes(job.status)) {
+    return { error: `A ${job.status} job cannot be retried`, statusCode: 400 };
+  }
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: job.status },
+    { $set: { status: 'queued', runAt: new Date(), attempts: 0, deadAt: null } },
+    { new: true }
+  );
+  if (!updated) return { error: 'Job changed while retrying, please reload', statusCode: 409 };
+  return { job: updated };
+};
+
+let workerTimer = null;
+let workerBusy = false;
+
+// Poll for due jobs every JOB_POLL_INTERVAL_SECONDS (default 5)
+export const startJobWorker = (intervalMs = Number(process.env.JOB_POLL_INTERVAL_SECONDS || 5) * 1000) => {
+  if (workerTimer) return workerTimer;
+  const workerId = `${os.hostname()}:${process.pid}`;
+  workerTimer = setInterval(() => {
+    if (workerBusy) return;
+    workerBusy = true;
+    processDueJobs({ workerId })
+      .catch(err => {
+        console.error('❌ Job worker run failed:', err?.message || err);
+      })
+      .finally(() => {
+        workerBusy = false;
+      });
+  }, intervalMs);
+  workerTimer.unref?.();
+  return workerTimer;
+};
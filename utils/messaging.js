@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import TextMessage from '../models/TextMessage.js';
+import { renderMessageTemplate } from './emailTemplates.js';
+import { enqueueJob, PermanentJobError } from './jobs.js';
+
+// Messaging providers for SMS and WhatsApp. Each provider implements:
+//   send({ to, channel, body, template, locale }) -> { providerMessageId }
+// and lists the channels it delivers on. Throw PermanentJobError for messages
+// the provider will never accept (invalid number, unapproved template).
+
+// Local stub for development and tests: writes each message as a JSON file
+// under MESSAGE_FILE_DIR (default tmp/messages)
+const fileProvider = {
+  name: 'file',
+  channels: ['sms', 'whatsapp'],
+  async send({ to, channel, body, template, locale }) {
+    const dir = path.resolve(process.env.MESSAGE_FILE_DIR || 'tmp/messages');
+    await fs.mkdir(dir, { recursive: true });
+    const providerMessageId = `file-${Date.now()}-${crypto.randomInt(1000, 10000)}`;
+    const file = path.join(dir, `${providerMessageId}-${channel}-${to.replace(/\D/g, '')}.json`);
+    await fs.writeFile(file, JSON.stringify({ providerMessageId, channel, to, template, locale, body }, null, 2));
+    console.log(`📁 ${channel === 'whatsapp' ? 'WhatsApp message' : 'SMS'} written to ${file}`);
+    return { providerMessageId };
+  }
+};
+
+const providers = new Map([[fileProvider.name, fileProvider]]);
+
+// Plug in a real provider (e.g. registerMessagingProvider(msg91Provider) at startup)
+export const registerMessagingProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function' || !Array.isArray(provider.channels)) {
+    throw new Error('Messaging provider needs a name, channels and send()');
+  }
+  providers.set(provider.name, provider);
+};
+
+// MESSAGING_PROVIDER picks the provider. Outside production an unset provider
+// falls back to the file stub; in production messaging is off until one is set.
+export const getMessagingProvider = () => {
+  const name = process.env.MESSAGING_PROVIDER || (process.env.NODE_ENV !== 'production' ? 'file' : null);
+  return name ? providers.get(name) || null : null;
+};
+
+// MESSAGING_CHANNEL: 'sms' (default) or 'whatsapp'
+export const messagingChannel = () => (String(process.env.MESSAGING_CHANNEL).toLowerCase() === 'whatsapp' ? 'whatsapp' : 'sms');
+
+// E.164 for a phone number as customers type it. Ten-digit Indian mobiles
+// (optionally with a leading 0 or 91) get +91; numbers with a + are kept.
+export const normalizePhone = (value) => {
+  const raw = String(value || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+') && digits.length >= 10 && digits.length <= 15) return `+${digits}`;
+  const local = digits.length > 10 ? digits.replace(/^(0|91)/, '') : digits;
+  return /^[6-9]\d{9}$/.test(local) ? `+91${local}` : null;
+};
+
+// Templates carrying a one-time code; their body is cleared once delivery is over
+const SENSITIVE_MESSAGE_TEMPLATES = new Set(['otp']);
+const redactedFields = () => ({ body: '[redacted]', redactedAt: new Date() });
+
+// Render a template into the message outbox and queue its delivery. Resolves
+// to { queued: true, messageId } or { queued: false, reason | error }; never throws.
+export const queueMessage = async (template, { to, vars = {}, locale, orderId = null } = {}) => {
+  if (!to) return { queued: false, reason: 'missing_recipient' };
+  const phone = normalizePhone(to);
+  if (!phone) return { queued: false, reason: 'invalid_phone' };
+  if (!getMessagingProvider()) return { queued: false, reason: 'messaging_not_configured' };
+  try {
+    const { body, locale: lang } = renderMessageTemplate(template, vars, { locale });
+    const message = await TextMessage.create({
+      template,
+      to: phone,
+      channel: messagingChannel(),
+      body,
+      locale: lang,
+      orderId,
+      sensitive: SENSITIVE_MESSAGE_TEMPLATES.has(template)
+    });
+    const job = await enqueueJob('message.deliver', { messageId: String(message._id) }, { dedupeKey: `message.deliver:${message._id}` });
+    await TextMessage.updateOne({ _id: message._id }, { $set: { job: job._id } });
+    return { queued: true, messageId: String(message._id) };
+  } catch (error) {
+    console.error(`❌ Failed to queue ${template} message:`, error?.message || error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+};
+
+// Run by the 'message.deliver' job; same retry rules as deliverOutboxEmail
+export const deliverOutboxMessage = async (messageId, job = null) => {
+  const message = await TextMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['queued', 'sending'] } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) {
+    if (!(await TextMessage.exists({ _id: messageId }))) throw new PermanentJobError(`Message ${messageId} not found`);
+    return { skipped: 'not_queued' };
+  }
+
+  const provider = getMessagingProvider();
+  try {
+    if (!provider) throw new PermanentJobError('messaging_not_configured');
+    if (!provider.channels.includes(message.channel)) {
+      throw new PermanentJobError(`${provider.name} does not send ${message.channel} messages`);
+    }
+    const { providerMessageId = null } = await provider.send({
+      to: message.to,
+      channel: message.channel,
+      body: message.body,
+      template: message.template,
+      locale: message.locale
+    }) || {};
+    await TextMessage.updateOne(
+      { _id: message._id },
+      { $set: {
+        status: 'sent', provider: provider.name, providerMessageId, sentAt: new Date(), lastError: null,
+        ...(message.sensitive ? redactedFields() : {})
+      } }
+    );
+    console.log(`✅ ${message.channel} ${message.template} sent to ${message.to} via ${provider.name}`);
+    return { sent: true, messageId: String(message._id), provider: provider.name };
+  } catch (error) {
+    const lastError = error?.message || String(error);
+    const final = error instanceof PermanentJobError || !job || job.attempts >= job.maxAttempts;
+    await TextMessage.updateOne(
+      { _id: message._id },
+      { $set: final
+        ? { status: 'failed', failedAt: new Date(), provider: provider?.name || null, lastError, ...(message.sensitive ? redactedFields() : {}) }
+        : { status: 'queued', provider: provider?.name || null, lastError } }
+    );
+    console.error(`❌ ${message.channel} ${message.template} to ${message.to} failed (attempt=${message.attempts})`, lastError);
+    throw error;
+  }
+};
+
+const formatINR = (amount) => Number(amount || 0).toLocaleString('en-IN', { style: 'currency', currency: 'INR' });
+const trackUrl = (order) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/track/${encodeURIComponent(order.orderId)}`;
+
+export const sendOrderPlacedMessage = (order) => queueMessage('order-placed', {
+  to: order.customerPhone,
+  locale: order.locale,
+  orderId: order.orderId,
+  vars: {
+    customerName: String(order.customerName || '').split(' ')[0] || 'there',
+    orderId: order.orderId,
+    total: formatINR(order.total),
+    isCod: order.paymentMethod === 'cod',
+    trackUrl: trackUrl(order)
+  }
+});
+
+// Only shipped and delivered have a message; other statuses resolve { queued: false, reason }.
+// `shipments` are serializeShipment() output; the first one's courier and AWB are quoted.
+export const sendOrderStatusMessage = (order, newStatus, shipments = []) => {
+  if (!['shipped', 'delivered'].includes(newStatus)) return Promise.resolve({ queued: false, reason: 'no_template' });
+  const shipment = shipments[0];
+  return queueMessage(`order-${newStatus}`, {
+    to: order.customerPhone,
+    locale: order.locale,
+    orderId: order.orderId,
+    vars: {
+      orderId: order.orderId,
+      courierName: shipment?.courierName || null,
+      awb: shipment?.awb || null,
+      trackUrl: trackUrl(order)
+    }
+  });
+};
+
+// One-time code for opening a guest order (see utils/orderAccess.js)
+export const sendOtpMessage = (order, code, expiresInMinutes) => queueMessage('otp', {
+  to: order.customerPhone,
+  locale: order.locale,
+  orderId: order.orderId,
+  vars: { code, orderId: order.orderId, expiresInMinutes }
+});
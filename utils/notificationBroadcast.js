@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import Notification, { notificationEvents } from '../models/Notification.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import { normalizeCategory } from './category.js';
+
+const AUDIENCES = ['all-sellers', 'category', 'sellers'];
+const CATEGORIES = Product.schema.path('category').enumValues;
+const BATCH_SIZE = 500;
+
+// Seller ids an admin broadcast goes to. `audience` is
+//   { type: 'all-sellers' }
+//   { type: 'category', category }   sellers with an active product in the category
+//   { type: 'sellers', sellerIds }
+// Rejected sellers are left out. Returns { sellerIds } or { error, statusCode }.
+export const resolveBroadcastAudience = async (audience = {}) => {
+  const type = audience?.type;
+  if (!AUDIENCES.includes(type)) {
+    return { error: `audience.type must be one of ${AUDIENCES.join(', ')}`, statusCode: 400 };
+  }
+
+  const filter = { verificationStatus: { $ne: 'rejected' } };
+  if (type === 'category') {
+    const category = normalizeCategory(audience.category || '');
+    if (!CATEGORIES.includes(category)) {
+      return { error: `audience.category must be one of ${CATEGORIES.join(', ')}`, statusCode: 400 };
+    }
+    // Seller products store the seller in createdBy; admin-listed ones may carry sellerId
+    const [creators, sellerIds] = await Promise.all([
+      Product.distinct('createdBy', { category, isActive: true }),
+      Product.distinct('sellerId', { category, isActive: true, sellerId: { $ne: null } })
+    ]);
+    filter._id = { $in: [...creators, ...sellerIds] };
+  } else if (type === 'sellers') {
+    const ids = Array.isArray(audience.sellerIds) ? audience.sellerIds.map(String) : [];
+    if (ids.length === 0) return { error: 'audience.sellerIds must list at least one seller', statusCode: 400 };
+    const invalid = ids.find(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid) return { error: `Invalid seller id: ${invalid}`, statusCode: 400 };
+    filter._id = { $in: ids };
+  }
+
+  const sellers = await Seller.find(filter).select('_id').lean();
+  return { sellerIds: sellers.map(s => s._id) };
+};
+
+// Admin broadcast: one notification per seller (so each seller has their own
+// read state), linked by metadata.broadcastId. Returns { broadcastId, recipients }.
+export const broadcastToSellers = async (sellerIds, { title, message, type = 'info', priority = 'medium', actionUrl, expiresAt, audience, createdBy }) => {
+  const broadcastId = new mongoose.Types.ObjectId().toString();
+  for (let i = 0; i < sellerIds.length; i += BATCH_SIZE) {
+    const docs = await Notification.insertMany(sellerIds.slice(i, i + BATCH_SIZE).map(sellerId => ({
+      title,
+      message,
+      type,
+      priority,
+      recipientType: 'seller',
+      recipientId: sellerId,
+      recipientModel: 'Seller',
+      actionUrl,
+      expiresAt,
+      metadata: { broadcastId, audience },
+      createdBy,
+      createdByModel: 'User'
+    })));
+    // insertMany skips the save hooks, so tell the live streams directly
+    for (const doc of docs) notificationEvents.emit('created', doc);
+  }
+  console.log(`📣 Broadcast ${broadcastId} sent to ${sellerIds.length} seller(s)`);
+  return { broadcastId, recipients: sellerIds.length };
+};
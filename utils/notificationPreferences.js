@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import NotificationPreference from '../models/NotificationPreference.js';
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'sms'];
+
+// Notification types each kind of recipient can configure, the channels the
+// type is sent on and what a recipient gets before changing anything
+export const NOTIFICATION_TYPES = {
+  user: {
+    'order-placed': {
+      label: 'Order placed',
+      channels: ['inApp', 'email', 'sms'],
+      defaults: { inApp: true, email: true, sms: true }
+    },
+    'order-status': {
+      label: 'Order status changes',
+      channels: ['inApp', 'email', 'sms'],
+      defaults: { inApp: true, email: true, sms: true }
+    },
+    refund: {
+      label: 'Refunds',
+      channels: ['inApp', 'email'],
+      defaults: { inApp: true, email: true }
+    },
+    'price-drop': {
+      label: 'Price drops on items in your cart',
+      channels: ['inApp', 'email'],
+      defaults: { inApp: true, email: true }
+    }
+  },
+  seller: {
+    'order-placed': {
+      label: 'New orders for your products',
+      channels: ['inApp', 'email'],
+      defaults: { inApp: true, email: false }
+    }
+  }
+};
+
+const loadPreference = async (ownerType, ownerId) => {
+  if (!ownerId || !mongoose.Types.ObjectId.isValid(String(ownerId))) return null;
+  return NotificationPreference.findOne({ ownerType, owner: ownerId }).lean();
+};
+
+const resolve = (ownerType, doc) => Object.entries(NOTIFICATION_TYPES[ownerType] || {}).map(([type, def]) => {
+  const saved = doc?.types?.[type] || {};
+  const channels = {};
+  for (const channel of def.channels) {
+    channels[channel] = typeof saved[channel] === 'boolean' ? saved[channel] : Boolean(def.defaults[channel]);
+  }
+  return { type, label: def.label, channels };
+});
+
+// Every type for the owner with the channels switched on or off
+export const getNotificationPreferences = async (ownerType, ownerId) =>
+  resolve(ownerType, await loadPreference(ownerType, ownerId));
+
+// Whether a notification of `type` should go out on `channel`. Recipients
+// without an account (guest orders) get the defaults.
+export const wantsNotification = async (ownerType, ownerId, type, channel) => {
+  const def = NOTIFICATION_TYPES[ownerType]?.[type];
+  if (!def || !def.channels.includes(channel)) return false;
+  const doc = await loadPreference(ownerType, ownerId);
+  const saved = doc?.types?.[type]?.[channel];
+  return typeof saved === 'boolean' ? saved : Boolean(def.defaults[channel]);
+};
+
+// Same as wantsNotification, but a lookup failure falls back to the default
+// so a preferences problem never blocks an order email
+export const wantsNotificationQuietly = async (ownerType, ownerId, type, channel) => {
+  try {
+    return await wantsNotification(ownerType, ownerId, type, channel);
+  } catch (err) {
+    console.warn('⚠️ Could not read notification preferences:', err?.message || err);
+    return Boolean(NOTIFICATION_TYPES[ownerType]?.[type]?.defaults[channel]);
+  }
+};
+
+// Apply `{ [type]: { inApp, email, sms } }` (any subset) for the owner.
+// Returns { preferences } or { error, statusCode }.
+export const updateNotificationPreferences = async (ownerType, ownerId, types) => {
+  const known = NOTIFICATION_TYPES[ownerType];
+  if (!known) return { error: 'Notification preferences are not available for this account', statusCode: 403 };
+  if (!types || typeof types !== 'object' || Array.isArray(types)) {
+    return { error: 'types must be an object of notification types', statusCode: 400 };
+  }
+
+  const set = {};
+  for (const [type, channels] of Object.entries(types)) {
+    const def = known[type];
+    if (!def) return { error: `Unknown notification type: ${type}`, statusCode: 400 };
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return { error: `Channels for ${type} must be an object`, statusCode: 400 };
+    }
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!def.channels.includes(channel)) {
+        return { error: `${type} notifications are not sent by ${channel}`, statusCode: 400 };
+      }
+      if (typeof enabled !== 'boolean') {
+        return { error: `${type}.${channel} must be true or false`, statusCode: 400 };
+      }
+      set[`types.${type}.${channel}`] = enabled;
+    }
+  }
+
+  if (Object.keys(set).length > 0) {
+    await NotificationPreference.updateOne(
+      { ownerType, owner: ownerId },
+      { $set: set },
+      { upsert: true }
+    );
+  }
+  return { preferences: await getNotificationPreferences(ownerType, ownerId) };
+};
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Who gets a digest email and how often before they change it
+export const DIGEST_DEFAULTS = { seller: 'daily', admin: 'daily' };
+
+// { frequency, lastSentAt } for a seller or admin, or null for owners without a digest
+export const getDigestPreference = async (ownerType, ownerId) => {
+  if (!DIGEST_DEFAULTS[ownerType]) return null;
+  const doc = await loadPreference(ownerType, ownerId);
+  return {
+    frequency: doc?.digest?.frequency || DIGEST_DEFAULTS[ownerType],
+    lastSentAt: doc?.digest?.lastSentAt || null
+  };
+};
+
+// { error, statusCode } when `frequency` cannot be set for the owner, else null
+export const digestFrequencyError = (ownerType, frequency) => {
+  if (!DIGEST_DEFAULTS[ownerType]) return { error: 'Digest emails are not available for this account', statusCode: 403 };
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    return { error: `digest must be one of ${DIGEST_FREQUENCIES.join(', ')}`, statusCode: 400 };
+  }
+  return null;
+};
+
+// Set how often the owner gets the digest. Returns { digest } or { error, statusCode }.
+export const updateDigestFrequency = async (ownerType, ownerId, frequency) => {
+  const invalid = digestFrequencyError(ownerType, frequency);
+  if (invalid) return invalid;
+  await NotificationPreference.updateOne(
+    { ownerType, owner: ownerId },
+    { $set: { 'digest.frequency': frequency } },
+    { upsert: true }
+  );
+  return { digest: await getDigestPreference(ownerType, ownerId) };
+};
@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import Notification, { notificationEvents } from '../models/Notification.js';
+import { activeSessionIds } from './sessions.js';
+
+const HEARTBEAT_MS = Number(process.env.NOTIFICATION_STREAM_HEARTBEAT_SECONDS || 25) * 1000;
+const POLL_MS = Number(process.env.NOTIFICATION_STREAM_POLL_SECONDS || 5) * 1000;
+const REPLAY_LIMIT = 100;
+// Notifications saved by another server process are found by polling a window
+// that overlaps the previous poll; ids already pushed are remembered to skip them
+const POLL_OVERLAP_MS = 10 * 1000;
+const SEEN_LIMIT = 5000;
+
+const clients = new Set();
+const seen = new Set();
+let heartbeatTimer = null;
+let pollTimer = null;
+let pollFrom = null;
+
+// Who a stream belongs to: every admin shares one audience, each seller and
+// customer has their own
+export const streamAudience = (user) => {
+  if (user?.role === 'admin') return { key: 'admin', recipientType: 'admin' };
+  if (!user?.userId) return null;
+  if (user.role === 'seller') return { key: `seller:${user.userId}`, recipientType: 'seller', recipientId: String(user.userId) };
+  if (user.role === 'customer') return { key: `user:${user.userId}`, recipientType: 'user', recipientId: String(user.userId) };
+  return null;
+};
+
+// Same filters the /admin, /seller and /me notification lists use
+// ('all' notifications are for admins and sellers)
+export const audienceFilter = (audience) => {
+  if (audience.recipientType === 'admin') return { $or: [{ recipientType: 'admin' }, { recipientType: 'all' }] };
+  if (audience.recipientType === 'user') return { recipientType: 'user', recipientId: audience.recipientId };
+  return { $or: [{ recipientType: 'seller', recipientId: audience.recipientId }, { recipientType: 'all' }] };
+};
+
+// Unread notifications of an audience. Sellers have read an 'all'
+// notification once they are in its readBy.
+export const unreadFilter = (audience) => {
+  if (audience.recipientType !== 'seller') return { ...audienceFilter(audience), isRead: false };
+  return {
+    $or: [
+      { recipientType: 'seller', recipientId: audience.recipientId, isRead: false },
+      { recipientType: 'all', readBy: { $ne: audience.recipientId } }
+    ]
+  };
+};
+
+// A notification as its audience should see it: isRead is the seller's own
+// for 'all' notifications, and the readBy list is left out
+export const notificationView = (notification, audience) => {
+  const { readBy, ...view } = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+  if (audience?.recipientType === 'seller' && view.recipientType === 'all') {
+    view.isRead = (readBy || []).some(id => String(id) === String(audience.recipientId));
+  }
+  return view;
+};
+
+const matchesAudience = (notification, audience) => {
+  if (notification.recipientType === 'all') return audience.recipientType !== 'user';
+  if (notification.recipientType !== audience.recipientType) return false;
+  return audience.recipientType === 'admin' || String(notification.recipientId) === audience.recipientId;
+};
+
+const writeEvent = (res, event, data, id) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const unreadCountFor = (audience) => Notification.countDocuments(unreadFilter(audience));
+
+const remember = (id) => {
+  seen.add(id);
+  if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+};
+
+// Send the current unread count to every stream in the given audiences
+// (all streams when `audiences` is omitted)
+export const pushUnreadCounts = async (audiences = null) => {
+  const keys = audiences ? new Set(audiences.map(a => a.key)) : null;
+  const byKey = new Map();
+  for (const client of clients) {
+    if (keys && !keys.has(client.audience.key)) continue;
+    if (!byKey.has(client.audience.key)) byKey.set(client.audience.key, { audience: client.audience, clients: [] });
+    byKey.get(client.audience.key).clients.push(client);
+  }
+  for (const { audience, clients: targets } of byKey.values()) {
+    try {
+      const unreadCount = await unreadCountFor(audience);
+      for (const client of targets) writeEvent(client.res, 'unread-count', { unreadCount });
+    } catch (err) {
+      console.warn('⚠️ Could not push unread count:', err?.message || err);
+    }
+  }
+};
+
+// Audiences a notification is for, among the open streams
+const audiencesFor = (notification) => {
+  const audiences = new Map();
+  for (const client of clients) {
+    if (matchesAudience(notification, client.audience)) audiences.set(client.audience.key, client.audience);
+  }
+  return [...audiences.values()];
+};
+
+// Push a notification (and the new unread counts) to the streams it belongs to
+export const publishNotification = async (notification) => {
+  const id = String(notification._id);
+  if (seen.has(id)) return;
+  remember(id);
+  if (clients.size === 0) return;
+
+  const data = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+  const audiences = audiencesFor(data);
+  if (audiences.length === 0) return;
+  const keys = new Set(audiences.map(a => a.key));
+  for (const client of clients) {
+    if (keys.has(client.audience.key)) writeEvent(client.res, 'notification', notificationView(data, client.audience), id);
+  }
+  await pushUnreadCounts(audiences);
+};
+
+// Unread counts after a notification was read or deleted
+export const pushUnreadCountsFor = (notification) => pushUnreadCounts(audiencesFor(notification));
+
+const pollNewNotifications = async () => {
+  if (clients.size === 0) return;
+  const since = pollFrom;
+  pollFrom = new Date();
+  const fresh = await Notification.find({ createdAt: { $gte: new Date(since.getTime() - POLL_OVERLAP_MS) } })
+    .sort({ createdAt: 1 })
+    .limit(500)
+    .lean();
+  for (const notification of fresh) {
+    if (!seen.has(String(notification._id))) await publishNotification(notification);
+  }
+};
+
+// Streams outlive their access token, so on each heartbeat the ones whose
+// session was logged out or revoked are closed
+const closeRevokedStreams = async () => {
+  const live = await activeSessionIds([...clients].map(c => c.sid));
+  for (const client of clients) {
+    if (live.has(String(client.sid))) continue;
+    clients.delete(client);
+    client.res.end();
+  }
+  stopTimersIfIdle();
+};
+
+const startTimers = () => {
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(() => {
+      for (const client of clients) client.res.write(': heartbeat\n\n');
+      closeRevokedStreams().catch(err => {
+        console.warn('⚠️ Could not check notification stream sessions:', err?.message || err);
+      });
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref?.();
+  }
+  if (!pollTimer) {
+    pollFrom = new Date();
+    pollTimer = setInterval(() => {
+      pollNewNotifications().catch(err => {
+        console.warn('⚠️ Notification stream poll failed:', err?.message || err);
+      });
+    }, POLL_MS);
+    pollTimer.unref?.();
+  }
+};
+
+const stopTimersIfIdle = () => {
+  if (clients.size > 0) return;
+  clearInterval(heartbeatTimer);
+  clearInterval(pollTimer);
+  heartbeatTimer = null;
+  pollTimer = null;
+};
+
+notificationEvents.on('created', (notification) => {
+  publishNotification(notification).catch(err => {
+    console.warn('⚠️ Could not push notification:', err?.message || err);
+  });
+});
+
+// Open an SSE stream for req.user. Notifications after Last-Event-ID (header,
+// or ?lastEventId for the first connect) are replayed before the current
+// unread count; after that new ones are pushed as they are saved.
+export const openNotificationStream = async (req, res, audience) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+  res.write(`retry: ${Number(process.env.NOTIFICATION_STREAM_RETRY_MS || 5000)}\n\n`);
+
+  const client = { res, audience, sid: req.user?.sid };
+  clients.add(client);
+  startTimers();
+  req.on('close', () => {
+    clients.delete(client);
+    stopTimersIfIdle();
+  });
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+    const missed = await Notification.find({ ...audienceFilter(audience), _id: { $gt: lastEventId } })
+      .sort({ _id: 1 })
+      .limit(REPLAY_LIMIT)
+      .lean();
+    for (const notification of missed) writeEvent(res, 'notification', notificationView(notification, audience), String(notification._id));
+  }
+  writeEvent(res, 'unread-count', { unreadCount: await unreadCountFor(audience) });
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Order from '../models/Order.js';
+import OrderLookupCode from '../models/OrderLookupCode.js';
+import { sendOrderLookupCodeEmail } from './email.js';
+import { sendOtpMessage } from './messaging.js';
+import { jwtSecret } from './secrets.js';
+
+const CODE_TTL_MINUTES = Number(process.env.ORDER_LOOKUP_CODE_TTL_MINUTES || 10);
+const CODE_MAX_ATTEMPTS = 5;
+const CODE_RESEND_SECONDS = 60;
+const ACCESS_TTL_MINUTES = Number(process.env.ORDER_ACCESS_TTL_MINUTES || 30);
+
+// Order tokens are signed with their own key so they can never pass as a login token
+const accessSecret = () => crypto
+  .createHmac('sha256', jwtSecret())
+  .update('order-access')
+  .digest('hex');
+
+const hashCode = (orderId, code) => crypto
+  .createHash('sha256')
+  .update(`${orderId}|${code}`)
+  .digest('hex');
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Logged-in customer who placed the order: by account, or by email for
+// guest-era orders once that email is verified (anyone can register with an
+// address they do not own)
+export const isOrderOwner = (order, user = {}) => (
+  (order.customerId && String(order.customerId) === String(user.userId)) ||
+  (user.emailVerified === true && order.customerEmail && user.email &&
+    order.customerEmail.toLowerCase() === String(user.email).toLowerCase())
+);
+
+// Short-lived token that opens one order, for guests and checkout confirmation pages
+export const issueOrderAccessToken = (order) => {
+  const expiresAt = new Date(Date.now() + ACCESS_TTL_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    { scope: 'order', orderId: order.orderId, email: normalizeEmail(order.customerEmail) },
+    accessSecret(),
+    { expiresIn: ACCESS_TTL_MINUTES * 60 }
+  );
+  return { token, expiresAt };
+};
+
+// Token from the X-Order-Token header (or ?token= for links). Returns its payload or null.
+export const readOrderAccessToken = (req) => {
+  const token = req.headers['x-order-token'] || req.query?.token;
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(String(token), accessSecret());
+    return payload?.scope === 'order' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+// Admins, the owner, or a guest holding this order's token
+export const canViewOrder = (order, req) => {
+  if (req.user?.role === 'admin') return true;
+  if (req.user && isOrderOwner(order, req.user)) return true;
+  const access = readOrderAccessToken(req);
+  return !!access && access.orderId === order.orderId &&
+    access.email === normalizeEmail(order.customerEmail);
+};
+
+// Email (and text, see utils/messaging.js) a one-time code if the order id and email match. Always resolves the
+// same way so callers cannot learn which orders exist.
+export const requestOrderLookupCode = async (orderId, email) => {
+  const address = normalizeEmail(email);
+  if (!orderId || !address) return { error: 'Order id and email are required', statusCode: 400 };
+
+  const order = await Order.findOne({
+    orderId: String(orderId).trim(),
+    customerEmail: new RegExp(`^${escapeRegex(address)}$`, 'i')
+  }).select('orderId customerEmail customerName customerPhone locale');
+  if (!order) return { sent: false };
+
+  const recent = await OrderLookupCode.findOne({
+    orderId: order.orderId,
+    email: address,
+    createdAt: { $gt: new Date(Date.now() - CODE_RESEND_SECONDS * 1000) }
+  });
+  if (recent) return { sent: false };
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await OrderLookupCode.deleteMany({ orderId: order.orderId, email: address });
+  await OrderLookupCode.create({
+    order: order._id,
+    orderId: order.orderId,
+    email: address,
+    codeHash: hashCode(order.orderId, code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+  });
+
+  const sendRes = await sendOrderLookupCodeEmail(order, code, CODE_TTL_MINUTES);
+  if (!sendRes?.queued) console.warn('⚠️ Order lookup code not queued:', sendRes?.error || sendRes?.reason || 'unknown');
+  // Also by SMS to the phone on the order, when messaging is set up
+  const smsRes = await sendOtpMessage(order, code, CODE_TTL_MINUTES);
+  if (!smsRes?.queued && smsRes?.error) console.warn('⚠️ Order lookup code SMS not queued:', smsRes.error);
+  return { sent: true, code };
+};
+
+// Check a code and hand out an order token. Returns { order, token, expiresAt } or { error, statusCode }.
+export const verifyOrderLookupCode = async (orderId, email, code) => {
+  const address = normalizeEmail(email);
+  const invalid = { error: 'Invalid or expired code', statusCode: 400 };
+  if (!orderId || !address || !/^\d{6}$/.test(String(code || '').trim())) return invalid;
+
+  const entry = await OrderLookupCode.findOne({
+    orderId: String(orderId).trim(),
+    email: address,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+  if (!entry) return invalid;
+  if (entry.attempts >= CODE_MAX_ATTEMPTS) {
+    return { error: 'Too many attempts, please request a new code', statusCode: 429 };
+  }
+
+  const expected = Buffer.from(entry.codeHash);
+  const given = Buffer.from(hashCode(entry.orderId, String(code).trim()));
+  if (!crypto.timingSafeEqual(expected, given)) {
+    await OrderLookupCode.updateOne({ _id: entry._id }, { $inc: { attempts: 1 } });
+    return invalid;
+  }
+
+  // Single use, even if two verifications race
+  const claimed = await OrderLookupCode.findOneAndUpdate(
+    { _id: entry._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!claimed) return invalid;
+
+  const order = await Order.findById(entry.order);
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+  return { order, ...issueOrderAccessToken(order) };
+};
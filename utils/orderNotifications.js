@@ -0,0 +1,118 @@
+import Notification from '../models/Notification.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import { notifyCustomerOfOrderPlaced } from './customerNotifications.js';
+import { enqueueJobQuietly } from './jobs.js';
+import { wantsNotification } from './notificationPreferences.js';
+
+const formatINR = (amount) => Number(amount || 0).toLocaleString('en-IN', { style: 'currency', currency: 'INR' });
+
+// The order's lines grouped by the seller who listed each product:
+// Map of seller id -> { seller, items, totalAmount (seller payout) }
+export const groupOrderItemsBySeller = async (order) => {
+  const bySeller = new Map();
+  for (const item of order.items) {
+    if (!item.productId) continue;
+    const product = await Product.findById(item.productId).populate('createdBy');
+    if (!product || !product.createdBy) continue;
+    const seller = await Seller.findOne({ email: product.createdBy.email });
+    if (!seller) continue;
+
+    const sellerId = seller._id.toString();
+    if (!bySeller.has(sellerId)) {
+      bySeller.set(sellerId, { seller, items: [], totalAmount: 0 });
+    }
+    const sellerData = bySeller.get(sellerId);
+    sellerData.items.push({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      size: item.size,
+      color: item.color,
+      sellerPayoutAmount: item.sellerPayoutAmount || 0
+    });
+    sellerData.totalAmount += item.sellerPayoutAmount || 0;
+  }
+  return bySeller;
+};
+
+// Notifications for a new order: in-app for admins, for each seller with
+// products in it and for the customer, plus the sellers' new-order emails.
+// Sellers and customers get what their notification preferences allow.
+// Safe to run again for the same order (existing ones are kept).
+export const createOrderPlacedNotifications = async (order) => {
+  const created = { admin: 0, sellers: 0, customer: 0, sellerEmails: 0 };
+
+  const adminExists = await Notification.exists({
+    recipientType: 'admin',
+    type: 'order',
+    'metadata.orderId': order.orderId
+  });
+  if (!adminExists) {
+    await Notification.create({
+      title: 'New Order Received',
+      message: `New order #${order.orderId} received from ${order.customerName} for ${formatINR(order.total)}`,
+      type: 'order',
+      priority: 'high',
+      isRead: false,
+      metadata: {
+        orderId: order.orderId,
+        customerName: order.customerName,
+        customerEmail: order.customerEmail,
+        customerPhone: order.customerPhone,
+        orderTotal: order.total,
+        itemCount: order.items.length,
+        orderDate: order.paymentDate
+      },
+      actionUrl: `/admin/orders/${order._id}`
+    });
+    created.admin = 1;
+  }
+
+  const sellerNotifications = await groupOrderItemsBySeller(order);
+  for (const [sellerId, sellerData] of sellerNotifications) {
+    if (await wantsNotification('seller', sellerId, 'order-placed', 'email')) {
+      const job = await enqueueJobQuietly('email.order-seller', { orderId: String(order._id), sellerId }, {
+        dedupeKey: `email.order-seller:${order._id}:${sellerId}`
+      });
+      if (job) created.sellerEmails += 1;
+    }
+    if (!(await wantsNotification('seller', sellerId, 'order-placed', 'inApp'))) continue;
+
+    const exists = await Notification.exists({
+      recipientType: 'seller',
+      recipientId: sellerId,
+      'relatedEntity.entityId': order._id
+    });
+    if (exists) continue;
+
+    await Notification.create({
+      title: 'New Order for Your Products',
+      message: `You have received a new order #${order.orderId} with ${sellerData.items.length} item(s) for ${formatINR(sellerData.totalAmount)}`,
+      type: 'order',
+      priority: 'high',
+      recipientType: 'seller',
+      recipientId: sellerId,
+      recipientModel: 'Seller',
+      isRead: false,
+      relatedEntity: {
+        entityType: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderId: order.orderId,
+        customerName: order.customerName,
+        sellerItems: sellerData.items,
+        sellerPayoutTotal: sellerData.totalAmount,
+        orderDate: order.paymentDate
+      },
+      actionUrl: `/seller/orders/${order._id}`
+    });
+    console.log(`✅ Seller notification created for seller: ${sellerData.seller.email}`);
+    created.sellers += 1;
+  }
+
+  if ((await notifyCustomerOfOrderPlaced(order)).created) created.customer = 1;
+
+  return created;
+};
@@ -0,0 +1,209 @@
+import Order from '../models/Order.js';
+import SubOrder from '../models/SubOrder.js';
+import { collectCodOnDelivery } from './cod.js';
+import { returnStock } from './stock.js';
+
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses. Orders move forward one step at a time and can only be
+// cancelled before they are shipped; delivered and cancelled are final.
+export const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const FORWARD = ['pending', 'processing', 'shipped', 'delivered'];
+
+export const canTransition = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+export const buildStatusEntry = (status, { from = null, actor = null, role = 'system', note } = {}) => ({
+  status,
+  from,
+  actor: actor || null,
+  role,
+  note: note ? String(note).trim().substring(0, 500) : undefined,
+  changedAt: new Date()
+});
+
+// Parent status follows its sub-orders: cancelled only when all are, otherwise
+// the least advanced of the remaining ones (any started work means processing).
+export const deriveOrderStatus = (subOrders = []) => {
+  if (subOrders.length === 0) return null;
+  const live = subOrders.filter(s => s.status !== 'cancelled');
+  if (live.length === 0) return 'cancelled';
+  if (live.every(s => s.status === 'delivered')) return 'delivered';
+  if (live.every(s => ['shipped', 'delivered'].includes(s.status))) return 'shipped';
+  if (live.some(s => s.status !== 'pending')) return 'processing';
+  return 'pending';
+};
+
+// Validate a requested change against the state machine
+const checkTransition = (oldStatus, nextStatus) => {
+  const newStatus = String(nextStatus || '').toLowerCase();
+  if (!ORDER_STATUSES.includes(newStatus)) {
+    return { error: 'Invalid status value', statusCode: 400 };
+  }
+  if (oldStatus === newStatus) {
+    return { newStatus, unchanged: true };
+  }
+  if (!canTransition(oldStatus, newStatus)) {
+    const allowed = ORDER_TRANSITIONS[oldStatus] || [];
+    return {
+      error: `Cannot change status from ${oldStatus} to ${newStatus}` +
+        (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''),
+      statusCode: 400
+    };
+  }
+  return { newStatus };
+};
+
+// Conditional on the status we validated against, so two concurrent updates
+// cannot both apply. Returns null when the document changed underneath us.
+const applyTransition = (Model, doc, newStatus, { actor, role, note } = {}, extraSet = {}) =>
+  Model.findOneAndUpdate(
+    { _id: doc._id, status: doc.status },
+    {
+      $set: { status: newStatus, ...extraSet },
+      $push: { statusHistory: buildStatusEntry(newStatus, { from: doc.status, actor, role, note }) }
+    },
+    { new: true }
+  );
+
+// A cancelled order or sub-order puts back every unit not already refunded
+// (item refunds restock their own units), whether or not anything is refunded,
+// so unpaid COD orders release their stock too. Runs once, right after the
+// conditional transition to cancelled.
+const releaseCancelledStock = async (doc) => {
+  try {
+    for (const item of doc.items || []) {
+      const qty = Number(item.quantity || 0) - Number(item.refundedQuantity || 0);
+      if (item.productId && qty > 0) await returnStock(item.productId, qty);
+    }
+  } catch (stockErr) {
+    console.error(`❌ Failed to restock cancelled ${doc.subOrderId || doc.orderId}:`, stockErr?.message || stockErr);
+  }
+};
+
+// Steps a sub-order must take to reach `target` (each one recorded in history)
+const pathTo = (from, target) => {
+  if (target === 'cancelled') return canTransition(from, 'cancelled') ? ['cancelled'] : null;
+  const a = FORWARD.indexOf(from);
+  const b = FORWARD.indexOf(target);
+  if (a === -1 || b === -1 || b < a) return null;
+  return FORWARD.slice(a + 1, b + 1);
+};
+
+// Recompute the parent status from its sub-orders and record the change
+export const syncOrderStatus = async (orderId, ctx = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) return null;
+  const subOrders = await SubOrder.find({ order: order._id }).select('status');
+  const derived = deriveOrderStatus(subOrders);
+  if (!derived || derived === order.status) {
+    return { order, oldStatus: order.status, changed: false };
+  }
+  const updated = await applyTransition(Order, order, derived, ctx);
+  if (!updated) {
+    // A concurrent sync already moved it
+    return { order: await Order.findById(order._id), oldStatus: order.status, changed: false };
+  }
+  return { order: updated, oldStatus: order.status, changed: true };
+};
+
+// Move one seller's sub-order and re-derive the parent.
+// Returns { subOrder, oldStatus, changed, order, orderChanged, orderOldStatus } or { error, statusCode }.
+export const transitionSubOrderStatus = async (subOrderOrId, nextStatus, ctx = {}, extraSet = {}) => {
+  const sub = subOrderOrId instanceof SubOrder ? subOrderOrId : await SubOrder.findById(subOrderOrId);
+  if (!sub) {
+    return { error: 'Sub-order not found', statusCode: 404 };
+  }
+
+  const check = checkTransition(sub.status, nextStatus);
+  if (check.error) return check;
+  if (check.unchanged) {
+    return { subOrder: sub, oldStatus: sub.status, changed: false };
+  }
+
+  const updated = await applyTransition(SubOrder, sub, check.newStatus, ctx, extraSet);
+  if (!updated) {
+    return { error: 'Status was changed by another request, please retry', statusCode: 409 };
+  }
+  if (updated.status === 'delivered') await collectCodOnDelivery(updated, ctx);
+  if (updated.status === 'cancelled') await releaseCancelledStock(updated);
+
+  const parent = await syncOrderStatus(sub.order, { ...ctx, note: `${sub.subOrderId} ${check.newStatus}` });
+  return {
+    subOrder: updated,
+    oldStatus: sub.status,
+    changed: true,
+    order: parent?.order,
+    orderChanged: !!parent?.changed,
+    orderOldStatus: parent?.oldStatus
+  };
+};
+
+// Move a whole order. Orders split into sub-orders move every sub-order that is
+// not yet there (stepping through intermediate statuses); cancelling is refused
+// if any shipment has already left. Returns { order, oldStatus, changed } or
+// { error, statusCode }.
+export const transitionOrderStatus = async (orderOrId, nextStatus, ctx = {}) => {
+  const current = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+  if (!current) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  const oldStatus = current.status;
+  const check = checkTransition(oldStatus, nextStatus);
+  if (check.error) return check;
+  if (check.unchanged) {
+    return { order: current, oldStatus, changed: false };
+  }
+  const { newStatus } = check;
+
+  const subOrders = await SubOrder.find({ order: current._id });
+  if (subOrders.length === 0) {
+    const order = await applyTransition(Order, current, newStatus, ctx);
+    if (!order) {
+      return { error: 'Order status was changed by another request, please retry', statusCode: 409 };
+    }
+    if (order.status === 'cancelled') await releaseCancelledStock(order);
+    if (order.status === 'delivered' && order.paymentMethod === 'cod') {
+      await collectCodOnDelivery(order, ctx);
+      return { order: await Order.findById(order._id), oldStatus, changed: true };
+    }
+    return { order, oldStatus, changed: true };
+  }
+
+  const plans = [];
+  for (const sub of subOrders) {
+    if (sub.status === 'cancelled' || sub.status === newStatus) continue;
+    const steps = pathTo(sub.status, newStatus);
+    if (!steps) {
+      if (newStatus === 'cancelled') {
+        return { error: `Shipment ${sub.subOrderId} is already ${sub.status} and cannot be cancelled`, statusCode: 400 };
+      }
+      continue; // already further along
+    }
+    plans.push({ sub, steps });
+  }
+
+  for (const { sub, steps } of plans) {
+    let doc = sub;
+    for (const step of steps) {
+      const next = await applyTransition(SubOrder, doc, step, ctx);
+      if (!next) {
+        return { error: `Shipment ${sub.subOrderId} was changed by another request, please retry`, statusCode: 409 };
+      }
+      doc = next;
+    }
+    if (doc.status === 'delivered') await collectCodOnDelivery(doc, ctx);
+    if (doc.status === 'cancelled') await releaseCancelledStock(doc);
+  }
+
+  const synced = await syncOrderStatus(current._id, ctx);
+  return { order: synced.order, oldStatus, changed: synced.order.status !== oldStatus };
+};
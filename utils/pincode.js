@@ -0,0 +1,137 @@
+// Indian pincode lookups: district and state from the bundled India Post dataset
+// (data/pincodes.json, built by scripts/buildPincodeData.js), falling back to the
+// postal circle ranges (first three digits); plus GST state codes for invoices.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DATA_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'pincodes.json');
+
+// [from, to, state] over the first three digits; more specific ranges first
+const PREFIX_RANGES = [
+  [110, 110, 'Delhi'],
+  [160, 160, 'Chandigarh'],
+  [121, 136, 'Haryana'],
+  [140, 159, 'Punjab'],
+  [170, 177, 'Himachal Pradesh'],
+  [194, 194, 'Ladakh'],
+  [180, 193, 'Jammu and Kashmir'],
+  [246, 249, 'Uttarakhand'],
+  [262, 263, 'Uttarakhand'],
+  [200, 285, 'Uttar Pradesh'],
+  [301, 345, 'Rajasthan'],
+  [360, 396, 'Gujarat'],
+  [403, 403, 'Goa'],
+  [400, 445, 'Maharashtra'],
+  [450, 488, 'Madhya Pradesh'],
+  [490, 497, 'Chhattisgarh'],
+  [500, 509, 'Telangana'],
+  [515, 535, 'Andhra Pradesh'],
+  [560, 591, 'Karnataka'],
+  [605, 605, 'Puducherry'],
+  [600, 643, 'Tamil Nadu'],
+  [670, 695, 'Kerala'],
+  [737, 737, 'Sikkim'],
+  [744, 744, 'Andaman and Nicobar Islands'],
+  [700, 743, 'West Bengal'],
+  [751, 770, 'Odisha'],
+  [781, 788, 'Assam'],
+  [790, 792, 'Arunachal Pradesh'],
+  [793, 794, 'Meghalaya'],
+  [795, 795, 'Manipur'],
+  [796, 796, 'Mizoram'],
+  [797, 798, 'Nagaland'],
+  [799, 799, 'Tripura'],
+  [814, 835, 'Jharkhand'],
+  [800, 855, 'Bihar']
+];
+
+export const GST_STATE_CODES = {
+  'Jammu and Kashmir': '01',
+  'Himachal Pradesh': '02',
+  Punjab: '03',
+  Chandigarh: '04',
+  Uttarakhand: '05',
+  Haryana: '06',
+  Delhi: '07',
+  Rajasthan: '08',
+  'Uttar Pradesh': '09',
+  Bihar: '10',
+  Sikkim: '11',
+  'Arunachal Pradesh': '12',
+  Nagaland: '13',
+  Manipur: '14',
+  Mizoram: '15',
+  Tripura: '16',
+  Meghalaya: '17',
+  Assam: '18',
+  'West Bengal': '19',
+  Jharkhand: '20',
+  Odisha: '21',
+  Chhattisgarh: '22',
+  'Madhya Pradesh': '23',
+  Gujarat: '24',
+  'Dadra and Nagar Haveli and Daman and Diu': '26',
+  Maharashtra: '27',
+  Karnataka: '29',
+  Goa: '30',
+  Lakshadweep: '31',
+  Kerala: '32',
+  'Tamil Nadu': '33',
+  Puducherry: '34',
+  'Andaman and Nicobar Islands': '35',
+  Telangana: '36',
+  'Andhra Pradesh': '37',
+  Ladakh: '38'
+};
+
+export const isValidPincodeFormat = (pincode) => /^[1-9]\d{5}$/.test(String(pincode || '').trim());
+
+// State by postal circle only (first three digits)
+export const getPostalCircleState = (pincode) => {
+  if (!isValidPincodeFormat(pincode)) return null;
+  const prefix = Number(String(pincode).trim().slice(0, 3));
+  const match = PREFIX_RANGES.find(([from, to]) => prefix >= from && prefix <= to);
+  return match ? match[2] : null;
+};
+
+// Loaded on first lookup; a missing file just disables dataset checks
+let dataset;
+const loadDataset = () => {
+  if (dataset !== undefined) return dataset;
+  try {
+    dataset = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (err) {
+    console.warn('⚠️ Pincode dataset not available, using postal circles only:', err?.message || err);
+    dataset = null;
+  }
+  return dataset;
+};
+
+// { pincode, district, state } for a pincode in the dataset, otherwise null
+export const lookupPincode = (pincode) => {
+  if (!isValidPincodeFormat(pincode)) return null;
+  const data = loadDataset();
+  const code = String(pincode).trim();
+  const idx = data?.pincodes?.[code];
+  if (idx === undefined) return null;
+  const [district, stateIdx] = data.districts[idx];
+  return { pincode: code, district, state: data.states[stateIdx] };
+};
+
+// Known India Post pincode (format check only when the dataset is missing)
+export const isServiceablePincode = (pincode) => {
+  if (!isValidPincodeFormat(pincode)) return false;
+  return loadDataset() ? !!lookupPincode(pincode) : true;
+};
+
+export const getStateForPincode = (pincode) => lookupPincode(pincode)?.state || getPostalCircleState(pincode);
+
+// Case-insensitive match of a free-text state name to the canonical one
+export const normalizeStateName = (state) => {
+  const wanted = String(state || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return Object.keys(GST_STATE_CODES).find(s => s.toLowerCase() === wanted) || null;
+};
+
+export const getGstStateCode = (state) => GST_STATE_CODES[normalizeStateName(state)] || null;
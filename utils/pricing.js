@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Quote from '../models/Quote.js';
+import { jwtSecret } from './secrets.js';
+
+const quoteSecret = () => process.env.QUOTE_SECRET || jwtSecret();
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES || 30);
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Effective selling price: offerPrice wins, then percentage discount, then list price
+export const getUnitPrice = (product) => {
+  const price = Number(product.price || 0);
+  const offer = product.offerPrice === null || product.offerPrice === undefined ? null : Number(product.offerPrice);
+  if (offer !== null && offer > 0 && offer < price) return round2(offer);
+  const discount = Number(product.discount || 0);
+  if (discount > 0 && discount < 100) return round2(price * (1 - discount / 100));
+  return round2(price);
+};
+
+// Flat shipping fee, waived above FREE_SHIPPING_THRESHOLD (0 disables the waiver).
+// Only an estimate until a delivery pincode is known (see utils/shipping.js).
+export const computeShipping = (subtotal) => {
+  const fee = Number(process.env.SHIPPING_FEE || 0);
+  const freeAbove = Number(process.env.FREE_SHIPPING_THRESHOLD || 0);
+  if (fee <= 0) return 0;
+  if (freeAbove > 0 && subtotal >= freeAbove) return 0;
+  return round2(fee);
+};
+
+export const computeTax = (taxableAmount) => {
+  const pct = Number(process.env.TAX_PERCENT || 0);
+  return pct > 0 ? round2((taxableAmount * pct) / 100) : 0;
+};
+
+// Recompute tax and total after the discount or shipping on a quote changes
+export const refreshQuoteTotals = (quote) => {
+  const taxable = round2(Number(quote.subtotal) - Number(quote.discount || 0));
+  quote.tax = computeTax(taxable);
+  quote.total = round2(taxable + Number(quote.shipping || 0) + quote.tax);
+  return quote;
+};
+
+const matchesVariant = (options, chosen) => {
+  const wanted = String(chosen).trim().toLowerCase();
+  return options.some(o => String(o).trim().toLowerCase() === wanted);
+};
+
+// Check a product can be bought with the chosen variant. Returns an error message or null.
+export const validateVariant = (product, { size = null, color = null } = {}) => {
+  if (!product || product.isActive === false) return 'Product is not available';
+  const sizes = product.sizeVarients || [];
+  if (size && sizes.length > 0 && !matchesVariant(sizes, size)) {
+    return `Size ${size} is not available`;
+  }
+  const colors = (product.colorVarients || []).map(cv => (typeof cv === 'string' ? cv : cv.color));
+  if (color && colors.length > 0 && !matchesVariant(colors, color)) {
+    return `Colour ${color} is not available`;
+  }
+  return null;
+};
+
+// Price cart lines from the database. Only productId, quantity and variant are read from the client.
+export const priceCart = async (rawItems = []) => {
+  const errors = [];
+  const items = [];
+
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { items, errors: [{ message: 'Cart is empty' }] };
+  }
+
+  for (const raw of rawItems) {
+    const productId = raw?.productId || raw?._id || raw?.id;
+    const quantity = Number(raw?.quantity || 0);
+    const size = (raw?.size ?? raw?.selectedSize) || null;
+    const color = (raw?.color ?? raw?.selectedColor) || null;
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(String(productId))) {
+      errors.push({ productId: productId || null, message: 'Invalid product id' });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ productId: String(productId), message: 'Quantity must be a positive whole number' });
+      continue;
+    }
+
+    const product = await Product.findById(productId)
+      .select('name price offerPrice discount category image stockQuantity inStock isActive sizeVarients colorVarients');
+    const variantError = validateVariant(product, { size, color });
+    if (variantError) {
+      errors.push({ productId: String(productId), name: product?.name, message: variantError });
+      continue;
+    }
+
+    const unitPrice = getUnitPrice(product);
+    const colorImage = color
+      ? (product.colorVarients || []).find(cv => cv?.color === String(color).toLowerCase())?.images?.[0]
+      : null;
+
+    items.push({
+      productId: String(product._id),
+      name: product.name,
+      unitPrice,
+      listPrice: round2(product.price),
+      quantity,
+      lineTotal: round2(unitPrice * quantity),
+      category: product.category,
+      size,
+      color,
+      image: colorImage || product.image || null,
+      available: Number(product.stockQuantity || 0)
+    });
+  }
+
+  // Stock is checked per product across lines (same product in two sizes shares stock)
+  const requestedByProduct = new Map();
+  for (const it of items) {
+    requestedByProduct.set(it.productId, (requestedByProduct.get(it.productId) || 0) + it.quantity);
+  }
+  for (const [productId, requested] of requestedByProduct.entries()) {
+    const line = items.find(it => it.productId === productId);
+    if (requested > line.available) {
+      errors.push({ productId, name: line.name, message: 'Stock insufficient', requested, available: line.available });
+    }
+  }
+
+  const subtotal = round2(items.reduce((sum, it) => sum + it.lineTotal, 0));
+  const shipping = computeShipping(subtotal);
+  const tax = computeTax(subtotal);
+  const total = round2(subtotal + shipping + tax);
+
+  return {
+    items: items.map(({ available, ...rest }) => rest),
+    subtotal,
+    shipping,
+    tax,
+    total,
+    errors
+  };
+};
+
+// Signed over the server-priced subtotal, so the id stays valid when a coupon
+// or the delivery pincode later changes the total
+const signature = (id, subtotal, expiresAt) => crypto
+  .createHmac('sha256', quoteSecret())
+  .update(`${id}|${Number(subtotal).toFixed(2)}|${new Date(expiresAt).getTime()}`)
+  .digest('hex')
+  .slice(0, 32);
+
+// Signed quote id handed to the client: `<mongoId>.<hmac>`
+export const signQuoteId = (quote) => `${quote._id}.${signature(quote._id, quote.subtotal, quote.expiresAt)}`;
+
+export const createQuote = async (rawItems, { customerId = null, currency = 'INR', fromCart = false } = {}) => {
+  const priced = await priceCart(rawItems);
+  if (priced.errors.length > 0) {
+    return { errors: priced.errors };
+  }
+  const quote = await Quote.create({
+    customerId,
+    fromCart,
+    items: priced.items,
+    subtotal: priced.subtotal,
+    shipping: priced.shipping,
+    tax: priced.tax,
+    total: priced.total,
+    currency,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000)
+  });
+  return { quote, quoteId: signQuoteId(quote), errors: [] };
+};
+
+// Resolve a signed quote id. `allowExpired` is used after payment, when the
+// customer has already paid the quoted amount.
+export const loadQuote = async (signedId, { allowExpired = false } = {}) => {
+  const [id, sig] = String(signedId || '').split('.');
+  if (!id || !sig || !mongoose.Types.ObjectId.isValid(id)) {
+    return { error: 'Invalid quote id' };
+  }
+  const quote = await Quote.findById(id);
+  if (!quote) return { error: 'Quote not found' };
+
+  const expected = signature(quote._id, quote.subtotal, quote.expiresAt);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    return { error: 'Invalid quote id' };
+  }
+  if (!allowExpired && quote.expiresAt < new Date()) {
+    return { error: 'Quote has expired, please review your cart again' };
+  }
+  return { quote };
+};
+
+// Shape quote lines the way Order.items / commission helpers expect them
+export const quoteItemsForOrder = (quote) => (quote?.items || []).map(it => ({
+  productId: it.productId,
+  name: it.name,
+  price: it.unitPrice,
+  quantity: it.quantity,
+  discountAmount: it.discountAmount || 0,
+  size: it.size,
+  color: it.color,
+  image: it.image
+}));
+
+export const serializeQuote = (quote) => ({
+  id: signQuoteId(quote),
+  items: quote.items,
+  subtotal: quote.subtotal,
+  discount: quote.discount || 0,
+  coupon: quote.coupon?.code ? { code: quote.coupon.code } : null,
+  shipping: quote.shipping,
+  shippingPincode: quote.shippingPincode || null,
+  shippingCharges: (quote.shippingCharges || []).map(s => ({
+    seller: s.seller || null,
+    sellerName: s.sellerName || '',
+    zone: s.zone,
+    weightKg: s.weightKg,
+    charge: s.charge
+  })),
+  tax: quote.tax,
+  total: quote.total,
+  currency: quote.currency,
+  expiresAt: quote.expiresAt
+});
@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Razorpay from 'razorpay';
+import Order from '../models/Order.js';
+import SubOrder from '../models/SubOrder.js';
+import { returnStock, takeStock } from './stock.js';
+import { lineNetTotal } from './commission.js';
+import { enqueueJobQuietly } from './jobs.js';
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'collected', 'partially_refunded'];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+let razorpay = null;
+
+// Refund gateways. `stub` settles instantly without calling Razorpay and is
+// used for tests and local development (REFUND_GATEWAY=stub or NODE_ENV=test).
+const gateways = {
+  razorpay: {
+    async refund({ paymentId, amount, notes, receipt }) {
+      if (!razorpay) {
+        if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+          throw new Error('Razorpay credentials not configured');
+        }
+        razorpay = new Razorpay({
+          key_id: process.env.RAZORPAY_KEY_ID,
+          key_secret: process.env.RAZORPAY_KEY_SECRET
+        });
+      }
+      const refund = await razorpay.payments.refund(paymentId, {
+        amount: Math.round(amount * 100), // paise
+        speed: 'normal',
+        notes,
+        receipt
+      });
+      return { id: refund.id, status: refund.status };
+    }
+  },
+  stub: {
+    async refund() {
+      return { id: `rfnd_stub_${crypto.randomBytes(7).toString('hex')}`, status: 'processed' };
+    }
+  },
+  // Cash on delivery: there is no online payment to reverse, so the refund is
+  // recorded here and paid back by bank transfer / UPI by support
+  cod: {
+    async refund() {
+      return { id: `rfnd_cod_${crypto.randomBytes(7).toString('hex')}`, status: 'processed' };
+    }
+  }
+};
+
+const getGateway = (order) => {
+  if (order?.paymentMethod === 'cod') return gateways.cod;
+  const name = process.env.REFUND_GATEWAY || (process.env.NODE_ENV === 'test' ? 'stub' : 'razorpay');
+  return gateways[name] || gateways.razorpay;
+};
+
+const mapGatewayStatus = (status) => {
+  if (status === 'processed') return 'processed';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+const paymentStatusFor = (refundedAmount, total, paymentMethod) =>
+  refundedAmount <= 0.009 ? (paymentMethod === 'cod' ? 'collected' : 'completed')
+    : refundedAmount >= Number(total || 0) - 0.01 ? 'refunded' : 'partially_refunded';
+
+export const isRefundable = (order) =>
+  REFUNDABLE_PAYMENT_STATUSES.includes(order?.paymentStatus) &&
+  round2(Number(order.total || 0) - Number(order.refundedAmount || 0)) > 0;
+
+// Work out what a refund covers. Returns { amount, lines } or { error }.
+const buildRefundLines = (order, { type, amount, items }) => {
+  const remaining = round2(Number(order.total || 0) - Number(order.refundedAmount || 0));
+  const orderItems = order.items || [];
+  const unrefundedValue = (it) => Math.max(0, lineNetTotal(it) - Number(it.refundedAmount || 0));
+  // Paid per unit, after any coupon discount
+  const unitValue = (it) => (Number(it.quantity) > 0 ? lineNetTotal(it) / Number(it.quantity) : 0);
+  const lineFor = (it, quantity, value) => ({
+    orderItemId: it._id,
+    productId: it.productId,
+    name: it.name,
+    quantity,
+    amount: round2(value)
+  });
+
+  if (type === 'full') {
+    const lines = orderItems
+      .map(it => lineFor(it, Number(it.quantity) - Number(it.refundedQuantity || 0), unrefundedValue(it)))
+      .filter(l => l.quantity > 0 || l.amount > 0);
+    return { amount: remaining, lines };
+  }
+
+  if (type === 'items') {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: 'Select at least one item to refund' };
+    }
+    const lines = [];
+    for (const req of items) {
+      const it = orderItems.find(o =>
+        String(o._id) === String(req.itemId) || (req.productId && String(o.productId) === String(req.productId)));
+      if (!it) return { error: `Item ${req.itemId || req.productId} is not part of this order` };
+      const qty = parseInt(req.quantity, 10);
+      const refundableQty = Number(it.quantity) - Number(it.refundedQuantity || 0);
+      if (!Number.isInteger(qty) || qty < 1 || qty > refundableQty) {
+        return { error: `Only ${refundableQty} of ${it.name} can be refunded` };
+      }
+      lines.push(lineFor(it, qty, Math.min(unitValue(it) * qty, unrefundedValue(it))));
+    }
+    const total = round2(lines.reduce((s, l) => s + l.amount, 0));
+    return { amount: Math.min(total, remaining), lines };
+  }
+
+  if (type === 'partial') {
+    const value = round2(amount);
+    if (!(value > 0) || value > remaining) {
+      return { error: `Refund amount must be between 0.01 and ${remaining}` };
+    }
+    // Spread a goodwill amount over the items so commission and payout shrink proportionally
+    const base = orderItems.reduce((s, it) => s + unrefundedValue(it), 0);
+    const lines = base > 0
+      ? orderItems
+        .map(it => lineFor(it, 0, Math.min(unrefundedValue(it), (value * unrefundedValue(it)) / base)))
+        .filter(l => l.amount > 0)
+      : [];
+    return { amount: value, lines };
+  }
+
+  return { error: 'Refund type must be full, partial or items' };
+};
+
+// Whether a refund line's units already went back to stock when its order or
+// shipment was cancelled (see utils/orderStatus.js)
+const restockedByCancellation = async (order) => {
+  if (order.status === 'cancelled') return () => true;
+  const cancelledItemIds = new Set();
+  const cancelledSubs = await SubOrder.find({ order: order._id, status: 'cancelled' }).select('items.orderItemId').lean();
+  for (const sub of cancelledSubs) for (const item of sub.items) cancelledItemIds.add(String(item.orderItemId));
+  return (line) => cancelledItemIds.has(String(line.orderItemId));
+};
+
+// Refund part or all of a paid order through the gateway and record it on the order.
+// The refunded amount is reserved with a conditional update first, so concurrent
+// refunds can never exceed the order total. Item refunds put the stock back and
+// reduce the commission and seller payout of those items.
+// Returns { refund, order } or { error, statusCode }.
+export const refundOrder = async (orderOrId, {
+  type = 'full',
+  amount,
+  items,
+  reason,
+  actor = null,
+  role = 'system',
+  restock,
+  notify = true
+} = {}) => {
+  const order = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+  if (!isRefundable(order)) {
+    return { error: 'Order has no refundable payment', statusCode: 400 };
+  }
+
+  const built = buildRefundLines(order, { type, amount, items });
+  if (built.error) return { error: built.error, statusCode: 400 };
+  if (!(built.amount > 0)) return { error: 'Nothing left to refund', statusCode: 400 };
+
+  const commissionReversed = round2(built.lines.reduce((s, l) => {
+    const it = (order.items || []).find(o => String(o._id) === String(l.orderItemId));
+    const lineTotal = it ? lineNetTotal(it) : 0;
+    return lineTotal > 0 ? s + (Number(it.commissionAmount || 0) * l.amount) / lineTotal : s;
+  }, 0));
+
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    type,
+    amount: built.amount,
+    items: built.lines,
+    reason: reason ? String(reason).trim().substring(0, 500) : undefined,
+    status: 'pending',
+    initiatedBy: actor || null,
+    role,
+    commissionReversed,
+    restocked: false,
+    createdAt: new Date()
+  };
+
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, built.amount] }, { $add: ['$total', 0.01] }] }
+    },
+    { $inc: { refundedAmount: built.amount }, $push: { refunds: entry } },
+    { new: true }
+  );
+  if (!reserved) {
+    return { error: 'Order was refunded by another request, please retry', statusCode: 409 };
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await getGateway(order).refund({
+      paymentId: order.paymentId,
+      amount: built.amount,
+      notes: { orderId: order.orderId, refundEntryId: String(entry._id) },
+      receipt: `rf_${order.orderId}`.substring(0, 40)
+    });
+  } catch (gatewayErr) {
+    const message = gatewayErr?.error?.description || gatewayErr?.message || String(gatewayErr);
+    console.error('❌ Refund failed at gateway:', order.orderId, message);
+    await Order.updateOne(
+      { _id: order._id, 'refunds._id': entry._id },
+      { $set: { 'refunds.$.status': 'failed', 'refunds.$.error': message }, $inc: { refundedAmount: -built.amount } }
+    );
+    return { error: `Refund failed: ${message}`, statusCode: 502 };
+  }
+
+  const status = mapGatewayStatus(gatewayRefund.status);
+  const refundedAmount = round2(reserved.refundedAmount);
+  await Order.updateOne(
+    { _id: order._id, 'refunds._id': entry._id },
+    {
+      $set: {
+        'refunds.$.refundId': gatewayRefund.id,
+        'refunds.$.status': status,
+        'refunds.$.processedAt': status === 'processed' ? new Date() : null,
+        paymentStatus: paymentStatusFor(refundedAmount, reserved.total, reserved.paymentMethod)
+      }
+    }
+  );
+
+  // Per-item bookkeeping drives commission and seller payout in the earnings views
+  for (const line of built.lines) {
+    await Order.updateOne(
+      { _id: order._id, 'items._id': line.orderItemId },
+      { $inc: { 'items.$.refundedQuantity': line.quantity, 'items.$.refundedAmount': line.amount } }
+    );
+    await SubOrder.updateOne(
+      { order: order._id, 'items.orderItemId': line.orderItemId },
+      { $inc: { 'items.$.refundedQuantity': line.quantity, 'items.$.refundedAmount': line.amount, refundedAmount: line.amount } }
+    );
+  }
+
+  const shouldRestock = restock ?? type !== 'partial';
+  if (shouldRestock) {
+    try {
+      const restocked = await restockedByCancellation(order);
+      for (const line of built.lines) {
+        if (restocked(line)) continue;
+        if (line.productId && line.quantity > 0) {
+          await returnStock(line.productId, line.quantity);
+        }
+      }
+      await Order.updateOne({ _id: order._id, 'refunds._id': entry._id }, { $set: { 'refunds.$.restocked': true } });
+    } catch (stockErr) {
+      console.error('❌ Failed to restock refunded items:', stockErr?.message || stockErr);
+    }
+  }
+
+  const updated = await Order.findById(order._id);
+  const refund = updated.refunds.id(entry._id);
+  console.log(`✅ Refund ${refund.refundId} of ${refund.amount} recorded for order ${updated.orderId}`);
+
+  if (notify) {
+    const payload = { orderId: String(updated._id), refundId: String(refund._id) };
+    await enqueueJobQuietly('email.refund', payload, { dedupeKey: `email.refund:${refund._id}` });
+    await enqueueJobQuietly('notification.refund', payload, { dedupeKey: `notification.refund:${refund._id}` });
+  }
+
+  return { refund, order: updated };
+};
+
+// Refund whatever is left on an order that has just been cancelled. The stock
+// was already put back by the cancellation (see utils/orderStatus.js).
+// Returns null when there is nothing to refund.
+export const refundCancelledOrder = async (order, { actor, role, reason } = {}) => {
+  if (!isRefundable(order)) return null;
+  return refundOrder(order, { type: 'full', actor, role, reason: reason || 'Order cancelled', restock: false });
+};
+
+// Apply a refund.processed / refund.failed webhook. Refunds we started are matched
+// by id (or the entry id in the notes); refunds issued from the Razorpay dashboard
+// are recorded as partial refunds.
+export const applyGatewayRefundEvent = async (refund, event) => {
+  const order = await Order.findOne({ paymentId: refund.payment_id });
+  if (!order) return { status: 'ignored', reason: 'No order for refunded payment' };
+
+  const entryId = refund.notes?.refundEntryId;
+  const known = (order.refunds || []).find(r =>
+    r.refundId === refund.id || (entryId && String(r._id) === String(entryId)));
+  const amount = round2(Number(refund.amount || 0) / 100);
+
+  if (event === 'refund.failed') {
+    if (!known || known.status === 'failed') return { status: 'ignored', reason: 'Refund not pending' };
+    known.status = 'failed';
+    known.refundId = known.refundId || refund.id;
+    known.error = refund.error_description || 'Refund failed at gateway';
+    order.refundedAmount = round2(Number(order.refundedAmount || 0) - Number(known.amount || 0));
+    order.paymentStatus = paymentStatusFor(order.refundedAmount, order.total, order.paymentMethod);
+
+    // The items were never refunded: undo the per-item bookkeeping (so they can
+    // be refunded again and seller payouts come back) and take back the restock
+    const cancelled = await restockedByCancellation(order);
+    for (const line of known.items || []) {
+      const item = order.items.id(line.orderItemId);
+      if (item) {
+        item.refundedQuantity = Math.max(0, Number(item.refundedQuantity || 0) - Number(line.quantity || 0));
+        item.refundedAmount = Math.max(0, round2(Number(item.refundedAmount || 0) - Number(line.amount || 0)));
+      }
+      await SubOrder.updateOne(
+        { order: order._id, 'items.orderItemId': line.orderItemId },
+        { $inc: { 'items.$.refundedQuantity': -line.quantity, 'items.$.refundedAmount': -line.amount, refundedAmount: -line.amount } }
+      );
+      if (known.restocked && !cancelled(line) && line.productId && line.quantity > 0 && !(await takeStock(line.productId, line.quantity))) {
+        console.warn(`⚠️ Could not take back ${line.quantity} restocked unit(s) of ${line.productId} after failed refund ${refund.id}`);
+      }
+    }
+    known.restocked = false;
+    known.commissionReversed = 0;
+    await order.save();
+    console.warn(`⚠️ Refund ${refund.id} failed for order ${order.orderId}; item refunds, payouts and stock were rolled back`);
+    return { status: 'processed', order };
+  }
+
+  if (known) {
+    if (known.status !== 'processed') {
+      known.status = 'processed';
+      known.refundId = known.refundId || refund.id;
+      known.processedAt = new Date();
+      await order.save();
+    }
+    return { status: 'processed', order };
+  }
+
+  order.refundedAmount = round2(Number(order.refundedAmount || 0) + amount);
+  order.paymentStatus = paymentStatusFor(order.refundedAmount, order.total, order.paymentMethod);
+  order.refunds.push({
+    refundId: refund.id,
+    type: 'partial',
+    amount,
+    reason: 'Refunded from Razorpay dashboard',
+    status: 'processed',
+    role: 'system',
+    processedAt: new Date()
+  });
+  await order.save();
+  return { status: 'processed', order };
+};
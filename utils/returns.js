@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import SubOrder from '../models/SubOrder.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { buildStatusEntry } from './orderStatus.js';
+import { refundOrder } from './refunds.js';
+import { returnStock, takeStock } from './stock.js';
+
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 7);
+
+// received moves on automatically (refund or replacement); refunded/replaced can
+// also be set by hand to retry after a failure
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['pickup_scheduled', 'received', 'cancelled'],
+  pickup_scheduled: ['picked_up', 'cancelled'],
+  picked_up: ['received'],
+  received: ['refunded', 'replaced'],
+  rejected: [],
+  cancelled: [],
+  refunded: [],
+  replaced: []
+};
+
+// Returns that still hold item quantities (refunded ones show up in refundedQuantity)
+const OPEN_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'picked_up', 'received', 'replaced'];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const generateReturnId = () =>
+  `RET${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+
+// When a shipment was delivered: tracking, then its status history
+const deliveredAt = (subOrder) => {
+  if (subOrder.tracking?.deliveredAt) return new Date(subOrder.tracking.deliveredAt);
+  const entry = [...(subOrder.statusHistory || [])].reverse().find(h => h.status === 'delivered');
+  return entry ? new Date(entry.changedAt) : null;
+};
+
+// Record return progress in the order and shipment timelines without changing their status
+const logOnOrder = async (ret, status, { actor, role, note } = {}) => {
+  const entry = buildStatusEntry(`return_${status}`, {
+    actor,
+    role,
+    note: [ret.returnId, note].filter(Boolean).join(': ')
+  });
+  await Order.updateOne({ _id: ret.order }, { $push: { statusHistory: entry } });
+  if (ret.subOrder) {
+    await SubOrder.updateOne({ _id: ret.subOrder }, { $push: { statusHistory: entry } });
+  }
+};
+
+// Open a return or replacement for delivered items. Picks spanning several
+// sellers become one request per seller shipment.
+// Returns { returns } or { error, statusCode }.
+export const createReturnRequests = async (order, { items, type = 'return', reason, photos = [], customer = {} }) => {
+  if (!['return', 'replacement'].includes(type)) {
+    return { error: 'Type must be return or replacement', statusCode: 400 };
+  }
+  if (!reason || !String(reason).trim()) {
+    return { error: 'A reason is required', statusCode: 400 };
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Select at least one item', statusCode: 400 };
+  }
+
+  const subOrders = await SubOrder.find({ order: order._id });
+  const subOrderByItem = new Map();
+  subOrders.forEach(so => (so.items || []).forEach(it => subOrderByItem.set(String(it.orderItemId), so)));
+
+  const open = await ReturnRequest.find({ order: order._id, status: { $in: OPEN_STATUSES } }).select('items');
+  const inReturn = new Map();
+  open.forEach(r => r.items.forEach(it => {
+    const key = String(it.orderItemId);
+    inReturn.set(key, (inReturn.get(key) || 0) + Number(it.quantity));
+  }));
+
+  const now = Date.now();
+  const groups = new Map();
+  for (const pick of items) {
+    const item = (order.items || []).find(it => String(it._id) === String(pick.itemId));
+    if (!item) {
+      return { error: `Item ${pick.itemId} is not part of this order`, statusCode: 400 };
+    }
+    const subOrder = subOrderByItem.get(String(item._id));
+    if (!subOrder || subOrder.status !== 'delivered') {
+      return { error: `${item.name} has not been delivered yet`, statusCode: 400 };
+    }
+    const delivered = deliveredAt(subOrder);
+    if (delivered && now - delivered.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `The ${RETURN_WINDOW_DAYS}-day return window for ${item.name} has closed`, statusCode: 400 };
+    }
+
+    const qty = parseInt(pick.quantity, 10);
+    const available = Number(item.quantity) - Number(item.refundedQuantity || 0) - (inReturn.get(String(item._id)) || 0);
+    if (!Number.isInteger(qty) || qty < 1 || qty > available) {
+      return { error: `Only ${Math.max(0, available)} of ${item.name} can be returned`, statusCode: 400 };
+    }
+    inReturn.set(String(item._id), (inReturn.get(String(item._id)) || 0) + qty);
+
+    const key = String(subOrder._id);
+    if (!groups.has(key)) groups.set(key, { subOrder, items: [] });
+    groups.get(key).items.push({
+      orderItemId: item._id,
+      productId: item.productId,
+      name: item.name,
+      price: item.price,
+      quantity: qty
+    });
+  }
+
+  const created = [];
+  for (const { subOrder, items: picked } of groups.values()) {
+    const ret = await ReturnRequest.create({
+      returnId: generateReturnId(),
+      order: order._id,
+      orderId: order.orderId,
+      subOrder: subOrder._id,
+      seller: subOrder.seller,
+      sellerUser: subOrder.sellerUser,
+      customerId: order.customerId || customer.userId || null,
+      customerEmail: order.customerEmail,
+      type,
+      items: picked,
+      reason: String(reason).trim().substring(0, 1000),
+      photos,
+      history: [buildStatusEntry('requested', { actor: customer.userId, role: 'customer', note: reason })]
+    });
+    await logOnOrder(ret, 'requested', { actor: customer.userId, role: 'customer', note: type });
+    created.push(ret);
+  }
+  return { returns: created };
+};
+
+// Refund the returned items, or ship replacements from stock
+const settleReturn = async (ret, ctx) => {
+  if (ret.type === 'replacement') {
+    const taken = [];
+    for (const it of ret.items) {
+      if (!it.productId) continue;
+      if (!(await takeStock(it.productId, it.quantity))) {
+        for (const t of taken) await returnStock(t.productId, t.quantity);
+        return { error: `${it.name} is out of stock for a replacement; refund the return instead` };
+      }
+      taken.push(it);
+    }
+    return { status: 'replaced' };
+  }
+
+  const result = await refundOrder(ret.order, {
+    type: 'items',
+    items: ret.items.map(it => ({ itemId: it.orderItemId, quantity: it.quantity })),
+    reason: `Return ${ret.returnId}`,
+    actor: ctx.actor,
+    role: ctx.role
+  });
+  if (result.error) return { error: result.error };
+  return { status: 'refunded', refundId: result.refund.refundId, refundAmount: round2(result.refund.amount) };
+};
+
+// Move a return along. Conditional on the status we checked, so concurrent
+// updates cannot both apply. Reaching `received` settles the return straight away.
+// Returns { returnRequest } or { error, statusCode }.
+export const transitionReturn = async (retOrId, nextStatus, ctx = {}, { pickup } = {}) => {
+  let ret = retOrId instanceof ReturnRequest ? retOrId : await ReturnRequest.findById(retOrId);
+  if (!ret) return { error: 'Return not found', statusCode: 404 };
+
+  const status = String(nextStatus || '').toLowerCase();
+  if (!(RETURN_TRANSITIONS[ret.status] || []).includes(status)) {
+    return { error: `Cannot move return from ${ret.status} to ${status}`, statusCode: 400 };
+  }
+  if (ret.type === 'return' && status === 'replaced') {
+    return { error: 'Only replacement requests can be marked replaced', statusCode: 400 };
+  }
+
+  const set = { status };
+  if (status === 'pickup_scheduled' && pickup) {
+    if (pickup.scheduledFor) set['pickup.scheduledFor'] = new Date(pickup.scheduledFor);
+    if (pickup.courier) set['pickup.courier'] = String(pickup.courier).trim();
+    if (pickup.trackingNumber) set['pickup.trackingNumber'] = String(pickup.trackingNumber).trim();
+  }
+
+  const settling = status === 'refunded' || status === 'replaced';
+  if (settling) {
+    // Claim the return so a double submit cannot refund or replace twice
+    const claimed = await ReturnRequest.findOneAndUpdate(
+      { _id: ret._id, status: ret.status, settling: { $ne: true } },
+      { settling: true }
+    );
+    if (!claimed) {
+      return { error: 'Return is already being settled', statusCode: 409 };
+    }
+    const settled = await settleReturn(ret, ctx);
+    if (settled.error) {
+      await ReturnRequest.updateOne({ _id: ret._id }, { error: settled.error, settling: false });
+      return { error: settled.error, statusCode: 400 };
+    }
+    set.status = settled.status;
+    set.error = null;
+    set.settling = false;
+    if (settled.refundId) {
+      set.refundId = settled.refundId;
+      set.refundAmount = settled.refundAmount;
+    }
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: ret._id, status: ret.status },
+    { $set: set, $push: { history: buildStatusEntry(set.status, { from: ret.status, ...ctx }) } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'Return was changed by another request, please retry', statusCode: 409 };
+  }
+  await logOnOrder(updated, set.status, ctx);
+  ret = updated;
+
+  // Goods are back: settle now, leaving the return at `received` if that fails
+  if (status === 'received') {
+    const auto = await transitionReturn(ret, ret.type === 'replacement' ? 'replaced' : 'refunded', { ...ctx, note: undefined });
+    if (auto.returnRequest) return auto;
+    return { returnRequest: await ReturnRequest.findById(ret._id), settleError: auto.error };
+  }
+
+  return { returnRequest: ret };
+};
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+let devSecret = null;
+
+// Key for login tokens. Read when first needed rather than at import, so a
+// JWT_SECRET from .env is picked up. Production refuses to run without one;
+// elsewhere a random key is used, which logs everyone out on restart.
+export const jwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') throw new Error('JWT_SECRET must be set in production');
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET is not set; using a random key until the server restarts');
+  }
+  return devSecret;
+};
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import Seller from '../models/Seller.js';
+import User from '../models/User.js';
+import { jwtSecret } from './secrets.js';
+
+// Logins hand out a short-lived access token (a JWT carrying the session id
+// as `sid`) and a refresh token. Each refresh replaces the refresh token, and
+// authenticateToken rejects access tokens whose session has been revoked.
+
+const accessTtlSeconds = () => Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15) * 60;
+const refreshTtlMs = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Seller tokens carry the Seller id as userId; everyone else is a User
+export const sessionOwner = (user) => ({
+  ownerType: user?.role === 'seller' ? 'seller' : 'user',
+  owner: user?.userId
+});
+
+const deviceFrom = (req, name) => ({
+  name: name ? String(name).slice(0, 100) : undefined,
+  userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 300) : null,
+  ip: req?.ip || null
+});
+
+// `emailVerified` lets order access trust the email claim (see utils/orderAccess.js);
+// a token signed before the email was verified picks it up on the next refresh
+const signAccessToken = (account, role, sessionId) => jwt.sign(
+  { userId: account._id, email: account.email, emailVerified: account.emailVerified === true, role, sid: String(sessionId) },
+  jwtSecret(),
+  { expiresIn: accessTtlSeconds() }
+);
+
+// Start a session for a device that just logged in.
+// Resolves to { token, refreshToken, expiresIn } (expiresIn in seconds, for the access token).
+export const createSession = async ({ ownerType, account, role }, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await AuthSession.create({
+    ownerType,
+    owner: account._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: deviceFrom(req, req?.body?.deviceName),
+    expiresAt: new Date(Date.now() + refreshTtlMs())
+  });
+  return { token: signAccessToken(account, role, session._id), refreshToken, expiresIn: accessTtlSeconds() };
+};
+
+// The account behind a session, with the role its access token should carry,
+// or null when it may no longer log in (deleted, or a seller no longer approved)
+const loadSessionAccount = async (session) => {
+  if (session.ownerType === 'seller') {
+    const seller = await Seller.findById(session.owner).select('email verificationStatus');
+    if (!seller || String(seller.verificationStatus).toLowerCase() !== 'approved') return null;
+    return { account: seller, role: 'seller' };
+  }
+  const user = await User.findById(session.owner).select('email role emailVerified');
+  return user ? { account: user, role: user.role } : null;
+};
+
+// Swap a refresh token for a new access token and refresh token.
+// Returns { token, refreshToken, expiresIn } or { error, statusCode }.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) return { error: 'refreshToken is required', statusCode: 400 };
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const { userAgent, ip } = deviceFrom(req);
+  const now = new Date();
+
+  const session = await AuthSession.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTtlMs()),
+        'device.userAgent': userAgent,
+        'device.ip': ip
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // An already-used token: someone else may hold a copy, so end that session
+    const reused = await AuthSession.findOneAndUpdate(
+      { previousTokenHash: hash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh-token-reuse' } }
+    );
+    if (reused) console.warn(`⚠️ Refresh token reused; session ${reused._id} revoked`);
+    return { error: 'Invalid or expired refresh token', statusCode: 401 };
+  }
+
+  const resolved = await loadSessionAccount(session);
+  if (!resolved) {
+    await revokeSession(session._id, 'account-unavailable');
+    return { error: 'Account is no longer allowed to log in', statusCode: 403 };
+  }
+  return {
+    token: signAccessToken(resolved.account, resolved.role, session._id),
+    refreshToken: nextToken,
+    expiresIn: accessTtlSeconds()
+  };
+};
+
+// Whether the session behind an access token is still live
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(String(sessionId))) return false;
+  return Boolean(await AuthSession.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+// Ids (as strings) of the given sessions that are still live, for checking many at once
+export const activeSessionIds = async (sessionIds) => {
+  const ids = [...new Set(sessionIds.map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return new Set();
+  const live = await AuthSession.find({ _id: { $in: ids }, revokedAt: null, expiresAt: { $gt: new Date() } }).select('_id').lean();
+  return new Set(live.map(s => String(s._id)));
+};
+
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+export const revokeSessionByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const result = await AuthSession.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// End every session of an account (log out everywhere, password reset, seller
+// deleted or rejected). Resolves to the number of sessions ended.
+export const revokeAllSessions = async (ownerType, owner, reason) => {
+  if (!owner) return 0;
+  const result = await AuthSession.updateMany(
+    { ownerType, owner, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.modifiedCount) console.log(`🔒 Revoked ${result.modifiedCount} session(s) for ${ownerType} ${owner} (${reason})`);
+  return result.modifiedCount;
+};
+
+// Live sessions of an account, newest first, without token hashes
+export const listSessions = async (ownerType, owner) => {
+  const sessions = await AuthSession.find({ ownerType, owner, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .select('device createdAt lastUsedAt expiresAt')
+    .lean();
+  return sessions.map(s => ({
+    id: String(s._id),
+    device: s.device,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt
+  }));
+};
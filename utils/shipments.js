@@ -0,0 +1,228 @@
+import Order from '../models/Order.js';
+import SubOrder from '../models/SubOrder.js';
+import Shipment from '../models/Shipment.js';
+import { getCourier, defaultCourierName } from './couriers.js';
+import { transitionSubOrderStatus } from './orderStatus.js';
+import { sendOrderStatusUpdateToCustomer } from './email.js';
+import { enqueueJobQuietly } from './jobs.js';
+
+const TERMINAL_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+const eventKey = (e) => `${e.status}|${new Date(e.occurredAt).getTime()}`;
+const byTime = (a, b) => new Date(a.occurredAt) - new Date(b.occurredAt);
+
+export const serializeShipment = (shipment) => {
+  const s = typeof shipment.toObject === 'function' ? shipment.toObject() : shipment;
+  const events = [...(s.events || [])].sort(byTime);
+  return {
+    _id: s._id,
+    subOrderId: s.subOrderId,
+    courier: s.courier,
+    courierName: s.courierName,
+    awb: s.awb,
+    trackingUrl: s.trackingUrl,
+    status: s.status,
+    estimatedDelivery: s.estimatedDelivery,
+    deliveredAt: s.deliveredAt,
+    latestEvent: events[events.length - 1] || null,
+    events
+  };
+};
+
+// Book a shipment for a sub-order. A seller-supplied tracking number is recorded
+// as-is (manual courier); otherwise the configured courier adapter generates the
+// AWB. Booking twice returns the existing shipment.
+// Returns { shipment } or { error, statusCode }.
+export const bookShipment = async (subOrderOrId, { courier, trackingNumber, trackingUrl, actor } = {}) => {
+  const sub = subOrderOrId instanceof SubOrder ? subOrderOrId : await SubOrder.findById(subOrderOrId);
+  if (!sub) return { error: 'Sub-order not found', statusCode: 404 };
+
+  const existing = await Shipment.findOne({ subOrder: sub._id, status: { $ne: 'cancelled' } });
+  if (existing) return { shipment: existing, existing: true };
+
+  const manual = !!trackingNumber;
+  const adapterName = manual ? 'manual' : (courier ? String(courier).toLowerCase() : defaultCourierName());
+  const adapter = getCourier(adapterName);
+  if (!adapter) return { error: `Unknown courier: ${adapterName}`, statusCode: 400 };
+  if (adapterName === 'manual' && !manual) {
+    return { error: 'No courier is set up; send the courier and tracking number', statusCode: 400 };
+  }
+
+  const order = await Order.findById(sub.order).select('orderId customerName customerAddress customerCity customerPincode');
+  if (!order) return { error: 'Order not found', statusCode: 404 };
+
+  let booked;
+  try {
+    booked = await adapter.book({
+      order,
+      subOrder: sub,
+      awb: manual ? String(trackingNumber).trim() : undefined,
+      trackingUrl: trackingUrl ? String(trackingUrl).trim() : undefined,
+      courierName: courier ? String(courier).trim() : undefined
+    });
+  } catch (err) {
+    console.error(`❌ Courier booking failed for ${sub.subOrderId}:`, err?.message || err);
+    return { error: `Courier booking failed: ${err?.message || err}`, statusCode: 502 };
+  }
+
+  let shipment;
+  try {
+    shipment = await Shipment.create({
+      order: sub.order,
+      orderId: sub.orderId,
+      subOrder: sub._id,
+      subOrderId: sub.subOrderId,
+      seller: sub.seller,
+      courier: adapter.name,
+      courierName: booked.courierName || adapter.name,
+      awb: booked.awb,
+      trackingUrl: booked.trackingUrl || null,
+      estimatedDelivery: booked.estimatedDelivery || null,
+      events: booked.events || [],
+      status: (booked.events || []).slice(-1)[0]?.status || 'booked',
+      bookedBy: actor || null,
+      lastSyncedAt: new Date()
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return { error: 'This tracking number is already used by another shipment', statusCode: 409 };
+    }
+    throw err;
+  }
+
+  await SubOrder.updateOne({ _id: sub._id }, {
+    $set: {
+      shipment: shipment._id,
+      'tracking.courier': shipment.courierName,
+      'tracking.trackingNumber': shipment.awb,
+      'tracking.trackingUrl': shipment.trackingUrl
+    }
+  });
+  console.log(`🚚 Shipment ${shipment.awb} booked with ${shipment.courier} for ${sub.subOrderId}`);
+  return { shipment };
+};
+
+// Book shipments for sub-orders that were marked shipped without one (e.g. when an
+// admin ships the whole order). Booking failures are logged, not fatal.
+export const ensureShipmentsForOrder = async (orderOrId, { actor } = {}) => {
+  const orderId = orderOrId?._id || orderOrId;
+  const subs = await SubOrder.find({ order: orderId, status: { $in: ['shipped', 'delivered'] }, shipment: null });
+  for (const sub of subs) {
+    const result = await bookShipment(sub, { actor });
+    if (result.error) console.warn(`⚠️ Could not book shipment for ${sub.subOrderId}: ${result.error}`);
+  }
+};
+
+export const getOrderShipments = async (orderOrId) => {
+  const orderId = orderOrId?._id || orderOrId;
+  return Shipment.find({ order: orderId, status: { $ne: 'cancelled' } }).sort({ createdAt: 1 });
+};
+
+// Email the customer about an order status change, with tracking for its shipments.
+// Run by the 'email.order-status' job.
+export const sendOrderStatusEmail = async (order, newStatus, oldStatus) => {
+  try {
+    const shipments = (await getOrderShipments(order)).map(serializeShipment);
+    const result = await sendOrderStatusUpdateToCustomer(order, newStatus, oldStatus, shipments);
+    if (!result?.queued) console.warn(`⚠️ Failed to queue customer notification: ${result?.error || result?.reason}`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error sending customer notification:', error);
+    return { queued: false, error: error?.message || String(error) };
+  }
+};
+
+// Queue the status email, SMS and in-app notification so a mail outage does
+// not hold up the status change
+export const notifyCustomerOfStatus = async (order, newStatus, oldStatus) => {
+  const payload = { orderId: String(order._id), newStatus, oldStatus };
+  await enqueueJobQuietly('email.order-status', payload);
+  await enqueueJobQuietly('message.order-status', payload);
+  await enqueueJobQuietly('notification.order-status', payload);
+};
+
+// Pull the courier timeline and merge new events. A delivered event moves the
+// sub-order (and so possibly the order) to delivered and emails the customer.
+// Returns { shipment, changed }.
+export const syncShipment = async (shipment) => {
+  const adapter = getCourier(shipment.courier);
+  if (!adapter || TERMINAL_STATUSES.includes(shipment.status)) return { shipment, changed: false };
+
+  let tracked;
+  try {
+    tracked = await adapter.track(shipment);
+  } catch (err) {
+    await Shipment.updateOne({ _id: shipment._id }, { $set: { lastSyncedAt: new Date(), syncError: err?.message || String(err) } });
+    return { shipment, changed: false, error: err?.message || String(err) };
+  }
+
+  const known = new Set((shipment.events || []).map(eventKey));
+  const fresh = (tracked?.events || []).filter(e => e?.status && e?.occurredAt && !known.has(eventKey(e)));
+  const set = { lastSyncedAt: new Date(), syncError: null };
+  if (tracked?.estimatedDelivery !== undefined) set.estimatedDelivery = tracked.estimatedDelivery;
+
+  if (fresh.length === 0) {
+    await Shipment.updateOne({ _id: shipment._id }, { $set: set });
+    return { shipment, changed: false };
+  }
+
+  const latest = [...(shipment.events || []), ...fresh].sort(byTime).slice(-1)[0];
+  set.status = latest.status;
+  if (latest.status === 'delivered') set.deliveredAt = new Date(latest.occurredAt);
+
+  // Only the sync that wins the update applies the new events
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, updatedAt: shipment.updatedAt },
+    { $push: { events: { $each: fresh.sort(byTime) } }, $set: set },
+    { new: true }
+  );
+  if (!updated) return { shipment: await Shipment.findById(shipment._id), changed: false };
+
+  if (updated.status === 'delivered') {
+    const result = await transitionSubOrderStatus(updated.subOrder, 'delivered', {
+      role: 'system',
+      note: `Delivered by ${updated.courierName || updated.courier} (${updated.awb})`
+    }, { 'tracking.deliveredAt': updated.deliveredAt });
+    if (result.error) {
+      console.warn(`⚠️ Could not mark ${updated.subOrderId} delivered: ${result.error}`);
+    } else if (result.orderChanged && result.order) {
+      notifyCustomerOfStatus(result.order, result.order.status, result.orderOldStatus);
+    }
+  }
+
+  return { shipment: updated, changed: true };
+};
+
+// Refresh an order's open shipments, skipping ones synced in the last minute
+export const syncOrderShipments = async (orderOrId, { maxAgeMs = 60 * 1000 } = {}) => {
+  const shipments = await getOrderShipments(orderOrId);
+  const cutoff = Date.now() - maxAgeMs;
+  const out = [];
+  for (const shipment of shipments) {
+    const stale = !shipment.lastSyncedAt || shipment.lastSyncedAt.getTime() < cutoff;
+    out.push(stale ? (await syncShipment(shipment)).shipment : shipment);
+  }
+  return out;
+};
+
+export const syncOpenShipments = async () => {
+  const open = await Shipment.find({ status: { $nin: TERMINAL_STATUSES } }).sort({ lastSyncedAt: 1 }).limit(200);
+  for (const shipment of open) {
+    await syncShipment(shipment);
+  }
+  return open.length;
+};
+
+let trackerTimer = null;
+
+// Poll couriers for open shipments (SHIPMENT_SYNC_INTERVAL_MINUTES, default 15)
+export const startShipmentTracker = (intervalMs = Number(process.env.SHIPMENT_SYNC_INTERVAL_MINUTES || 15) * 60 * 1000) => {
+  if (trackerTimer) return trackerTimer;
+  trackerTimer = setInterval(() => {
+    syncOpenShipments().catch(err => {
+      console.error('❌ Shipment tracking sync failed:', err?.message || err);
+    });
+  }, intervalMs);
+  trackerTimer.unref?.();
+  return trackerTimer;
+};
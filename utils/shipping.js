@@ -0,0 +1,214 @@
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import ShippingRule from '../models/ShippingRule.js';
+import { getStateForPincode, isValidPincodeFormat, lookupPincode } from './pincode.js';
+import { refreshQuoteTotals } from './pricing.js';
+import { resolveProductSeller } from './subOrders.js';
+
+export const SHIPPING_ZONES = ['local', 'regional', 'national'];
+
+// Couriers bill the larger of actual and volumetric weight (L x W x H cm / 5000)
+const VOLUMETRIC_DIVISOR = 5000;
+const DEFAULT_WEIGHT_KG = Number(process.env.SHIPPING_DEFAULT_WEIGHT_KG || 0.5);
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const round3 = (n) => Math.round(Number(n || 0) * 1000) / 1000;
+
+// Zone of a delivery relative to the dispatch pincode. Unknown pincodes are national.
+export const getShippingZone = (originPincode, destinationPincode) => {
+  if (!isValidPincodeFormat(originPincode) || !isValidPincodeFormat(destinationPincode)) return 'national';
+  const origin = String(originPincode).trim();
+  const destination = String(destinationPincode).trim();
+  if (origin === destination) return 'local';
+
+  const from = lookupPincode(origin);
+  const to = lookupPincode(destination);
+  if (from && to && from.state === to.state && from.district === to.district) return 'local';
+
+  const fromState = from?.state || getStateForPincode(origin);
+  const toState = to?.state || getStateForPincode(destination);
+  return fromState && fromState === toState ? 'regional' : 'national';
+};
+
+// Billable weight of one unit in kg; products without weight or dimensions
+// count as SHIPPING_DEFAULT_WEIGHT_KG (default 0.5)
+export const unitShippingWeight = (product) => {
+  const actual = Number(product?.weight || 0);
+  const { length, width, height } = product?.dimensions || {};
+  const volumetric = length > 0 && width > 0 && height > 0
+    ? (Number(length) * Number(width) * Number(height)) / VOLUMETRIC_DIVISOR
+    : 0;
+  const weight = Math.max(actual, volumetric);
+  return weight > 0 ? weight : DEFAULT_WEIGHT_KG;
+};
+
+// Used until an admin saves a default rule: flat SHIPPING_FEE per shipment,
+// free from FREE_SHIPPING_THRESHOLD
+const envDefaultRule = () => {
+  const fee = Math.max(0, Number(process.env.SHIPPING_FEE || 0));
+  return {
+    seller: null,
+    originPincode: process.env.MARKETPLACE_PINCODE || null,
+    slabs: fee > 0 ? [{ maxWeightKg: Number.MAX_SAFE_INTEGER, local: fee, regional: fee, national: fee }] : [],
+    extraPerKg: { local: 0, regional: 0, national: 0 },
+    freeShippingThreshold: Number(process.env.FREE_SHIPPING_THRESHOLD || 0),
+    isActive: true
+  };
+};
+
+export const getDefaultShippingRule = async () =>
+  (await ShippingRule.findOne({ seller: null, isActive: true }).lean()) || envDefaultRule();
+
+// Charge for one shipment under a rule. `value` is the shipment's item value after discounts.
+export const computeShipmentCharge = (rule, { zone, weightKg, value }) => {
+  const threshold = Number(rule?.freeShippingThreshold || 0);
+  if (threshold > 0 && Number(value) >= threshold) return 0;
+
+  const slabs = [...(rule?.slabs || [])].sort((a, b) => a.maxWeightKg - b.maxWeightKg);
+  if (slabs.length === 0) return 0;
+  const slab = slabs.find(s => weightKg <= s.maxWeightKg);
+  if (slab) return round2(slab[zone]);
+
+  const heaviest = slabs[slabs.length - 1];
+  const extraKg = Math.ceil(weightKg - heaviest.maxWeightKg);
+  return round2(Number(heaviest[zone]) + extraKg * Number(rule.extraPerKg?.[zone] || 0));
+};
+
+// Shipping for priced quote lines delivered to `pincode`, one shipment per seller
+// (the same split as sub-orders). Returns { shipping, shipments: [{ seller,
+// sellerName, zone, weightKg, value, charge }] }.
+export const quoteShipping = async (items = [], pincode = null) => {
+  const ids = items.map(it => it.productId).filter(Boolean);
+  const products = ids.length ? await Product.find({ _id: { $in: ids } }).select('weight dimensions') : [];
+  const productById = new Map(products.map(p => [String(p._id), p]));
+
+  const cache = new Map();
+  const groups = new Map();
+  for (const item of items) {
+    const info = await resolveProductSeller(item.productId, cache);
+    if (!groups.has(info.key)) {
+      groups.set(info.key, { seller: info.seller, sellerName: info.sellerName, weightKg: 0, value: 0 });
+    }
+    const group = groups.get(info.key);
+    group.weightKg += unitShippingWeight(productById.get(String(item.productId))) * Number(item.quantity || 0);
+    group.value += Math.max(0, Number(item.lineTotal || 0) - Number(item.discountAmount || 0));
+  }
+
+  const sellerIds = [...groups.values()].map(g => g.seller).filter(Boolean);
+  const [sellerRules, sellers, defaultRule] = await Promise.all([
+    sellerIds.length ? ShippingRule.find({ seller: { $in: sellerIds }, isActive: true }).lean() : [],
+    sellerIds.length ? Seller.find({ _id: { $in: sellerIds } }).select('businessAddress').lean() : [],
+    getDefaultShippingRule()
+  ]);
+  const ruleBySeller = new Map(sellerRules.map(r => [String(r.seller), r]));
+  const sellerById = new Map(sellers.map(s => [String(s._id), s]));
+
+  const shipments = [];
+  for (const group of groups.values()) {
+    const own = group.seller ? ruleBySeller.get(String(group.seller)) : null;
+    const rule = own || defaultRule;
+    // Sellers ship from their own pincode; the default rule's origin is the marketplace warehouse
+    const origin = own?.originPincode ||
+      (group.seller
+        ? sellerById.get(String(group.seller))?.businessAddress?.pincode
+        : defaultRule.originPincode || process.env.MARKETPLACE_PINCODE);
+    const zone = getShippingZone(origin, pincode);
+    const weightKg = round3(group.weightKg);
+    const value = round2(group.value);
+    shipments.push({
+      seller: group.seller || null,
+      sellerName: group.sellerName || '',
+      zone,
+      weightKg,
+      value,
+      charge: computeShipmentCharge(rule, { zone, weightKg, value })
+    });
+  }
+
+  return { shipping: round2(shipments.reduce((s, x) => s + x.charge, 0)), shipments };
+};
+
+// Price shipping on a quote for the delivery pincode and recompute its total.
+// Apply after any coupon, since free-shipping thresholds use discounted values.
+// Returns { quote, shipments }.
+export const applyShippingToQuote = async (quote, pincode) => {
+  const { shipping, shipments } = await quoteShipping(quote.items, pincode);
+  quote.shipping = shipping;
+  quote.shippingPincode = isValidPincodeFormat(pincode) ? String(pincode).trim() : null;
+  quote.shippingCharges = shipments.map(({ value, ...rest }) => rest);
+  refreshQuoteTotals(quote);
+  await quote.save();
+  return { quote, shipments };
+};
+
+// Validate a rule from the request body. Returns { rule } or { error }.
+export const normalizeShippingRuleInput = (body = {}) => {
+  const rule = {};
+
+  if (body.originPincode !== undefined) {
+    const pin = body.originPincode === null || body.originPincode === '' ? null : String(body.originPincode).trim();
+    if (pin && !isValidPincodeFormat(pin)) return { error: 'Origin pincode must be 6 digits' };
+    rule.originPincode = pin;
+  }
+
+  if (body.slabs !== undefined) {
+    if (!Array.isArray(body.slabs)) return { error: 'Slabs must be an array' };
+    const slabs = [];
+    for (const raw of body.slabs) {
+      const slab = { maxWeightKg: Number(raw?.maxWeightKg) };
+      if (!(slab.maxWeightKg > 0)) return { error: 'Each slab needs a maxWeightKg above 0' };
+      for (const zone of SHIPPING_ZONES) {
+        slab[zone] = Number(raw?.[zone]);
+        if (Number.isNaN(slab[zone]) || slab[zone] < 0) {
+          return { error: `Slab up to ${slab.maxWeightKg} kg needs a non-negative ${zone} rate` };
+        }
+      }
+      slabs.push(slab);
+    }
+    slabs.sort((a, b) => a.maxWeightKg - b.maxWeightKg);
+    if (slabs.some((s, i) => i > 0 && s.maxWeightKg === slabs[i - 1].maxWeightKg)) {
+      return { error: 'Slab weights must be different' };
+    }
+    rule.slabs = slabs;
+  }
+
+  if (body.extraPerKg !== undefined) {
+    rule.extraPerKg = {};
+    for (const zone of SHIPPING_ZONES) {
+      const rate = Number(body.extraPerKg?.[zone] ?? 0);
+      if (Number.isNaN(rate) || rate < 0) return { error: `extraPerKg.${zone} must be a non-negative number` };
+      rule.extraPerKg[zone] = rate;
+    }
+  }
+
+  if (body.freeShippingThreshold !== undefined) {
+    const threshold = Number(body.freeShippingThreshold || 0);
+    if (Number.isNaN(threshold) || threshold < 0) return { error: 'freeShippingThreshold must be a non-negative number' };
+    rule.freeShippingThreshold = threshold;
+  }
+
+  if (body.isActive !== undefined) rule.isActive = body.isActive === true || body.isActive === 'true';
+
+  return { rule };
+};
+
+// Product weight (kg) and dimensions (cm) from a create/update body. Multipart
+// forms may send dimensions as a JSON string. Returns only the fields sent.
+export const parseProductShippingFields = (body = {}) => {
+  const fields = {};
+  const toNumber = (v) => (v === undefined || v === null || v === '' ? null : Math.max(0, parseFloat(v)) || null);
+
+  if (body.weight !== undefined) fields.weight = toNumber(body.weight);
+  if (body.dimensions !== undefined) {
+    let dims = body.dimensions;
+    if (typeof dims === 'string') {
+      try { dims = JSON.parse(dims); } catch { dims = {}; }
+    }
+    fields.dimensions = {
+      length: toNumber(dims?.length),
+      width: toNumber(dims?.width),
+      height: toNumber(dims?.height)
+    };
+  }
+  return fields;
+};
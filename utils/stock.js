@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES || 15);
+
+// Sum quantities per product (several lines can share one product)
+const quantitiesByProduct = (lines = []) => {
+  const map = new Map();
+  for (const line of (lines || [])) {
+    const pid = line.productId || line._id || line.id;
+    const qty = Number(line.quantity || 0);
+    if (!pid || qty <= 0) continue;
+    map.set(String(pid), (map.get(String(pid)) || 0) + qty);
+  }
+  return map;
+};
+
+// Take `qty` units only if that many are available - a single conditional update,
+// so two buyers can never both get the last unit
+export const takeStock = async (productId, qty) => {
+  const result = await Product.updateOne(
+    { _id: productId, stockQuantity: { $gte: qty } },
+    [
+      { $set: { stockQuantity: { $subtract: ['$stockQuantity', qty] } } },
+      { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+    ]
+  );
+  return result.modifiedCount === 1;
+};
+
+export const returnStock = async (productId, qty) => {
+  await Product.updateOne(
+    { _id: productId },
+    [
+      { $set: { stockQuantity: { $add: ['$stockQuantity', qty] } } },
+      { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+    ]
+  );
+};
+
+// Hold stock for a checkout. All-or-nothing: if any product is short, whatever was
+// already taken is put back and the shortages are returned.
+export const reserveStock = async (lines, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) => {
+  const reference = `rsv_${crypto.randomBytes(12).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  const taken = [];
+  const shortages = [];
+
+  for (const [productId, qty] of quantitiesByProduct(lines).entries()) {
+    if (await takeStock(productId, qty)) {
+      taken.push({ productId, qty });
+    } else {
+      const prod = await Product.findById(productId).select('name stockQuantity');
+      shortages.push({
+        productId,
+        name: prod?.name,
+        requested: qty,
+        available: Number(prod?.stockQuantity || 0)
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    for (const t of taken) {
+      await returnStock(t.productId, t.qty);
+    }
+    return { shortages };
+  }
+
+  await StockReservation.insertMany(taken.map(t => ({
+    reference,
+    product: t.productId,
+    quantity: t.qty,
+    expiresAt
+  })));
+  return { reference, expiresAt, shortages: [] };
+};
+
+export const attachReservationsToOrder = (reference, razorpayOrderId) =>
+  StockReservation.updateMany({ reference }, { razorpayOrderId });
+
+// Give the held units back. Each reservation is claimed atomically first, so the
+// sweeper and an explicit release can never both restore the same stock.
+const releaseOne = async (reservation) => {
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { status: 'released', releasedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return false;
+  await returnStock(claimed.product, claimed.quantity);
+  return true;
+};
+
+export const releaseReservations = async (reference) => {
+  const active = await StockReservation.find({ reference, status: 'active' });
+  let released = 0;
+  for (const r of active) {
+    if (await releaseOne(r)) released += 1;
+  }
+  return released;
+};
+
+// Turn a checkout's holds into a sale once payment is confirmed. Holds that already
+// expired are re-taken if the stock is still there; otherwise the shortfall is recorded.
+// Returns null when the reference has no reservations (legacy checkouts).
+export const convertReservations = async (reference) => {
+  if (!reference) return null;
+  const reservations = await StockReservation.find({ reference });
+  if (reservations.length === 0) return null;
+
+  const shortfalls = [];
+  for (const r of reservations) {
+    if (r.status === 'converted') continue;
+
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: r._id, status: 'active' },
+      { status: 'converted', convertedAt: new Date() },
+      { new: true }
+    );
+    if (claimed) continue;
+
+    // Expired and released before the payment came in
+    const retaken = await takeStock(r.product, r.quantity);
+    await StockReservation.updateOne(
+      { _id: r._id },
+      { status: 'converted', convertedAt: new Date(), shortfall: retaken ? 0 : r.quantity }
+    );
+    if (!retaken) {
+      shortfalls.push({ productId: String(r.product), quantity: r.quantity });
+    }
+  }
+  return { shortfalls };
+};
+
+// Decrement stock for a sale that had no reservation. Never goes below zero;
+// lines that could not be fully taken are returned as shortfalls.
+export const commitStock = async (lines) => {
+  const shortfalls = [];
+  for (const [productId, qty] of quantitiesByProduct(lines).entries()) {
+    if (!(await takeStock(productId, qty))) {
+      shortfalls.push({ productId, quantity: qty });
+    }
+  }
+  return { shortfalls };
+};
+
+export const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lt: new Date() } })
+    .limit(200);
+  let released = 0;
+  for (const r of expired) {
+    if (await releaseOne(r)) released += 1;
+  }
+  if (released > 0) {
+    console.log(`♻️ Released ${released} expired stock reservation(s)`);
+  }
+  return released;
+};
+
+let sweeperTimer = null;
+
+// Periodically return stock held by checkouts that were never paid
+export const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  if (sweeperTimer) return sweeperTimer;
+  sweeperTimer = setInterval(() => {
+    releaseExpiredReservations().catch(err => {
+      console.error('❌ Stock reservation sweep failed:', err?.message || err);
+    });
+  }, intervalMs);
+  sweeperTimer.unref?.();
+  return sweeperTimer;
+};
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import SubOrder from '../models/SubOrder.js';
+import { buildStatusEntry } from './orderStatus.js';
+import { lineNetTotal } from './commission.js';
+
+const MARKETPLACE_KEY = 'marketplace';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Work out who fulfils a product: Product.sellerId, or a Seller stored in createdBy
+// (legacy seller uploads). Anything else is a marketplace (admin) listing.
+export const resolveProductSeller = async (productId, cache) => {
+  const key = String(productId || '');
+  if (cache.has(key)) return cache.get(key);
+
+  let info = { key: MARKETPLACE_KEY, seller: null, sellerUser: null, sellerName: 'Admin' };
+  if (productId) {
+    try {
+      const prod = await Product.findById(productId).select('sellerId sellerName createdBy');
+      if (prod) {
+        let seller = null;
+        if (prod.sellerId) {
+          seller = await Seller.findById(prod.sellerId).select('_id sellerName name');
+        }
+        if (!seller && prod.createdBy) {
+          seller = await Seller.findById(prod.createdBy).select('_id sellerName name');
+        }
+        if (seller) {
+          info = {
+            key: String(seller._id),
+            seller: seller._id,
+            sellerUser: prod.createdBy || null,
+            sellerName: prod.sellerName || seller.sellerName || seller.name || ''
+          };
+        } else {
+          info = { ...info, sellerUser: prod.createdBy || null };
+        }
+      }
+    } catch (e) {
+      console.warn('⚠️ Could not resolve seller for product', key, e?.message || e);
+    }
+  }
+  cache.set(key, info);
+  return info;
+};
+
+// This seller's line from Order.shippingCharges (null for orders placed before shipping rules)
+const shippingChargeForSeller = (order, seller) => {
+  const charges = order?.shippingCharges || [];
+  if (charges.length === 0) return null;
+  const match = charges.find(c => String(c.seller || '') === String(seller || ''));
+  return match ? Number(match.charge || 0) : 0;
+};
+
+// Split an order into one sub-order per seller. Safe to call again: an order
+// that already has sub-orders is returned unchanged.
+export const createSubOrdersForOrder = async (order, { note = 'Order placed' } = {}) => {
+  const existing = await SubOrder.find({ order: order._id }).sort({ subOrderId: 1 });
+  if (existing.length > 0) {
+    // A split that stopped before linking the sub-orders back to the order
+    if ((order.subOrders || []).length !== existing.length) {
+      await Order.updateOne({ _id: order._id }, { $set: { subOrders: existing.map(s => s._id) } });
+    }
+    return existing;
+  }
+
+  const cache = new Map();
+  const groups = new Map();
+  for (const item of (order.items || [])) {
+    const info = await resolveProductSeller(item.productId, cache);
+    if (!groups.has(info.key)) groups.set(info.key, { ...info, items: [] });
+    groups.get(info.key).items.push(item);
+  }
+
+  let n = 0;
+  const docs = [];
+  for (const group of groups.values()) {
+    n += 1;
+    const items = group.items.map(it => ({
+      orderItemId: it._id,
+      productId: it.productId,
+      name: it.name,
+      price: it.price,
+      quantity: it.quantity,
+      size: it.size,
+      color: it.color,
+      image: it.image,
+      commissionPercent: it.commissionPercent,
+      commissionAmount: it.commissionAmount,
+      sellerPayoutAmount: it.sellerPayoutAmount,
+      discountAmount: it.discountAmount || 0,
+      refundedQuantity: it.refundedQuantity || 0,
+      refundedAmount: it.refundedAmount || 0
+    }));
+    docs.push({
+      order: order._id,
+      orderId: order.orderId,
+      subOrderId: `${order.orderId}-${n}`,
+      seller: group.seller,
+      sellerUser: group.sellerUser,
+      sellerName: group.sellerName,
+      items,
+      itemsTotal: round2(items.reduce((s, it) => s + lineNetTotal(it), 0)),
+      commissionTotal: round2(items.reduce((s, it) => s + Number(it.commissionAmount || 0), 0)),
+      payoutTotal: round2(items.reduce((s, it) => s + Number(it.sellerPayoutAmount || 0), 0)),
+      refundedAmount: round2(items.reduce((s, it) => s + Number(it.refundedAmount || 0), 0)),
+      shippingCharge: shippingChargeForSeller(order, group.seller),
+      paymentMethod: order.paymentMethod || 'razorpay',
+      codCollectedAt: order.codCollectedAt || null,
+      status: order.status,
+      statusHistory: [buildStatusEntry(order.status, { role: 'system', note })]
+    });
+  }
+
+  let created;
+  try {
+    created = await SubOrder.insertMany(docs);
+  } catch (err) {
+    // Another request split the same order first
+    if (err?.code === 11000) {
+      const winners = await SubOrder.find({ order: order._id }).sort({ subOrderId: 1 });
+      await Order.updateOne({ _id: order._id }, { $set: { subOrders: winners.map(s => s._id) } });
+      return winners;
+    }
+    throw err;
+  }
+  await Order.updateOne({ _id: order._id }, { $set: { subOrders: created.map(s => s._id) } });
+  return created;
+};
+
+// Split orders created before sub-orders existed, a batch at a time. Pages by
+// _id, so orders that still have no sub-orders afterwards (no items) are not
+// picked up again.
+export const backfillSubOrders = async (batchSize = 100) => {
+  let total = 0;
+  let lastId = null;
+  for (;;) {
+    const filter = { $or: [{ subOrders: { $exists: false } }, { subOrders: { $size: 0 } }] };
+    if (lastId) filter._id = { $gt: lastId };
+    const orders = await Order.find(filter)
+      .sort({ _id: 1 })
+      .limit(batchSize);
+    if (orders.length === 0) break;
+    for (const order of orders) {
+      await createSubOrdersForOrder(order, { note: 'Split from existing order' });
+    }
+    total += orders.length;
+    lastId = orders[orders.length - 1]._id;
+    if (orders.length < batchSize) break;
+  }
+  if (total > 0) {
+    console.log(`✅ Split ${total} existing order(s) into seller sub-orders`);
+  }
+  return total;
+};
+
+// Filter matching the current seller's sub-orders. Seller tokens carry the
+// Seller id; products may also point at the seller through createdBy.
+// Ids are cast up front so the filter also works inside aggregate $match.
+export const sellerSubOrderFilter = async (user) => {
+  const userId = new mongoose.Types.ObjectId(String(user.userId));
+  const ids = [userId];
+  try {
+    const sellerDoc = await Seller.findOne({ email: user.email }).select('_id');
+    if (sellerDoc && !sellerDoc._id.equals(userId)) ids.push(sellerDoc._id);
+  } catch (_) {
+    // fall back to the token id only
+  }
+  return { $or: [{ seller: { $in: ids } }, { sellerUser: userId }] };
+};
+
+// Sub-order with the parent's customer details, in the shape seller screens expect
+export const serializeSubOrder = (subOrder) => {
+  const so = typeof subOrder.toObject === 'function' ? subOrder.toObject() : subOrder;
+  const parent = so.order && typeof so.order === 'object' && so.order.orderId ? so.order : null;
+  return {
+    ...so,
+    order: parent ? parent._id : so.order,
+    orderId: so.orderId,
+    customerName: parent?.customerName || '',
+    customerEmail: parent?.customerEmail || '',
+    customerPhone: parent?.customerPhone || '',
+    customerAddress: parent?.customerAddress || '',
+    customerCity: parent?.customerCity || '',
+    customerPincode: parent?.customerPincode || '',
+    paymentStatus: parent?.paymentStatus,
+    orderStatus: parent?.status,
+    total: so.itemsTotal
+  };
+};